@@ -3,11 +3,25 @@ class RetailPOS {
     constructor() {
         this.products = [];
         this.cart = [];
+        this.quickCart = [];
+        // A customer id picked for the quick billing cart, or 'new' when the cashier chose to add one
+        this.quickCustomerChoice = null;
+        this.heldCarts = [];
         this.sales = [];
         this.currentEditId = null;
         this.darkMode = localStorage.getItem('darkMode') === 'true';
         this.charts = {};
         this.discount = { type: 'percentage', value: 0, code: '' };
+        this.taxSlabs = [0, 5, 12, 18, 28];
+        this.paymentMethods = { cash: 'Cash', card: 'Card', upi: 'UPI', creditNote: 'Credit Note', loyalty: 'Loyalty Points',
+            account: 'On Account', giftCard: 'Gift Card', storeCredit: 'Store Credit'
+        };
+        this.markdownReasons = { damaged: 'Damaged', priceMatch: 'Price match', staff: 'Staff discount' };
+        this.returningSaleId = null;
+        this.tender = null;
+        this.editingVariants = [];
+        this.variantPicker = null;
+        this.variantView = { inventory: false, reports: false, forecast: false };
         this.settings = {
             shop: {
                 name: '',
@@ -28,27 +42,206 @@ class RetailPOS {
                 secondaryColor: '#764ba2',
                 enableAnimations: true,
                 compactMode: false
+            },
+            barcode: {
+                scaleEnabled: true,
+                scaleValueType: 'price'
+            },
+            backup: {
+                frequency: 'weekly',
+                autoDownload: false
+            },
+            inventory: {
+                nearExpiryDays: 7,
+                minStock: 10,
+                maxStock: 50,
+                reorderQty: 20,
+                leadTimeDays: 7,
+                coverageDays: 30
+            },
+            loyalty: {
+                enabled: true,
+                pointsPerHundred: 1,
+                pointValue: 1,
+                minRedeemPoints: 100,
+                expiryDays: 365,
+                tierWindowDays: 365,
+                tiers: [
+                    { name: 'Member', minSpend: 0, multiplier: 1 },
+                    { name: 'Silver', minSpend: 25000, multiplier: 1.25 },
+                    { name: 'Gold', minSpend: 100000, multiplier: 1.5 }
+                ]
+            },
+            giftCards: {
+                maxAmount: 10000
+            },
+            tax: {
+                shopState: '',
+                pricesIncludeTax: false,
+                defaultRate: 18
             }
         };
         this.currentFilter = {
             search: '',
             dateRange: 'all',
             startDate: null,
-            endDate: null
+            endDate: null,
+            paymentMethod: ''
         };
         this.selectedTransactions = new Set();
-        this.customers = {};
+        this.customers = [];
+        this.customerStats = null;
+        this.customerModalTarget = null;
         this.currentUser = null;
         this.users = [];
         this.isLoggedIn = false;
+        this.maxLoginAttempts = 5;
+        this.lockoutMinutes = 15;
+        this.credentialMigration = Promise.resolve();
+        this.pendingPasswordChangeUser = null;
+        this.eventListenersReady = false;
+        this.roles = [];
+        this.pendingOverride = null;
+        this.markdownLine = null;
+        this.permissionCatalog = {
+            'product.create': 'Add products',
+            'product.edit': 'Edit product details',
+            'product.delete': 'Delete products',
+            'price.override': 'Change prices',
+            'stock.adjust': 'Adjust stock levels',
+            'discount.apply': 'Apply discounts',
+            'discount.above.10pct': 'Discounts above 10%',
+            'sale.void': 'Returns, refunds and voids',
+            'settings.edit': 'Change settings',
+            'users.manage': 'Manage users and roles',
+            'export.sales': 'Export sales and reports',
+            'export.customers': 'Export customer data',
+            'purchase.manage': 'Manage suppliers and purchase orders',
+            'stock.receive': 'Receive goods against purchase orders',
+            'stocktake.approve': 'Start and approve stock takes',
+            'category.manage': 'Manage product categories',
+            'customer.merge': 'Merge duplicate customers',
+            'promotion.manage': 'Manage promotions',
+            'coupon.manage': 'Manage coupons',
+            'account.manage': 'Set credit limits and allow sales over them',
+            'giftcard.sell': 'Sell gift cards',
+            'storecredit.issue': 'Issue store credit and cancel gift cards'
+        };
+        this.loginListenerReady = false;
+        this.auditLog = [];
+        this.auditQueue = Promise.resolve();
+        this.auditFilter = { search: '', action: '' };
         this.inventoryForecast = {};
+        this.suppliers = [];
+        this.purchaseOrders = [];
+        this.editingPurchaseOrder = null;
+        this.receivingPurchaseOrderId = null;
+        this.stockMovements = [];
+        this.stockCardProductId = null;
+        this.stockTakes = [];
+        this.categories = [];
+        this.loyaltyLedger = [];
+        this.promotions = [];
+        this.coupons = [];
+        this.accountLedger = [];
+        this.giftCards = [];
+        this.viewingStockTakeId = null;
+        this.countingStockTakeId = null;
+        this.stockMovementTypes = {
+            sale: 'Sale',
+            return: 'Return',
+            receipt: 'Receipt',
+            adjustment: 'Adjustment',
+            damage: 'Damage',
+            theft: 'Theft',
+            transfer: 'Transfer'
+        };
+        // Reason codes offered on the adjustment form, by movement type
+        this.stockReasonCodes = {
+            adjustment: {
+                COUNT: 'Stock count correction',
+                FOUND: 'Found stock',
+                ENTRY: 'Data entry error',
+                SUPPLIER: 'Supplier short or over delivery'
+            },
+            damage: {
+                DAMAGED: 'Damaged in store',
+                TRANSIT: 'Damaged in transit',
+                EXPIRED: 'Expired or spoiled'
+            },
+            theft: {
+                SHOPLIFT: 'Shoplifting',
+                INTERNAL: 'Internal theft',
+                UNKNOWN: 'Unexplained loss'
+            },
+            transfer: {
+                STORE: 'Between stores',
+                WAREHOUSE: 'To or from warehouse'
+            }
+        };
         this.externalServices = {
             emailEnabled: false,
             smsEnabled: false,
-            cloudBackupEnabled: false,
-            barcodeScannerEnabled: false
+            barcodeScannerEnabled: false,
+            emailRelayUrl: '',
+            emailRelayToken: '',
+            emailRelayTokenSecret: null,
+            emailAddress: '',
+            smsWebhookUrl: '',
+            smsNumber: '',
+            digestMinutes: 15
         };
-        this.init();
+        this.notifications = [];
+        this.notificationOutbox = { pending: [], digestDueAt: null, alerted: {}, deliveries: [] };
+        this.notificationTransports = {};
+        this.notificationMaxAttempts = 5;
+        this.notificationTimer = null;
+        this.dbName = 'RetailPOS';
+        this.db = null;
+        this.deviceKey = null;
+        this.pendingWrites = 0;
+        this.failedWrites = new Set();
+        this.recordStores = {
+            products: 'id',
+            sales: 'id',
+            users: 'id',
+            auditLog: 'seq',
+            suppliers: 'id',
+            purchaseOrders: 'id',
+            stockMovements: 'id',
+            stockTakes: 'id',
+            categories: 'id',
+            customers: 'id',
+            loyaltyLedger: 'id',
+            promotions: 'id',
+            coupons: 'id',
+            accountLedger: 'id',
+            giftCards: 'id'
+        };
+        this.metaKeys = ['settings', 'roles', 'heldCarts', 'externalServices', 'notifications', 'notificationOutbox'];
+        this.backupFormatVersion = 1;
+        this.pendingRestore = null;
+        this.backupReminderShown = false;
+        this.storedSnapshots = {};
+        this.storageFailed = false;
+        this.storageReady = this.initStorage()
+            .then(() => {
+                this.loadAuditLog();
+                this.init();
+            }, error => {
+                // Nothing is loaded or saved from here on: running on localStorage or a fresh data set
+                // would hand out the default admin login and lose whatever is entered
+                console.error('Error reading IndexedDB:', error);
+                if (this.db) this.db.close();
+                this.db = null;
+                this.storedSnapshots = {};
+                this.storageFailed = true;
+                this.showStorageError();
+            })
+            .catch(error => {
+                console.error('Error starting the app:', error);
+                this.showToast('The app failed to start. Please reload the page.', 'error');
+            });
     }
 
     init() {
@@ -56,30 +249,45 @@ class RetailPOS {
         this.checkLoginStatus();
         
         // Setup login event listener before checking login status
-        this.setupLoginEventListener();
+        if (!this.loginListenerReady) {
+            this.setupLoginEventListener();
+            this.loginListenerReady = true;
+        }
         
         if (!this.isLoggedIn) {
             this.showLoginModal();
             return;
         }
         
+        // Settings come first: legacy per-category tax rates are moved onto categories while loading data
+        this.loadSettings();
         this.loadData();
-        this.setupEventListeners();
+        // init() runs again after every login; listeners must only be attached once
+        if (!this.eventListenersReady) {
+            this.setupEventListeners();
+            this.eventListenersReady = true;
+        }
+        this.populateCategorySelects();
+        this.populateCustomerSelect();
         this.renderProducts();
         this.renderInventory();
         this.updateCart();
+        this.updateQuickCart();
+        this.renderHeldCarts();
         this.addSampleProducts();
         this.applyTheme();
         this.initCharts();
         this.updateDashboard();
         this.updateReports();
-        this.loadSettings();
         this.populateSettingsForm();
         this.initializeExternalServices();
+        this.initializeNotifications();
         this.initializeForecast();
         this.updateCustomers();
+        this.checkBackupSchedule();
         
         // Start auto-save interval (save every 30 seconds)
+        this.stopAutoSave();
         this.startAutoSave();
     }
 
@@ -108,11 +316,14 @@ class RetailPOS {
         );
 
         const todayTotal = todaySales.reduce((sum, sale) => sum + sale.total, 0);
-        const transactionCount = todaySales.length;
+        const todayMargin = this.summarizeMargin(todaySales.flatMap(sale => sale.items));
+        const transactionCount = todaySales.filter(sale => sale.type !== 'return').length;
         const totalProducts = this.products.length;
-        const lowStockCount = this.products.filter(p => p.stock < 10).length;
+        const lowStockCount = this.products.filter(p => p.stock < this.getLowStockThreshold(p)).length;
 
         document.getElementById('dashboardTodaySales').textContent = `₹${todayTotal.toFixed(2)}`;
+        document.getElementById('dashboardTodayProfit').textContent = `${todayMargin.profit < 0 ? '-' : ''}₹${Math.abs(todayMargin.profit).toFixed(2)}`;
+        document.getElementById('dashboardTodayMargin').textContent = todayMargin.margin === null ? '' : `${todayMargin.margin.toFixed(1)}% margin`;
         document.getElementById('dashboardTransactionCount').textContent = transactionCount;
         document.getElementById('totalProducts').textContent = totalProducts;
         document.getElementById('lowStockCount').textContent = lowStockCount;
@@ -177,45 +388,492 @@ class RetailPOS {
         });
     }
 
+    // Storage
+    // Persistent data lives in IndexedDB. Products, sales, users and audit entries are stored
+    // one record per row so a save only writes the records that changed since the last one;
+    // everything else is a single value in the meta store. Without IndexedDB the same keys
+    // fall back to localStorage.
+    getSchemaMigrations() {
+        // Append a new step with the next version number for every schema change; steps run in order
+        // on upgrade, so existing databases only get the ones they are missing.
+        return [
+            {
+                version: 1,
+                upgrade: (db) => {
+                    db.createObjectStore('products', { keyPath: 'id' });
+                    const sales = db.createObjectStore('sales', { keyPath: 'id' });
+                    sales.createIndex('date', 'date');
+                    sales.createIndex('customerPhone', 'customer.phone');
+                    sales.createIndex('customerName', 'customer.name');
+                    db.createObjectStore('users', { keyPath: 'id' });
+                    db.createObjectStore('auditLog', { keyPath: 'seq' });
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            },
+            {
+                version: 2,
+                upgrade: (db) => {
+                    db.createObjectStore('suppliers', { keyPath: 'id' });
+                    const purchaseOrders = db.createObjectStore('purchaseOrders', { keyPath: 'id' });
+                    purchaseOrders.createIndex('supplierId', 'supplierId');
+                    purchaseOrders.createIndex('status', 'status');
+                }
+            },
+            {
+                version: 3,
+                upgrade: (db) => {
+                    const stockMovements = db.createObjectStore('stockMovements', { keyPath: 'id' });
+                    stockMovements.createIndex('productId', 'productId');
+                    stockMovements.createIndex('date', 'date');
+                    stockMovements.createIndex('type', 'type');
+                }
+            },
+            {
+                version: 4,
+                upgrade: (db) => {
+                    const stockTakes = db.createObjectStore('stockTakes', { keyPath: 'id' });
+                    stockTakes.createIndex('status', 'status');
+                }
+            },
+            {
+                version: 5,
+                upgrade: (db) => {
+                    const categories = db.createObjectStore('categories', { keyPath: 'id' });
+                    categories.createIndex('parentId', 'parentId');
+                }
+            },
+            {
+                version: 6,
+                upgrade: (db) => {
+                    const customers = db.createObjectStore('customers', { keyPath: 'id' });
+                    customers.createIndex('phone', 'phone');
+                }
+            },
+            {
+                version: 7,
+                upgrade: (db) => {
+                    const loyaltyLedger = db.createObjectStore('loyaltyLedger', { keyPath: 'id' });
+                    loyaltyLedger.createIndex('customerId', 'customerId');
+                    loyaltyLedger.createIndex('saleId', 'saleId');
+                }
+            },
+            {
+                version: 8,
+                upgrade: (db) => {
+                    db.createObjectStore('promotions', { keyPath: 'id' });
+                }
+            },
+            {
+                version: 9,
+                upgrade: (db) => {
+                    db.createObjectStore('coupons', { keyPath: 'id' });
+                }
+            },
+            {
+                version: 10,
+                upgrade: (db) => {
+                    const accountLedger = db.createObjectStore('accountLedger', { keyPath: 'id' });
+                    accountLedger.createIndex('customerId', 'customerId');
+                    accountLedger.createIndex('saleId', 'saleId');
+                    const giftCards = db.createObjectStore('giftCards', { keyPath: 'id' });
+                    giftCards.createIndex('code', 'code', { unique: true });
+                }
+            }
+        ];
+    }
+
+    openDatabase() {
+        if (!window.indexedDB) {
+            return Promise.resolve(null);
+        }
+
+        const migrations = this.getSchemaMigrations();
+        const version = migrations[migrations.length - 1].version;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, version);
+
+            request.onupgradeneeded = (event) => {
+                migrations
+                    .filter(migration => migration.version > event.oldVersion)
+                    .forEach(migration => migration.upgrade(request.result, request.transaction));
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    this.showToast('The app was updated in another tab. Please reload this page.', 'warning');
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade is blocked by another open tab'));
+        });
+    }
+
+    // localStorage is only used in browsers that have never had IndexedDB. Once data has been moved
+    // into IndexedDB, any failure to open or read it stops the app instead.
+    async initStorage() {
+        if (!window.indexedDB) {
+            if (localStorage.getItem('localStorageImport') !== null) {
+                throw new Error('IndexedDB is unavailable, but saved data was moved into it');
+            }
+            this.showToast('IndexedDB is unavailable; data is kept in browser localStorage', 'warning');
+            return;
+        }
+
+        this.db = await this.openDatabase();
+        await this.loadStoredSnapshots();
+
+        if (this.storedSnapshots.localStorageImport === undefined) {
+            await this.importLocalStorageData();
+        } else {
+            // Installs that moved their data before the marker was kept in localStorage too
+            this.markLocalStorageImported();
+        }
+    }
+
+    markLocalStorageImported() {
+        try {
+            if (localStorage.getItem('localStorageImport') === null) {
+                localStorage.setItem('localStorageImport', new Date().toISOString());
+            }
+            return true;
+        } catch (error) {
+            console.error('Error marking localStorage data as imported:', error);
+            return false;
+        }
+    }
+
+    showStorageError() {
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.style.display = 'none';
+        });
+        document.getElementById('storageErrorModal').style.display = 'block';
+        document.getElementById('storageErrorReload').onclick = () => window.location.reload();
+    }
+
+    async loadStoredSnapshots() {
+        const storeNames = [...Object.keys(this.recordStores), 'meta'];
+        const transaction = this.db.transaction(storeNames, 'readonly');
+        const readAll = storeName => new Promise((resolve, reject) => {
+            const request = transaction.objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        for (const [storeName, keyPath] of Object.entries(this.recordStores)) {
+            const records = await readAll(storeName);
+            this.storedSnapshots[storeName] = new Map(records.map(record => [record[keyPath], JSON.stringify(record)]));
+        }
+
+        (await readAll('meta')).forEach(entry => {
+            // A CryptoKey, so it stays out of the JSON snapshots
+            if (entry.key === 'deviceKey') {
+                this.deviceKey = entry.value;
+                return;
+            }
+            this.storedSnapshots[entry.key] = JSON.stringify(entry.value);
+        });
+    }
+
+    // One-time move of data saved by earlier versions. The localStorage copies are removed afterwards
+    // so they stop counting against its quota, but only those that read back unchanged from IndexedDB.
+    async importLocalStorageData() {
+        const imported = [];
+        const values = {};
+
+        for (const key of [...Object.keys(this.recordStores), ...this.metaKeys]) {
+            const saved = localStorage.getItem(key);
+            if (saved === null) continue;
+
+            try {
+                values[key] = JSON.parse(saved);
+                if (await this.writeStored(key, values[key])) {
+                    imported.push(key);
+                }
+            } catch (error) {
+                console.error(`Error importing ${key} from localStorage:`, error);
+            }
+        }
+
+        await this.loadStoredSnapshots();
+        const verified = imported.filter(key => this.isStoredCopyOf(key, values[key]));
+
+        if (await this.writeStored('localStorageImport', { importedAt: new Date().toISOString(), keys: imported })
+            && this.markLocalStorageImported()) {
+            verified.forEach(key => localStorage.removeItem(key));
+        }
+
+        if (imported.length > 0) {
+            this.showToast('Saved data moved from browser storage to IndexedDB', 'info');
+        }
+    }
+
+    isStoredCopyOf(key, value) {
+        const snapshot = this.storedSnapshots[key];
+        if (snapshot instanceof Map) {
+            const keyPath = this.recordStores[key];
+            return Array.isArray(value)
+                && value.length === snapshot.size
+                && value.every(record => snapshot.get(record[keyPath]) === JSON.stringify(record));
+        }
+        return snapshot === JSON.stringify(value);
+    }
+
+    readStored(key) {
+        if (!this.db) {
+            const saved = localStorage.getItem(key);
+            return saved === null ? null : JSON.parse(saved);
+        }
+
+        const snapshot = this.storedSnapshots[key];
+        if (snapshot === undefined) return null;
+        if (snapshot instanceof Map) {
+            return snapshot.size > 0 ? Array.from(snapshot.values(), json => JSON.parse(json)) : null;
+        }
+        return JSON.parse(snapshot);
+    }
+
+    // Resolves to true once the value is durably saved; failures are reported to the user and kept
+    // in failedWrites until a later save (auto-save runs every 30 seconds) gets them through
+    writeStored(key, value) {
+        if (this.storageFailed) {
+            return Promise.resolve(false);
+        }
+
+        if (!this.db) {
+            try {
+                localStorage.setItem(key, JSON.stringify(value));
+                this.failedWrites.delete(key);
+                return Promise.resolve(true);
+            } catch (error) {
+                this.failedWrites.add(key);
+                this.reportStorageError(error, key);
+                return Promise.resolve(false);
+            }
+        }
+
+        return this.recordStores[key] ? this.writeRecords(key, value) : this.writeMeta(key, value);
+    }
+
+    hasUnsavedData() {
+        return this.pendingWrites > 0 || this.failedWrites.size > 0;
+    }
+
+    writeRecords(storeName, records) {
+        const keyPath = this.recordStores[storeName];
+        const previous = this.storedSnapshots[storeName] || new Map();
+        const next = new Map();
+        const changed = [];
+
+        records.forEach(record => {
+            const json = JSON.stringify(record);
+            next.set(record[keyPath], json);
+            if (previous.get(record[keyPath]) !== json) {
+                changed.push(record);
+            }
+        });
+        const removed = Array.from(previous.keys()).filter(key => !next.has(key));
+
+        if (changed.length === 0 && removed.length === 0) {
+            return Promise.resolve(true);
+        }
+
+        this.storedSnapshots[storeName] = next;
+
+        return this.runStorageTransaction(storeName, store => {
+            changed.forEach(record => store.put(record));
+            removed.forEach(key => store.delete(key));
+        }).then(saved => {
+            if (!saved && this.storedSnapshots[storeName] === next) {
+                // Forget what failed so the next save retries it
+                changed.forEach(record => next.delete(record[keyPath]));
+                removed.forEach(key => next.set(key, previous.get(key)));
+            }
+            return saved;
+        });
+    }
+
+    writeMeta(key, value) {
+        const json = JSON.stringify(value);
+        if (this.storedSnapshots[key] === json) {
+            return Promise.resolve(true);
+        }
+
+        const previous = this.storedSnapshots[key];
+        this.storedSnapshots[key] = json;
+
+        return this.runStorageTransaction('meta', store => store.put({ key, value }), key).then(saved => {
+            if (!saved && this.storedSnapshots[key] === json) {
+                this.storedSnapshots[key] = previous;
+            }
+            return saved;
+        });
+    }
+
+    runStorageTransaction(storeName, work, label = storeName) {
+        this.pendingWrites++;
+        return new Promise(resolve => {
+            let transaction;
+            try {
+                transaction = this.db.transaction(storeName, 'readwrite');
+                work(transaction.objectStore(storeName));
+            } catch (error) {
+                if (transaction) transaction.abort();
+                this.reportStorageError(error, label);
+                resolve(false);
+                return;
+            }
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onabort = () => {
+                this.reportStorageError(transaction.error, label);
+                resolve(false);
+            };
+        }).then(saved => {
+            this.pendingWrites--;
+            if (saved) {
+                this.failedWrites.delete(label);
+            } else {
+                this.failedWrites.add(label);
+            }
+            return saved;
+        });
+    }
+
+    isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+
+    reportStorageError(error, label) {
+        console.error(`Error saving ${label}:`, error);
+
+        if (this.isQuotaError(error)) {
+            this.showToast(`Storage is full: ${label} could not be saved. Export a backup and free up space.`, 'error');
+        } else {
+            this.showToast(`Error saving ${label}`, 'error');
+        }
+    }
+
     // Data Management
     loadData() {
         try {
-            const savedProducts = localStorage.getItem('products');
-            const savedSales = localStorage.getItem('sales');
+            const savedProducts = this.readStored('products');
+            const savedSales = this.readStored('sales');
+            const savedHeldCarts = this.readStored('heldCarts');
+            const savedSuppliers = this.readStored('suppliers');
+            const savedPurchaseOrders = this.readStored('purchaseOrders');
+            const savedStockMovements = this.readStored('stockMovements');
+            const savedStockTakes = this.readStored('stockTakes');
+            const savedCategories = this.readStored('categories');
+            const savedCustomers = this.readStored('customers');
+            const savedLoyaltyLedger = this.readStored('loyaltyLedger');
+            const savedPromotions = this.readStored('promotions');
+            const savedCoupons = this.readStored('coupons');
+            const savedAccountLedger = this.readStored('accountLedger');
+            const savedGiftCards = this.readStored('giftCards');
             
             if (savedProducts) {
-                this.products = JSON.parse(savedProducts);
+                this.products = savedProducts;
             }
             
             if (savedSales) {
-                this.sales = JSON.parse(savedSales);
+                this.sales = savedSales;
+            }
+
+            if (savedHeldCarts) {
+                this.heldCarts = savedHeldCarts;
+            }
+
+            if (savedSuppliers) {
+                this.suppliers = savedSuppliers;
+            }
+
+            if (savedPurchaseOrders) {
+                this.purchaseOrders = savedPurchaseOrders;
+            }
+
+            if (savedStockMovements) {
+                this.stockMovements = savedStockMovements;
+            }
+
+            if (savedStockTakes) {
+                this.stockTakes = savedStockTakes;
+            }
+
+            if (savedCategories) {
+                this.categories = savedCategories;
+            }
+
+            if (savedCustomers) {
+                this.customers = savedCustomers;
+            }
+
+            if (savedLoyaltyLedger) {
+                this.loyaltyLedger = savedLoyaltyLedger;
+            }
+
+            if (savedPromotions) {
+                this.promotions = savedPromotions;
+            }
+
+            if (savedCoupons) {
+                this.coupons = savedCoupons;
+            }
+
+            if (savedAccountLedger) {
+                this.accountLedger = savedAccountLedger;
+            }
+
+            if (savedGiftCards) {
+                this.giftCards = savedGiftCards;
+            }
+
+            // Every step must run, so none may short-circuit the others
+            const categoriesMigrated = this.migrateCategories();
+            const customersMigrated = this.migrateCustomers();
+            const pointsExpired = this.expireLoyaltyPoints();
+            if (categoriesMigrated || customersMigrated || pointsExpired) {
+                this.saveData();
             }
+            this.syncStockWithLedger();
         } catch (error) {
-            console.error('Error loading data from localStorage:', error);
+            console.error('Error loading saved data:', error);
             this.showToast('Error loading saved data', 'error');
         }
     }
 
+    // Resolves to true once every store is saved
     saveData() {
-        try {
-            localStorage.setItem('products', JSON.stringify(this.products));
-            localStorage.setItem('sales', JSON.stringify(this.sales));
-        } catch (error) {
-            console.error('Error saving data to localStorage:', error);
-            this.showToast('Error saving data', 'error');
-        }
+        return Promise.all([
+            this.writeStored('products', this.products),
+            this.writeStored('sales', this.sales),
+            this.writeStored('heldCarts', this.heldCarts),
+            this.writeStored('suppliers', this.suppliers),
+            this.writeStored('purchaseOrders', this.purchaseOrders),
+            this.writeStored('stockMovements', this.stockMovements),
+            this.writeStored('stockTakes', this.stockTakes),
+            this.writeStored('categories', this.categories),
+            this.writeStored('customers', this.customers),
+            this.writeStored('loyaltyLedger', this.loyaltyLedger),
+            this.writeStored('promotions', this.promotions),
+            this.writeStored('coupons', this.coupons),
+            this.writeStored('accountLedger', this.accountLedger),
+            this.writeStored('giftCards', this.giftCards)
+        ]).then(results => results.every(Boolean));
     }
 
     // Force save all persistent data
     saveAllData() {
         this.saveData();
         this.saveUsers();
+        this.saveRoles();
         this.saveSettings();
-        localStorage.setItem('externalServices', JSON.stringify(this.externalServices));
+        this.writeExternalServices();
         localStorage.setItem('darkMode', this.darkMode);
         if (this.currentUser) {
-            localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
-            localStorage.setItem('loginTime', Date.now().toString());
+            this.saveSession();
         }
     }
 
@@ -224,6 +882,7 @@ class RetailPOS {
         // Save data every 30 seconds
         this.autoSaveInterval = setInterval(() => {
             this.saveAllData();
+            this.checkBackupSchedule();
         }, 30000);
     }
 
@@ -235,21 +894,28 @@ class RetailPOS {
 
     loadSettings() {
         try {
-            const savedSettings = localStorage.getItem('settings');
+            const savedSettings = this.readStored('settings');
             if (savedSettings) {
-                this.settings = { ...this.settings, ...JSON.parse(savedSettings) };
+                this.settings = this.mergeSettings(savedSettings);
             }
         } catch (error) {
-            console.error('Error loading settings from localStorage:', error);
+            console.error('Error loading settings:', error);
         }
     }
 
     saveSettings() {
-        try {
-            localStorage.setItem('settings', JSON.stringify(this.settings));
-        } catch (error) {
-            console.error('Error saving settings to localStorage:', error);
-        }
+        this.writeStored('settings', this.settings);
+    }
+
+    // Section by section, so settings added in a newer version keep their defaults
+    mergeSettings(saved) {
+        const merged = { ...this.settings };
+        Object.entries(saved).forEach(([section, values]) => {
+            merged[section] = values && typeof values === 'object' && !Array.isArray(values)
+                ? { ...this.settings[section], ...values }
+                : values;
+        });
+        return merged;
     }
 
     updateCharts() {
@@ -277,36 +943,43 @@ class RetailPOS {
         this.charts.salesChart.data.datasets[0].data = salesData;
         this.charts.salesChart.update();
 
-        // Category chart
-        const categoryData = {};
+        // Category chart - units sold per top-level category
+        const categoryData = new Map();
         this.sales.forEach(sale => {
             sale.items.forEach(item => {
                 const product = this.products.find(p => p.id === item.id);
-                if (product) {
-                    categoryData[product.category] = (categoryData[product.category] || 0) + item.quantity;
+                const categoryId = item.categoryId !== undefined ? item.categoryId : product?.categoryId;
+                if (product || categoryId) {
+                    const root = this.getRootCategory(categoryId);
+                    const key = root ? root.id : null;
+                    categoryData.set(key, (categoryData.get(key) || 0) + item.quantity);
                 }
             });
         });
 
-        this.charts.categoryChart.data.labels = Object.keys(categoryData);
-        this.charts.categoryChart.data.datasets[0].data = Object.values(categoryData);
+        const categoryKeys = [...categoryData.keys()];
+        this.charts.categoryChart.data.labels = categoryKeys.map(id => this.getCategoryName(id));
+        this.charts.categoryChart.data.datasets[0].data = categoryKeys.map(id => categoryData.get(id));
+        this.charts.categoryChart.data.datasets[0].backgroundColor = categoryKeys.map(id => this.getCategory(id)?.color || '#6c757d');
         this.charts.categoryChart.update();
     }
 
     addSampleProducts() {
         if (this.products.length === 0) {
             const sampleProducts = [
-                { id: 1, name: 'Laptop', category: 'Electronics', price: 74999, stock: 10, description: 'High-performance laptop' },
-                { id: 2, name: 'Mouse', category: 'Electronics', price: 2249, stock: 50, description: 'Wireless optical mouse' },
-                { id: 3, name: 'Keyboard', category: 'Electronics', price: 5999, stock: 30, description: 'Mechanical keyboard' },
-                { id: 4, name: 'T-Shirt', category: 'Clothing', price: 1499, stock: 100, description: 'Cotton t-shirt' },
-                { id: 5, name: 'Jeans', category: 'Clothing', price: 3749, stock: 40, description: 'Denim jeans' },
-                { id: 6, name: 'Coffee', category: 'Food', price: 299, stock: 200, description: 'Premium coffee beans' },
-                { id: 7, name: 'Sandwich', category: 'Food', price: 449, stock: 50, description: 'Fresh sandwich' },
-                { id: 8, name: 'Notebook', category: 'Other', price: 224, stock: 150, description: 'Spiral notebook' }
+                { id: 1, name: 'Laptop', category: 'Electronics', price: 74999, cost: 62000, stock: 10, description: 'High-performance laptop' },
+                { id: 2, name: 'Mouse', category: 'Electronics', price: 2249, cost: 1400, stock: 50, description: 'Wireless optical mouse' },
+                { id: 3, name: 'Keyboard', category: 'Electronics', price: 5999, cost: 3900, stock: 30, description: 'Mechanical keyboard' },
+                { id: 4, name: 'T-Shirt', category: 'Clothing', price: 1499, cost: 700, stock: 100, description: 'Cotton t-shirt' },
+                { id: 5, name: 'Jeans', category: 'Clothing', price: 3749, cost: 2100, stock: 40, description: 'Denim jeans' },
+                { id: 6, name: 'Coffee', category: 'Food', price: 299, cost: 180, stock: 200, description: 'Premium coffee beans' },
+                { id: 7, name: 'Sandwich', category: 'Food', price: 449, cost: 250, stock: 50, description: 'Fresh sandwich' },
+                { id: 8, name: 'Notebook', category: 'Other', price: 224, cost: 120, stock: 150, description: 'Spiral notebook' }
             ];
             
             this.products = sampleProducts;
+            this.migrateCategories();
+            this.syncStockWithLedger();
             this.saveData();
             this.renderProducts();
             this.renderInventory();
@@ -321,6 +994,14 @@ class RetailPOS {
             const password = document.getElementById('loginPassword').value;
             this.login(username, password);
         });
+
+        document.getElementById('passwordChangeForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changeRequiredPassword(
+                document.getElementById('newPassword').value,
+                document.getElementById('confirmNewPassword').value
+            );
+        });
     }
 
     // Event Listeners
@@ -337,7 +1018,16 @@ class RetailPOS {
 
         // Product Search
         document.getElementById('productSearch').addEventListener('input', (e) => {
-            this.filterProducts(e.target.value);
+            this.filterProducts(e.target.value, document.getElementById('categoryFilter').value);
+        });
+
+        // A keyboard-wedge scanner types the code and presses Enter
+        document.getElementById('productSearch').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && this.findProductByBarcode(e.target.value)) {
+                this.addByBarcode(e.target.value.trim());
+                e.target.value = '';
+                this.filterProducts('', document.getElementById('categoryFilter').value);
+            }
         });
 
         // Category Filter
@@ -353,106 +1043,495 @@ class RetailPOS {
             }
         });
 
-        // Barcode Input
-        document.getElementById('barcodeInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.scanBarcode(e.target.value);
-                e.target.value = '';
+        // Variant picker and product modal variant editor
+        document.getElementById('variantOptions').addEventListener('click', (e) => {
+            const option = e.target.closest('.variant-option');
+            if (option && !option.disabled && this.variantPicker) {
+                const { productId, target } = this.variantPicker;
+                if (this.addToCart(productId, 1, target, option.dataset.variantId)) {
+                    document.getElementById('variantModal').style.display = 'none';
+                    this.variantPicker = null;
+                }
             }
         });
 
-        // Tax Checkbox
-        document.getElementById('taxEnabled').addEventListener('change', () => {
-            this.updateCartSummary();
+        document.getElementById('generateVariantsBtn').addEventListener('click', () => {
+            this.generateVariants();
         });
 
-        // Discount Type Radio Buttons
-        document.querySelectorAll('input[name="discountType"]').forEach(radio => {
-            radio.addEventListener('change', (e) => {
-                this.updateDiscountInput(e.target.value);
-            });
+        document.getElementById('variantEditor').addEventListener('input', () => {
+            this.updateVariantStockTotal();
         });
 
-        // Apply Discount Button
-        document.getElementById('applyDiscountBtn').addEventListener('click', () => {
-            this.applyDiscount();
+        document.getElementById('inventoryByVariant').addEventListener('change', (e) => {
+            this.variantView.inventory = e.target.checked;
+            this.renderInventory();
         });
 
-        // Add Product
-        document.getElementById('addProductBtn').addEventListener('click', () => {
-            this.openProductModal();
+        // Inventory Filters
+        document.getElementById('inventorySearch').addEventListener('input', (e) => {
+            this.filterInventory(e.target.value, document.getElementById('inventoryCategoryFilter').value);
         });
 
-        // Product Form
-        document.getElementById('productForm').addEventListener('submit', (e) => {
+        document.getElementById('inventoryCategoryFilter').addEventListener('change', (e) => {
+            this.filterInventory(document.getElementById('inventorySearch').value, e.target.value);
+        });
+
+        // Promotions
+        document.getElementById('managePromotionsBtn').addEventListener('click', () => {
+            this.openPromotionModal();
+        });
+
+        document.getElementById('promotionForm').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.saveProduct();
+            this.savePromotion();
         });
 
-        // Cancel Button
-        document.getElementById('cancelBtn').addEventListener('click', () => {
-            this.closeProductModal();
+        document.getElementById('promotionType').addEventListener('change', () => {
+            this.updatePromotionTypeFields();
         });
 
-        // Checkout
-        document.getElementById('checkoutBtn').addEventListener('click', () => {
-            this.checkout();
+        document.getElementById('newPromotionBtn').addEventListener('click', () => {
+            this.resetPromotionForm();
         });
 
-        // Cart Action Buttons (event delegation)
-        document.getElementById('cartItems').addEventListener('click', (e) => {
-            const button = e.target.closest('button[data-action]');
-            if (button) {
-                const productId = parseInt(button.dataset.productId);
-                const action = button.dataset.action;
-                
-                if (action === 'increase') {
-                    this.updateQuantity(productId, 1);
-                } else if (action === 'decrease') {
-                    this.updateQuantity(productId, -1);
-                } else if (action === 'remove') {
-                    this.removeFromCart(productId);
-                }
+        document.getElementById('promotionListBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-promotion-id]');
+            if (!button) return;
+            const promotionId = parseInt(button.dataset.promotionId);
+            if (button.dataset.action === 'edit-promotion') {
+                this.editPromotion(promotionId);
+            } else if (button.dataset.action === 'toggle-promotion') {
+                this.togglePromotion(promotionId);
+            } else if (button.dataset.action === 'delete-promotion') {
+                this.deletePromotion(promotionId);
             }
         });
 
-        // Modal Close Buttons
-        document.querySelectorAll('.close').forEach(closeBtn => {
-            closeBtn.addEventListener('click', (e) => {
-                e.target.closest('.modal').style.display = 'none';
-            });
+        // Coupons
+        document.getElementById('manageCouponsBtn').addEventListener('click', () => {
+            this.openCouponModal();
         });
 
-        // Print Invoice
-        document.getElementById('printInvoice').addEventListener('click', () => {
-            window.print();
+        document.getElementById('couponForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCoupons();
         });
 
-        // Close Invoice Modal
-        document.getElementById('closeInvoice').addEventListener('click', () => {
-            document.getElementById('invoiceModal').style.display = 'none';
+        document.getElementById('couponGenerate').addEventListener('change', () => {
+            this.updateCouponFormMode();
         });
 
-        // Export CSV
-        document.getElementById('exportCSV').addEventListener('click', () => {
-            this.exportToCSV();
+        document.getElementById('couponSearch').addEventListener('input', () => {
+            this.renderCouponList();
         });
 
-        // Inventory Action Buttons (event delegation)
-        document.getElementById('inventoryBody').addEventListener('click', (e) => {
-            const button = e.target.closest('button[data-action]');
-            if (button) {
-                const productId = parseInt(button.dataset.productId);
-                const action = button.dataset.action;
-                
-                if (action === 'edit') {
-                    this.editProduct(productId);
-                } else if (action === 'delete') {
-                    this.deleteProduct(productId);
-                }
+        document.getElementById('couponListBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-coupon-id]');
+            if (!button) return;
+            const couponId = parseInt(button.dataset.couponId);
+            if (button.dataset.action === 'toggle-coupon') {
+                this.toggleCoupon(couponId);
+            } else if (button.dataset.action === 'delete-coupon') {
+                this.deleteCoupon(couponId);
             }
         });
 
+        // Category Manager
+        document.getElementById('manageCategoriesBtn').addEventListener('click', () => {
+            this.openCategoryModal();
+        });
+
+        document.getElementById('categoryForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCategory();
+        });
+
+        document.getElementById('newCategoryBtn').addEventListener('click', () => {
+            this.resetCategoryForm();
+        });
+
+        document.getElementById('categoryTreeBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-category-id]');
+            if (!button) return;
+            const categoryId = parseInt(button.dataset.categoryId);
+            if (button.dataset.action === 'edit-category') {
+                this.editCategory(categoryId);
+            } else if (button.dataset.action === 'add-subcategory') {
+                this.resetCategoryForm(categoryId);
+                document.getElementById('categoryName').focus();
+            } else if (button.dataset.action === 'delete-category') {
+                this.deleteCategory(categoryId);
+            }
+        });
+
+        document.getElementById('topProductsByVariant').addEventListener('change', (e) => {
+            this.variantView.reports = e.target.checked;
+            this.updateTopProducts();
+            this.renderMarginReport();
+        });
+
+        document.getElementById('forecastByVariant').addEventListener('change', (e) => {
+            this.variantView.forecast = e.target.checked;
+            this.calculateInventoryForecast();
+            this.updateForecastDisplay();
+        });
+
+        // Quick Billing
+        document.getElementById('barcodeInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.quickAdd(e.target.value);
+                e.target.value = '';
+            }
+        });
+
+        document.getElementById('quickAddBtn').addEventListener('click', () => {
+            const barcodeInput = document.getElementById('barcodeInput');
+            this.quickAdd(barcodeInput.value);
+            barcodeInput.value = '';
+            barcodeInput.focus();
+        });
+
+        document.getElementById('quickHoldBtn').addEventListener('click', () => {
+            this.holdQuickCart();
+        });
+
+        document.getElementById('quickClearBtn').addEventListener('click', () => {
+            this.clearQuickCart();
+        });
+
+        document.getElementById('quickCheckoutBtn').addEventListener('click', () => {
+            this.quickCheckout();
+        });
+
+        document.getElementById('quickCustomerName').addEventListener('input', () => {
+            this.quickCustomerChoice = null;
+            document.getElementById('quickCustomerSuggestions').innerHTML = '';
+            // Tier offers depend on who the customer is
+            this.updateQuickCart();
+        });
+
+        document.getElementById('quickCustomerSuggestions').addEventListener('click', (e) => {
+            const suggestion = e.target.closest('.customer-suggestion');
+            if (suggestion) {
+                const choice = suggestion.dataset.customerId;
+                this.setQuickCustomer(document.getElementById('quickCustomerName').value.trim(), choice === 'new' ? 'new' : parseInt(choice));
+                this.quickCheckout();
+            }
+        });
+
+        document.getElementById('heldCartsList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                const heldCartId = parseInt(button.dataset.heldCartId);
+                if (button.dataset.action === 'resume-held') {
+                    this.resumeHeldCart(heldCartId);
+                } else if (button.dataset.action === 'discard-held') {
+                    this.discardHeldCart(heldCartId);
+                }
+            }
+        });
+
+        // Tax Checkbox
+        document.getElementById('taxEnabled').addEventListener('change', () => {
+            this.updateCartSummary();
+        });
+
+        // Customer state decides between CGST + SGST and IGST
+        document.getElementById('customerState').addEventListener('input', () => {
+            this.updateCartSummary();
+        });
+
+        // Customer lookup at the till
+        document.getElementById('customerSelect').addEventListener('change', (e) => {
+            this.selectCheckoutCustomer(parseInt(e.target.value) || null);
+        });
+
+        document.getElementById('customerPhone').addEventListener('input', (e) => {
+            // Typing a different number starts a new customer rather than editing the selected one
+            document.getElementById('customerSelect').value = '';
+            this.renderCustomerSuggestions(e.target.value);
+            this.renderCheckoutLoyalty();
+            // Tier offers depend on who the customer is
+            this.updateCartSummary();
+        });
+
+        document.getElementById('customerName').addEventListener('input', () => {
+            document.getElementById('customerSelect').value = '';
+        });
+
+        document.getElementById('customerSuggestions').addEventListener('click', (e) => {
+            const suggestion = e.target.closest('.customer-suggestion');
+            if (suggestion) {
+                this.selectCheckoutCustomer(parseInt(suggestion.dataset.customerId));
+            }
+        });
+
+        document.getElementById('addCustomerAtTillBtn').addEventListener('click', () => {
+            this.customerModalTarget = 'billing';
+            this.openCustomerModal();
+        });
+
+        // Discount Type Radio Buttons
+        document.querySelectorAll('input[name="discountType"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                this.updateDiscountInput(e.target.value);
+            });
+        });
+
+        // Line Markdowns
+        document.getElementById('markdownForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyLineMarkdown();
+        });
+
+        ['markdownType', 'markdownValue'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateMarkdownPreview());
+        });
+
+        document.getElementById('removeMarkdownBtn').addEventListener('click', () => {
+            this.removeLineMarkdown();
+        });
+
+        // Apply Discount Button
+        document.getElementById('applyDiscountBtn').addEventListener('click', () => {
+            this.applyDiscount();
+        });
+
+        // Add Product
+        document.getElementById('addProductBtn').addEventListener('click', () => {
+            this.openProductModal();
+        });
+
+        // Product Form
+        document.getElementById('productTrackBatches').addEventListener('change', () => {
+            this.updateProductBatchFields();
+        });
+
+        document.getElementById('productForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProduct();
+        });
+
+        // Cancel Button
+        document.getElementById('cancelBtn').addEventListener('click', () => {
+            this.closeProductModal();
+        });
+
+        // Checkout
+        document.getElementById('checkoutBtn').addEventListener('click', () => {
+            this.checkout();
+        });
+
+        // Tender / Payment
+        document.getElementById('tenderForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addTenderPayment();
+        });
+
+        document.getElementById('tenderMethod').addEventListener('change', () => {
+            this.updateTenderMethod();
+        });
+
+        document.getElementById('tenderLines').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove-payment"]');
+            if (button) {
+                this.removeTenderPayment(parseInt(button.dataset.index));
+            }
+        });
+
+        document.getElementById('completeSaleBtn').addEventListener('click', () => {
+            this.completeTender();
+        });
+
+        document.getElementById('cancelTenderBtn').addEventListener('click', () => {
+            this.cancelTender();
+        });
+
+        // Cart Action Buttons (event delegation)
+        document.getElementById('cartItems').addEventListener('click', (e) => {
+            this.handleCartAction(e, 'billing');
+        });
+
+        document.getElementById('quickCartItems').addEventListener('click', (e) => {
+            this.handleCartAction(e, 'quick');
+        });
+
+        // Modal Close Buttons
+        document.querySelectorAll('.close').forEach(closeBtn => {
+            closeBtn.addEventListener('click', (e) => {
+                e.target.closest('.modal').style.display = 'none';
+            });
+        });
+
+        // Print Invoice
+        document.getElementById('printInvoice').addEventListener('click', () => {
+            window.print();
+        });
+
+        // Close Invoice Modal
+        document.getElementById('closeInvoice').addEventListener('click', () => {
+            document.getElementById('invoiceModal').style.display = 'none';
+        });
+
+        // Export CSV
+        document.getElementById('exportCSV').addEventListener('click', () => {
+            this.exportToCSV();
+        });
+
+        // Margin Report
+        document.getElementById('marginGroupBy').addEventListener('change', () => {
+            this.renderMarginReport();
+        });
+
+        document.getElementById('exportMarginBtn').addEventListener('click', () => {
+            this.exportMarginReport();
+        });
+
+        // Markdown Report
+        document.getElementById('markdownGroupBy').addEventListener('change', () => {
+            this.renderMarkdownReport();
+        });
+
+        // Inventory Action Buttons (event delegation)
+        document.getElementById('inventoryBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                const productId = parseInt(button.dataset.productId);
+                const action = button.dataset.action;
+                
+                if (action === 'edit') {
+                    this.editProduct(productId);
+                } else if (action === 'stock-card') {
+                    this.openStockCard(productId, button.dataset.variantId || null);
+                } else if (action === 'delete') {
+                    this.deleteProduct(productId);
+                }
+            }
+        });
+
+        // Stock Ledger
+        document.getElementById('adjustStockBtn').addEventListener('click', () => {
+            this.openStockAdjustment();
+        });
+
+        document.getElementById('stockAdjustForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveStockAdjustment();
+        });
+
+        document.getElementById('adjustProduct').addEventListener('change', () => {
+            this.updateStockAdjustForm();
+        });
+
+        document.getElementById('adjustType').addEventListener('change', () => {
+            this.updateStockAdjustForm();
+        });
+
+        document.getElementById('adjustDirection').addEventListener('change', () => {
+            this.updateAdjustBatchOptions();
+        });
+
+        document.getElementById('adjustBatch').addEventListener('change', () => {
+            this.updateAdjustBatchOptions();
+        });
+
+        document.getElementById('cancelStockAdjustBtn').addEventListener('click', () => {
+            document.getElementById('stockAdjustModal').style.display = 'none';
+        });
+
+        document.getElementById('stockCardVariant').addEventListener('change', () => {
+            this.renderStockCard();
+        });
+
+        document.getElementById('stockCardType').addEventListener('change', () => {
+            this.renderStockCard();
+        });
+
+        document.getElementById('stockCardAdjustBtn').addEventListener('click', () => {
+            this.openStockAdjustment(this.stockCardProductId, document.getElementById('stockCardVariant').value || null);
+        });
+
+        document.getElementById('closeStockCardBtn').addEventListener('click', () => {
+            document.getElementById('stockCardModal').style.display = 'none';
+            this.stockCardProductId = null;
+        });
+
+        // Stock Take
+        document.getElementById('stockTakeBtn').addEventListener('click', () => {
+            this.openStockTakeModal();
+        });
+
+        document.getElementById('startStockTakeBtn').addEventListener('click', () => {
+            this.startStockTake();
+        });
+
+        document.getElementById('addStockTakeCountBtn').addEventListener('click', () => {
+            this.addManualStockTakeCount();
+        });
+
+        document.getElementById('stockTakeQty').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addManualStockTakeCount();
+            }
+        });
+
+        document.getElementById('scanStockTakeBtn').addEventListener('click', () => {
+            this.toggleStockTakeScanning();
+        });
+
+        document.getElementById('stopCountingBtn').addEventListener('click', () => {
+            this.toggleStockTakeScanning();
+        });
+
+        document.getElementById('exportCountSheetBtn').addEventListener('click', () => {
+            this.exportCountSheet();
+        });
+
+        document.getElementById('importCountSheetBtn').addEventListener('click', () => {
+            document.getElementById('importCountSheet').click();
+        });
+
+        document.getElementById('importCountSheet').addEventListener('change', (e) => {
+            this.importCountSheet(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('stockTakeVariancesOnly').addEventListener('change', () => {
+            this.renderStockTake();
+        });
+
+        document.getElementById('stockTakeZeroUncounted').addEventListener('change', () => {
+            this.renderStockTake();
+        });
+
+        document.getElementById('stockTakeBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="undo-count"]');
+            if (button) {
+                this.undoStockTakeCount(button.dataset.key);
+            }
+        });
+
+        document.getElementById('stockTakeHistory').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="view-stock-take"]');
+            if (button) {
+                this.viewingStockTakeId = parseInt(button.dataset.stockTakeId);
+                this.renderStockTake();
+            }
+        });
+
+        document.getElementById('approveStockTakeBtn').addEventListener('click', () => {
+            this.approveStockTake();
+        });
+
+        document.getElementById('exportStockTakeBtn').addEventListener('click', () => {
+            this.exportStockTakeReport();
+        });
+
+        document.getElementById('cancelStockTakeBtn').addEventListener('click', () => {
+            this.cancelStockTake();
+        });
+
         // Settings Forms
         document.getElementById('shopSettingsForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -469,6 +1548,42 @@ class RetailPOS {
             this.saveAppearanceSettings();
         });
 
+        document.getElementById('loyaltySettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveLoyaltySettings();
+        });
+
+        document.getElementById('giftCardSettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveGiftCardSettings();
+        });
+
+        document.getElementById('addLoyaltyTierBtn').addEventListener('click', () => {
+            this.renderLoyaltyTierRows([...this.readLoyaltyTierRows(), { name: '', minSpend: '', multiplier: 1 }]);
+        });
+
+        document.getElementById('loyaltyTierRows').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove-tier"]');
+            if (button) {
+                button.closest('.loyalty-tier-row').remove();
+            }
+        });
+
+        document.getElementById('inventorySettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveInventorySettings();
+        });
+
+        document.getElementById('barcodeSettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveBarcodeSettings();
+        });
+
+        document.getElementById('taxSettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTaxSettings();
+        });
+
         document.getElementById('resetSettings').addEventListener('click', () => {
             this.resetSettings();
         });
@@ -495,6 +1610,11 @@ class RetailPOS {
             }
         });
 
+        document.getElementById('paymentFilter').addEventListener('change', (e) => {
+            this.currentFilter.paymentMethod = e.target.value;
+            this.updateReports();
+        });
+
         document.getElementById('applyDateFilter').addEventListener('click', () => {
             const startDate = document.getElementById('startDate').value;
             const endDate = document.getElementById('endDate').value;
@@ -553,19 +1673,95 @@ class RetailPOS {
             this.exportCustomers();
         });
 
-        // Customer view buttons (event delegation)
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('view-customer') || e.target.closest('.view-customer')) {
-                const button = e.target.classList.contains('view-customer') ? e.target : e.target.closest('.view-customer');
-                const customerKey = button.dataset.customerKey;
-                this.viewCustomerHistory(customerKey);
-            }
+        document.getElementById('addCustomerBtn').addEventListener('click', () => {
+            this.customerModalTarget = null;
+            this.openCustomerModal();
         });
 
-        // Print and View buttons (event delegation for dynamically created buttons)
-        document.addEventListener('click', (e) => {
-            const button = e.target.classList.contains('print-btn') || e.target.classList.contains('view-btn') 
-                ? e.target 
+        document.getElementById('mergeCustomersBtn').addEventListener('click', () => {
+            this.openCustomerMergeModal();
+        });
+
+        document.getElementById('customerForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCustomer();
+        });
+
+        document.getElementById('customerMergeForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const merged = await this.mergeCustomers(
+                parseInt(document.getElementById('mergeKeepCustomer').value),
+                parseInt(document.getElementById('mergeDuplicateCustomer').value)
+            );
+            if (merged) {
+                document.getElementById('customerMergeModal').style.display = 'none';
+            }
+        });
+
+        document.getElementById('duplicateCustomerList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="review-duplicate"]');
+            if (!button) return;
+            document.getElementById('mergeKeepCustomer').value = button.dataset.keepId;
+            document.getElementById('mergeDuplicateCustomer').value = button.dataset.duplicateId;
+        });
+
+        // Gift Cards & Store Credit
+        document.getElementById('giftCardsBtn').addEventListener('click', () => {
+            this.openGiftCardModal();
+        });
+
+        document.getElementById('giftCardForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.issueGiftCard();
+        });
+
+        document.getElementById('giftCardKind').addEventListener('change', () => {
+            this.updateGiftCardKindFields();
+        });
+
+        document.getElementById('giftCardLookup').addEventListener('input', () => {
+            this.lookupGiftCard();
+        });
+
+        document.getElementById('giftCardListBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-code]');
+            if (!button) return;
+            if (button.dataset.action === 'view-gift-card') {
+                document.getElementById('giftCardLookup').value = button.dataset.code;
+                this.lookupGiftCard();
+            } else if (button.dataset.action === 'toggle-gift-card') {
+                this.toggleGiftCard(button.dataset.code);
+            }
+        });
+
+        // Customer Accounts
+        document.getElementById('accountsBtn').addEventListener('click', () => {
+            this.openAccountsModal();
+        });
+
+        document.getElementById('ageingBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-customer-id]');
+            if (!button) return;
+            this.viewCustomerHistory(parseInt(button.dataset.customerId));
+        });
+
+        // Customer view and edit buttons (event delegation)
+        document.addEventListener('click', (e) => {
+            const viewButton = e.target.closest('.view-customer');
+            if (viewButton) {
+                this.viewCustomerHistory(parseInt(viewButton.dataset.customerId));
+            }
+            const editButton = e.target.closest('.edit-customer');
+            if (editButton) {
+                this.customerModalTarget = null;
+                this.openCustomerModal(parseInt(editButton.dataset.customerId));
+            }
+        });
+
+        // Print and View buttons (event delegation for dynamically created buttons)
+        document.addEventListener('click', (e) => {
+            const button = e.target.classList.contains('print-btn') || e.target.classList.contains('view-btn') 
+                ? e.target 
                 : e.target.closest('.print-btn') || e.target.closest('.view-btn');
             
             if (button) {
@@ -578,6 +1774,26 @@ class RetailPOS {
             }
         });
 
+        // Returns
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.return-btn');
+            if (button) {
+                this.openReturnModal(parseInt(button.dataset.saleId));
+            }
+        });
+
+        document.getElementById('returnItemsBody').addEventListener('input', () => {
+            this.updateReturnTotal();
+        });
+
+        document.getElementById('processReturnBtn').addEventListener('click', () => {
+            this.processReturn();
+        });
+
+        document.getElementById('cancelReturnBtn').addEventListener('click', () => {
+            document.getElementById('returnModal').style.display = 'none';
+        });
+
         // Click outside modal to close
         window.addEventListener('click', (e) => {
             if (e.target.classList.contains('modal')) {
@@ -585,9 +1801,13 @@ class RetailPOS {
             }
         });
 
-        // Save data before page unload
-        window.addEventListener('beforeunload', () => {
+        // Save data before page unload; the browser asks before leaving while a save is still in flight or has failed
+        window.addEventListener('beforeunload', (e) => {
             this.saveAllData();
+            if (this.hasUnsavedData()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
         });
 
         // User Management Events
@@ -595,30 +1815,94 @@ class RetailPOS {
             this.logout();
         });
 
+        document.getElementById('switchUserBtn').addEventListener('click', () => {
+            this.showPinModal();
+        });
+
+        document.getElementById('pinForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.switchUserWithPin(
+                parseInt(document.getElementById('pinUser').value),
+                document.getElementById('pinInput').value
+            );
+        });
+
+        document.getElementById('cancelPinBtn').addEventListener('click', () => {
+            document.getElementById('pinModal').style.display = 'none';
+        });
+
+        document.getElementById('overrideForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitOverride();
+        });
+
+        document.getElementById('cancelOverrideBtn').addEventListener('click', () => {
+            this.cancelOverride();
+        });
+
+        document.getElementById('addRoleBtn').addEventListener('click', () => {
+            this.addRole();
+        });
+
+        document.getElementById('saveRolesBtn').addEventListener('click', () => {
+            this.saveRolePermissions();
+        });
+
+        document.getElementById('auditSearch').addEventListener('input', (e) => {
+            this.auditFilter.search = e.target.value.trim();
+            this.renderAuditLog();
+        });
+
+        document.getElementById('auditActionFilter').addEventListener('change', (e) => {
+            this.auditFilter.action = e.target.value;
+            this.renderAuditLog();
+        });
+
+        document.getElementById('verifyAuditBtn').addEventListener('click', () => {
+            this.checkAuditIntegrity();
+        });
+
+        document.getElementById('exportAuditBtn').addEventListener('click', () => {
+            this.exportAuditLog();
+        });
+
+        document.getElementById('rolesHead').addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.delete-role');
+            if (deleteBtn) {
+                this.deleteRole(deleteBtn.dataset.roleId);
+            }
+        });
+
         document.getElementById('addUserBtn').addEventListener('click', () => {
             document.getElementById('userModal').style.display = 'block';
             document.getElementById('userForm').reset();
             document.getElementById('userId').value = '';
+            document.getElementById('userPassword').required = true;
             document.getElementById('userModalTitle').textContent = 'Add New User';
         });
 
-        document.getElementById('userForm').addEventListener('submit', (e) => {
+        document.getElementById('userForm').addEventListener('submit', async (e) => {
             e.preventDefault();
             const userData = {
                 name: document.getElementById('userName').value,
                 username: document.getElementById('userUsername').value,
                 password: document.getElementById('userPassword').value,
+                pin: document.getElementById('userPin').value.trim(),
                 role: document.getElementById('userRole').value,
                 email: document.getElementById('userEmail').value
             };
 
             const userId = document.getElementById('userId').value;
-            if (userId) {
-                this.updateUser(parseInt(userId), userData);
-            } else {
-                this.addUser(userData);
+            const saved = userId
+                ? await this.updateUser(parseInt(userId), userData)
+                : await this.addUser(userData);
+
+            if (saved) {
+                document.getElementById('userModal').style.display = 'none';
             }
+        });
 
+        document.getElementById('cancelUserBtn').addEventListener('click', () => {
             document.getElementById('userModal').style.display = 'none';
         });
 
@@ -627,10 +1911,14 @@ class RetailPOS {
                 const userId = parseInt(e.target.dataset.userId);
                 const user = this.users.find(u => u.id === userId);
                 if (user) {
+                    document.getElementById('userForm').reset();
                     document.getElementById('userId').value = user.id;
                     document.getElementById('userName').value = user.name;
                     document.getElementById('userUsername').value = user.username;
-                    document.getElementById('userPassword').value = user.password;
+                    // Credentials are never read back; blank fields keep the current ones
+                    document.getElementById('userPassword').value = '';
+                    document.getElementById('userPassword').required = false;
+                    document.getElementById('userPin').value = '';
                     document.getElementById('userRole').value = user.role;
                     document.getElementById('userEmail').value = user.email;
                     document.getElementById('userModalTitle').textContent = 'Edit User';
@@ -638,6 +1926,10 @@ class RetailPOS {
                 }
             }
 
+            if (e.target.classList.contains('unlock-user')) {
+                this.unlockUser(parseInt(e.target.dataset.userId));
+            }
+
             if (e.target.classList.contains('delete-user')) {
                 const userId = parseInt(e.target.dataset.userId);
                 if (confirm('Are you sure you want to delete this user?')) {
@@ -662,25 +1954,206 @@ class RetailPOS {
             if (e.target.matches('button[data-action="reorder"]')) {
                 const productId = parseInt(e.target.dataset.productId);
                 const quantity = parseInt(e.target.dataset.quantity);
-                this.reorderProduct(productId, quantity);
+                this.addToPurchaseOrder(productId, quantity, e.target.dataset.variantId || null);
+            }
+        });
+
+        // Expiry alerts open the batch list on the stock card
+        document.getElementById('stockAlertsList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="stock-card"]');
+            if (button) {
+                this.openStockCard(parseInt(button.dataset.productId));
+            }
+        });
+
+        document.getElementById('createReorderPOsBtn').addEventListener('click', () => {
+            this.createPurchaseOrdersFromSuggestions();
+        });
+
+        // Purchasing Events
+        document.getElementById('addSupplierBtn').addEventListener('click', () => {
+            this.openSupplierModal();
+        });
+
+        document.getElementById('supplierForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSupplier();
+        });
+
+        document.getElementById('cancelSupplierBtn').addEventListener('click', () => {
+            document.getElementById('supplierModal').style.display = 'none';
+        });
+
+        document.getElementById('suppliersBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-supplier-id]');
+            if (!button) return;
+            const supplierId = parseInt(button.dataset.supplierId);
+            if (button.dataset.action === 'edit-supplier') {
+                this.openSupplierModal(supplierId);
+            } else if (button.dataset.action === 'delete-supplier') {
+                this.deleteSupplier(supplierId);
+            }
+        });
+
+        document.getElementById('newPurchaseOrderBtn').addEventListener('click', () => {
+            this.openPurchaseOrderModal();
+        });
+
+        document.getElementById('poStatusFilter').addEventListener('change', () => {
+            this.renderPurchaseOrders();
+        });
+
+        document.getElementById('purchaseOrdersBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-po-id]');
+            if (!button) return;
+            const poId = parseInt(button.dataset.poId);
+            switch (button.dataset.action) {
+                case 'edit-po':
+                    this.openPurchaseOrderModal(poId);
+                    break;
+                case 'send-po':
+                    this.sendPurchaseOrder(poId);
+                    break;
+                case 'receive-po':
+                    this.openGoodsReceipt(poId);
+                    break;
+                case 'print-po':
+                    this.printPurchaseOrder(poId);
+                    break;
+                case 'close-po':
+                    this.closePurchaseOrder(poId);
+                    break;
+                case 'delete-po':
+                    this.deletePurchaseOrder(poId);
+                    break;
+            }
+        });
+
+        document.getElementById('poProductSelect').addEventListener('change', () => {
+            this.fillPurchaseOrderLineCost();
+        });
+
+        document.getElementById('addPoLineBtn').addEventListener('click', () => {
+            this.addPurchaseOrderLine();
+        });
+
+        document.getElementById('poLinesBody').addEventListener('input', () => {
+            this.readPurchaseOrderLines();
+            this.updatePurchaseOrderTotal();
+        });
+
+        document.getElementById('poLinesBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove-po-line"]');
+            if (button) {
+                this.readPurchaseOrderLines();
+                this.editingPurchaseOrder.lines.splice(parseInt(button.dataset.lineIndex), 1);
+                this.renderPurchaseOrderLines();
             }
         });
 
+        document.getElementById('savePurchaseOrderBtn').addEventListener('click', () => {
+            this.savePurchaseOrder(false);
+        });
+
+        document.getElementById('sendPurchaseOrderBtn').addEventListener('click', () => {
+            this.savePurchaseOrder(true);
+        });
+
+        document.getElementById('cancelPurchaseOrderBtn').addEventListener('click', () => {
+            document.getElementById('purchaseOrderModal').style.display = 'none';
+            this.editingPurchaseOrder = null;
+        });
+
+        document.getElementById('grnLinesBody').addEventListener('input', () => {
+            this.updateGoodsReceiptTotals();
+        });
+
+        document.getElementById('grnCharges').addEventListener('input', () => {
+            this.updateGoodsReceiptTotals();
+        });
+
+        document.getElementById('postGoodsReceiptBtn').addEventListener('click', () => {
+            this.postGoodsReceipt();
+        });
+
+        document.getElementById('cancelGoodsReceiptBtn').addEventListener('click', () => {
+            document.getElementById('goodsReceiptModal').style.display = 'none';
+            this.receivingPurchaseOrderId = null;
+        });
+
         // External Services Events
-        document.getElementById('externalServicesForm').addEventListener('submit', (e) => {
+        document.getElementById('servicesForm').addEventListener('submit', (e) => {
             e.preventDefault();
             const servicesData = {
                 emailEnabled: document.getElementById('emailEnabled').checked,
                 smsEnabled: document.getElementById('smsEnabled').checked,
-                cloudBackupEnabled: document.getElementById('cloudBackupEnabled').checked,
                 barcodeScannerEnabled: document.getElementById('barcodeScannerEnabled').checked,
-                emailAddress: document.getElementById('emailAddress').value
+                emailRelayUrl: document.getElementById('emailRelayUrl').value.trim(),
+                emailRelayToken: document.getElementById('emailRelayToken').value,
+                emailAddress: document.getElementById('emailAddress').value.trim(),
+                smsWebhookUrl: document.getElementById('smsWebhookUrl').value.trim(),
+                smsNumber: document.getElementById('smsNumber').value.trim(),
+                digestMinutes: Math.max(parseInt(document.getElementById('notificationDigestMinutes').value) || 0, 0)
             };
             this.saveExternalServices(servicesData);
         });
 
-        document.getElementById('backupNowBtn').addEventListener('click', () => {
-            this.performCloudBackup();
+        document.getElementById('testNotificationsBtn').addEventListener('click', () => {
+            this.sendTestNotification();
+        });
+
+        // Notification Centre Events
+        document.getElementById('sendDigestNowBtn').addEventListener('click', () => {
+            this.sendNotificationDigestNow();
+        });
+
+        document.getElementById('markNotificationsReadBtn').addEventListener('click', () => {
+            this.markNotificationsRead();
+        });
+
+        document.getElementById('clearNotificationsBtn').addEventListener('click', () => {
+            this.clearNotifications();
+        });
+
+        document.getElementById('notificationModal').addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            if (!target) return;
+            if (target.dataset.action === 'open-forecast') {
+                e.preventDefault();
+                document.getElementById('notificationModal').style.display = 'none';
+                this.switchSection('forecast');
+            } else if (target.dataset.action === 'retry-delivery') {
+                this.retryNotificationDelivery(target.dataset.deliveryId);
+            }
+        });
+
+        // Backup & Restore Events
+        document.getElementById('backupForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.downloadBackup(document.getElementById('backupPassword').value);
+        });
+
+        document.getElementById('restoreForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.previewRestore(document.getElementById('restoreFile').files[0], document.getElementById('restorePassword').value);
+        });
+
+        document.getElementById('backupScheduleForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveBackupSettings();
+        });
+
+        document.querySelectorAll('input[name="restoreMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderRestorePreview());
+        });
+
+        document.getElementById('applyRestoreBtn').addEventListener('click', () => {
+            this.applyRestore(document.querySelector('input[name="restoreMode"]:checked').value);
+        });
+
+        document.getElementById('cancelRestoreBtn').addEventListener('click', () => {
+            this.pendingRestore = null;
+            document.getElementById('restoreModal').style.display = 'none';
         });
     }
 
@@ -707,6 +2180,8 @@ class RetailPOS {
             this.updateCustomers();
         } else if (sectionName === 'forecast') {
             this.updateForecastDisplay();
+        } else if (sectionName === 'purchasing') {
+            this.renderPurchasing();
         } else if (sectionName === 'users') {
             this.updateUsersTable();
         }
@@ -726,51 +2201,105 @@ class RetailPOS {
             <div class="product-item" data-product-id="${product.id}">
                 <div class="product-info">
                     <h4>${product.name}</h4>
-                    <p><i class="fas fa-tag"></i> ${product.category} | <i class="fas fa-boxes"></i> Stock: ${product.stock}</p>
+                    <p><i class="fas ${this.getCategorySetting(product.categoryId, 'icon') || 'fa-tag'}" style="color: ${this.getCategorySetting(product.categoryId, 'color') || 'inherit'};"></i> ${this.getCategoryName(product.categoryId)} | <i class="fas fa-boxes"></i> Stock: ${product.stock}${this.hasVariants(product) ? ` | <i class="fas fa-layer-group"></i> ${product.variants.length} variants` : ''}</p>
                 </div>
-                <div class="product-price">₹${product.price.toFixed(2)}</div>
+                <div class="product-price">${this.formatPriceRange(product)}</div>
             </div>
         `).join('');
     }
 
-    renderInventory(searchTerm = '', category = '') {
+    renderInventory(searchTerm = document.getElementById('inventorySearch').value, category = document.getElementById('inventoryCategoryFilter').value) {
         const inventoryBody = document.getElementById('inventoryBody');
         const filteredProducts = this.getFilteredInventory(searchTerm, category);
 
+        const valuation = this.getStockValuation();
+        document.getElementById('inventoryValuation').textContent =
+            `Stock value at cost: ₹${valuation.costValue.toFixed(2)} · at selling price: ₹${valuation.retailValue.toFixed(2)}` +
+            (valuation.uncosted > 0 ? ` · ${valuation.uncosted} item${valuation.uncosted === 1 ? '' : 's'} in stock without a cost price` : '');
+
         if (filteredProducts.length === 0) {
-            inventoryBody.innerHTML = '<tr><td colspan="6" class="empty-state">No products found</td></tr>';
+            inventoryBody.innerHTML = '<tr><td colspan="8" class="empty-state">No products found</td></tr>';
             return;
         }
 
         inventoryBody.innerHTML = filteredProducts.map(product => `
             <tr>
                 <td>${product.id}</td>
-                <td>${product.name}</td>
-                <td>${product.category}</td>
-                <td>₹${product.price.toFixed(2)}</td>
-                <td>${product.stock}</td>
+                <td>${product.name}${this.hasVariants(product) ? ` <small>(${product.variants.length} variants)</small>` : ''}</td>
+                <td>${this.getCategoryPath(product.categoryId)}</td>
+                <td>${this.formatPriceRange(product)}</td>
+                <td>${this.formatCost(this.getUnitCost(product.id))}</td>
+                <td>${product.stock}${this.renderExpiryHint(product)}</td>
+                <td>${this.formatStockValue(product)}</td>
                 <td>
                     <div class="action-buttons">
                         <button class="btn-edit" data-action="edit" data-product-id="${product.id}">Edit</button>
+                        <button class="btn-edit" data-action="stock-card" data-product-id="${product.id}">Stock Card</button>
                         <button class="btn-delete" data-action="delete" data-product-id="${product.id}">Delete</button>
                     </div>
                 </td>
             </tr>
+            ${this.variantView.inventory && this.hasVariants(product) ? product.variants.map(variant => `
+                <tr class="variant-row">
+                    <td>${variant.sku || ''}</td>
+                    <td>↳ ${this.getVariantLabel(variant)}</td>
+                    <td>${this.getCategoryPath(product.categoryId)}</td>
+                    <td>₹${this.getVariantPrice(product, variant).toFixed(2)}</td>
+                    <td>${this.formatCost(this.getUnitCost(product.id, variant.id))}</td>
+                    <td>${variant.stock}</td>
+                    <td>${this.formatStockValue(product, variant)}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn-edit" data-action="stock-card" data-product-id="${product.id}" data-variant-id="${variant.id}">Stock Card</button>
+                        </div>
+                    </td>
+                </tr>
+            `).join('') : ''}
         `).join('');
     }
 
+    formatCost(cost) {
+        return cost === null ? '-' : `₹${cost.toFixed(2)}`;
+    }
+
+    // Stock value at cost; a product with variants adds up its variants at their own costs
+    formatStockValue(product, variant = null) {
+        const items = variant ? [variant] : (this.hasVariants(product) ? product.variants : [null]);
+        let value = 0;
+        for (const item of items) {
+            const cost = this.getUnitCost(product.id, item ? item.id : null);
+            const stock = Math.max(item ? item.stock : product.stock, 0);
+            if (cost === null && stock > 0) return '-';
+            value += stock * (cost || 0);
+        }
+        return `₹${value.toFixed(2)}`;
+    }
+
+    // Next expiry, or the quantity held back in expired batches
+    renderExpiryHint(product) {
+        if (!this.isBatchTracked(product)) return '';
+        const expired = this.getExpiredStock(product.id);
+        if (expired > 0) {
+            return `<br><small class="batch-expired-text">${expired} expired</small>`;
+        }
+        const next = this.getFefoBatches(product).find(batch => batch.expiryDate);
+        return next ? `<br><small>Next expiry ${new Date(`${next.expiryDate}T00:00:00`).toLocaleDateString()}</small>` : '';
+    }
+
     getFilteredProducts(searchTerm, category) {
         let filtered = this.products.filter(p => p.stock > 0);
         
         if (searchTerm) {
             filtered = filtered.filter(product => 
                 product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                product.category.toLowerCase().includes(searchTerm.toLowerCase())
+                this.getCategoryPath(product.categoryId).toLowerCase().includes(searchTerm.toLowerCase())
             );
         }
         
+        // A category includes everything in its subcategories
         if (category) {
-            filtered = filtered.filter(product => product.category === category);
+            const categoryIds = this.getCategoryDescendantIds(parseInt(category));
+            filtered = filtered.filter(product => categoryIds.has(product.categoryId));
         }
         
         return filtered;
@@ -782,12 +2311,14 @@ class RetailPOS {
         if (searchTerm) {
             filtered = filtered.filter(product => 
                 product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                product.category.toLowerCase().includes(searchTerm.toLowerCase())
+                this.getCategoryPath(product.categoryId).toLowerCase().includes(searchTerm.toLowerCase())
             );
         }
         
+        // A category includes everything in its subcategories
         if (category) {
-            filtered = filtered.filter(product => product.category === category);
+            const categoryIds = this.getCategoryDescendantIds(parseInt(category));
+            filtered = filtered.filter(product => categoryIds.has(product.categoryId));
         }
         
         return filtered;
@@ -802,137 +2333,496 @@ class RetailPOS {
     }
 
     // Cart Management
-    addToCart(productId) {
+    // The Billing and Quick Billing sections each keep their own cart
+    getCart(target = 'billing') {
+        return target === 'quick' ? this.quickCart : this.cart;
+    }
+
+    setCart(target, items) {
+        if (target === 'quick') {
+            this.quickCart = items;
+        } else {
+            this.cart = items;
+        }
+    }
+
+    refreshCart(target = 'billing') {
+        if (target === 'quick') {
+            this.updateQuickCart();
+        } else {
+            this.updateCart();
+        }
+    }
+
+    addToCart(productId, quantity = 1, target = 'billing', variantId = null) {
         const product = this.products.find(p => p.id === productId);
-        if (!product || product.stock === 0) {
+
+        // Products with variants are sold by variant; ask which one
+        if (product && this.hasVariants(product) && !variantId) {
+            this.openVariantPicker(productId, target);
+            return false;
+        }
+
+        const variant = this.getVariant(product, variantId);
+        const available = this.getSellableStock(productId, variantId);
+        if (!product || (variantId && !variant) || this.getAvailableStock(productId, variantId) <= 0) {
             this.showToast('Product not available', 'error');
-            return;
+            return false;
+        }
+
+        // Expired batches stay on the shelf count but can't be sold
+        if (available <= 0) {
+            this.showToast(this.getStockShortfallMessage(productId, variantId, quantity), 'error');
+            return false;
         }
 
-        const existingItem = this.cart.find(item => item.id === productId);
+        const cart = this.getCart(target);
+        const existingItem = cart.find(item => this.isCartLine(item, productId, variantId));
         
         if (existingItem) {
-            if (existingItem.quantity >= product.stock) {
-                this.showToast('Insufficient stock', 'warning');
-                return;
+            if (existingItem.quantity + quantity > available) {
+                this.showToast(this.getStockShortfallMessage(productId, variantId, existingItem.quantity + quantity), 'warning');
+                return false;
             }
-            existingItem.quantity++;
+            existingItem.quantity = Math.round((existingItem.quantity + quantity) * 1000) / 1000;
+            this.checkMarkdownQuantity(existingItem);
         } else {
-            this.cart.push({
+            if (quantity > available) {
+                this.showToast(this.getStockShortfallMessage(productId, variantId, quantity), 'warning');
+                return false;
+            }
+            cart.push(variant ? {
+                id: product.id,
+                variantId: variant.id,
+                name: `${product.name} (${this.getVariantLabel(variant)})`,
+                productName: product.name,
+                variantLabel: this.getVariantLabel(variant),
+                sku: variant.sku || '',
+                price: this.getVariantPrice(product, variant),
+                quantity: quantity
+            } : {
                 id: product.id,
                 name: product.name,
                 price: product.price,
-                quantity: 1
+                quantity: quantity
             });
         }
 
-        this.updateCart();
+        this.refreshCart(target);
         this.showToast('Added to cart', 'success');
+        return true;
     }
 
-    updateCart() {
-        const cartItems = document.getElementById('cartItems');
-        
-        if (this.cart.length === 0) {
-            cartItems.innerHTML = '<div class="empty-state"><p>Cart is empty</p></div>';
-            this.updateCartSummary();
-            return;
-        }
-
-        cartItems.innerHTML = this.cart.map(item => `
+    renderCartItems(items) {
+        return items.map(item => `
             <div class="cart-item">
                 <div class="cart-item-info">
                     <h4>${item.name}</h4>
-                    <p>₹${item.price.toFixed(2)} each</p>
+                    <p>
+                        ${item.markdown ? `<s>₹${item.listPrice.toFixed(2)}</s> ` : ''}₹${item.price.toFixed(2)} each
+                        ${item.markdown ? `<span class="cart-item-markdown">${this.markdownReasons[item.markdown.reason]}</span>` : ''}
+                    </p>
                 </div>
                 <div class="cart-item-controls">
+                    <button class="markdown-btn" data-action="markdown" data-product-id="${item.id}" data-variant-id="${item.variantId || ''}" title="Change price"><i class="fas fa-tag"></i></button>
                     <div class="quantity-controls">
-                        <button class="quantity-btn" data-action="decrease" data-product-id="${item.id}">-</button>
-                        <span class="quantity">${item.quantity}</span>
-                        <button class="quantity-btn" data-action="increase" data-product-id="${item.id}">+</button>
+                        <button class="quantity-btn" data-action="decrease" data-product-id="${item.id}" data-variant-id="${item.variantId || ''}">-</button>
+                        <span class="quantity">${Number.isInteger(item.quantity) ? item.quantity : item.quantity.toFixed(3)}</span>
+                        <button class="quantity-btn" data-action="increase" data-product-id="${item.id}" data-variant-id="${item.variantId || ''}">+</button>
                     </div>
-                    <button class="remove-btn" data-action="remove" data-product-id="${item.id}">Remove</button>
+                    <button class="remove-btn" data-action="remove" data-product-id="${item.id}" data-variant-id="${item.variantId || ''}">Remove</button>
                 </div>
             </div>
         `).join('');
+    }
+
+    updateCart() {
+        const cartItems = document.getElementById('cartItems');
+        
+        if (this.cart.length === 0) {
+            cartItems.innerHTML = '<div class="empty-state"><p>Cart is empty</p></div>';
+            this.updateCartSummary();
+            return;
+        }
+
+        cartItems.innerHTML = this.renderCartItems(this.cart);
 
         this.updateCartSummary();
     }
 
-    updateQuantity(productId, change) {
-        const item = this.cart.find(item => item.id === productId);
-        const product = this.products.find(p => p.id === productId);
+    // A cart line is one product, or one variant of a product
+    isCartLine(item, productId, variantId = null) {
+        return item.id === productId && (item.variantId || null) === (variantId || null);
+    }
+
+    updateQuantity(productId, change, target = 'billing', variantId = null) {
+        const item = this.getCart(target).find(item => this.isCartLine(item, productId, variantId));
         
         if (!item) return;
 
         const newQuantity = item.quantity + change;
         
         if (newQuantity <= 0) {
-            this.removeFromCart(productId);
+            this.removeFromCart(productId, target, variantId);
             return;
         }
         
-        if (newQuantity > product.stock) {
-            this.showToast('Insufficient stock', 'warning');
+        const shortfall = this.getStockShortfallMessage(productId, variantId, newQuantity);
+        if (shortfall) {
+            this.showToast(shortfall, 'warning');
             return;
         }
 
         item.quantity = newQuantity;
-        this.updateCart();
+        this.checkMarkdownQuantity(item);
+        this.refreshCart(target);
     }
 
-    removeFromCart(productId) {
-        this.cart = this.cart.filter(item => item.id !== productId);
-        this.updateCart();
+    removeFromCart(productId, target = 'billing', variantId = null) {
+        this.setCart(target, this.getCart(target).filter(item => !this.isCartLine(item, productId, variantId)));
+        this.refreshCart(target);
     }
 
-    updateCartSummary() {
-        const subtotal = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        
-        // Calculate discount
-        let discountAmount = 0;
-        if (this.discount.value > 0) {
-            if (this.discount.type === 'percentage') {
-                discountAmount = subtotal * (this.discount.value / 100);
-            } else {
-                discountAmount = Math.min(this.discount.value, subtotal); // Don't allow discount > subtotal
+    handleCartAction(e, target) {
+        const button = e.target.closest('button[data-action]');
+        if (button) {
+            const productId = parseInt(button.dataset.productId);
+            const variantId = button.dataset.variantId || null;
+            const action = button.dataset.action;
+            
+            if (action === 'increase') {
+                this.updateQuantity(productId, 1, target, variantId);
+            } else if (action === 'decrease') {
+                this.updateQuantity(productId, -1, target, variantId);
+            } else if (action === 'remove') {
+                this.removeFromCart(productId, target, variantId);
+            } else if (action === 'markdown') {
+                this.openMarkdownModal(productId, variantId, target);
             }
         }
-        
-        const discountedSubtotal = subtotal - discountAmount;
-        const taxEnabled = document.getElementById('taxEnabled').checked;
-        const tax = taxEnabled ? discountedSubtotal * 0.1 : 0;
-        const total = discountedSubtotal + tax;
-
-        document.getElementById('subtotal').textContent = `₹${subtotal.toFixed(2)}`;
-        document.getElementById('discount').textContent = `₹${discountAmount.toFixed(2)}`;
-        document.getElementById('tax').textContent = `₹${tax.toFixed(2)}`;
-        document.getElementById('total').textContent = `₹${total.toFixed(2)}`;
     }
 
-    // Discount Methods
-    updateDiscountInput(type) {
-        const discountValueInput = document.getElementById('discountValue');
-        if (type === 'percentage') {
-            discountValueInput.placeholder = '%';
-            discountValueInput.max = '100';
-            discountValueInput.min = '0';
-        } else {
-            discountValueInput.placeholder = '₹';
-            discountValueInput.max = '';
-            discountValueInput.min = '0';
-        }
-        discountValueInput.value = '';
+    updateCartSummary() {
+        const customerState = document.getElementById('customerState').value;
+        const interState = this.isInterStateSupply(customerState);
+        const totals = this.calculateTotals(this.cart, this.discount, {
+            taxEnabled: document.getElementById('taxEnabled').checked,
+            interState,
+            customerId: this.getCheckoutCustomerId()
+        });
+
+        document.getElementById('subtotal').textContent = `₹${totals.subtotal.toFixed(2)}`;
+        document.getElementById('promotionSavings').textContent = `₹${totals.promotionDiscount.toFixed(2)}`;
+        document.getElementById('promotionSavingsRow').style.display = totals.promotionDiscount > 0 ? 'flex' : 'none';
+        document.getElementById('appliedPromotions').innerHTML = totals.promotions
+            .map(promotion => `<div class="applied-promotion"><span><i class="fas fa-tag"></i> ${promotion.name}</span><span>-₹${promotion.amount.toFixed(2)}</span></div>`)
+            .join('');
+        document.getElementById('discountLabel').textContent = this.discount.code ? `Coupon ${this.discount.code}:` : 'Discount:';
+        document.getElementById('discount').textContent = `₹${totals.discountAmount.toFixed(2)}`;
+        document.getElementById('taxLabel').textContent = interState ? 'Tax (IGST):' : 'Tax (CGST + SGST):';
+        document.getElementById('tax').textContent = `₹${totals.tax.toFixed(2)}`;
+        document.getElementById('total').textContent = `₹${totals.total.toFixed(2)}`;
     }
 
-    applyDiscount() {
-        const discountCode = document.getElementById('discountCode').value.trim();
-        const discountValue = parseFloat(document.getElementById('discountValue').value) || 0;
-        const discountType = document.querySelector('input[name="discountType"]:checked').value;
+    // Tax Engine
+    getTaxRate(product) {
+        if (product.taxRate !== undefined && product.taxRate !== null && product.taxRate !== '') {
+            return parseFloat(product.taxRate);
+        }
 
-        if (discountValue <= 0) {
-            this.showToast('Please enter a valid discount value', 'warning');
-            return;
+        const categoryRate = this.getCategoryTaxRate(product.categoryId);
+        if (categoryRate !== null) {
+            return parseFloat(categoryRate);
+        }
+
+        return parseFloat(this.settings.tax.defaultRate) || 0;
+    }
+
+    isInterStateSupply(customerState) {
+        const shopState = (this.settings.tax.shopState || '').trim().toLowerCase();
+        const state = (customerState || '').trim().toLowerCase();
+
+        // Without both states we cannot tell, so treat it as a local (intra-state) sale
+        if (!shopState || !state) return false;
+
+        return shopState !== state;
+    }
+
+    roundCurrency(value) {
+        return Math.round((value + Number.EPSILON) * 100) / 100;
+    }
+
+    calculateTotals(items, discount, options = {}) {
+        const taxEnabled = options.taxEnabled !== false;
+        const interState = !!options.interState;
+        const pricesIncludeTax = !!this.settings.tax.pricesIncludeTax;
+
+        const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+
+        // Promotions come off first; a manual discount applies to what is left
+        const promotions = this.evaluatePromotions(items, { customerId: options.customerId, date: options.date });
+        const afterPromotions = subtotal - promotions.total;
+
+        // Calculate discount
+        let discountAmount = 0;
+        if (discount && discount.value > 0) {
+            if (discount.type === 'percentage') {
+                discountAmount = afterPromotions * (discount.value / 100);
+            } else {
+                discountAmount = Math.min(discount.value, afterPromotions); // Don't allow discount > subtotal
+            }
+        }
+        discountAmount = this.roundCurrency(discountAmount);
+
+        // Cart discount is spread over the lines in proportion to their value
+        const discountRatio = afterPromotions > 0 ? discountAmount / afterPromotions : 0;
+
+        const lines = items.map((item, index) => {
+            const product = this.products.find(p => p.id === item.id);
+            const taxRate = taxEnabled ? (product ? this.getTaxRate(product) : (item.taxRate || 0)) : 0;
+            const linePromotions = promotions.lines[index];
+            const promotionDiscount = this.roundCurrency(linePromotions.reduce((sum, entry) => sum + entry.amount, 0));
+            const lineValue = (item.price * item.quantity - promotionDiscount) * (1 - discountRatio);
+            const taxableValue = this.roundCurrency(pricesIncludeTax ? lineValue / (1 + taxRate / 100) : lineValue);
+            const lineTax = taxableValue * taxRate / 100;
+
+            let cgst = 0, sgst = 0, igst = 0;
+            if (interState) {
+                igst = this.roundCurrency(lineTax);
+            } else {
+                cgst = this.roundCurrency(lineTax / 2);
+                sgst = this.roundCurrency(lineTax / 2);
+            }
+
+            return {
+                ...item,
+                listPrice: item.listPrice !== undefined ? item.listPrice : item.price,
+                hsn: product ? (product.hsn || '') : (item.hsn || ''),
+                taxRate,
+                taxableValue,
+                cgst,
+                sgst,
+                igst,
+                taxAmount: this.roundCurrency(cgst + sgst + igst),
+                ...(linePromotions.length > 0 ? { promotions: linePromotions, promotionDiscount } : {})
+            };
+        });
+
+        const tax = this.roundCurrency(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+        const discountedSubtotal = this.roundCurrency(subtotal - promotions.total - discountAmount);
+        const total = pricesIncludeTax ? discountedSubtotal : this.roundCurrency(discountedSubtotal + tax);
+
+        return {
+            subtotal: this.roundCurrency(subtotal),
+            discountAmount,
+            promotionDiscount: promotions.total,
+            promotions: promotions.applied,
+            tax,
+            total,
+            lines,
+            interState,
+            pricesIncludeTax,
+            taxSummary: this.summarizeTaxByHSN(lines)
+        };
+    }
+
+    summarizeTaxByHSN(lines) {
+        const summary = {};
+
+        lines.forEach(line => {
+            const key = `${line.hsn || '-'}_${line.taxRate}`;
+            if (!summary[key]) {
+                summary[key] = { hsn: line.hsn || '-', taxRate: line.taxRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, taxAmount: 0 };
+            }
+            summary[key].taxableValue += line.taxableValue;
+            summary[key].cgst += line.cgst;
+            summary[key].sgst += line.sgst;
+            summary[key].igst += line.igst;
+            summary[key].taxAmount += line.taxAmount;
+        });
+
+        return Object.values(summary).map(row => ({
+            ...row,
+            taxableValue: this.roundCurrency(row.taxableValue),
+            cgst: this.roundCurrency(row.cgst),
+            sgst: this.roundCurrency(row.sgst),
+            igst: this.roundCurrency(row.igst),
+            taxAmount: this.roundCurrency(row.taxAmount)
+        }));
+    }
+
+    // Line Markdowns
+    // A markdown changes what one cart line is charged. The line keeps its list price so
+    // the sale records both, and the size of the cut decides whether approval is needed.
+    openMarkdownModal(productId, variantId, target = 'billing') {
+        const item = this.getCart(target).find(line => this.isCartLine(line, productId, variantId));
+        if (!item) return;
+
+        this.markdownLine = { productId, variantId, target };
+        const listPrice = item.listPrice !== undefined ? item.listPrice : item.price;
+        document.getElementById('markdownItemInfo').textContent = `${item.name}: list price ₹${listPrice.toFixed(2)} each`;
+        document.getElementById('markdownReason').innerHTML = '<option value="">Select reason</option>' +
+            Object.entries(this.markdownReasons).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('markdownType').value = item.markdown ? item.markdown.type : 'percentage';
+        document.getElementById('markdownValue').value = item.markdown ? item.markdown.value : '';
+        document.getElementById('markdownReason').value = item.markdown ? item.markdown.reason : '';
+        document.getElementById('markdownNote').value = item.markdown ? item.markdown.note : '';
+        document.getElementById('removeMarkdownBtn').style.display = item.markdown ? '' : 'none';
+        this.updateMarkdownPreview();
+        document.getElementById('markdownModal').style.display = 'block';
+    }
+
+    getMarkdownItem() {
+        if (!this.markdownLine) return null;
+        const { productId, variantId, target } = this.markdownLine;
+        return this.getCart(target).find(line => this.isCartLine(line, productId, variantId)) || null;
+    }
+
+    // Unit price after a markdown: % off, an amount off each, or a new price each
+    getMarkdownPrice(listPrice, type, value) {
+        if (type === 'percentage') return this.roundCurrency(listPrice * (1 - value / 100));
+        if (type === 'fixed') return this.roundCurrency(listPrice - value);
+        return this.roundCurrency(value);
+    }
+
+    updateMarkdownPreview() {
+        const item = this.getMarkdownItem();
+        const preview = document.getElementById('markdownPreview');
+        const value = parseFloat(document.getElementById('markdownValue').value);
+        if (!item || isNaN(value)) {
+            preview.textContent = '';
+            return;
+        }
+
+        const listPrice = item.listPrice !== undefined ? item.listPrice : item.price;
+        const price = this.getMarkdownPrice(listPrice, document.getElementById('markdownType').value, value);
+        const percent = listPrice > 0 ? this.roundCurrency((listPrice - price) / listPrice * 100) : 0;
+        const limit = this.getMarkdownLimit();
+        preview.textContent = `Charged ₹${price.toFixed(2)} each (${percent.toFixed(1)}% off)` +
+            (percent > limit ? `. Over your ${limit}% limit, so a manager must approve.` : '');
+    }
+
+    async applyLineMarkdown() {
+        const item = this.getMarkdownItem();
+        if (!item) return;
+
+        const type = document.getElementById('markdownType').value;
+        const value = parseFloat(document.getElementById('markdownValue').value);
+        const reason = document.getElementById('markdownReason').value;
+        const note = document.getElementById('markdownNote').value.trim();
+        const listPrice = item.listPrice !== undefined ? item.listPrice : item.price;
+        const price = isNaN(value) ? NaN : this.getMarkdownPrice(listPrice, type, value);
+
+        if (isNaN(price) || value < 0) {
+            this.showToast('Enter the discount or new price', 'warning');
+            return;
+        }
+
+        if (price < 0) {
+            this.showToast('The price cannot go below zero', 'warning');
+            return;
+        }
+
+        if (price > listPrice) {
+            this.showToast('Line prices can only be reduced at the till', 'warning');
+            return;
+        }
+
+        if (!reason) {
+            this.showToast('Choose a reason for the price change', 'warning');
+            return;
+        }
+
+        const percent = listPrice > 0 ? this.roundCurrency((listPrice - price) / listPrice * 100) : 0;
+        const label = `${item.name} from ₹${listPrice.toFixed(2)} to ₹${price.toFixed(2)} (${this.markdownReasons[reason]})`;
+        const approver = this.getMarkdownLimit() >= percent
+            ? this.currentUser
+            : await this.requestOverride('price.override', label, {
+                canApprove: user => this.getMarkdownLimit(user) >= percent,
+                requirement: `a markdown limit of at least ${Math.ceil(percent)}%`
+            });
+        if (!approver) return;
+
+        item.listPrice = listPrice;
+        item.price = price;
+        item.markdown = {
+            type,
+            value,
+            reason,
+            note,
+            percent,
+            quantity: item.quantity,
+            by: this.currentUser.username,
+            approvedBy: this.getApproval(approver)
+        };
+        this.recordAudit('price.markdown', item.name, {
+            before: { price: listPrice },
+            after: { price, quantity: item.quantity, reason: this.markdownReasons[reason], note },
+            approvedBy: this.getApproval(approver)
+        });
+
+        document.getElementById('markdownModal').style.display = 'none';
+        this.refreshCart(this.markdownLine.target);
+        this.showToast(`${item.name} now ₹${price.toFixed(2)} each`, 'success');
+    }
+
+    removeLineMarkdown() {
+        const item = this.getMarkdownItem();
+        if (!item || !item.markdown) return;
+
+        this.clearLineMarkdown(item);
+
+        document.getElementById('markdownModal').style.display = 'none';
+        this.refreshCart(this.markdownLine.target);
+        this.showToast(`${item.name} back to list price`, 'info');
+    }
+
+    clearLineMarkdown(item) {
+        item.price = item.listPrice;
+        delete item.listPrice;
+        delete item.markdown;
+    }
+
+    // A markdown is approved for the units on the line at the time; adding more would extend the cut
+    // without approval, so the line goes back to list price and has to be marked down again
+    checkMarkdownQuantity(item) {
+        if (!item.markdown || item.quantity <= item.markdown.quantity) return;
+
+        this.clearLineMarkdown(item);
+        this.showToast(`${item.name} is back to list price: the markdown covered fewer units. Apply it again for the new quantity.`, 'warning');
+    }
+
+    // Discount Methods
+    updateDiscountInput(type) {
+        const discountValueInput = document.getElementById('discountValue');
+        if (type === 'percentage') {
+            discountValueInput.placeholder = '%';
+            discountValueInput.max = '100';
+            discountValueInput.min = '0';
+        } else {
+            discountValueInput.placeholder = '₹';
+            discountValueInput.max = '';
+            discountValueInput.min = '0';
+        }
+        discountValueInput.value = '';
+    }
+
+    async applyDiscount() {
+        const discountCode = document.getElementById('discountCode').value.trim();
+        const discountValue = parseFloat(document.getElementById('discountValue').value) || 0;
+        const discountType = document.querySelector('input[name="discountType"]:checked').value;
+
+        // An entered code must be a registered coupon; the coupon decides the discount
+        if (discountCode) {
+            if (this.applyCoupon(discountCode)) {
+                document.getElementById('discountValue').value = '';
+            }
+            return;
+        }
+
+        if (discountValue <= 0) {
+            this.showToast('Please enter a valid discount value', 'warning');
+            return;
         }
 
         if (discountType === 'percentage' && discountValue > 100) {
@@ -940,12 +2830,25 @@ class RetailPOS {
             return;
         }
 
+        const subtotal = this.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const discountPercent = discountType === 'percentage'
+            ? discountValue
+            : (subtotal > 0 ? discountValue / subtotal * 100 : 100);
+        const permission = discountPercent > 10 ? 'discount.above.10pct' : 'discount.apply';
+        const approver = await this.authorize(permission, `Discount of ${discountValue}${discountType === 'percentage' ? '%' : '₹'}`);
+        if (!approver) return;
+
         // Apply discount
         this.discount = {
             type: discountType,
             value: discountValue,
-            code: discountCode
+            code: '',
+            approvedBy: this.getApproval(approver)
         };
+        this.recordAudit('discount.apply', 'Billing cart', {
+            after: { type: discountType, value: discountValue, subtotal: this.roundCurrency(subtotal) },
+            approvedBy: this.getApproval(approver)
+        });
 
         this.updateCartSummary();
         this.showToast(`Discount applied: ${discountValue}${discountType === 'percentage' ? '%' : '₹'}`, 'success');
@@ -958,1130 +2861,8904 @@ class RetailPOS {
             return;
         }
 
-        const customerName = document.getElementById('customerName').value;
-        const customerPhone = document.getElementById('customerPhone').value;
-
-        // Create sale record
-        const subtotal = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        
-        // Calculate discount
-        let discountAmount = 0;
-        if (this.discount.value > 0) {
-            if (this.discount.type === 'percentage') {
-                discountAmount = subtotal * (this.discount.value / 100);
-            } else {
-                discountAmount = Math.min(this.discount.value, subtotal);
-            }
+        // A batch may have expired since the item was added
+        const shortfall = this.cart.map(item => this.getStockShortfallMessage(item.id, item.variantId, item.quantity)).find(Boolean);
+        if (shortfall) {
+            this.showToast(shortfall, 'warning');
+            return;
         }
-        
-        const discountedSubtotal = subtotal - discountAmount;
-        const taxEnabled = document.getElementById('taxEnabled').checked;
-        const tax = taxEnabled ? discountedSubtotal * 0.1 : 0;
-        const total = discountedSubtotal + tax;
+
+        if (!this.revalidateCoupon()) return;
+
+        const totals = this.getBillingTotals();
+        const defaultMethod = document.querySelector('input[name="payment"]:checked').value;
+
+        this.openTenderModal(totals.total, defaultMethod, payments => this.completeCheckout(payments, totals), this.getCheckoutCustomerId());
+    }
+
+    getBillingTotals() {
+        return this.calculateTotals(this.cart, this.discount, {
+            taxEnabled: document.getElementById('taxEnabled').checked,
+            interState: this.isInterStateSupply(document.getElementById('customerState').value),
+            customerId: this.getCheckoutCustomerId()
+        });
+    }
+
+    // The sale records the totals the customer was asked to pay; recomputing them here could pick up
+    // a promotion that ended or a price that changed while the tender was open
+    completeCheckout(payments, totals = this.getBillingTotals()) {
+        const customer = this.resolveCheckoutCustomer();
 
         const sale = {
             id: Date.now(),
             date: new Date().toISOString(),
-            customer: {
-                name: customerName,
-                phone: customerPhone
-            },
-            items: [...this.cart],
-            subtotal: subtotal,
-            discount: discountAmount,
+            customer,
+            items: totals.lines,
+            subtotal: totals.subtotal,
+            promotionDiscount: totals.promotionDiscount,
+            promotions: totals.promotions,
+            discount: totals.discountAmount,
             discountType: this.discount.type,
             discountValue: this.discount.value,
-            tax: tax,
-            total: total
+            tax: totals.tax,
+            taxSummary: totals.taxSummary,
+            interState: totals.interState,
+            pricesIncludeTax: totals.pricesIncludeTax,
+            total: totals.total,
+            payments: payments,
+            changeDue: this.getChangeDue(payments)
         };
 
+        // From the discount as applied: the coupon may have been deleted while the tender was open
+        if (this.discount.couponId) {
+            sale.coupon = { id: this.discount.couponId, code: this.discount.code, campaign: this.discount.campaign };
+        }
+
+        this.recordSale(sale);
+
+        // Clear cart
+        this.cart = [];
+        this.discount = { type: 'percentage', value: 0, code: '' };
+        this.updateCart();
+
+        // Clear customer info
+        this.selectCheckoutCustomer(null);
+        document.getElementById('discountCode').value = '';
+        document.getElementById('discountValue').value = '';
+
+        this.showToast(sale.changeDue > 0 ? `Sale completed. Change due: ₹${sale.changeDue.toFixed(2)}` : 'Sale completed successfully', 'success');
+    }
+
+    recordSale(sale) {
+        const stockBefore = new Map(sale.items.map(item => [item.id, this.products.find(p => p.id === item.id)?.stock]));
+
         // Update stock
-        this.cart.forEach(cartItem => {
-            const product = this.products.find(p => p.id === cartItem.id);
+        sale.items.forEach(saleItem => {
+            // Cost and category as they were at the time of sale, for margin reporting
+            const product = this.products.find(p => p.id === saleItem.id);
+            const unitCost = this.getUnitCost(saleItem.id, saleItem.variantId);
+            if (unitCost !== null) {
+                saleItem.cost = unitCost;
+            }
             if (product) {
-                product.stock -= cartItem.quantity;
+                saleItem.categoryId = product.categoryId;
+            }
+
+            const movement = this.recordStockMovement({
+                type: 'sale',
+                productId: saleItem.id,
+                variantId: saleItem.variantId,
+                quantity: -saleItem.quantity,
+                reference: `${this.settings.invoice.prefix}${sale.id}`,
+                skipExpired: true
+            });
+            // Keep the batches sold on the line so a recall can find the customers
+            if (movement && movement.batches) {
+                saleItem.batches = movement.batches;
             }
         });
 
+        this.settleCreditNotePayments(sale);
+        this.settleGiftCardPayments(sale);
+        this.applySaleAccountCharges(sale);
+        this.applySaleLoyalty(sale);
+
         // Save sale
         this.sales.push(sale);
         this.saveData();
+        this.checkLowStockCrossings(stockBefore);
 
         // Show invoice
         this.showInvoice(sale);
 
-        // Clear cart
-        this.cart = [];
-        this.discount = { type: 'percentage', value: 0, code: '' };
-        this.updateCart();
-
-        // Clear customer info
-        document.getElementById('customerName').value = '';
-        document.getElementById('customerPhone').value = '';
-        document.getElementById('discountCode').value = '';
-        document.getElementById('discountValue').value = '';
-
         // Refresh displays
         this.renderProducts();
         this.renderInventory();
         this.updateReports();
         this.updateDashboard();
+    }
+
+    // Payment / Tender
+    openTenderModal(total, defaultMethod, onComplete, customerId = null) {
+        this.tender = {
+            total: this.roundCurrency(total),
+            payments: [],
+            onComplete,
+            customerId
+        };
 
-        this.showToast('Sale completed successfully', 'success');
+        document.getElementById('tenderForm').reset();
+        // Points, store credit and account sales need a known customer
+        document.querySelector('#tenderMethod option[value="loyalty"]').disabled = !this.isLoyaltyEnabled() || !customerId;
+        document.querySelector('#tenderMethod option[value="storeCredit"]').disabled = !customerId;
+        document.querySelector('#tenderMethod option[value="account"]').disabled = !customerId || this.getCreditLimit(customerId) <= 0;
+        document.getElementById('tenderMethod').value = defaultMethod || 'cash';
+        this.updateTenderMethod();
+        this.renderTender();
+        document.getElementById('tenderModal').style.display = 'block';
+        document.getElementById('tenderAmount').focus();
     }
 
-    // Product Modal
-    openProductModal(productId = null) {
-        const modal = document.getElementById('productModal');
-        const modalTitle = document.getElementById('modalTitle');
-        const form = document.getElementById('productForm');
+    getTenderPaid() {
+        return this.roundCurrency(this.tender.payments.reduce((sum, payment) => sum + payment.amount, 0));
+    }
 
-        if (productId) {
-            const product = this.products.find(p => p.id === productId);
-            modalTitle.textContent = 'Edit Product';
-            document.getElementById('productName').value = product.name;
-            document.getElementById('productCategory').value = product.category;
-            document.getElementById('productPrice').value = product.price;
-            document.getElementById('productStock').value = product.stock;
-            document.getElementById('productBarcode').value = product.barcode || '';
-            document.getElementById('productDescription').value = product.description || '';
-            document.getElementById('productQuickKey').value = product.quickKey || '';
-            this.currentEditId = productId;
-        } else {
-            modalTitle.textContent = 'Add Product';
-            form.reset();
-            this.currentEditId = null;
+    getTenderRemaining() {
+        return Math.max(this.roundCurrency(this.tender.total - this.getTenderPaid()), 0);
+    }
+
+    updateTenderMethod() {
+        const method = document.getElementById('tenderMethod').value;
+        const amountInput = document.getElementById('tenderAmount');
+
+        document.getElementById('tenderAmountLabel').textContent = method === 'cash' ? 'Cash Tendered' : 'Amount';
+        document.getElementById('tenderReferenceGroup').style.display = ['cash', 'loyalty', 'account'].includes(method) ? 'none' : 'block';
+        document.getElementById('tenderReferenceLabel').textContent = {
+            creditNote: 'Credit Note Number',
+            giftCard: 'Gift Card Code',
+            storeCredit: 'Store Credit Code'
+        }[method] || 'Reference (card last 4 digits / UPI transaction ID)';
+        amountInput.value = this.tender ? this.getTenderRemaining().toFixed(2) : '';
+
+        if (method === 'loyalty' && this.tender && this.tender.customerId) {
+            const available = this.getAvailableTenderPoints();
+            const value = this.roundCurrency(available * this.settings.loyalty.pointValue);
+            document.getElementById('tenderAmountLabel').textContent = `Amount (${available} points = ₹${value.toFixed(2)} available)`;
+            amountInput.value = Math.min(this.getTenderRemaining(), value).toFixed(2);
         }
 
-        modal.style.display = 'block';
+        if (method === 'account' && this.tender && this.tender.customerId) {
+            const available = this.getAvailableTenderCredit();
+            document.getElementById('tenderAmountLabel').textContent = `Amount (₹${Math.max(available, 0).toFixed(2)} credit available)`;
+        }
     }
 
-    closeProductModal() {
-        document.getElementById('productModal').style.display = 'none';
-        document.getElementById('productForm').reset();
-        this.currentEditId = null;
+    // Credit left on the customer's account less what this tender already puts on it
+    getAvailableTenderCredit() {
+        return this.roundCurrency(this.getAvailableCredit(this.tender.customerId) - this.tender.payments
+            .filter(payment => payment.method === 'account')
+            .reduce((sum, payment) => sum + payment.amount, 0));
     }
 
-    saveProduct() {
-        const name = document.getElementById('productName').value;
-        const category = document.getElementById('productCategory').value;
-        const price = parseFloat(document.getElementById('productPrice').value);
-        const stock = parseInt(document.getElementById('productStock').value);
-        const barcode = document.getElementById('productBarcode').value;
-        const description = document.getElementById('productDescription').value;
-        const quickKey = parseInt(document.getElementById('productQuickKey').value) || null;
+    // Points balance less any points already added as payments on this tender
+    getAvailableTenderPoints() {
+        const tendered = this.tender.payments
+            .filter(payment => payment.method === 'loyalty')
+            .reduce((sum, payment) => sum + payment.points, 0);
+        return this.getLoyaltyBalance(this.tender.customerId) - tendered;
+    }
 
-        if (!name || !category || isNaN(price) || isNaN(stock)) {
-            this.showToast('Please fill all required fields', 'warning');
+    async addTenderPayment() {
+        const method = document.getElementById('tenderMethod').value;
+        const entered = this.roundCurrency(parseFloat(document.getElementById('tenderAmount').value) || 0);
+        const reference = document.getElementById('tenderReference').value.trim();
+        const remaining = this.getTenderRemaining();
+
+        if (entered <= 0) {
+            this.showToast('Please enter a valid amount', 'warning');
             return;
         }
 
-        if (this.currentEditId) {
-            // Edit existing product
-            const product = this.products.find(p => p.id === this.currentEditId);
-            product.name = name;
-            product.category = category;
-            product.price = price;
-            product.stock = stock;
-            product.barcode = barcode;
-            product.description = description;
-            product.quickKey = quickKey;
-            this.showToast('Product updated successfully', 'success');
+        if (remaining <= 0) {
+            this.showToast('Sale is already fully paid', 'info');
+            return;
+        }
+
+        const payment = { method, amount: Math.min(entered, remaining) };
+
+        if (method === 'cash') {
+            // Only cash can be over-tendered; the excess is returned as change
+            payment.tendered = entered;
+            payment.change = this.roundCurrency(Math.max(entered - remaining, 0));
         } else {
-            // Add new product
-            const newProduct = {
-                id: Date.now(),
-                name,
-                category,
-                price,
-                stock,
-                barcode,
-                description,
-                quickKey
-            };
-            this.products.push(newProduct);
-            this.showToast('Product added successfully', 'success');
+            if (entered > remaining) {
+                this.showToast(`${this.getPaymentMethodLabel(method)} amount cannot exceed the balance due`, 'warning');
+                return;
+            }
+            payment.reference = reference;
         }
 
-        this.saveData();
-        this.renderProducts();
-        this.renderInventory();
-        this.closeProductModal();
+        if (method === 'creditNote') {
+            const creditNote = this.findCreditNote(reference);
+            if (!creditNote) {
+                this.showToast('Credit note not found', 'warning');
+                return;
+            }
+
+            const alreadyTendered = this.tender.payments
+                .filter(p => p.method === 'creditNote' && p.reference === creditNote.creditNoteNumber)
+                .reduce((sum, p) => sum + p.amount, 0);
+            const available = this.roundCurrency((creditNote.creditBalance || 0) - alreadyTendered);
+            if (payment.amount > available) {
+                this.showToast(`Credit note ${creditNote.creditNoteNumber} has only ₹${Math.max(available, 0).toFixed(2)} available`, 'warning');
+                return;
+            }
+            payment.reference = creditNote.creditNoteNumber;
+        }
+
+        if (method === 'giftCard' || method === 'storeCredit') {
+            const card = this.findGiftCard(reference);
+            const error = this.validateGiftCardTender(card, method, this.tender.customerId);
+            if (error) {
+                this.showToast(error, 'warning');
+                return;
+            }
+
+            const alreadyTendered = this.tender.payments
+                .filter(p => p.reference === card.code)
+                .reduce((sum, p) => sum + p.amount, 0);
+            const available = this.roundCurrency(card.balance - alreadyTendered);
+            if (payment.amount > available) {
+                this.showToast(`${card.code} has only ₹${Math.max(available, 0).toFixed(2)} available`, 'warning');
+                return;
+            }
+            payment.reference = card.code;
+        }
+
+        if (method === 'account') {
+            const customer = this.getCustomer(this.tender.customerId);
+            if (!customer || this.getCreditLimit(customer.id) <= 0) {
+                this.showToast('Select a customer with a credit account first', 'warning');
+                return;
+            }
+
+            const available = this.getAvailableTenderCredit();
+            if (payment.amount > available) {
+                const over = this.roundCurrency(payment.amount - Math.max(available, 0));
+                const approver = await this.authorize('account.manage', `Charge ₹${payment.amount.toFixed(2)} to ${customer.name}, ₹${over.toFixed(2)} over the credit limit`);
+                if (!approver || !this.tender) return;
+                payment.approvedBy = this.getApproval(approver) || approver.username;
+                this.recordAudit('account.overLimit', customer.name, {
+                    after: { amount: payment.amount, limit: this.getCreditLimit(customer.id), owed: this.getAccountBalance(customer.id) },
+                    approvedBy: this.getApproval(approver)
+                });
+            }
+            payment.reference = customer.name;
+        }
+
+        if (method === 'loyalty') {
+            if (!this.isLoyaltyEnabled() || !this.tender.customerId) {
+                this.showToast('Select the customer before paying with points', 'warning');
+                return;
+            }
+
+            // Whole points only; any remainder is left for another payment
+            const { pointValue, minRedeemPoints } = this.settings.loyalty;
+            const points = Math.floor(payment.amount / pointValue + 1e-9);
+            const available = this.getAvailableTenderPoints();
+            if (points <= 0) {
+                this.showToast(`One point is worth ₹${pointValue.toFixed(2)}`, 'warning');
+                return;
+            }
+            if (points > available) {
+                this.showToast(`Only ${Math.max(available, 0)} points are available`, 'warning');
+                return;
+            }
+            if (points < minRedeemPoints) {
+                this.showToast(`At least ${minRedeemPoints} points must be redeemed at a time`, 'warning');
+                return;
+            }
+            payment.points = points;
+            payment.amount = this.roundCurrency(points * pointValue);
+            payment.reference = `${points} points`;
+        }
+
+        this.tender.payments.push(payment);
+        document.getElementById('tenderReference').value = '';
+        document.getElementById('tenderAmount').value = this.getTenderRemaining().toFixed(2);
+        this.renderTender();
     }
 
-    editProduct(productId) {
-        this.openProductModal(productId);
+    removeTenderPayment(index) {
+        this.tender.payments.splice(index, 1);
+        document.getElementById('tenderAmount').value = this.getTenderRemaining().toFixed(2);
+        this.renderTender();
     }
 
-    deleteProduct(productId) {
-        if (!confirm('Are you sure you want to delete this product?')) {
+    renderTender() {
+        const paid = this.getTenderPaid();
+        const remaining = this.getTenderRemaining();
+        const change = this.getChangeDue(this.tender.payments);
+
+        document.getElementById('tenderTotal').textContent = `₹${this.tender.total.toFixed(2)}`;
+        document.getElementById('tenderPaid').textContent = `₹${paid.toFixed(2)}`;
+        document.getElementById('tenderRemaining').textContent = `₹${remaining.toFixed(2)}`;
+        document.getElementById('tenderChange').textContent = `₹${change.toFixed(2)}`;
+        document.getElementById('tenderChangeRow').style.display = change > 0 ? 'flex' : 'none';
+        document.getElementById('completeSaleBtn').disabled = remaining > 0;
+
+        const tenderLines = document.getElementById('tenderLines');
+        if (this.tender.payments.length === 0) {
+            tenderLines.innerHTML = '<p class="empty-state">No payments added</p>';
             return;
         }
 
-        this.products = this.products.filter(p => p.id !== productId);
-        this.cart = this.cart.filter(item => item.id !== productId);
-        
-        this.saveData();
-        this.renderProducts();
-        this.renderInventory();
-        this.updateCart();
-        
-        this.showToast('Product deleted successfully', 'success');
+        tenderLines.innerHTML = this.tender.payments.map((payment, index) => `
+            <div class="tender-line">
+                <span>${this.getPaymentMethodLabel(payment.method)}${payment.reference ? ` (${payment.reference})` : ''}</span>
+                <span>
+                    ₹${payment.amount.toFixed(2)}
+                    ${payment.method === 'cash' && payment.change > 0 ? `<small>tendered ₹${payment.tendered.toFixed(2)}</small>` : ''}
+                </span>
+                <button class="remove-btn" data-action="remove-payment" data-index="${index}">Remove</button>
+            </div>
+        `).join('');
     }
 
-    // Invoice
-    showInvoice(sale) {
-        const invoiceContent = document.getElementById('invoiceContent');
-        const date = new Date(sale.date).toLocaleDateString();
-        const time = new Date(sale.date).toLocaleTimeString();
+    completeTender() {
+        if (!this.tender || this.getTenderRemaining() > 0) {
+            this.showToast('Payment does not cover the total', 'warning');
+            return;
+        }
 
-        const shopInfo = this.settings.shop;
-        const invoiceSettings = this.settings.invoice;
+        const { payments, onComplete } = this.tender;
+        this.tender = null;
+        document.getElementById('tenderModal').style.display = 'none';
+        onComplete(payments);
+    }
 
-        invoiceContent.innerHTML = `
-            <div class="invoice-header">
-                ${invoiceSettings.showLogo && shopInfo.logo ? `<img src="${shopInfo.logo}" alt="Logo" style="max-width: 100px; margin-bottom: 10px;">` : ''}
-                <h2>${shopInfo.name || '🛍️ Retail POS'}</h2>
-                ${shopInfo.address ? `<p>${shopInfo.address}</p>` : ''}
-                ${shopInfo.phone ? `<p>Phone: ${shopInfo.phone}</p>` : ''}
-                ${shopInfo.email ? `<p>Email: ${shopInfo.email}</p>` : ''}
-                ${invoiceSettings.showGST && shopInfo.gst ? `<p>GST: ${shopInfo.gst}</p>` : ''}
-                <p>Invoice #${invoiceSettings.prefix}${sale.id}</p>
-            </div>
-            
-            <div class="invoice-details">
-                <div>
-                    <h4>Customer Information</h4>
-                    <p><strong>Name:</strong> ${sale.customer.name}</p>
-                    <p><strong>Phone:</strong> ${sale.customer.phone || 'N/A'}</p>
-                </div>
-                <div>
-                    <h4>Invoice Details</h4>
-                    <p><strong>Date:</strong> ${date}</p>
-                    <p><strong>Time:</strong> ${time}</p>
-                </div>
-            </div>
-            
-            <table class="invoice-table">
-                <thead>
-                    <tr>
-                        <th>Product</th>
-                        <th>Quantity</th>
-                        <th>Price</th>
-                        <th>Total</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${sale.items.map(item => `
-                        <tr>
-                            <td>${item.name}</td>
-                            <td>${item.quantity}</td>
-                            <td>₹${item.price.toFixed(2)}</td>
-                            <td>₹${(item.price * item.quantity).toFixed(2)}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-            
-            <div class="invoice-totals">
-                <div>Subtotal: ₹${sale.subtotal.toFixed(2)}</div>
-                ${sale.discount ? `<div>Discount${sale.discountType === 'percentage' ? ` (${sale.discountValue}%)` : ''}: ₹${sale.discount.toFixed(2)}</div>` : ''}
-                <div>Tax (10%): ₹${sale.tax.toFixed(2)}</div>
-                <div class="total">Total: ₹${sale.total.toFixed(2)}</div>
-            </div>
-            
-            <div style="text-align: center; margin-top: 2rem; color: #666;">
-                <p>${invoiceSettings.footer || 'Thank you for your business!'}</p>
-            </div>
-        `;
+    cancelTender() {
+        this.tender = null;
+        document.getElementById('tenderModal').style.display = 'none';
+    }
 
-        document.getElementById('invoiceModal').style.display = 'block';
+    getChangeDue(payments) {
+        return this.roundCurrency(payments.reduce((sum, payment) => sum + (payment.change || 0), 0));
     }
 
-    printSale(saleId) {
-        const sale = this.sales.find(s => s.id === saleId);
-        if (sale) {
-            this.showInvoice(sale);
-            // Small delay to ensure modal is rendered before printing
-            setTimeout(() => {
-                window.print();
-            }, 100);
-        } else {
-            this.showToast('Sale not found', 'error');
+    getPaymentMethodLabel(method) {
+        return this.paymentMethods[method] || method;
+    }
+
+    formatPayments(sale) {
+        if (!sale.payments || sale.payments.length === 0) {
+            return 'N/A';
         }
+
+        return sale.payments.map(payment => this.getPaymentMethodLabel(payment.method)).join(' + ');
     }
 
-    viewSale(saleId) {
-        const sale = this.sales.find(s => s.id === saleId);
-        if (sale) {
-            this.showInvoice(sale);
+    // Quick Billing
+    quickAdd(code) {
+        if (!code || !code.trim()) {
+            return;
+        }
+
+        const value = code.trim();
+        let match = this.findProductByBarcode(value);
+
+        // The quick lane also accepts a plain product ID
+        if (!match) {
+            const product = this.products.find(p => p.id.toString() === value);
+            match = product ? { product, quantity: 1 } : null;
+        }
+
+        if (!match) {
+            const validation = this.validateBarcode(value);
+            this.showToast(validation.valid ? `No product found for "${value}"` : validation.message, 'warning');
+            return;
+        }
+
+        // While a stock take is being counted, scans go to the count instead of the cart
+        if (this.countingStockTakeId) {
+            this.addStockTakeCount(match.product.id, match.variant ? match.variant.id : null, match.quantity, 'scan');
+            return;
+        }
+
+        this.addToCart(match.product.id, match.quantity, 'quick', match.variant ? match.variant.id : null);
+    }
+
+    updateQuickCart() {
+        const quickCartItems = document.getElementById('quickCartItems');
+
+        if (this.quickCart.length === 0) {
+            quickCartItems.innerHTML = '<div class="empty-state"><p>Cart is empty</p></div>';
         } else {
-            this.showToast('Sale not found', 'error');
+            quickCartItems.innerHTML = this.renderCartItems(this.quickCart);
         }
+
+        const totals = this.getQuickTotals();
+        document.getElementById('quickSubtotal').textContent = `₹${totals.subtotal.toFixed(2)}`;
+        document.getElementById('quickDiscount').textContent = `₹${(totals.discountAmount + totals.promotionDiscount).toFixed(2)}`;
+        document.getElementById('quickTax').textContent = `₹${totals.tax.toFixed(2)}`;
+        document.getElementById('quickTotal').textContent = `₹${totals.total.toFixed(2)}`;
     }
 
-    updateSelectAllCheckbox() {
-        const checkboxes = document.querySelectorAll('.transaction-checkbox');
-        const selectAllCheckbox = document.getElementById('selectAllTransactions');
-        
-        if (checkboxes.length === 0) {
-            selectAllCheckbox.checked = false;
+    getQuickTotals() {
+        return this.calculateTotals(this.quickCart, null, { taxEnabled: true, interState: false, customerId: this.getQuickCustomerId() });
+    }
+
+    clearQuickCart() {
+        if (this.quickCart.length === 0) return;
+
+        if (!confirm('Clear the current quick billing cart?')) {
             return;
         }
 
-        const checkedCount = Array.from(checkboxes).filter(cb => cb.checked).length;
-        selectAllCheckbox.checked = checkedCount === checkboxes.length;
-        selectAllCheckbox.indeterminate = checkedCount > 0 && checkedCount < checkboxes.length;
+        this.quickCart = [];
+        this.setQuickCustomer('');
+        this.updateQuickCart();
     }
 
-    exportFilteredTransactions() {
-        const filteredSales = this.getFilteredSales();
-        
-        if (filteredSales.length === 0) {
-            this.showToast('No transactions to export', 'warning');
-            return;
+    holdQuickCart(name = null) {
+        if (this.quickCart.length === 0) {
+            this.showToast('Cart is empty', 'warning');
+            return false;
         }
 
-        // Create CSV content
-        const csvHeaders = ['Invoice ID', 'Date', 'Time', 'Customer Name', 'Customer Phone', 'Items Count', 'Subtotal', 'Discount', 'Tax', 'Total'];
-        const csvRows = filteredSales.map(sale => {
-            const date = new Date(sale.date);
-            return [
-                `${this.settings.invoice.prefix}${sale.id}`,
-                date.toLocaleDateString(),
-                date.toLocaleTimeString(),
-                sale.customer.name,
-                sale.customer.phone || '',
-                sale.items.length,
-                sale.subtotal.toFixed(2),
-                (sale.discount || 0).toFixed(2),
-                sale.tax.toFixed(2),
-                sale.total.toFixed(2)
-            ];
+        const defaultName = document.getElementById('quickCustomerName').value.trim() || `Cart ${this.heldCarts.length + 1}`;
+        const cartName = name || prompt('Name for this held cart:', defaultName);
+        if (cartName === null) {
+            return false;
+        }
+
+        this.heldCarts.push({
+            id: Date.now(),
+            name: cartName.trim() || defaultName,
+            items: this.quickCart.map(item => ({ ...item })),
+            customerName: document.getElementById('quickCustomerName').value.trim(),
+            customerChoice: this.quickCustomerChoice,
+            heldAt: new Date().toISOString(),
+            heldBy: this.currentUser ? this.currentUser.username : ''
         });
 
-        const csvContent = [csvHeaders, ...csvRows]
-            .map(row => row.map(field => `"${field}"`).join(','))
-            .join('\n');
+        this.quickCart = [];
+        this.setQuickCustomer('');
+        this.saveData();
+        this.updateQuickCart();
+        this.renderHeldCarts();
+        this.showToast(`Cart held as "${cartName.trim() || defaultName}"`, 'success');
+        return true;
+    }
 
-        // Download CSV file
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `transactions_${new Date().toISOString().split('T')[0]}.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    resumeHeldCart(heldCartId) {
+        const heldCart = this.heldCarts.find(c => c.id === heldCartId);
+        if (!heldCart) {
+            this.showToast('Held cart not found', 'error');
+            return;
+        }
 
-        this.showToast(`Exported ${filteredSales.length} transactions`, 'success');
+        // Park whatever is on the till so it isn't lost
+        if (this.quickCart.length > 0 && !this.holdQuickCart(`Cart ${this.heldCarts.length + 1}`)) {
+            return;
+        }
+
+        this.heldCarts = this.heldCarts.filter(c => c.id !== heldCartId);
+        this.quickCart = heldCart.items;
+        this.setQuickCustomer(heldCart.customerName || '', heldCart.customerChoice ?? null);
+
+        this.saveData();
+        this.updateQuickCart();
+        this.renderHeldCarts();
+        this.showToast(`Resumed "${heldCart.name}"`, 'success');
     }
 
-    printSelectedTransactions() {
-        if (this.selectedTransactions.size === 0) {
-            this.showToast('No transactions selected', 'warning');
+    discardHeldCart(heldCartId) {
+        const heldCart = this.heldCarts.find(c => c.id === heldCartId);
+        if (!heldCart || !confirm(`Discard held cart "${heldCart.name}"?`)) {
             return;
         }
 
-        const selectedSales = Array.from(this.selectedTransactions)
-            .map(id => this.sales.find(s => s.id === id))
-            .filter(sale => sale);
+        this.heldCarts = this.heldCarts.filter(c => c.id !== heldCartId);
+        this.saveData();
+        this.renderHeldCarts();
+        this.showToast('Held cart discarded', 'info');
+    }
 
-        if (selectedSales.length === 0) {
-            this.showToast('Selected transactions not found', 'error');
+    renderHeldCarts() {
+        const heldCartsList = document.getElementById('heldCartsList');
+
+        if (this.heldCarts.length === 0) {
+            heldCartsList.innerHTML = '<p class="empty-state">No held carts</p>';
             return;
         }
 
-        // For multiple invoices, print them one by one with user confirmation
-        let currentIndex = 0;
+        heldCartsList.innerHTML = this.heldCarts.map(heldCart => {
+            const itemCount = heldCart.items.reduce((sum, item) => sum + item.quantity, 0);
+            const subtotal = heldCart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+            return `
+                <div class="held-cart">
+                    <div class="held-cart-info">
+                        <strong>${heldCart.name}</strong>
+                        <p>${itemCount} items | ₹${subtotal.toFixed(2)} | ${new Date(heldCart.heldAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</p>
+                    </div>
+                    <div class="action-buttons">
+                        <button class="btn-small btn-primary" data-action="resume-held" data-held-cart-id="${heldCart.id}">Resume</button>
+                        <button class="btn-small btn-danger" data-action="discard-held" data-held-cart-id="${heldCart.id}">Discard</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
 
-        const printNext = () => {
-            if (currentIndex >= selectedSales.length) {
-                this.showToast(`Printed ${selectedSales.length} invoices successfully`, 'success');
-                return;
-            }
+    quickCheckout() {
+        if (this.quickCart.length === 0) {
+            this.showToast('Cart is empty', 'warning');
+            return;
+        }
 
-            const sale = selectedSales[currentIndex];
-            this.showInvoice(sale);
+        // Held carts may have been parked before stock changed or a batch expired
+        const shortfall = this.quickCart.map(item => this.getStockShortfallMessage(item.id, item.variantId, item.quantity)).find(Boolean);
+        if (shortfall) {
+            this.showToast(shortfall, 'warning');
+            return;
+        }
 
-            setTimeout(() => {
-                // Use a print dialog that allows user to cancel
-                const printConfirmed = confirm(`Print invoice ${currentIndex + 1} of ${selectedSales.length}?\n\nInvoice #${this.settings.invoice.prefix}${sale.id}\nCustomer: ${sale.customer.name}\nTotal: ₹${sale.total.toFixed(2)}\n\nClick OK to print, Cancel to skip.`);
+        const nameMatches = this.getQuickCustomerNameMatches();
+        if (nameMatches.length > 0) {
+            this.renderQuickCustomerChoices(nameMatches);
+            this.showToast(`${nameMatches.length === 1 ? 'A customer' : `${nameMatches.length} customers`} already named ${nameMatches[0].name}. Pick one, or add a new customer.`, 'warning');
+            return;
+        }
 
-                if (printConfirmed) {
-                    window.print();
-                }
+        const totals = this.getQuickTotals();
+        const defaultMethod = document.querySelector('input[name="quickPayment"]:checked').value;
 
-                // Close the modal after printing attempt
-                document.getElementById('invoiceModal').style.display = 'none';
+        this.openTenderModal(totals.total, defaultMethod, payments => this.completeQuickCheckout(payments, totals), this.getQuickCustomerId());
+    }
 
-                currentIndex++;
-                // Small delay before showing next invoice
-                setTimeout(printNext, 500);
-            }, 200);
+    completeQuickCheckout(payments, totals = this.getQuickTotals()) {
+        const customer = this.resolveQuickCustomer();
+
+        const sale = {
+            id: Date.now(),
+            date: new Date().toISOString(),
+            customer: customer ? this.getCustomerSnapshot(customer) : { name: '', phone: '' },
+            items: totals.lines,
+            subtotal: totals.subtotal,
+            promotionDiscount: totals.promotionDiscount,
+            promotions: totals.promotions,
+            discount: totals.discountAmount,
+            tax: totals.tax,
+            taxSummary: totals.taxSummary,
+            interState: totals.interState,
+            pricesIncludeTax: totals.pricesIncludeTax,
+            total: totals.total,
+            payments: payments,
+            changeDue: this.getChangeDue(payments),
+            channel: 'quick'
         };
 
-        this.showToast(`Starting to print ${selectedSales.length} invoices...`, 'info');
-        printNext();
-    }
+        this.recordSale(sale);
 
-    // Customer Management
-    updateCustomers() {
-        this.processCustomerData();
-        this.updateCustomerStats();
-        this.updateCustomersTable();
-    }
+        this.quickCart = [];
+        this.setQuickCustomer('');
+        this.updateQuickCart();
 
-    processCustomerData() {
-        this.customers = {};
-        
-        this.sales.forEach(sale => {
-            const customerKey = `${sale.customer.name}_${sale.customer.phone || ''}`;
-            
-            if (!this.customers[customerKey]) {
-                this.customers[customerKey] = {
-                    name: sale.customer.name,
-                    phone: sale.customer.phone || '',
-                    email: sale.customer.email || '',
-                    totalOrders: 0,
-                    totalSpent: 0,
-                    lastVisit: null,
-                    firstVisit: null,
-                    orders: []
-                };
-            }
-            
-            const customer = this.customers[customerKey];
-            customer.totalOrders += 1;
-            customer.totalSpent += sale.total;
-            customer.orders.push({
-                id: sale.id,
-                date: sale.date,
-                total: sale.total,
-                items: sale.items.length
-            });
-            
-            const saleDate = new Date(sale.date);
-            if (!customer.lastVisit || saleDate > new Date(customer.lastVisit)) {
-                customer.lastVisit = sale.date;
-            }
-            if (!customer.firstVisit || saleDate < new Date(customer.firstVisit)) {
-                customer.firstVisit = sale.date;
-            }
-        });
+        this.showToast(sale.changeDue > 0 ? `Sale completed. Change due: ₹${sale.changeDue.toFixed(2)}` : 'Sale completed successfully', 'success');
     }
 
-    updateCustomerStats() {
-        const customerList = Object.values(this.customers);
-        const now = new Date();
-        const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        
-        document.getElementById('totalCustomers').textContent = customerList.length;
-        
-        const newCustomersThisMonth = customerList.filter(customer => 
-            new Date(customer.firstVisit) >= thisMonth
-        ).length;
-        document.getElementById('newCustomersThisMonth').textContent = newCustomersThisMonth;
-        
-        const topCustomer = customerList.reduce((top, customer) => 
-            customer.totalSpent > (top?.totalSpent || 0) ? customer : top, null
-        );
-        document.getElementById('topCustomer').textContent = topCustomer ? topCustomer.name : 'None';
+    // Categories
+    // Categories form a tree through parentId. Products and sale lines refer to a category by id,
+    // so renaming or moving a category carries through to existing products and past reports.
+    // GST rate, reorder threshold, colour and icon are inherited down the tree when left blank.
+    getCategory(categoryId) {
+        return this.categories.find(c => c.id === categoryId) || null;
+    }
+
+    // The category followed by its parents, nearest first
+    getCategoryLineage(categoryId) {
+        const lineage = [];
+        let category = this.getCategory(categoryId);
+        while (category && !lineage.includes(category)) {
+            lineage.push(category);
+            category = this.getCategory(category.parentId);
+        }
+        return lineage;
+    }
+
+    getCategoryName(categoryId) {
+        const category = this.getCategory(categoryId);
+        return category ? category.name : 'Uncategorised';
+    }
+
+    getCategoryPath(categoryId) {
+        const lineage = this.getCategoryLineage(categoryId);
+        return lineage.length > 0 ? lineage.reverse().map(c => c.name).join(' › ') : 'Uncategorised';
+    }
+
+    getRootCategory(categoryId) {
+        const lineage = this.getCategoryLineage(categoryId);
+        return lineage[lineage.length - 1] || null;
+    }
+
+    // The nearest value set on the category or one of its parents
+    getCategorySetting(categoryId, field) {
+        const owner = this.getCategoryLineage(categoryId).find(c => c[field] !== null && c[field] !== undefined && c[field] !== '');
+        return owner ? owner[field] : null;
+    }
+
+    getCategoryTaxRate(categoryId) {
+        return this.getCategorySetting(categoryId, 'taxRate');
+    }
+
+    getCategoryDescendantIds(categoryId) {
+        const ids = new Set([categoryId]);
+        let added = true;
+        while (added) {
+            added = false;
+            this.categories.forEach(category => {
+                if (ids.has(category.parentId) && !ids.has(category.id)) {
+                    ids.add(category.id);
+                    added = true;
+                }
+            });
+        }
+        return ids;
+    }
+
+    // Depth-first, alphabetical within each level
+    getCategoryTree(parentId = null, depth = 0) {
+        return this.categories
+            .filter(category => (category.parentId || null) === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .flatMap(category => [{ category, depth }, ...this.getCategoryTree(category.id, depth + 1)]);
+    }
+
+    createCategory(details) {
+        const lastId = this.categories.reduce((max, category) => Math.max(max, category.id), 0);
+        const category = {
+            id: Math.max(Date.now(), lastId + 1),
+            name: details.name,
+            parentId: details.parentId || null,
+            color: details.color || '#667eea',
+            icon: details.icon || 'fa-tag',
+            taxRate: details.taxRate ?? null,
+            reorderLevel: details.reorderLevel ?? null,
+            loyaltyMultiplier: details.loyaltyMultiplier ?? null,
+            createdAt: new Date().toISOString()
+        };
+        this.categories.push(category);
+        return category;
+    }
+
+    // Seeds the default categories and moves data saved with category names over to category ids.
+    // Returns true when anything changed.
+    migrateCategories() {
+        let changed = false;
+        const legacyRates = this.settings.tax.categoryRates || {};
+        const findOrCreate = name => {
+            const existing = this.categories.find(c => !c.parentId && c.name.toLowerCase() === String(name).toLowerCase());
+            if (existing) return existing;
+            changed = true;
+            return this.createCategory({ name, taxRate: legacyRates[name] ?? null });
+        };
+
+        if (this.categories.length === 0) {
+            [
+                { name: 'Electronics', color: '#667eea', icon: 'fa-laptop', taxRate: 18 },
+                { name: 'Clothing', color: '#764ba2', icon: 'fa-tshirt', taxRate: 12 },
+                { name: 'Food', color: '#28a745', icon: 'fa-utensils', taxRate: 5 },
+                { name: 'Other', color: '#6c757d', icon: 'fa-box', taxRate: 18 }
+            ].forEach(defaults => {
+                this.createCategory({ ...defaults, taxRate: legacyRates[defaults.name] ?? defaults.taxRate });
+            });
+            changed = true;
+        }
+
+        this.products.forEach(product => {
+            if (product.categoryId === undefined && product.category !== undefined) {
+                product.categoryId = product.category ? findOrCreate(product.category).id : null;
+                delete product.category;
+                changed = true;
+            }
+        });
+
+        this.sales.forEach(sale => sale.items.forEach(item => {
+            if (item.categoryId === undefined && item.category !== undefined) {
+                item.categoryId = item.category ? findOrCreate(item.category).id : null;
+                delete item.category;
+                changed = true;
+            }
+        }));
+
+        (this.stockTakes || []).forEach(session => {
+            if (session.categoryId === undefined && session.category) {
+                session.categoryId = findOrCreate(session.category).id;
+                delete session.category;
+                changed = true;
+            }
+        });
+
+        // Per-category GST rates used to live in the tax settings
+        if (this.settings.tax.categoryRates) {
+            Object.entries(this.settings.tax.categoryRates).forEach(([name, rate]) => {
+                const category = findOrCreate(name);
+                if (category.taxRate === null) {
+                    category.taxRate = rate;
+                }
+            });
+            delete this.settings.tax.categoryRates;
+            this.saveSettings();
+            changed = true;
+        }
+
+        return changed;
+    }
+
+    // Fills every category picker, keeping the current selections
+    populateCategorySelects() {
+        const tree = this.getCategoryTree();
+        const options = (excluded = new Set()) => tree
+            .filter(({ category }) => !excluded.has(category.id))
+            .map(({ category, depth }) => `<option value="${category.id}">${'&nbsp;&nbsp;&nbsp;'.repeat(depth)}${category.name}</option>`)
+            .join('');
+        const fill = (selectId, placeholder, excluded) => {
+            const select = document.getElementById(selectId);
+            const selected = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>${options(excluded)}`;
+            if ([...select.options].some(option => option.value === selected)) {
+                select.value = selected;
+            }
+        };
+
+        fill('categoryFilter', 'All Categories');
+        fill('inventoryCategoryFilter', 'All Categories');
+        fill('productCategory', 'Select Category');
+        fill('stockTakeCategory', 'All Products');
+
+        // A category can't move under itself or one of its own subcategories
+        const editingId = parseInt(document.getElementById('categoryId').value) || null;
+        fill('categoryParent', 'None (top level)', editingId ? this.getCategoryDescendantIds(editingId) : new Set());
+    }
+
+    openCategoryModal() {
+        this.resetCategoryForm();
+        this.renderCategoryTree();
+        document.getElementById('categoryModal').style.display = 'block';
+    }
+
+    renderCategoryTree() {
+        const body = document.getElementById('categoryTreeBody');
+        const tree = this.getCategoryTree();
+
+        if (tree.length === 0) {
+            body.innerHTML = '<tr><td colspan="5" class="empty-state">No categories yet</td></tr>';
+            return;
+        }
+
+        body.innerHTML = tree.map(({ category, depth }) => {
+            const descendants = this.getCategoryDescendantIds(category.id);
+            const direct = this.products.filter(p => p.categoryId === category.id).length;
+            const total = this.products.filter(p => descendants.has(p.categoryId)).length;
+            const taxRate = this.getCategorySetting(category.id, 'taxRate');
+            const reorderLevel = this.getCategorySetting(category.id, 'reorderLevel');
+            return `
+                <tr>
+                    <td>
+                        <span class="category-name" style="padding-left: ${depth * 1.5}rem;">
+                            <span class="category-swatch" style="background: ${category.color};"></span>
+                            <i class="fas ${category.icon}"></i> ${category.name}
+                        </span>
+                    </td>
+                    <td>${category.taxRate !== null ? `${category.taxRate}%` : `<small>${taxRate !== null ? `${taxRate}% (inherited)` : `${this.settings.tax.defaultRate}% (default)`}</small>`}</td>
+                    <td>${category.reorderLevel !== null ? category.reorderLevel : `<small>${reorderLevel !== null ? `${reorderLevel} (inherited)` : 'Default'}</small>`}</td>
+                    <td>${direct}${total !== direct ? ` <small>(${total} with subcategories)</small>` : ''}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn-small btn-secondary" data-action="edit-category" data-category-id="${category.id}">Edit</button>
+                            <button class="btn-small btn-secondary" data-action="add-subcategory" data-category-id="${category.id}">Add Sub</button>
+                            <button class="btn-small btn-danger" data-action="delete-category" data-category-id="${category.id}">Delete</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    resetCategoryForm(parentId = null) {
+        document.getElementById('categoryForm').reset();
+        document.getElementById('categoryId').value = '';
+        document.getElementById('categoryFormTitle').textContent = 'Add Category';
+        this.populateCategorySelects();
+        document.getElementById('categoryParent').value = parentId || '';
+
+        // New subcategories start with the parent's look
+        const parent = this.getCategory(parentId);
+        if (parent) {
+            document.getElementById('categoryColor').value = parent.color;
+            document.getElementById('categoryIcon').value = parent.icon;
+        }
+    }
+
+    editCategory(categoryId) {
+        const category = this.getCategory(categoryId);
+        if (!category) return;
+
+        document.getElementById('categoryId').value = category.id;
+        document.getElementById('categoryFormTitle').textContent = `Edit ${category.name}`;
+        this.populateCategorySelects();
+        document.getElementById('categoryName').value = category.name;
+        document.getElementById('categoryParent').value = category.parentId || '';
+        document.getElementById('categoryColor').value = category.color;
+        document.getElementById('categoryIcon').value = category.icon;
+        document.getElementById('categoryTaxRate').value = category.taxRate ?? '';
+        document.getElementById('categoryReorderLevel').value = category.reorderLevel ?? '';
+        document.getElementById('categoryLoyaltyMultiplier').value = category.loyaltyMultiplier ?? '';
+        document.getElementById('categoryName').focus();
+    }
+
+    async saveCategory() {
+        const categoryId = parseInt(document.getElementById('categoryId').value) || null;
+        const taxRateValue = document.getElementById('categoryTaxRate').value;
+        const reorderValue = document.getElementById('categoryReorderLevel').value;
+        const multiplierValue = document.getElementById('categoryLoyaltyMultiplier').value;
+        const details = {
+            name: document.getElementById('categoryName').value.trim(),
+            parentId: parseInt(document.getElementById('categoryParent').value) || null,
+            color: document.getElementById('categoryColor').value,
+            icon: document.getElementById('categoryIcon').value,
+            taxRate: taxRateValue === '' ? null : parseFloat(taxRateValue),
+            reorderLevel: reorderValue.trim() === '' ? null : Number(reorderValue),
+            loyaltyMultiplier: multiplierValue === '' ? null : parseFloat(multiplierValue)
+        };
+
+        if (!details.name) {
+            this.showToast('Category name is required', 'warning');
+            return;
+        }
+
+        if (this.categories.some(c => c.id !== categoryId && (c.parentId || null) === details.parentId && c.name.toLowerCase() === details.name.toLowerCase())) {
+            this.showToast(`${details.parentId ? this.getCategoryPath(details.parentId) : 'The top level'} already has a category named ${details.name}`, 'warning');
+            return;
+        }
+
+        if (categoryId && details.parentId && this.getCategoryDescendantIds(categoryId).has(details.parentId)) {
+            this.showToast('A category cannot be moved under itself or one of its subcategories', 'warning');
+            return;
+        }
+
+        if (details.taxRate !== null && !this.taxSlabs.includes(details.taxRate)) {
+            this.showToast(`GST rate must be one of ${this.taxSlabs.join(', ')}%`, 'warning');
+            return;
+        }
+
+        if (details.reorderLevel !== null && (!Number.isInteger(details.reorderLevel) || details.reorderLevel < 0)) {
+            this.showToast('Reorder threshold must be a whole number', 'warning');
+            return;
+        }
+
+        if (details.loyaltyMultiplier !== null && (isNaN(details.loyaltyMultiplier) || details.loyaltyMultiplier < 0)) {
+            this.showToast('Points multiplier cannot be negative', 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('category.manage', categoryId ? `Edit category ${details.name}` : `Add category ${details.name}`);
+        if (!approver) return;
+
+        const existing = this.getCategory(categoryId);
+        if (existing) {
+            const before = { ...existing, path: this.getCategoryPath(existing.id) };
+            Object.assign(existing, details);
+            this.recordAudit('category.update', this.getCategoryPath(existing.id), {
+                ...this.diffForAudit(before, { ...existing, path: this.getCategoryPath(existing.id) }),
+                approvedBy: this.getApproval(approver)
+            });
+            this.showToast('Category updated successfully', 'success');
+        } else {
+            const category = this.createCategory(details);
+            this.recordAudit('category.create', this.getCategoryPath(category.id), { after: { ...details }, approvedBy: this.getApproval(approver) });
+            this.showToast('Category added successfully', 'success');
+        }
+
+        this.saveData();
+        this.refreshCategoryViews();
+        this.resetCategoryForm();
+    }
+
+    async deleteCategory(categoryId) {
+        const category = this.getCategory(categoryId);
+        if (!category) return;
+
+        if (this.categories.some(c => c.parentId === categoryId)) {
+            this.showToast(`Move or delete the subcategories of ${category.name} first`, 'warning');
+            return;
+        }
+
+        const promotion = this.promotions.find(p => p.scope.categoryId === categoryId);
+        if (promotion) {
+            this.showToast(`Promotion ${promotion.name} applies to ${category.name}; change or delete it first`, 'warning');
+            return;
+        }
+
+        const productCount = this.products.filter(p => p.categoryId === categoryId).length;
+        if (productCount > 0) {
+            this.showToast(`${productCount} product${productCount === 1 ? ' is' : 's are'} still in ${category.name}; move them first`, 'warning');
+            return;
+        }
+
+        if (!confirm(`Delete category ${this.getCategoryPath(categoryId)}? Past sales keep it in reports as Uncategorised.`)) {
+            return;
+        }
+
+        const approver = await this.authorize('category.manage', `Delete category ${category.name}`);
+        if (!approver) return;
+
+        const path = this.getCategoryPath(categoryId);
+        this.categories = this.categories.filter(c => c.id !== categoryId);
+        this.recordAudit('category.delete', path, { before: { ...category }, approvedBy: this.getApproval(approver) });
+        this.saveData();
+        this.refreshCategoryViews();
+        this.resetCategoryForm();
+        this.showToast('Category deleted successfully', 'success');
+    }
+
+    // Category names, rates and thresholds show up across most screens
+    refreshCategoryViews() {
+        this.populateCategorySelects();
+        this.renderCategoryTree();
+        this.renderCategoryTaxRates();
+        this.renderProducts(document.getElementById('productSearch').value, document.getElementById('categoryFilter').value);
+        this.renderInventory();
+        this.updateCartSummary();
+        this.updateQuickCart();
+        this.updateDashboard();
+        this.updateReports();
+        this.calculateInventoryForecast();
+        this.updateForecastDisplay();
+    }
+
+    // Promotions
+    // Rules are evaluated on every cart change. Item offers (BOGO, bundles, % off) run in priority
+    // order and each unit counts towards one offer only; the best spend threshold then applies to what
+    // is left. Every discount is attributed to the cart lines it came off.
+    getPromotionTypes() {
+        return {
+            bogo: 'Buy X get Y',
+            bundle: 'Mix & match bundle',
+            percentOff: '% off products or category',
+            threshold: 'Spend over ₹N'
+        };
+    }
+
+    isInPromotionScope(promotion, item) {
+        const { categoryId, productIds } = promotion.scope;
+        if (productIds.length > 0 && productIds.includes(item.id)) return true;
+        if (categoryId) {
+            const product = this.products.find(p => p.id === item.id);
+            return !!product && this.getCategoryDescendantIds(categoryId).has(product.categoryId);
+        }
+        return productIds.length === 0;
+    }
+
+    // YYYY-MM-DD on the shop's clock, to compare with dates picked in date inputs
+    getLocalDateKey(date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Dates are inclusive; a time window ending before it starts runs past midnight
+    isPromotionLive(promotion, date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        const day = this.getLocalDateKey(date);
+        const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+        if (promotion.startDate && day < promotion.startDate) return false;
+        if (promotion.endDate && day > promotion.endDate) return false;
+        if (promotion.days.length > 0 && !promotion.days.includes(date.getDay())) return false;
+
+        const { startTime, endTime } = promotion;
+        if (startTime && endTime) {
+            return startTime <= endTime
+                ? time >= startTime && time < endTime
+                : time >= startTime || time < endTime;
+        }
+        if (startTime) return time >= startTime;
+        if (endTime) return time < endTime;
+        return true;
+    }
+
+    getActivePromotions(date = new Date(), customerId = null) {
+        const tier = customerId && this.isLoyaltyEnabled() ? this.getCustomerTier(customerId).name : null;
+        return this.promotions
+            .filter(promotion => promotion.active && this.isPromotionLive(promotion, date))
+            .filter(promotion => promotion.tiers.length === 0 || promotion.tiers.includes(tier))
+            .sort((a, b) => (a.priority - b.priority) || (a.id - b.id));
+    }
+
+    evaluatePromotions(items, { customerId = null, date = new Date() } = {}) {
+        const lines = items.map(() => []);
+        const available = items.map(item => item.quantity);
+        const promotions = this.getActivePromotions(date, customerId);
+
+        const attribute = (index, promotion, amount) => {
+            if (amount <= 0) return;
+            const existing = lines[index].find(entry => entry.id === promotion.id);
+            if (existing) {
+                existing.amount += amount;
+            } else {
+                lines[index].push({ id: promotion.id, name: promotion.name, amount });
+            }
+        };
+
+        promotions.filter(promotion => promotion.type !== 'threshold').forEach(promotion => {
+            const eligible = items
+                .map((item, index) => ({ item, index }))
+                .filter(({ item, index }) => available[index] > 0 && this.isInPromotionScope(promotion, item));
+
+            if (promotion.type === 'percentOff') {
+                eligible.forEach(({ item, index }) => {
+                    attribute(index, promotion, item.price * available[index] * promotion.percent / 100);
+                    available[index] = 0;
+                });
+                return;
+            }
+
+            // BOGO and bundles count whole units, most expensive first
+            const units = eligible
+                .flatMap(({ item, index }) => Array.from({ length: Math.floor(available[index]) }, () => ({ index, price: item.price })))
+                .sort((a, b) => b.price - a.price);
+            const groupSize = promotion.type === 'bogo' ? promotion.buyQty + promotion.getQty : promotion.bundleQty;
+
+            for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+                const group = units.slice(start, start + groupSize);
+                const fullPrice = group.reduce((sum, unit) => sum + unit.price, 0);
+                // The cheapest units in a BOGO group are the ones given away
+                const saving = promotion.type === 'bogo'
+                    ? group.slice(promotion.buyQty).reduce((sum, unit) => sum + unit.price * promotion.getPercent / 100, 0)
+                    : fullPrice - promotion.bundlePrice;
+                if (saving <= 0) continue;
+                // Shared by value across the whole group, so returning any one unit refunds only its part of the deal
+                group.forEach(unit => attribute(unit.index, promotion, saving * unit.price / fullPrice));
+                group.forEach(unit => {
+                    available[unit.index] -= 1;
+                });
+            }
+        });
+
+        const lineValues = items.map((item, index) =>
+            item.price * item.quantity - lines[index].reduce((sum, entry) => sum + entry.amount, 0));
+        const remaining = lineValues.reduce((sum, value) => sum + value, 0);
+
+        const threshold = promotions
+            .filter(promotion => promotion.type === 'threshold' && remaining >= promotion.minSpend)
+            .map(promotion => ({
+                promotion,
+                amount: promotion.discountType === 'percentage' ? remaining * promotion.value / 100 : Math.min(promotion.value, remaining)
+            }))
+            .sort((a, b) => b.amount - a.amount)[0];
+        if (threshold && remaining > 0) {
+            lineValues.forEach((value, index) => attribute(index, threshold.promotion, threshold.amount * value / remaining));
+        }
+
+        lines.forEach(entries => entries.forEach(entry => {
+            entry.amount = this.roundCurrency(entry.amount);
+        }));
+
+        const applied = {};
+        lines.flat().forEach(entry => {
+            applied[entry.id] = applied[entry.id] || { id: entry.id, name: entry.name, amount: 0 };
+            applied[entry.id].amount = this.roundCurrency(applied[entry.id].amount + entry.amount);
+        });
+
+        return {
+            lines,
+            total: this.roundCurrency(lines.flat().reduce((sum, entry) => sum + entry.amount, 0)),
+            applied: Object.values(applied)
+        };
+    }
+
+    describePromotion(promotion) {
+        const scope = promotion.scope.productIds.length > 0
+            ? promotion.scope.productIds.map(id => this.products.find(p => p.id === id)?.name || 'Deleted product').join(', ')
+            : promotion.scope.categoryId ? this.getCategoryPath(promotion.scope.categoryId) : 'everything';
+
+        switch (promotion.type) {
+            case 'bogo':
+                return `Buy ${promotion.buyQty} get ${promotion.getQty} ${promotion.getPercent === 100 ? 'free' : `${promotion.getPercent}% off`} on ${scope}`;
+            case 'bundle':
+                return `Any ${promotion.bundleQty} of ${scope} for ₹${promotion.bundlePrice.toFixed(2)}`;
+            case 'percentOff':
+                return `${promotion.percent}% off ${scope}`;
+            default:
+                return `${promotion.discountType === 'percentage' ? `${promotion.value}%` : `₹${promotion.value.toFixed(2)}`} off when spending ₹${promotion.minSpend.toFixed(2)} or more`;
+        }
+    }
+
+    describePromotionSchedule(promotion) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const parts = [];
+        if (promotion.startDate || promotion.endDate) {
+            parts.push(`${promotion.startDate || '…'} to ${promotion.endDate || '…'}`);
+        }
+        if (promotion.days.length > 0) {
+            parts.push(promotion.days.map(day => dayNames[day]).join(', '));
+        }
+        if (promotion.startTime || promotion.endTime) {
+            parts.push(`${promotion.startTime || '00:00'}–${promotion.endTime || '24:00'}`);
+        }
+        return parts.join(' · ') || 'Always';
+    }
+
+    openPromotionModal() {
+        this.resetPromotionForm();
+        this.renderPromotionList();
+        document.getElementById('promotionModal').style.display = 'block';
+    }
+
+    renderPromotionList() {
+        const body = document.getElementById('promotionListBody');
+        const now = new Date();
+
+        if (this.promotions.length === 0) {
+            body.innerHTML = '<tr><td colspan="5" class="empty-state">No promotions yet</td></tr>';
+            return;
+        }
+
+        body.innerHTML = this.promotions
+            .slice()
+            .sort((a, b) => (a.priority - b.priority) || (a.id - b.id))
+            .map(promotion => {
+                const status = !promotion.active ? 'Paused' : this.isPromotionLive(promotion, now) ? 'Live' : 'Scheduled';
+                return `
+                    <tr>
+                        <td><strong>${promotion.name}</strong><br><small>${this.describePromotion(promotion)}</small></td>
+                        <td>${this.describePromotionSchedule(promotion)}</td>
+                        <td>${promotion.tiers.length > 0 ? promotion.tiers.join(', ') : 'All customers'}</td>
+                        <td><span class="status-badge ${status === 'Live' ? 'active' : 'inactive'}">${status}</span></td>
+                        <td>
+                            <div class="action-buttons">
+                                <button class="btn-small btn-secondary" data-action="edit-promotion" data-promotion-id="${promotion.id}">Edit</button>
+                                <button class="btn-small btn-secondary" data-action="toggle-promotion" data-promotion-id="${promotion.id}">${promotion.active ? 'Pause' : 'Resume'}</button>
+                                <button class="btn-small btn-danger" data-action="delete-promotion" data-promotion-id="${promotion.id}">Delete</button>
+                            </div>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+    }
+
+    populatePromotionFormOptions() {
+        const tree = this.getCategoryTree();
+        document.getElementById('promotionCategory').innerHTML = '<option value="">Any category</option>' + tree
+            .map(({ category, depth }) => `<option value="${category.id}">${'&nbsp;&nbsp;&nbsp;'.repeat(depth)}${category.name}</option>`)
+            .join('');
+        document.getElementById('promotionProducts').innerHTML = this.products
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(product => `<option value="${product.id}">${product.name}</option>`)
+            .join('');
+        document.getElementById('promotionTierOptions').innerHTML = this.getLoyaltyTiers().map(tier => `
+            <label class="checkbox-label">
+                <input type="checkbox" class="promotion-tier" value="${this.escapeHtml(tier.name)}"> ${this.escapeHtml(tier.name)}
+            </label>
+        `).join('');
+    }
+
+    updatePromotionTypeFields() {
+        const type = document.getElementById('promotionType').value;
+        document.querySelectorAll('#promotionForm [data-promotion-types]').forEach(group => {
+            group.style.display = group.dataset.promotionTypes.split(' ').includes(type) ? '' : 'none';
+        });
+    }
+
+    resetPromotionForm() {
+        document.getElementById('promotionForm').reset();
+        document.getElementById('promotionId').value = '';
+        document.getElementById('promotionFormTitle').textContent = 'Add Promotion';
+        this.populatePromotionFormOptions();
+        this.updatePromotionTypeFields();
+    }
+
+    editPromotion(promotionId) {
+        const promotion = this.promotions.find(p => p.id === promotionId);
+        if (!promotion) return;
+
+        this.resetPromotionForm();
+        document.getElementById('promotionId').value = promotion.id;
+        document.getElementById('promotionFormTitle').textContent = `Edit ${promotion.name}`;
+        document.getElementById('promotionName').value = promotion.name;
+        document.getElementById('promotionType').value = promotion.type;
+        document.getElementById('promotionPriority').value = promotion.priority;
+        document.getElementById('promotionActive').checked = promotion.active;
+        document.getElementById('promotionCategory').value = promotion.scope.categoryId || '';
+        Array.from(document.getElementById('promotionProducts').options).forEach(option => {
+            option.selected = promotion.scope.productIds.includes(parseInt(option.value));
+        });
+        document.getElementById('promotionBuyQty').value = promotion.buyQty ?? '';
+        document.getElementById('promotionGetQty').value = promotion.getQty ?? '';
+        document.getElementById('promotionGetPercent').value = promotion.getPercent ?? 100;
+        document.getElementById('promotionBundleQty').value = promotion.bundleQty ?? '';
+        document.getElementById('promotionBundlePrice').value = promotion.bundlePrice ?? '';
+        document.getElementById('promotionPercent').value = promotion.percent ?? '';
+        document.getElementById('promotionMinSpend').value = promotion.minSpend ?? '';
+        document.getElementById('promotionDiscountType').value = promotion.discountType || 'percentage';
+        document.getElementById('promotionValue').value = promotion.value ?? '';
+        document.getElementById('promotionStartDate').value = promotion.startDate;
+        document.getElementById('promotionEndDate').value = promotion.endDate;
+        document.getElementById('promotionStartTime').value = promotion.startTime;
+        document.getElementById('promotionEndTime').value = promotion.endTime;
+        document.querySelectorAll('.promotion-day').forEach(input => {
+            input.checked = promotion.days.includes(parseInt(input.value));
+        });
+        document.querySelectorAll('.promotion-tier').forEach(input => {
+            input.checked = promotion.tiers.includes(input.value);
+        });
+        this.updatePromotionTypeFields();
+        document.getElementById('promotionName').focus();
+    }
+
+    readPromotionForm() {
+        const number = id => parseFloat(document.getElementById(id).value);
+        const type = document.getElementById('promotionType').value;
+        const details = {
+            name: document.getElementById('promotionName').value.trim(),
+            type,
+            priority: parseInt(document.getElementById('promotionPriority').value) || 0,
+            active: document.getElementById('promotionActive').checked,
+            scope: {
+                categoryId: parseInt(document.getElementById('promotionCategory').value) || null,
+                productIds: Array.from(document.getElementById('promotionProducts').selectedOptions).map(option => parseInt(option.value))
+            },
+            startDate: document.getElementById('promotionStartDate').value,
+            endDate: document.getElementById('promotionEndDate').value,
+            startTime: document.getElementById('promotionStartTime').value,
+            endTime: document.getElementById('promotionEndTime').value,
+            days: Array.from(document.querySelectorAll('.promotion-day:checked')).map(input => parseInt(input.value)),
+            tiers: Array.from(document.querySelectorAll('.promotion-tier:checked')).map(input => input.value)
+        };
+
+        if (type === 'bogo') {
+            Object.assign(details, { buyQty: parseInt(document.getElementById('promotionBuyQty').value), getQty: parseInt(document.getElementById('promotionGetQty').value), getPercent: number('promotionGetPercent') });
+        } else if (type === 'bundle') {
+            Object.assign(details, { bundleQty: parseInt(document.getElementById('promotionBundleQty').value), bundlePrice: number('promotionBundlePrice') });
+        } else if (type === 'percentOff') {
+            Object.assign(details, { percent: number('promotionPercent') });
+        } else {
+            Object.assign(details, { minSpend: number('promotionMinSpend'), discountType: document.getElementById('promotionDiscountType').value, value: number('promotionValue') });
+        }
+        return details;
+    }
+
+    validatePromotion(details) {
+        if (!details.name) return 'Promotion name is required';
+        if (details.type === 'bogo' && !(details.buyQty >= 1 && details.getQty >= 1 && details.getPercent > 0 && details.getPercent <= 100)) {
+            return 'Enter the quantity to buy, the quantity given and their discount (up to 100%)';
+        }
+        if (details.type === 'bundle' && !(details.bundleQty >= 2 && details.bundlePrice >= 0)) {
+            return 'A bundle needs at least 2 items and a bundle price';
+        }
+        if (details.type === 'percentOff' && !(details.percent > 0 && details.percent <= 100)) {
+            return 'Percentage off must be between 0 and 100';
+        }
+        if (details.type === 'percentOff' && !details.scope.categoryId && details.scope.productIds.length === 0) {
+            return 'Choose the category or products the discount applies to';
+        }
+        if (details.type === 'threshold' && !(details.minSpend >= 0 && details.value > 0 && (details.discountType !== 'percentage' || details.value <= 100))) {
+            return 'Enter the spend needed and a discount (percentages up to 100)';
+        }
+        if (details.startDate && details.endDate && details.endDate < details.startDate) {
+            return 'End date cannot be before the start date';
+        }
+        return null;
+    }
+
+    async savePromotion() {
+        const promotionId = parseInt(document.getElementById('promotionId').value) || null;
+        const details = this.readPromotionForm();
+        const error = this.validatePromotion(details);
+        if (error) {
+            this.showToast(error, 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('promotion.manage', promotionId ? `Edit promotion ${details.name}` : `Add promotion ${details.name}`);
+        if (!approver) return;
+
+        const existing = this.promotions.find(p => p.id === promotionId);
+        if (existing) {
+            const before = JSON.parse(JSON.stringify(existing));
+            // Fields of the previous type are dropped when the type changes
+            Object.keys(existing).forEach(key => {
+                if (!['id', 'createdAt'].includes(key)) delete existing[key];
+            });
+            Object.assign(existing, details, { updatedAt: new Date().toISOString() });
+            this.recordAudit('promotion.update', existing.name, {
+                ...this.diffForAudit(before, existing),
+                approvedBy: this.getApproval(approver)
+            });
+            this.showToast('Promotion updated successfully', 'success');
+        } else {
+            const lastId = this.promotions.reduce((max, promotion) => Math.max(max, promotion.id), 0);
+            const promotion = { id: Math.max(Date.now(), lastId + 1), ...details, createdAt: new Date().toISOString() };
+            this.promotions.push(promotion);
+            this.recordAudit('promotion.create', promotion.name, { after: { rule: this.describePromotion(promotion), schedule: this.describePromotionSchedule(promotion) }, approvedBy: this.getApproval(approver) });
+            this.showToast('Promotion added successfully', 'success');
+        }
+
+        this.saveData();
+        this.renderPromotionList();
+        this.resetPromotionForm();
+        this.refreshCart('billing');
+        this.refreshCart('quick');
+    }
+
+    async togglePromotion(promotionId) {
+        const promotion = this.promotions.find(p => p.id === promotionId);
+        if (!promotion) return;
+
+        const approver = await this.authorize('promotion.manage', `${promotion.active ? 'Pause' : 'Resume'} promotion ${promotion.name}`);
+        if (!approver) return;
+
+        promotion.active = !promotion.active;
+        promotion.updatedAt = new Date().toISOString();
+        this.recordAudit('promotion.update', promotion.name, {
+            before: { active: !promotion.active },
+            after: { active: promotion.active },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+        this.renderPromotionList();
+        this.refreshCart('billing');
+        this.refreshCart('quick');
+    }
+
+    async deletePromotion(promotionId) {
+        const promotion = this.promotions.find(p => p.id === promotionId);
+        if (!promotion || !confirm(`Delete promotion ${promotion.name}? Past sales keep their discounts.`)) return;
+
+        const approver = await this.authorize('promotion.manage', `Delete promotion ${promotion.name}`);
+        if (!approver) return;
+
+        this.promotions = this.promotions.filter(p => p.id !== promotionId);
+        this.recordAudit('promotion.delete', promotion.name, { before: { rule: this.describePromotion(promotion) }, approvedBy: this.getApproval(approver) });
+        this.saveData();
+        this.renderPromotionList();
+        this.refreshCart('billing');
+        this.refreshCart('quick');
+        this.showToast('Promotion deleted', 'info');
+    }
+
+    // Coupons
+    // A coupon grants a cart discount. Redemptions are read back from the sales that used it,
+    // so usage limits and campaign figures always agree with the sales history.
+    normalizeCouponCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    findCoupon(code) {
+        const normalized = this.normalizeCouponCode(code);
+        return this.coupons.find(coupon => coupon.code === normalized) || null;
+    }
+
+    getCouponRedemptions(couponId) {
+        return this.sales.filter(sale => sale.type !== 'return' && sale.coupon && sale.coupon.id === couponId);
+    }
+
+    describeCouponDiscount(coupon) {
+        return coupon.discountType === 'percentage' ? `${coupon.value}% off` : `₹${coupon.value.toFixed(2)} off`;
+    }
+
+    // Returns the reason a coupon can't be used on this basket, or null when it can
+    validateCoupon(coupon, { basketValue, customerId = null, date = new Date() }) {
+        if (!coupon) return 'Coupon code not found';
+        if (!coupon.active) return `Coupon ${coupon.code} has been withdrawn`;
+
+        const today = this.getLocalDateKey(date);
+        if (coupon.startDate && today < coupon.startDate) {
+            return `Coupon ${coupon.code} is valid from ${new Date(`${coupon.startDate}T00:00`).toLocaleDateString()}`;
+        }
+        if (coupon.endDate && today > coupon.endDate) {
+            return `Coupon ${coupon.code} expired on ${new Date(`${coupon.endDate}T00:00`).toLocaleDateString()}`;
+        }
+        if (basketValue < coupon.minBasket) {
+            return `Spend at least ₹${coupon.minBasket.toFixed(2)} to use ${coupon.code} (basket is ₹${basketValue.toFixed(2)})`;
+        }
+
+        const redemptions = this.getCouponRedemptions(coupon.id);
+        if (coupon.maxUses > 0 && redemptions.length >= coupon.maxUses) {
+            return coupon.maxUses === 1 ? `Coupon ${coupon.code} has already been used` : `Coupon ${coupon.code} has reached its limit of ${coupon.maxUses} uses`;
+        }
+        if (coupon.maxUsesPerCustomer > 0) {
+            if (!customerId) {
+                return `Select the customer first: ${coupon.code} is limited to ${coupon.maxUsesPerCustomer} use${coupon.maxUsesPerCustomer === 1 ? '' : 's'} per customer`;
+            }
+            const used = redemptions.filter(sale => sale.customer && sale.customer.id === customerId).length;
+            if (used >= coupon.maxUsesPerCustomer) {
+                return `This customer has already used ${coupon.code}${coupon.maxUsesPerCustomer > 1 ? ` ${used} times` : ''}`;
+            }
+        }
+        return null;
+    }
+
+    // Basket value after promotions, which is what coupon discounts and minimums apply to
+    getCouponBasketValue() {
+        const totals = this.getBillingTotals();
+        return this.roundCurrency(totals.subtotal - totals.promotionDiscount);
+    }
+
+    applyCoupon(code) {
+        const coupon = this.findCoupon(code);
+        const error = this.validateCoupon(coupon, {
+            basketValue: this.getCouponBasketValue(),
+            customerId: this.getCheckoutCustomerId()
+        });
+        if (error) {
+            this.showToast(error, 'warning');
+            return false;
+        }
+
+        this.discount = {
+            type: coupon.discountType,
+            value: coupon.value,
+            code: coupon.code,
+            couponId: coupon.id,
+            campaign: coupon.campaign
+        };
+        this.recordAudit('discount.apply', coupon.code, {
+            after: { type: coupon.discountType, value: coupon.value, campaign: coupon.campaign, basket: this.getCouponBasketValue() }
+        });
+
+        this.updateCartSummary();
+        this.showToast(`Coupon ${coupon.code} applied: ${this.describeCouponDiscount(coupon)}`, 'success');
+        return true;
+    }
+
+    // The basket or customer may have changed since the coupon was applied
+    revalidateCoupon() {
+        if (!this.discount.couponId) return true;
+
+        const coupon = this.coupons.find(c => c.id === this.discount.couponId);
+        const error = this.validateCoupon(coupon, {
+            basketValue: this.getCouponBasketValue(),
+            customerId: this.getCheckoutCustomerId()
+        });
+        if (!error) return true;
+
+        this.discount = { type: 'percentage', value: 0, code: '' };
+        this.updateCartSummary();
+        this.showToast(`${error}. The coupon has been removed.`, 'warning');
+        return false;
+    }
+
+    // Campaign codes look like PREFIX-7KQ2M9; ambiguous characters are left out
+    generateCouponCode(prefix) {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const random = new Uint8Array(6);
+        let code;
+        do {
+            crypto.getRandomValues(random);
+            code = `${prefix}-${Array.from(random, byte => alphabet[byte % alphabet.length]).join('')}`;
+        } while (this.findCoupon(code));
+        return code;
+    }
+
+    openCouponModal() {
+        document.getElementById('couponForm').reset();
+        this.updateCouponFormMode();
+        this.renderCouponList();
+        this.renderCampaignReport();
+        document.getElementById('couponModal').style.display = 'block';
+    }
+
+    updateCouponFormMode() {
+        const generated = document.getElementById('couponGenerate').checked;
+        document.getElementById('couponCodeGroup').style.display = generated ? 'none' : '';
+        document.getElementById('couponGenerateGroup').style.display = generated ? '' : 'none';
+        document.getElementById('couponMaxUsesGroup').style.display = generated ? 'none' : '';
+    }
+
+    renderCouponList() {
+        const body = document.getElementById('couponListBody');
+        const search = this.normalizeCouponCode(document.getElementById('couponSearch').value);
+        const coupons = this.coupons
+            .filter(coupon => !search || coupon.code.includes(search) || coupon.campaign.toUpperCase().includes(search))
+            .sort((a, b) => b.id - a.id);
+
+        if (coupons.length === 0) {
+            body.innerHTML = `<tr><td colspan="7" class="empty-state">${this.coupons.length === 0 ? 'No coupons yet' : 'No coupons match'}</td></tr>`;
+            return;
+        }
+
+        const today = this.getLocalDateKey();
+        body.innerHTML = coupons.map(coupon => {
+            const used = this.getCouponRedemptions(coupon.id).length;
+            const status = !coupon.active ? 'Withdrawn'
+                : coupon.endDate && today > coupon.endDate ? 'Expired'
+                : coupon.maxUses > 0 && used >= coupon.maxUses ? 'Used up'
+                : 'Active';
+            return `
+                <tr>
+                    <td><code>${coupon.code}</code></td>
+                    <td>${coupon.campaign || '-'}</td>
+                    <td>${this.describeCouponDiscount(coupon)}${coupon.minBasket > 0 ? `<br><small>on ₹${coupon.minBasket.toFixed(2)}+</small>` : ''}</td>
+                    <td>${coupon.startDate || coupon.endDate ? `${coupon.startDate || '…'} to ${coupon.endDate || '…'}` : 'Always'}</td>
+                    <td>${used}${coupon.maxUses > 0 ? ` / ${coupon.maxUses}` : ''}${coupon.maxUsesPerCustomer > 0 ? `<br><small>${coupon.maxUsesPerCustomer} per customer</small>` : ''}</td>
+                    <td><span class="status-badge ${status === 'Active' ? 'active' : 'inactive'}">${status}</span></td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn-small btn-secondary" data-action="toggle-coupon" data-coupon-id="${coupon.id}">${coupon.active ? 'Withdraw' : 'Reinstate'}</button>
+                            ${used === 0 ? `<button class="btn-small btn-danger" data-action="delete-coupon" data-coupon-id="${coupon.id}">Delete</button>` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    getCampaignReport() {
+        const campaigns = {};
+        this.coupons.forEach(coupon => {
+            const name = coupon.campaign || 'No campaign';
+            campaigns[name] = campaigns[name] || { campaign: name, codes: 0, codesUsed: 0, redemptions: 0, discount: 0, sales: 0 };
+            const row = campaigns[name];
+            const redemptions = this.getCouponRedemptions(coupon.id);
+            row.codes += 1;
+            row.codesUsed += redemptions.length > 0 ? 1 : 0;
+            row.redemptions += redemptions.length;
+            row.discount += redemptions.reduce((sum, sale) => sum + (sale.discount || 0), 0);
+            row.sales += redemptions.reduce((sum, sale) => sum + sale.total, 0);
+        });
+        return Object.values(campaigns).sort((a, b) => b.redemptions - a.redemptions);
+    }
+
+    renderCampaignReport() {
+        const rows = this.getCampaignReport();
+        document.getElementById('campaignReportBody').innerHTML = rows.length === 0
+            ? '<tr><td colspan="6" class="empty-state">No campaigns yet</td></tr>'
+            : rows.map(row => `
+                <tr>
+                    <td>${row.campaign}</td>
+                    <td>${row.codesUsed} / ${row.codes}</td>
+                    <td>${row.redemptions}</td>
+                    <td>₹${row.discount.toFixed(2)}</td>
+                    <td>₹${row.sales.toFixed(2)}</td>
+                    <td>${row.redemptions > 0 ? `₹${(row.sales / row.redemptions).toFixed(2)}` : '-'}</td>
+                </tr>
+            `).join('');
+    }
+
+    async saveCoupons() {
+        const generate = document.getElementById('couponGenerate').checked;
+        const details = {
+            campaign: document.getElementById('couponCampaign').value.trim(),
+            discountType: document.getElementById('couponDiscountType').value,
+            value: parseFloat(document.getElementById('couponValue').value),
+            startDate: document.getElementById('couponStartDate').value,
+            endDate: document.getElementById('couponEndDate').value,
+            minBasket: parseFloat(document.getElementById('couponMinBasket').value) || 0,
+            maxUses: parseInt(document.getElementById('couponMaxUses').value) || 0,
+            maxUsesPerCustomer: parseInt(document.getElementById('couponMaxPerCustomer').value) || 0
+        };
+        const code = this.normalizeCouponCode(document.getElementById('couponCode').value);
+        const count = parseInt(document.getElementById('couponGenerateCount').value);
+        const prefix = this.normalizeCouponCode(document.getElementById('couponPrefix').value).replace(/[^A-Z0-9]/g, '');
+
+        if (isNaN(details.value) || details.value <= 0 || (details.discountType === 'percentage' && details.value > 100)) {
+            this.showToast('Enter a discount (percentages up to 100)', 'warning');
+            return;
+        }
+
+        if (details.startDate && details.endDate && details.endDate < details.startDate) {
+            this.showToast('End date cannot be before the start date', 'warning');
+            return;
+        }
+
+        if (generate) {
+            if (!details.campaign) {
+                this.showToast('Generated codes need a campaign name', 'warning');
+                return;
+            }
+            if (!prefix || isNaN(count) || count < 1 || count > 500) {
+                this.showToast('Enter a code prefix and between 1 and 500 codes', 'warning');
+                return;
+            }
+        } else {
+            if (!/^[A-Z0-9-]{3,20}$/.test(code)) {
+                this.showToast('Coupon codes are 3-20 letters, digits or dashes', 'warning');
+                return;
+            }
+            if (this.findCoupon(code)) {
+                this.showToast(`Coupon ${code} already exists`, 'warning');
+                return;
+            }
+        }
+
+        const approver = await this.authorize('coupon.manage', generate ? `Generate ${count} coupons for ${details.campaign}` : `Add coupon ${code}`);
+        if (!approver) return;
+
+        const lastId = this.coupons.reduce((max, coupon) => Math.max(max, coupon.id), 0);
+        let nextId = Math.max(Date.now(), lastId + 1);
+        const createdAt = new Date().toISOString();
+        // Generated codes are single-use
+        const codes = generate ? Array.from({ length: count }, () => null) : [code];
+        const created = codes.map(value => {
+            const coupon = {
+                id: nextId++,
+                code: value || this.generateCouponCode(prefix),
+                ...details,
+                maxUses: generate ? 1 : details.maxUses,
+                generated: generate,
+                active: true,
+                createdAt,
+                createdBy: this.currentUser ? this.currentUser.username : ''
+            };
+            this.coupons.push(coupon);
+            return coupon;
+        });
+
+        this.recordAudit(generate ? 'coupon.generate' : 'coupon.create', generate ? details.campaign : code, {
+            after: { ...details, codes: created.length },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+
+        if (generate) {
+            this.downloadCouponCodes(created);
+        }
+        document.getElementById('couponForm').reset();
+        this.updateCouponFormMode();
+        this.renderCouponList();
+        this.renderCampaignReport();
+        this.showToast(generate ? `Generated ${created.length} codes for ${details.campaign}` : `Coupon ${code} added`, 'success');
+    }
+
+    // Campaign codes are handed out from this file
+    downloadCouponCodes(coupons) {
+        const csvContent = [['Code', 'Campaign', 'Discount', 'Valid From', 'Valid Until', 'Minimum Basket'], ...coupons.map(coupon => [
+            coupon.code,
+            coupon.campaign,
+            this.describeCouponDiscount(coupon),
+            coupon.startDate,
+            coupon.endDate,
+            coupon.minBasket.toFixed(2)
+        ])].map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',')).join('\n');
+
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.setAttribute('href', URL.createObjectURL(blob));
+        link.setAttribute('download', `coupons_${coupons[0].campaign.replace(/\W+/g, '_')}_${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    async toggleCoupon(couponId) {
+        const coupon = this.coupons.find(c => c.id === couponId);
+        if (!coupon) return;
+
+        const approver = await this.authorize('coupon.manage', `${coupon.active ? 'Withdraw' : 'Reinstate'} coupon ${coupon.code}`);
+        if (!approver) return;
+
+        coupon.active = !coupon.active;
+        this.recordAudit('coupon.update', coupon.code, {
+            before: { active: !coupon.active },
+            after: { active: coupon.active },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+        this.renderCouponList();
+    }
+
+    async deleteCoupon(couponId) {
+        const coupon = this.coupons.find(c => c.id === couponId);
+        if (!coupon) return;
+
+        // Redeemed coupons stay for the campaign figures; withdraw them instead
+        if (this.getCouponRedemptions(coupon.id).length > 0) {
+            this.showToast(`Coupon ${coupon.code} has been used; withdraw it instead`, 'warning');
+            return;
+        }
+
+        if (!confirm(`Delete coupon ${coupon.code}?`)) return;
+
+        const approver = await this.authorize('coupon.manage', `Delete coupon ${coupon.code}`);
+        if (!approver) return;
+
+        this.coupons = this.coupons.filter(c => c.id !== couponId);
+        this.recordAudit('coupon.delete', coupon.code, { before: { campaign: coupon.campaign }, approvedBy: this.getApproval(approver) });
+        this.saveData();
+        this.renderCouponList();
+        this.renderCampaignReport();
+    }
+
+    // Product Modal
+    openProductModal(productId = null) {
+        const modal = document.getElementById('productModal');
+        const modalTitle = document.getElementById('modalTitle');
+        const form = document.getElementById('productForm');
+
+        if (productId) {
+            const product = this.products.find(p => p.id === productId);
+            modalTitle.textContent = 'Edit Product';
+            document.getElementById('productName').value = product.name;
+            document.getElementById('productCategory').value = product.categoryId || '';
+            document.getElementById('productPrice').value = product.price;
+            document.getElementById('productCost').value = product.cost ?? '';
+            document.getElementById('productStock').value = product.stock;
+            document.getElementById('productBarcode').value = product.barcode || '';
+            document.getElementById('productDescription').value = product.description || '';
+            document.getElementById('productQuickKey').value = product.quickKey || '';
+            document.getElementById('productTaxRate').value = product.taxRate ?? '';
+            document.getElementById('productHSN').value = product.hsn || '';
+            document.getElementById('productExtraBarcodes').value = (product.barcodes || []).map(b => `${b.code}, ${b.packQty}`).join('\n');
+            document.getElementById('productPLU').value = product.plu || '';
+            this.populateSupplierSelect('productSupplier', product.supplierId);
+            document.getElementById('productMinStock').value = product.minStock ?? '';
+            document.getElementById('productMaxStock').value = product.maxStock ?? '';
+            document.getElementById('productReorderQty').value = product.reorderQty ?? '';
+            document.getElementById('productLeadTime').value = product.leadTimeDays ?? '';
+            document.getElementById('productTrackBatches').checked = !!product.trackBatches;
+            document.getElementById('productVariantAxes').value = this.formatVariantAxes(product.variantAxes);
+            this.editingVariants = (product.variants || []).map(variant => ({ ...variant, options: { ...variant.options } }));
+            this.currentEditId = productId;
+        } else {
+            modalTitle.textContent = 'Add Product';
+            form.reset();
+            this.populateSupplierSelect('productSupplier');
+            this.editingVariants = [];
+            this.currentEditId = null;
+        }
+
+        this.renderVariantEditor();
+        this.updateProductBatchFields();
+        modal.style.display = 'block';
+    }
+
+    // The opening batch only applies to new products; stock arrives in batches through receipts after that
+    updateProductBatchFields() {
+        const tracked = document.getElementById('productTrackBatches').checked;
+        document.getElementById('productBatchFields').style.display = tracked && !this.currentEditId ? 'flex' : 'none';
+    }
+
+    closeProductModal() {
+        document.getElementById('productModal').style.display = 'none';
+        document.getElementById('productForm').reset();
+        this.editingVariants = [];
+        this.renderVariantEditor();
+        this.currentEditId = null;
+    }
+
+    async saveProduct() {
+        const editId = this.currentEditId;
+        const name = document.getElementById('productName').value;
+        const categoryId = parseInt(document.getElementById('productCategory').value) || null;
+        const price = parseFloat(document.getElementById('productPrice').value);
+        const costValue = document.getElementById('productCost').value;
+        const cost = costValue === '' ? null : parseFloat(costValue);
+        let stock = parseInt(document.getElementById('productStock').value);
+        const barcode = document.getElementById('productBarcode').value.trim();
+        const barcodes = this.parseExtraBarcodes(document.getElementById('productExtraBarcodes').value);
+        const plu = document.getElementById('productPLU').value.trim();
+        const description = document.getElementById('productDescription').value;
+        const quickKey = parseInt(document.getElementById('productQuickKey').value) || null;
+        const taxRateValue = document.getElementById('productTaxRate').value;
+        const taxRate = taxRateValue === '' ? null : parseFloat(taxRateValue);
+        const hsn = document.getElementById('productHSN').value.trim();
+        const supplierId = parseInt(document.getElementById('productSupplier').value) || null;
+        const readLevel = id => {
+            const value = document.getElementById(id).value.trim();
+            if (value === '') {
+                return null;
+            }
+            // Reject decimals and stray characters rather than truncating them
+            const number = Number(value);
+            return Number.isInteger(number) ? number : NaN;
+        };
+        const minStock = readLevel('productMinStock');
+        const maxStock = readLevel('productMaxStock');
+        const reorderQty = readLevel('productReorderQty');
+        const leadTimeDays = readLevel('productLeadTime');
+        const trackBatches = document.getElementById('productTrackBatches').checked;
+        const variantAxes = this.parseVariantAxes(document.getElementById('productVariantAxes').value);
+        const variants = this.collectVariants();
+
+        if (!variants) {
+            this.showToast('Each variant needs a valid stock quantity and price', 'warning');
+            return;
+        }
+        if (variants.length > 0) {
+            stock = variants.reduce((sum, variant) => sum + variant.stock, 0);
+        }
+
+        if (!name || !categoryId || isNaN(price) || isNaN(stock)) {
+            this.showToast('Please fill all required fields', 'warning');
+            return;
+        }
+
+        if (cost !== null && (isNaN(cost) || cost < 0)) {
+            this.showToast('Enter a valid cost price', 'warning');
+            return;
+        }
+
+        if ([minStock, maxStock, leadTimeDays].some(level => level !== null && (isNaN(level) || level < 0)) ||
+            (reorderQty !== null && (isNaN(reorderQty) || reorderQty < 1))) {
+            this.showToast('Stock levels, reorder quantity and lead time must be whole numbers', 'warning');
+            return;
+        }
+
+        if (minStock !== null && maxStock !== null && maxStock < minStock) {
+            this.showToast('Maximum stock cannot be below minimum stock', 'warning');
+            return;
+        }
+
+        const barcodeError = this.checkProductBarcodes(editId, barcode, barcodes, plu, variants);
+        if (barcodeError) {
+            this.showToast(barcodeError, 'warning');
+            return;
+        }
+
+        if (trackBatches && variants.length > 0) {
+            this.showToast('Batch tracking is only available for products without variants', 'warning');
+            return;
+        }
+
+        const openingBatch = {
+            code: document.getElementById('productBatchCode').value.trim(),
+            expiryDate: document.getElementById('productBatchExpiry').value
+        };
+        if (trackBatches && !editId && stock > 0 && !openingBatch.expiryDate) {
+            this.showToast('Enter the expiry date of the opening batch', 'warning');
+            return;
+        }
+
+        const existing = this.products.find(p => p.id === editId);
+
+        // Stock only moves through the ledger: saved stock is kept as it is, and new products
+        // and variants start from zero with their entered quantity posted as an opening balance
+        const openingStock = [];
+        if (existing) {
+            if (variants.length > 0 && !this.hasVariants(existing) && existing.stock !== 0) {
+                this.showToast(`Adjust the stock of ${existing.name} to zero before adding variants`, 'warning');
+                return;
+            }
+            const removed = (existing.variants || []).find(v => v.stock !== 0 && !variants.some(n => n.id === v.id));
+            if (removed) {
+                this.showToast(`Adjust ${existing.name} (${this.getVariantLabel(removed)}) to zero before removing it`, 'warning');
+                return;
+            }
+            variants.forEach(variant => {
+                const previous = this.getVariant(existing, variant.id);
+                if (!previous && variant.stock) {
+                    openingStock.push({ variantId: variant.id, quantity: variant.stock });
+                }
+                variant.stock = previous ? previous.stock : 0;
+            });
+            stock = variants.length > 0 ? variants.reduce((sum, variant) => sum + variant.stock, 0) : existing.stock;
+        } else {
+            if (variants.length > 0) {
+                variants.forEach(variant => {
+                    if (variant.stock) {
+                        openingStock.push({ variantId: variant.id, quantity: variant.stock });
+                    }
+                    variant.stock = 0;
+                });
+            } else if (stock) {
+                openingStock.push({ variantId: null, quantity: stock });
+            }
+            stock = 0;
+        }
+
+        const variantChanged = (field) => existing && variants.some(variant => {
+            const previous = this.getVariant(existing, variant.id);
+            return (previous ? previous[field] : null) !== variant[field];
+        });
+        const required = existing
+            ? ['product.edit']
+                .concat(existing.price !== price || variantChanged('price') ? ['price.override'] : [])
+                .concat(openingStock.length > 0 ? ['stock.adjust'] : [])
+            : ['product.create'];
+        const approvals = [];
+        for (const permission of required) {
+            const approver = await this.authorize(permission, existing ? `Edit ${existing.name}` : `Add ${name}`);
+            if (!approver) return;
+            approvals.push(this.getApproval(approver));
+        }
+        const approvedBy = approvals.filter(Boolean).join(', ') || null;
+
+        if (editId) {
+            // Edit existing product
+            const product = this.products.find(p => p.id === editId);
+            const before = { ...product };
+            product.name = name;
+            product.categoryId = categoryId;
+            product.price = price;
+            product.cost = cost;
+            product.stock = stock;
+            product.barcode = barcode;
+            product.barcodes = barcodes;
+            product.plu = plu;
+            product.description = description;
+            product.quickKey = quickKey;
+            product.taxRate = taxRate;
+            product.hsn = hsn;
+            product.supplierId = supplierId;
+            product.minStock = minStock;
+            product.maxStock = maxStock;
+            product.reorderQty = reorderQty;
+            product.leadTimeDays = leadTimeDays;
+            product.trackBatches = trackBatches;
+            product.batches = product.batches || [];
+            product.variantAxes = variants.length > 0 ? variantAxes : [];
+            product.variants = variants;
+            this.postOpeningStock(product, openingStock, approvedBy);
+            this.recordAudit('product.update', product.name, { ...this.diffForAudit(before, product), approvedBy });
+            this.showToast('Product updated successfully', 'success');
+        } else {
+            // Add new product
+            const newProduct = {
+                id: Date.now(),
+                name,
+                categoryId,
+                price,
+                cost,
+                stock,
+                barcode,
+                barcodes,
+                plu,
+                description,
+                quickKey,
+                taxRate,
+                hsn,
+                supplierId,
+                minStock,
+                maxStock,
+                reorderQty,
+                leadTimeDays,
+                trackBatches,
+                batches: [],
+                variantAxes: variants.length > 0 ? variantAxes : [],
+                variants
+            };
+            if (trackBatches && openingStock.length > 0) {
+                const batch = this.createBatch(newProduct, { ...openingBatch, reference: 'Opening stock' });
+                openingStock[0].batches = [{ id: batch.id, quantity: openingStock[0].quantity }];
+            }
+            this.products.push(newProduct);
+            this.postOpeningStock(newProduct, openingStock, approvedBy);
+            this.recordAudit('product.create', name, { after: { ...newProduct }, approvedBy });
+            this.showToast('Product added successfully', 'success');
+        }
+
+        this.saveData();
+        this.renderProducts();
+        this.renderInventory();
+        this.closeProductModal();
+    }
+
+    checkProductBarcodes(productId, barcode, barcodes, plu, variants = []) {
+        const variantBarcodes = variants.map(variant => variant.barcode).filter(Boolean);
+        const codes = (barcode ? [barcode] : []).concat(barcodes.map(b => b.code), variantBarcodes);
+
+        for (const code of codes) {
+            const validation = this.validateBarcode(code);
+            if (!validation.valid) {
+                return validation.message;
+            }
+        }
+
+        if (new Set(codes).size !== codes.length) {
+            return 'The same barcode is listed more than once';
+        }
+
+        const otherProducts = this.products.filter(p => p.id !== productId);
+        for (const code of codes) {
+            const variants = this.getBarcodeVariants(code);
+            const owner = otherProducts.find(p => this.getProductBarcodes(p).some(b => variants.includes(b.code)));
+            if (owner) {
+                return `Barcode ${code} is already assigned to ${owner.name}`;
+            }
+        }
+
+        const skus = variants.map(variant => variant.sku).filter(Boolean);
+        if (new Set(skus).size !== skus.length) {
+            return 'The same SKU is used by more than one variant';
+        }
+        for (const sku of skus) {
+            if (codes.includes(sku)) {
+                return `SKU ${sku} is also used as a barcode`;
+            }
+            const owner = otherProducts.find(p => this.getProductBarcodes(p).some(b => b.code === sku));
+            if (owner) {
+                return `SKU ${sku} is already assigned to ${owner.name}`;
+            }
+        }
+
+        if (plu) {
+            if (!/^\d{1,5}$/.test(plu)) {
+                return 'Scale PLU must be up to 5 digits';
+            }
+            const owner = otherProducts.find(p => p.plu && p.plu.padStart(5, '0') === plu.padStart(5, '0'));
+            if (owner) {
+                return `Scale PLU ${plu} is already assigned to ${owner.name}`;
+            }
+        }
+
+        return null;
+    }
+
+    // Product Variants
+    hasVariants(product) {
+        return !!product && Array.isArray(product.variants) && product.variants.length > 0;
+    }
+
+    getVariant(product, variantId) {
+        if (!product || !variantId) return null;
+        return (product.variants || []).find(v => v.id === variantId) || null;
+    }
+
+    getVariantLabel(variant) {
+        return Object.values(variant.options || {}).join(' / ');
+    }
+
+    // A variant without its own price sells at the parent price
+    getVariantPrice(product, variant) {
+        return variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price;
+    }
+
+    formatPriceRange(product) {
+        if (!this.hasVariants(product)) {
+            return `₹${product.price.toFixed(2)}`;
+        }
+        const prices = product.variants.map(variant => this.getVariantPrice(product, variant));
+        const min = Math.min(...prices);
+        const max = Math.max(...prices);
+        return min === max ? `₹${min.toFixed(2)}` : `₹${min.toFixed(2)} – ₹${max.toFixed(2)}`;
+    }
+
+    getAvailableStock(productId, variantId = null) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return 0;
+        if (variantId) {
+            const variant = this.getVariant(product, variantId);
+            return variant ? variant.stock : 0;
+        }
+        return product.stock;
+    }
+
+    // Moves stock for a product or one of its variants; the parent keeps the variant total
+    adjustStock(productId, variantId, delta) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        const variant = this.getVariant(product, variantId);
+        if (variant) {
+            variant.stock = Math.round((variant.stock + delta) * 1000) / 1000;
+            this.syncVariantStock(product);
+        } else {
+            product.stock = Math.round((product.stock + delta) * 1000) / 1000;
+        }
+    }
+
+    syncVariantStock(product) {
+        if (this.hasVariants(product)) {
+            product.stock = Math.round(product.variants.reduce((sum, v) => sum + v.stock, 0) * 1000) / 1000;
+        }
+    }
+
+    // One axis per line: "Size: S, M, L"
+    parseVariantAxes(text) {
+        return (text || '').split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [name, values = ''] = line.split(':');
+                return {
+                    name: name.trim(),
+                    values: [...new Set(values.split(',').map(v => v.trim()).filter(Boolean))]
+                };
+            })
+            .filter(axis => axis.name && axis.values.length > 0);
+    }
+
+    formatVariantAxes(axes) {
+        return (axes || []).map(axis => `${axis.name}: ${axis.values.join(', ')}`).join('\n');
+    }
+
+    buildVariantCombinations(axes) {
+        return axes.reduce((combinations, axis) => combinations.flatMap(options =>
+            axis.values.map(value => ({ ...options, [axis.name]: value }))
+        ), [{}]);
+    }
+
+    generateVariants() {
+        this.editingVariants = this.readVariantEditor();
+        const axes = this.parseVariantAxes(document.getElementById('productVariantAxes').value);
+        if (axes.length === 0) {
+            if (this.editingVariants.length > 0 && !confirm('Remove all variants from this product?')) {
+                return;
+            }
+            this.editingVariants = [];
+            this.renderVariantEditor();
+            return;
+        }
+
+        // Keep what was already entered for combinations that still exist
+        const sameOptions = (a, b) => Object.keys(a).length === Object.keys(b).length &&
+            Object.keys(a).every(key => a[key] === b[key]);
+        const baseId = Date.now().toString(36);
+        this.editingVariants = this.buildVariantCombinations(axes).map((options, index) =>
+            this.editingVariants.find(v => sameOptions(v.options, options)) ||
+            { id: `v${baseId}${index}`, options, sku: '', barcode: '', price: null, stock: 0 }
+        );
+        this.renderVariantEditor();
+    }
+
+    renderVariantEditor() {
+        const editor = document.getElementById('variantEditor');
+        const stockInput = document.getElementById('productStock');
+        const hasVariants = this.editingVariants.length > 0;
+
+        const saved = this.products.find(p => p.id === this.currentEditId);
+        const hint = document.getElementById('productStockHint');
+
+        // Saved stock is changed from the stock card, with a reason code
+        stockInput.readOnly = hasVariants || !!saved;
+        hint.textContent = hasVariants
+            ? 'Stock is the total of the variants below.'
+            : 'Use Adjust Stock on the stock card to change saved stock.';
+        hint.style.display = hasVariants || saved ? 'block' : 'none';
+
+        if (!hasVariants) {
+            editor.innerHTML = '';
+            return;
+        }
+
+        editor.innerHTML = `
+            <table class="variant-table">
+                <thead>
+                    <tr><th>Variant</th><th>SKU</th><th>Barcode</th><th>Price</th><th>Stock</th></tr>
+                </thead>
+                <tbody>
+                    ${this.editingVariants.map(variant => `
+                        <tr data-variant-id="${variant.id}">
+                            <td>${this.getVariantLabel(variant)}</td>
+                            <td><input type="text" class="variant-sku" value="${variant.sku || ''}"></td>
+                            <td><input type="text" class="variant-barcode" value="${variant.barcode || ''}"></td>
+                            <td><input type="number" class="variant-price" step="0.01" min="0" placeholder="Parent" value="${variant.price ?? ''}"></td>
+                            <td><input type="number" class="variant-stock" min="0" value="${variant.stock}" ${this.getVariant(saved, variant.id) ? 'readonly' : ''}></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        this.updateVariantStockTotal();
+    }
+
+    // Reads the editor rows without validating them
+    readVariantEditor() {
+        return this.editingVariants.map(variant => {
+            const row = document.querySelector(`#variantEditor tr[data-variant-id="${variant.id}"]`);
+            if (!row) return variant;
+            const priceValue = row.querySelector('.variant-price').value;
+            return {
+                ...variant,
+                sku: row.querySelector('.variant-sku').value.trim(),
+                barcode: row.querySelector('.variant-barcode').value.trim(),
+                price: priceValue === '' ? null : parseFloat(priceValue),
+                stock: parseInt(row.querySelector('.variant-stock').value)
+            };
+        });
+    }
+
+    // Returns the edited variants, or null when a row is invalid
+    collectVariants() {
+        const variants = this.readVariantEditor();
+        const invalid = variants.some(variant =>
+            isNaN(variant.stock) || variant.stock < 0 ||
+            (variant.price !== null && (isNaN(variant.price) || variant.price < 0))
+        );
+        return invalid ? null : variants;
+    }
+
+    updateVariantStockTotal() {
+        if (this.editingVariants.length === 0) return;
+        const total = this.readVariantEditor().reduce((sum, variant) => sum + (variant.stock || 0), 0);
+        document.getElementById('productStock').value = total;
+    }
+
+    openVariantPicker(productId, target = 'billing') {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        this.variantPicker = { productId, target };
+        document.getElementById('variantModalTitle').textContent = `Choose ${product.name}`;
+        document.getElementById('variantOptions').innerHTML = product.variants.map(variant => `
+            <button type="button" class="variant-option" data-variant-id="${variant.id}" ${variant.stock <= 0 ? 'disabled' : ''}>
+                <span class="variant-option-label">${this.getVariantLabel(variant)}</span>
+                <span class="variant-option-price">₹${this.getVariantPrice(product, variant).toFixed(2)}</span>
+                <span class="variant-option-stock">${variant.stock > 0 ? `${variant.stock} in stock` : 'Out of stock'}</span>
+            </button>
+        `).join('');
+        document.getElementById('variantModal').style.display = 'block';
+    }
+
+    // Stock Ledger
+    // Every stock change is a movement: sale, return, receipt, adjustment, damage, theft or transfer.
+    // product.stock (variant.stock for variants) is the running total of its movements; it is
+    // updated as movements are posted and rebuilt from the ledger on load.
+    recordStockMovement({ type, productId, variantId = null, quantity, reference = '', reason = '', note = '', batches = null, skipExpired = false }, approvedBy = null) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product || !quantity) return null;
+
+        // Outbound stock of a batch-tracked product leaves FEFO unless the batches are given
+        const allocation = this.isBatchTracked(product)
+            ? batches || (quantity < 0 ? this.allocateBatches(product, -quantity, skipExpired) : [])
+            : [];
+        allocation.forEach(entry => {
+            const batch = product.batches.find(b => b.id === entry.id);
+            if (batch) {
+                batch.quantity = Math.round((batch.quantity + entry.quantity) * 1000) / 1000;
+            }
+        });
+
+        this.adjustStock(productId, variantId, quantity);
+
+        const last = this.stockMovements[this.stockMovements.length - 1];
+        const movement = {
+            // Time-based so ledgers merged from a backup don't collide
+            id: Math.max(Date.now(), last ? last.id + 1 : 0),
+            date: new Date().toISOString(),
+            productId,
+            variantId: variantId || null,
+            name: this.getStockItemName(productId, variantId),
+            type,
+            quantity,
+            balance: this.getAvailableStock(productId, variantId),
+            reference,
+            reason,
+            note,
+            userId: this.currentUser ? this.currentUser.id : null,
+            username: this.currentUser ? this.currentUser.username : '',
+            approvedBy
+        };
+        if (allocation.length > 0) {
+            movement.batches = allocation.map(entry => {
+                const batch = product.batches.find(b => b.id === entry.id) || {};
+                return { id: entry.id, code: batch.code || '', expiryDate: batch.expiryDate || null, quantity: entry.quantity };
+            });
+        }
+        this.stockMovements.push(movement);
+        return movement;
+    }
+
+    postOpeningStock(product, openingStock, approvedBy = null) {
+        openingStock.forEach(({ variantId, quantity, batches }) => {
+            this.recordStockMovement({ type: 'adjustment', productId: product.id, variantId, quantity, reason: 'OPENING', batches }, approvedBy);
+        });
+    }
+
+    getLedgerKey(productId, variantId = null) {
+        return `${productId}:${variantId || ''}`;
+    }
+
+    getLedgerBalances() {
+        const balances = new Map();
+        this.stockMovements.forEach(movement => {
+            const key = this.getLedgerKey(movement.productId, movement.variantId);
+            balances.set(key, Math.round(((balances.get(key) || 0) + movement.quantity) * 1000) / 1000);
+        });
+        return balances;
+    }
+
+    // Sets stock from the ledger. Stock with no movements yet (saved before the ledger existed)
+    // is posted as an opening balance so the ledger accounts for it.
+    syncStockWithLedger() {
+        const balances = this.getLedgerBalances();
+        let openings = 0;
+
+        this.products.forEach(product => {
+            const holders = this.hasVariants(product)
+                ? product.variants.map(variant => ({ variantId: variant.id, holder: variant }))
+                : [{ variantId: null, holder: product }];
+
+            holders.forEach(({ variantId, holder }) => {
+                const key = this.getLedgerKey(product.id, variantId);
+                if (balances.has(key)) {
+                    holder.stock = balances.get(key);
+                } else if (holder.stock) {
+                    const opening = holder.stock;
+                    holder.stock = 0;
+                    this.recordStockMovement({ type: 'adjustment', productId: product.id, variantId, quantity: opening, reason: 'OPENING' });
+                    openings++;
+                }
+            });
+            this.syncVariantStock(product);
+        });
+        this.syncBatchesWithLedger();
+
+        if (openings > 0) {
+            this.writeStored('stockMovements', this.stockMovements);
+        }
+    }
+
+    getStockReasonLabel(code) {
+        if (code === 'OPENING') return 'Opening balance';
+        for (const reasons of Object.values(this.stockReasonCodes)) {
+            if (reasons[code]) return reasons[code];
+        }
+        return code || '';
+    }
+
+    openStockCard(productId, variantId = null) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        this.stockCardProductId = productId;
+        document.getElementById('stockCardTitle').textContent = `Stock Card: ${product.name}`;
+        this.renderBatchList(product);
+        document.getElementById('stockCardVariantGroup').style.display = this.hasVariants(product) ? 'block' : 'none';
+        document.getElementById('stockCardVariant').innerHTML = '<option value="">All Variants</option>' +
+            (product.variants || []).map(variant => `<option value="${variant.id}">${this.getVariantLabel(variant)}</option>`).join('');
+        document.getElementById('stockCardVariant').value = variantId || '';
+        document.getElementById('stockCardType').innerHTML = '<option value="">All Movements</option>' +
+            Object.entries(this.stockMovementTypes).map(([type, label]) => `<option value="${type}">${label}</option>`).join('');
+
+        this.renderStockCard();
+        document.getElementById('stockCardModal').style.display = 'block';
+    }
+
+    renderStockCard() {
+        const productId = this.stockCardProductId;
+        const variantId = document.getElementById('stockCardVariant').value || null;
+        const type = document.getElementById('stockCardType').value;
+
+        // The balance runs over every movement in scope, before the type filter is applied
+        let balance = 0;
+        const movements = this.stockMovements
+            .filter(m => m.productId === productId && (!variantId || m.variantId === variantId))
+            .map(m => {
+                balance = Math.round((balance + m.quantity) * 1000) / 1000;
+                return { ...m, runningBalance: balance };
+            });
+        const shown = movements.filter(m => !type || m.type === type);
+        const totalIn = shown.filter(m => m.quantity > 0).reduce((sum, m) => sum + m.quantity, 0);
+        const totalOut = shown.filter(m => m.quantity < 0).reduce((sum, m) => sum - m.quantity, 0);
+
+        document.getElementById('stockCardSummary').textContent =
+            `On hand: ${this.getAvailableStock(productId, variantId)} | In: ${Math.round(totalIn * 1000) / 1000} | ` +
+            `Out: ${Math.round(totalOut * 1000) / 1000} | ${shown.length} movement${shown.length === 1 ? '' : 's'}`;
+
+        const body = document.getElementById('stockCardBody');
+        if (shown.length === 0) {
+            body.innerHTML = '<tr><td colspan="8" class="empty-state">No stock movements</td></tr>';
+            return;
+        }
+
+        body.innerHTML = shown.slice().reverse().map(m => `
+            <tr>
+                <td>${new Date(m.date).toLocaleString()}</td>
+                <td>${this.stockMovementTypes[m.type] || m.type}${!variantId && m.variantId ? `<br><small>${m.name}</small>` : ''}</td>
+                <td>${m.reference || '-'}</td>
+                <td>${[this.getStockReasonLabel(m.reason), m.note].filter(Boolean).join(' — ') || '-'}${(m.batches || []).map(b => `<br><small>Batch ${b.code || '-'}: ${Math.abs(b.quantity)}</small>`).join('')}</td>
+                <td>${m.username || '-'}${m.approvedBy ? `<br><small>approved by ${m.approvedBy}</small>` : ''}</td>
+                <td>${m.quantity > 0 ? m.quantity : ''}</td>
+                <td>${m.quantity < 0 ? -m.quantity : ''}</td>
+                <td>${m.runningBalance}</td>
+            </tr>
+        `).join('');
+    }
+
+    openStockAdjustment(productId = null, variantId = null) {
+        const select = document.getElementById('adjustProduct');
+        document.getElementById('stockAdjustForm').reset();
+        select.innerHTML = this.products.flatMap(product =>
+            this.hasVariants(product)
+                ? product.variants.map(variant => `<option value="${product.id}:${variant.id}">${product.name} (${this.getVariantLabel(variant)})</option>`)
+                : [`<option value="${product.id}">${product.name}</option>`]
+        ).join('');
+
+        if (productId) {
+            const product = this.products.find(p => p.id === productId);
+            const variant = this.getVariant(product, variantId) || (this.hasVariants(product) ? product.variants[0] : null);
+            select.value = variant ? `${productId}:${variant.id}` : String(productId);
+        }
+
+        this.updateStockAdjustForm();
+        document.getElementById('stockAdjustModal').style.display = 'block';
+    }
+
+    getSelectedAdjustmentItem() {
+        const [productId, variantId] = document.getElementById('adjustProduct').value.split(':');
+        return { productId: parseInt(productId), variantId: variantId || null };
+    }
+
+    updateStockAdjustForm() {
+        const type = document.getElementById('adjustType').value;
+        const reason = document.getElementById('adjustReason');
+        const direction = document.getElementById('adjustDirection');
+        const { productId, variantId } = this.getSelectedAdjustmentItem();
+
+        reason.innerHTML = '<option value="">Select Reason</option>' +
+            Object.entries(this.stockReasonCodes[type] || {}).map(([code, label]) => `<option value="${code}">${label}</option>`).join('');
+
+        // Damage and theft can only take stock away
+        const outOnly = type === 'damage' || type === 'theft';
+        if (outOnly) {
+            direction.value = 'out';
+        }
+        direction.disabled = outOnly;
+
+        document.getElementById('adjustCurrentStock').textContent = productId
+            ? `Current stock: ${this.getAvailableStock(productId, variantId)}`
+            : '';
+        this.updateAdjustBatchOptions();
+    }
+
+    updateAdjustBatchOptions() {
+        const { productId } = this.getSelectedAdjustmentItem();
+        const product = this.products.find(p => p.id === productId);
+        const direction = document.getElementById('adjustDirection').value;
+        const select = document.getElementById('adjustBatch');
+        const tracked = this.isBatchTracked(product);
+
+        document.getElementById('adjustBatchGroup').style.display = tracked ? 'block' : 'none';
+        if (tracked) {
+            const selected = select.value;
+            const today = this.getToday();
+            select.innerHTML = (direction === 'out'
+                ? '<option value="">Earliest expiry first</option>'
+                : '<option value="">No batch</option><option value="new">New batch...</option>') +
+                this.getFefoBatches(product).map(batch => `
+                    <option value="${batch.id}">${this.formatBatch(batch)}: ${batch.quantity}${this.isBatchExpired(batch, today) ? ' (expired)' : ''}</option>
+                `).join('');
+            if ([...select.options].some(option => option.value === selected)) {
+                select.value = selected;
+            }
+        } else {
+            select.innerHTML = '';
+        }
+
+        document.getElementById('adjustNewBatchFields').style.display = tracked && select.value === 'new' ? 'flex' : 'none';
+    }
+
+    async saveStockAdjustment() {
+        const { productId, variantId } = this.getSelectedAdjustmentItem();
+        const type = document.getElementById('adjustType').value;
+        const direction = document.getElementById('adjustDirection').value;
+        const quantity = parseFloat(document.getElementById('adjustQuantity').value);
+        const reason = document.getElementById('adjustReason').value;
+        const name = this.getStockItemName(productId, variantId);
+        const available = this.getAvailableStock(productId, variantId);
+
+        if (!name) {
+            this.showToast('Select a product', 'warning');
+            return;
+        }
+
+        if (isNaN(quantity) || quantity <= 0) {
+            this.showToast('Enter a quantity greater than zero', 'warning');
+            return;
+        }
+
+        if (!reason) {
+            this.showToast('Choose a reason code for the adjustment', 'warning');
+            return;
+        }
+
+        if (direction === 'out' && quantity > available) {
+            this.showToast(`Only ${available} of ${name} in stock`, 'warning');
+            return;
+        }
+
+        const product = this.products.find(p => p.id === productId);
+        const batchValue = this.isBatchTracked(product) ? document.getElementById('adjustBatch').value : '';
+        const batch = batchValue && batchValue !== 'new' ? product.batches.find(b => b.id === parseInt(batchValue)) : null;
+        const newBatch = {
+            code: document.getElementById('adjustBatchCode').value.trim(),
+            expiryDate: document.getElementById('adjustBatchExpiry').value
+        };
+
+        if (direction === 'out' && batch && quantity > batch.quantity) {
+            this.showToast(`Only ${batch.quantity} of ${name} in batch ${batch.code || this.formatBatch(batch)}`, 'warning');
+            return;
+        }
+
+        if (direction === 'in' && batchValue === 'new' && !newBatch.expiryDate) {
+            this.showToast('Enter the expiry date of the new batch', 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('stock.adjust', `Adjust stock of ${name}`);
+        if (!approver) return;
+
+        let batches = null;
+        if (batchValue === 'new' && direction === 'in') {
+            const created = this.createBatch(product, { ...newBatch, reference: document.getElementById('adjustReference').value.trim() });
+            batches = [{ id: created.id, quantity }];
+        } else if (batch) {
+            batches = [{ id: batch.id, quantity: direction === 'out' ? -quantity : quantity }];
+        }
+
+        const movement = this.recordStockMovement({
+            type,
+            productId,
+            variantId,
+            quantity: direction === 'out' ? -quantity : quantity,
+            reference: document.getElementById('adjustReference').value.trim(),
+            reason,
+            note: document.getElementById('adjustNote').value.trim(),
+            batches
+        }, this.getApproval(approver));
+
+        this.recordAudit('stock.adjust', name, {
+            before: { stock: available },
+            after: { stock: movement.balance, type, reason: this.getStockReasonLabel(reason) },
+            approvedBy: this.getApproval(approver)
+        });
+
+        this.saveData();
+        document.getElementById('stockAdjustModal').style.display = 'none';
+        this.renderProducts();
+        this.renderInventory();
+        if (this.stockCardProductId === productId) {
+            this.renderStockCard();
+        }
+        this.showToast(`${this.stockMovementTypes[type]} posted for ${name}`, 'success');
+    }
+
+    // Batches & Expiry
+    // Products that track batches hold their stock in batches, each with a code, expiry date and
+    // cost. Movements record which batches they touched, so batch quantities are rebuilt from the
+    // ledger like stock is. Stock received before tracking was switched on (or without a batch)
+    // stays unbatched: stock minus the batch total.
+    isBatchTracked(product) {
+        return !!(product && product.trackBatches && !this.hasVariants(product));
+    }
+
+    getToday() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    // A batch can be sold up to and including its expiry date
+    isBatchExpired(batch, today = this.getToday()) {
+        return !!batch.expiryDate && batch.expiryDate < today;
+    }
+
+    getDaysToExpiry(batch) {
+        if (!batch.expiryDate) return null;
+        return Math.round((new Date(`${batch.expiryDate}T00:00:00`) - new Date(`${this.getToday()}T00:00:00`)) / (24 * 60 * 60 * 1000));
+    }
+
+    formatBatch(batch) {
+        return `${batch.code || 'No code'}${batch.expiryDate ? ` (exp ${new Date(`${batch.expiryDate}T00:00:00`).toLocaleDateString()})` : ''}`;
+    }
+
+    // Batches with stock, earliest expiry first; batches without an expiry date go last
+    getFefoBatches(product) {
+        return (product.batches || [])
+            .filter(batch => batch.quantity > 0)
+            .sort((a, b) => (a.expiryDate || '9999-12-31').localeCompare(b.expiryDate || '9999-12-31') || a.id - b.id);
+    }
+
+    getUnbatchedStock(product) {
+        const batched = (product.batches || []).reduce((sum, batch) => sum + batch.quantity, 0);
+        return Math.max(Math.round((product.stock - batched) * 1000) / 1000, 0);
+    }
+
+    getExpiredStock(productId, variantId = null) {
+        const product = this.products.find(p => p.id === productId);
+        if (variantId || !this.isBatchTracked(product)) return 0;
+        const today = this.getToday();
+        return Math.round(product.batches
+            .filter(batch => batch.quantity > 0 && this.isBatchExpired(batch, today))
+            .reduce((sum, batch) => sum + batch.quantity, 0) * 1000) / 1000;
+    }
+
+    // Stock that can go through the till: expired batches are held back
+    getSellableStock(productId, variantId = null) {
+        return Math.max(Math.round((this.getAvailableStock(productId, variantId) - this.getExpiredStock(productId, variantId)) * 1000) / 1000, 0);
+    }
+
+    // Explains why a quantity can't be sold, or returns null when it can
+    getStockShortfallMessage(productId, variantId, quantity) {
+        const sellable = this.getSellableStock(productId, variantId);
+        if (quantity <= sellable) return null;
+
+        const name = this.getStockItemName(productId, variantId) || 'this product';
+        const expired = this.getExpiredStock(productId, variantId);
+        if (expired > 0) {
+            return sellable > 0
+                ? `Only ${sellable} of ${name} can be sold; ${expired} are from expired batches`
+                : `All stock of ${name} is from expired batches and can't be sold`;
+        }
+        return `Insufficient stock for ${name}`;
+    }
+
+    // FEFO allocation of an outbound quantity; whatever the batches can't cover comes from unbatched stock
+    allocateBatches(product, quantity, skipExpired = false) {
+        const today = this.getToday();
+        const allocation = [];
+        let remaining = quantity;
+
+        this.getFefoBatches(product)
+            .filter(batch => !skipExpired || !this.isBatchExpired(batch, today))
+            .forEach(batch => {
+                if (remaining <= 0) return;
+                const take = Math.min(batch.quantity, remaining);
+                allocation.push({ id: batch.id, quantity: -take });
+                remaining = Math.round((remaining - take) * 1000) / 1000;
+            });
+
+        return allocation;
+    }
+
+    createBatch(product, { code = '', expiryDate = '', cost = null, reference = '' }) {
+        const lastId = (product.batches || []).reduce((max, batch) => Math.max(max, batch.id), 0);
+        const batch = {
+            id: Math.max(Date.now(), lastId + 1),
+            code,
+            expiryDate: expiryDate || null,
+            cost,
+            quantity: 0,
+            receivedAt: new Date().toISOString(),
+            reference
+        };
+        product.batches = (product.batches || []).concat(batch);
+        return batch;
+    }
+
+    // Rebuilds batch quantities from the batch allocations recorded on movements
+    syncBatchesWithLedger() {
+        const quantities = new Map();
+        this.stockMovements.forEach(movement => {
+            (movement.batches || []).forEach(entry => {
+                const key = `${movement.productId}:${entry.id}`;
+                quantities.set(key, Math.round(((quantities.get(key) || 0) + entry.quantity) * 1000) / 1000);
+            });
+        });
+
+        this.products.forEach(product => {
+            (product.batches || []).forEach(batch => {
+                batch.quantity = quantities.get(`${product.id}:${batch.id}`) || 0;
+            });
+        });
+    }
+
+    // A restocked return goes back into the batches the line was sold from, net of earlier returns
+    getReturnBatches(sale, lineIndex, quantity) {
+        const item = sale.items[lineIndex];
+        const product = this.products.find(p => p.id === item.id);
+        if (!item.batches || !this.isBatchTracked(product)) return null;
+
+        const returned = new Map();
+        this.sales
+            .filter(s => s.type === 'return' && s.originalSaleId === sale.id)
+            .forEach(returnSale => returnSale.items
+                .filter(returnItem => returnItem.lineIndex === lineIndex && returnItem.restock)
+                .forEach(returnItem => (returnItem.batches || []).forEach(entry => {
+                    returned.set(entry.id, (returned.get(entry.id) || 0) + entry.quantity);
+                })));
+
+        const allocation = [];
+        let remaining = quantity;
+        item.batches.forEach(entry => {
+            if (remaining <= 0 || !product.batches.some(batch => batch.id === entry.id)) return;
+            const room = -entry.quantity - (returned.get(entry.id) || 0);
+            const put = Math.min(room, remaining);
+            if (put > 0) {
+                allocation.push({ id: entry.id, quantity: put });
+                remaining = Math.round((remaining - put) * 1000) / 1000;
+            }
+        });
+        return allocation;
+    }
+
+    // Batches with stock that are expired or expire within the near-expiry window
+    getExpiryAlerts() {
+        const nearExpiryDays = this.settings.inventory.nearExpiryDays;
+        const today = this.getToday();
+
+        return this.products
+            .filter(product => this.isBatchTracked(product))
+            .flatMap(product => this.getFefoBatches(product)
+                .filter(batch => batch.expiryDate && this.getDaysToExpiry(batch) <= nearExpiryDays)
+                .map(batch => ({
+                    id: product.id,
+                    batchId: batch.id,
+                    name: product.name,
+                    batch: batch.code,
+                    expiryDate: batch.expiryDate,
+                    daysToExpiry: this.getDaysToExpiry(batch),
+                    quantity: batch.quantity,
+                    expired: this.isBatchExpired(batch, today)
+                })))
+            .sort((a, b) => a.expiryDate.localeCompare(b.expiryDate));
+    }
+
+    renderBatchList(product) {
+        const container = document.getElementById('stockCardBatches');
+        if (!this.isBatchTracked(product)) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const today = this.getToday();
+        const batches = this.getFefoBatches(product);
+        const unbatched = this.getUnbatchedStock(product);
+
+        container.innerHTML = `
+            <h4>Batches</h4>
+            <table class="orders-table">
+                <thead>
+                    <tr>
+                        <th>Batch / Lot</th>
+                        <th>Expiry</th>
+                        <th>Quantity</th>
+                        <th>Cost</th>
+                        <th>Received</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${batches.map(batch => {
+                        const days = this.getDaysToExpiry(batch);
+                        const state = this.isBatchExpired(batch, today) ? 'expired'
+                            : days !== null && days <= this.settings.inventory.nearExpiryDays ? 'near' : '';
+                        return `
+                            <tr class="${state ? `batch-${state}` : ''}">
+                                <td>${batch.code || '-'}</td>
+                                <td>${batch.expiryDate ? new Date(`${batch.expiryDate}T00:00:00`).toLocaleDateString() : '-'}${state === 'expired' ? ' <small>(expired)</small>' : state === 'near' ? ` <small>(${days} day${days === 1 ? '' : 's'})</small>` : ''}</td>
+                                <td>${batch.quantity}</td>
+                                <td>${batch.cost !== null && batch.cost !== undefined ? `₹${batch.cost.toFixed(2)}` : '-'}</td>
+                                <td>${new Date(batch.receivedAt).toLocaleDateString()}${batch.reference ? `<br><small>${batch.reference}</small>` : ''}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                    ${unbatched > 0 ? `
+                        <tr>
+                            <td>Unbatched</td>
+                            <td>-</td>
+                            <td>${unbatched}</td>
+                            <td>-</td>
+                            <td>-</td>
+                        </tr>
+                    ` : ''}
+                    ${batches.length === 0 && unbatched === 0 ? '<tr><td colspan="5" class="empty-state">No stock in any batch</td></tr>' : ''}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Stock Take
+    // A stock take freezes the expected quantity (and unit value) of every item in scope when it
+    // starts. Counts are additive entries tagged with the counter, so counts from several people,
+    // on this device or imported from another, simply add up. Approval posts each variance
+    // (counted - expected) to the ledger as a count adjustment.
+    getOpenStockTake() {
+        return this.stockTakes.find(session => session.status === 'counting') || null;
+    }
+
+    getNextStockTakeNumber() {
+        const lastNumber = this.stockTakes
+            .reduce((max, session) => Math.max(max, parseInt((session.number || '').replace(/\D/g, '')) || 0), 0);
+        return `ST-${String(lastNumber + 1).padStart(4, '0')}`;
+    }
+
+    // Value of one unit on hand: the cost price, or the selling price when no cost is known
+    getStockUnitValue(productId, variantId = null) {
+        const cost = this.getUnitCost(productId, variantId) ?? this.getLastLandedCost(productId, variantId);
+        if (cost !== null) return cost;
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return 0;
+        return this.getVariantPrice(product, this.getVariant(product, variantId));
+    }
+
+    openStockTakeModal(sessionId = null) {
+        const session = this.stockTakes.find(s => s.id === sessionId) || this.getOpenStockTake();
+        this.viewingStockTakeId = session ? session.id : null;
+
+        this.populateCategorySelects();
+        this.renderStockTake();
+        document.getElementById('stockTakeModal').style.display = 'block';
+    }
+
+    renderStockTake() {
+        const session = this.stockTakes.find(s => s.id === this.viewingStockTakeId);
+        const open = this.getOpenStockTake();
+
+        document.getElementById('stockTakeStart').style.display = open ? 'none' : 'block';
+        document.getElementById('stockTakeSession').style.display = session ? 'block' : 'none';
+        this.renderStockTakeHistory();
+
+        if (!session) return;
+
+        const counting = session.status === 'counting';
+        const counters = [...new Set(session.counts.map(entry => entry.counter))];
+        document.getElementById('stockTakeNumber').textContent = session.number;
+        document.getElementById('stockTakeInfo').textContent = [
+            session.categoryId ? this.getCategoryPath(session.categoryId) : 'All products',
+            `started ${new Date(session.startedAt).toLocaleString()} by ${session.startedBy}`,
+            counters.length > 0 ? `counters: ${counters.join(', ')}` : 'no counts yet',
+            session.status === 'approved' ? `approved by ${session.approvedBy}` : '',
+            session.status === 'cancelled' ? 'cancelled' : ''
+        ].filter(Boolean).join(' · ');
+        document.getElementById('stockTakeCounting').style.display = counting ? 'block' : 'none';
+        document.getElementById('stockTakeApproval').style.display = counting ? 'block' : 'none';
+        document.getElementById('approveStockTakeBtn').style.display = counting ? '' : 'none';
+        document.getElementById('cancelStockTakeBtn').style.display = counting ? '' : 'none';
+        document.getElementById('scanStockTakeBtn').textContent = this.countingStockTakeId === session.id ? 'Stop Scanner Counting' : 'Count with Scanner';
+
+        if (counting) {
+            const itemSelect = document.getElementById('stockTakeItem');
+            const selected = itemSelect.value;
+            itemSelect.innerHTML = session.frozen.map(item => `<option value="${item.key}">${item.name}</option>`).join('');
+            if (selected) itemSelect.value = selected;
+        }
+
+        const zeroUncounted = counting
+            ? document.getElementById('stockTakeZeroUncounted').checked
+            : !!session.zeroUncounted;
+        const variancesOnly = document.getElementById('stockTakeVariancesOnly').checked;
+        const lines = this.getStockTakeLines(session, zeroUncounted);
+        const shown = variancesOnly ? lines.filter(line => line.variance !== 0) : lines;
+        const body = document.getElementById('stockTakeBody');
+
+        body.innerHTML = shown.length === 0
+            ? '<tr><td colspan="7" class="empty-state">No items to show</td></tr>'
+            : shown.map(line => `
+                <tr class="${line.variance === null ? 'stock-take-uncounted' : line.variance !== 0 ? 'stock-take-variance' : ''}">
+                    <td>${line.name}${line.sku ? `<br><small>${line.sku}</small>` : ''}</td>
+                    <td>${line.expected}</td>
+                    <td>${line.counted === null ? 'Not counted' : line.counted}</td>
+                    <td>
+                        ${Object.entries(line.counters).map(([counter, quantity]) => `${counter}: ${quantity}`).join('<br>') || '-'}
+                        ${counting && line.counters[this.currentUser.username] !== undefined ? `
+                            <br><button type="button" class="remove-btn" data-action="undo-count" data-key="${line.key}">Undo my last</button>
+                        ` : ''}
+                    </td>
+                    <td>${line.variance === null ? '-' : line.variance > 0 ? `+${line.variance}` : line.variance}</td>
+                    <td>₹${line.unitValue.toFixed(2)}</td>
+                    <td>${line.variance === null ? '-' : `₹${line.varianceValue.toFixed(2)}`}</td>
+                </tr>
+            `).join('');
+
+        const totals = this.getStockTakeTotals(lines);
+        document.getElementById('stockTakeTotals').textContent =
+            `Counted ${totals.counted} of ${lines.length} items · ${totals.withVariance} with variance · ` +
+            `Gain ${totals.gainQty} units (₹${totals.gainValue.toFixed(2)}) · Loss ${totals.lossQty} units (₹${totals.lossValue.toFixed(2)}) · ` +
+            `Net ${totals.netQty} units (₹${totals.netValue.toFixed(2)})`;
+    }
+
+    renderStockTakeHistory() {
+        const body = document.getElementById('stockTakeHistory');
+        const sessions = this.stockTakes.slice().sort((a, b) => b.id - a.id);
+
+        if (sessions.length === 0) {
+            body.innerHTML = '<tr><td colspan="7" class="empty-state">No stock takes yet</td></tr>';
+            return;
+        }
+
+        const statusLabels = { counting: 'Counting', approved: 'Approved', cancelled: 'Cancelled' };
+        body.innerHTML = sessions.map(session => {
+            const lines = this.getStockTakeLines(session, !!session.zeroUncounted);
+            const totals = this.getStockTakeTotals(lines);
+            return `
+                <tr>
+                    <td>${session.number}</td>
+                    <td>${session.categoryId ? this.getCategoryPath(session.categoryId) : 'All products'}</td>
+                    <td>${new Date(session.startedAt).toLocaleDateString()}</td>
+                    <td>${statusLabels[session.status] || session.status}</td>
+                    <td>${totals.counted} / ${lines.length}</td>
+                    <td>₹${totals.netValue.toFixed(2)}</td>
+                    <td><button type="button" class="btn-small btn-secondary" data-action="view-stock-take" data-stock-take-id="${session.id}">View</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Merges every counter's entries into one line per frozen item; variance is null when uncounted
+    getStockTakeLines(session, zeroUncounted = false) {
+        const counted = new Map();
+        const counters = new Map();
+        const countedAt = new Map();
+
+        session.counts.forEach(entry => {
+            counted.set(entry.key, Math.round(((counted.get(entry.key) || 0) + entry.quantity) * 1000) / 1000);
+            if (entry.at && !(countedAt.get(entry.key) > entry.at)) {
+                countedAt.set(entry.key, entry.at);
+            }
+            const byCounter = counters.get(entry.key) || {};
+            byCounter[entry.counter] = Math.round(((byCounter[entry.counter] || 0) + entry.quantity) * 1000) / 1000;
+            counters.set(entry.key, byCounter);
+        });
+
+        return session.frozen.map(item => {
+            const quantity = counted.has(item.key) ? counted.get(item.key) : (zeroUncounted ? 0 : null);
+            const variance = quantity === null ? null : Math.round((quantity - item.expected) * 1000) / 1000;
+            return {
+                ...item,
+                counted: quantity,
+                // When the last count for the item came in; null for uncounted items zeroed at approval
+                countedAt: countedAt.get(item.key) || null,
+                counters: counters.get(item.key) || {},
+                variance,
+                varianceValue: variance === null ? 0 : this.roundCurrency(variance * item.unitValue)
+            };
+        });
+    }
+
+    getStockTakeTotals(lines) {
+        const round = value => Math.round(value * 1000) / 1000;
+        const measured = lines.filter(line => line.variance !== null);
+        const gains = measured.filter(line => line.variance > 0);
+        const losses = measured.filter(line => line.variance < 0);
+        return {
+            counted: lines.filter(line => Object.keys(line.counters).length > 0).length,
+            withVariance: gains.length + losses.length,
+            gainQty: round(gains.reduce((sum, line) => sum + line.variance, 0)),
+            lossQty: round(-losses.reduce((sum, line) => sum + line.variance, 0)),
+            netQty: round(measured.reduce((sum, line) => sum + line.variance, 0)),
+            gainValue: this.roundCurrency(gains.reduce((sum, line) => sum + line.varianceValue, 0)),
+            lossValue: this.roundCurrency(-losses.reduce((sum, line) => sum + line.varianceValue, 0)),
+            netValue: this.roundCurrency(measured.reduce((sum, line) => sum + line.varianceValue, 0))
+        };
+    }
+
+    // Stock moved on each line between the start of the stock take and the item's count. Movements
+    // after the count already show in the system quantity, so they must not be netted off again.
+    // E.g. frozen at 10, 1 sold, counted 8, then 2 sold: 8 - 10 - (-1) = -1 is posted and the system shows 6, matching the shelf.
+    getStockMovedBeforeCount(session, lines) {
+        const countedAt = new Map(lines.map(line => [line.key, line.countedAt]));
+        const moved = new Map();
+        this.stockMovements.filter(movement => movement.date > session.startedAt).forEach(movement => {
+            const key = this.getLedgerKey(movement.productId, movement.variantId);
+            const until = countedAt.get(key);
+            if (until === undefined || (until !== null && movement.date > until)) return;
+            moved.set(key, Math.round(((moved.get(key) || 0) + movement.quantity) * 1000) / 1000);
+        });
+        return moved;
+    }
+
+    async startStockTake() {
+        if (this.getOpenStockTake()) {
+            this.showToast('Finish or cancel the open stock take first', 'warning');
+            return;
+        }
+
+        const categoryId = parseInt(document.getElementById('stockTakeCategory').value) || null;
+        const approver = await this.authorize('stocktake.approve', 'Start stock take');
+        if (!approver) return;
+
+        // Expected quantities and values are frozen here; later sales don't move them
+        const categoryIds = this.getCategoryDescendantIds(categoryId);
+        const frozen = this.products
+            .filter(product => !categoryId || categoryIds.has(product.categoryId))
+            .flatMap(product => (this.hasVariants(product) ? product.variants : [null]).map(variant => ({
+                key: this.getLedgerKey(product.id, variant ? variant.id : null),
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                name: this.getStockItemName(product.id, variant ? variant.id : null),
+                sku: variant ? variant.sku || '' : product.barcode || '',
+                expected: variant ? variant.stock : product.stock,
+                unitValue: this.getStockUnitValue(product.id, variant ? variant.id : null)
+            })));
+
+        if (frozen.length === 0) {
+            this.showToast('No products in this scope', 'warning');
+            return;
+        }
+
+        const session = {
+            id: Date.now(),
+            number: this.getNextStockTakeNumber(),
+            categoryId,
+            note: document.getElementById('stockTakeNote').value.trim(),
+            status: 'counting',
+            startedAt: new Date().toISOString(),
+            startedBy: this.currentUser.username,
+            frozen,
+            counts: []
+        };
+        this.stockTakes.push(session);
+        this.recordAudit('stocktake.start', session.number, {
+            after: { scope: categoryId ? this.getCategoryPath(categoryId) : 'All products', items: frozen.length },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+
+        this.viewingStockTakeId = session.id;
+        document.getElementById('stockTakeNote').value = '';
+        this.renderStockTake();
+        this.showToast(`${session.number} started with ${frozen.length} items`, 'success');
+    }
+
+    // Adds a counted quantity for the current user; returns false when the item is not in scope
+    addStockTakeCount(productId, variantId, quantity, method = 'manual') {
+        const session = this.getOpenStockTake();
+        if (!session) {
+            this.showToast('No stock take is open', 'warning');
+            return false;
+        }
+
+        const key = this.getLedgerKey(productId, variantId);
+        const item = session.frozen.find(frozenItem => frozenItem.key === key);
+        if (!item) {
+            const product = this.products.find(p => p.id === productId);
+            const message = product && this.hasVariants(product) && !variantId
+                ? `Count ${product.name} by variant: scan the variant barcode or pick it from the list`
+                : `${this.getStockItemName(productId, variantId) || 'This item'} is not part of ${session.number}`;
+            this.showToast(message, 'warning');
+            return false;
+        }
+
+        if (isNaN(quantity) || quantity <= 0) {
+            this.showToast('Enter the quantity counted', 'warning');
+            return false;
+        }
+
+        session.counts.push({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            key,
+            productId,
+            variantId: variantId || null,
+            quantity,
+            counter: this.currentUser.username,
+            method,
+            at: new Date().toISOString()
+        });
+        this.saveData();
+
+        if (this.viewingStockTakeId === session.id && document.getElementById('stockTakeModal').style.display === 'block') {
+            this.renderStockTake();
+        }
+        this.updateStockTakeBanner(`${item.name}: +${quantity}`);
+        return true;
+    }
+
+    addManualStockTakeCount() {
+        const session = this.getOpenStockTake();
+        const key = document.getElementById('stockTakeItem').value;
+        const item = session ? session.frozen.find(frozenItem => frozenItem.key === key) : null;
+        if (!item) return;
+
+        const quantity = parseFloat(document.getElementById('stockTakeQty').value);
+        if (this.addStockTakeCount(item.productId, item.variantId, quantity, 'manual')) {
+            document.getElementById('stockTakeQty').value = '';
+            this.showToast(`Counted ${quantity} × ${item.name}`, 'success');
+        }
+    }
+
+    undoStockTakeCount(key) {
+        const session = this.getOpenStockTake();
+        if (!session) return;
+
+        const index = session.counts.map(entry => entry.key === key && entry.counter === this.currentUser.username).lastIndexOf(true);
+        if (index === -1) return;
+
+        session.counts.splice(index, 1);
+        this.saveData();
+        this.renderStockTake();
+    }
+
+    toggleStockTakeScanning() {
+        const session = this.getOpenStockTake();
+        if (this.countingStockTakeId || !session) {
+            this.countingStockTakeId = null;
+        } else {
+            this.countingStockTakeId = session.id;
+            this.showToast(`Scans in Quick Billing now count towards ${session.number}`, 'info');
+        }
+        this.updateStockTakeBanner();
+        if (document.getElementById('stockTakeModal').style.display === 'block') {
+            this.renderStockTake();
+        }
+    }
+
+    updateStockTakeBanner(lastCount = '') {
+        const banner = document.getElementById('stockTakeBanner');
+        const session = this.stockTakes.find(s => s.id === this.countingStockTakeId && s.status === 'counting');
+        if (!session) {
+            this.countingStockTakeId = null;
+            banner.style.display = 'none';
+            return;
+        }
+
+        const mine = session.counts.filter(entry => entry.counter === this.currentUser.username).length;
+        banner.style.display = 'flex';
+        document.getElementById('stockTakeBannerText').textContent =
+            `Counting ${session.number}: scans are added to the stock take, not the cart (${mine} counts by you)${lastCount ? ` · Last: ${lastCount}` : ''}`;
+    }
+
+    exportCountSheet() {
+        const session = this.getOpenStockTake();
+        if (!session) return;
+
+        const counts = session.counts.filter(entry => entry.counter === this.currentUser.username);
+        if (counts.length === 0) {
+            this.showToast('You have no counts to export', 'warning');
+            return;
+        }
+
+        const sheet = {
+            format: 'retail-pos-count-sheet',
+            version: 1,
+            stockTake: session.number,
+            counter: this.currentUser.username,
+            exportedAt: new Date().toISOString(),
+            counts
+        };
+        const blob = new Blob([JSON.stringify(sheet, null, 2)], { type: 'application/json;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `count_${session.number}_${this.currentUser.username}.json`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        this.showToast(`Exported ${counts.length} counts`, 'success');
+    }
+
+    // Merges a count sheet exported on another device; entries already present are skipped
+    async importCountSheet(file) {
+        const session = this.getOpenStockTake();
+        if (!session || !file) return;
+
+        let sheet;
+        try {
+            sheet = JSON.parse(await file.text());
+        } catch (error) {
+            this.showToast('This file is not a count sheet', 'error');
+            return;
+        }
+
+        if (!sheet || sheet.format !== 'retail-pos-count-sheet' || !Array.isArray(sheet.counts)) {
+            this.showToast('This file is not a count sheet', 'error');
+            return;
+        }
+
+        if (sheet.stockTake !== session.number) {
+            this.showToast(`This count sheet is for ${sheet.stockTake}, not ${session.number}`, 'error');
+            return;
+        }
+
+        const knownIds = new Set(session.counts.map(entry => entry.id));
+        const frozenKeys = new Set(session.frozen.map(item => item.key));
+        const added = sheet.counts.filter(entry =>
+            entry && !knownIds.has(entry.id) && frozenKeys.has(entry.key) && entry.quantity > 0
+        );
+
+        session.counts.push(...added);
+        this.saveData();
+        this.renderStockTake();
+        this.showToast(`Merged ${added.length} counts from ${sheet.counter || 'another counter'}`, 'success');
+    }
+
+    async approveStockTake() {
+        const session = this.getOpenStockTake();
+        if (!session) return;
+
+        const zeroUncounted = document.getElementById('stockTakeZeroUncounted').checked;
+        const lines = this.getStockTakeLines(session, zeroUncounted);
+        const totals = this.getStockTakeTotals(lines);
+        // Sales and receipts keep posting while counting; the count stands for the frozen quantity plus
+        // what moved before the item was counted, so only the remainder is adjusted
+        const movedBeforeCount = this.getStockMovedBeforeCount(session, lines);
+        const changes = lines
+            .filter(line => line.variance !== null)
+            .map(line => ({
+                ...line,
+                adjustment: Math.round((line.counted - line.expected - (movedBeforeCount.get(line.key) || 0)) * 1000) / 1000
+            }))
+            .filter(line => line.adjustment !== 0);
+        // What is actually posted, which differs from the variance report when stock moved during the count
+        const posted = {
+            qty: Math.round(changes.reduce((sum, line) => sum + line.adjustment, 0) * 1000) / 1000,
+            value: this.roundCurrency(changes.reduce((sum, line) => sum + line.adjustment * line.unitValue, 0))
+        };
+
+        if (totals.counted === 0 && !zeroUncounted) {
+            this.showToast('Nothing has been counted yet', 'warning');
+            return;
+        }
+
+        if (!confirm(`Post ${changes.length} adjustments from ${session.number}? Net adjustment ${posted.qty} units (₹${posted.value.toFixed(2)}).`)) {
+            return;
+        }
+
+        const approver = await this.authorize('stocktake.approve', `Approve ${session.number}`);
+        if (!approver) return;
+
+        const approvedBy = this.getApproval(approver);
+        changes.forEach(line => {
+            // recordStockMovement skips products deleted since the count started
+            this.recordStockMovement({
+                type: 'adjustment',
+                productId: line.productId,
+                variantId: line.variantId,
+                quantity: line.adjustment,
+                reference: session.number,
+                reason: 'COUNT',
+                note: 'Stock take'
+            }, approvedBy);
+        });
+
+        session.status = 'approved';
+        session.zeroUncounted = zeroUncounted;
+        session.approvedAt = new Date().toISOString();
+        session.approvedBy = approver.username;
+        if (this.countingStockTakeId === session.id) {
+            this.countingStockTakeId = null;
+            this.updateStockTakeBanner();
+        }
+
+        this.recordAudit('stocktake.approve', session.number, {
+            after: { adjustments: changes.length, netQty: posted.qty, netValue: posted.value },
+            approvedBy
+        });
+        this.saveData();
+        this.renderProducts();
+        this.renderInventory();
+        this.renderStockTake();
+        this.showToast(`${session.number} approved; ${changes.length} adjustments posted`, 'success');
+    }
+
+    async cancelStockTake() {
+        const session = this.getOpenStockTake();
+        if (!session || !confirm(`Cancel ${session.number}? Counts are kept for reference but nothing is posted.`)) {
+            return;
+        }
+
+        const approver = await this.authorize('stocktake.approve', `Cancel ${session.number}`);
+        if (!approver) return;
+
+        session.status = 'cancelled';
+        session.cancelledAt = new Date().toISOString();
+        if (this.countingStockTakeId === session.id) {
+            this.countingStockTakeId = null;
+            this.updateStockTakeBanner();
+        }
+        this.recordAudit('stocktake.cancel', session.number, { approvedBy: this.getApproval(approver) });
+        this.saveData();
+        this.renderStockTake();
+        this.showToast(`${session.number} cancelled`, 'info');
+    }
+
+    async exportStockTakeReport() {
+        const session = this.stockTakes.find(s => s.id === this.viewingStockTakeId);
+        if (!session) return;
+
+        const approver = await this.authorize('export.sales', `Export ${session.number} variance report`);
+        if (!approver) {
+            return;
+        }
+
+        const zeroUncounted = session.status === 'counting'
+            ? document.getElementById('stockTakeZeroUncounted').checked
+            : !!session.zeroUncounted;
+        const csvHeaders = ['Item', 'SKU', 'Expected', 'Counted', 'Variance', 'Unit Value', 'Variance Value', 'Counters'];
+        const csvRows = this.getStockTakeLines(session, zeroUncounted).map(line => [
+            line.name,
+            line.sku,
+            line.expected,
+            line.counted === null ? '' : line.counted,
+            line.variance === null ? '' : line.variance,
+            line.unitValue.toFixed(2),
+            line.variance === null ? '' : line.varianceValue.toFixed(2),
+            Object.entries(line.counters).map(([counter, quantity]) => `${counter}: ${quantity}`).join('; ')
+        ]);
+
+        const csvContent = [csvHeaders, ...csvRows]
+            .map(row => row.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `stock_take_${session.number}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.recordAudit('export.stocktake', session.number, { approvedBy: this.getApproval(approver) });
+        this.showToast('Variance report exported', 'success');
+    }
+
+    editProduct(productId) {
+        this.openProductModal(productId);
+    }
+
+    async deleteProduct(productId) {
+        if (!confirm('Are you sure you want to delete this product?')) {
+            return;
+        }
+
+        const approver = await this.authorize('product.delete', 'Delete product');
+        if (!approver) {
+            return;
+        }
+
+        const product = this.products.find(p => p.id === productId);
+        if (product) {
+            this.recordAudit('product.delete', product.name, { before: { ...product }, approvedBy: this.getApproval(approver) });
+        }
+
+        this.products = this.products.filter(p => p.id !== productId);
+        this.cart = this.cart.filter(item => item.id !== productId);
+        this.quickCart = this.quickCart.filter(item => item.id !== productId);
+        
+        this.saveData();
+        this.renderProducts();
+        this.renderInventory();
+        this.updateCart();
+        this.updateQuickCart();
+        
+        this.showToast('Product deleted successfully', 'success');
+    }
+
+    // Invoice
+    showInvoice(sale) {
+        if (sale.type === 'return') {
+            this.showCreditNote(sale);
+            return;
+        }
+
+        const invoiceContent = document.getElementById('invoiceContent');
+        const date = new Date(sale.date).toLocaleDateString();
+        const time = new Date(sale.date).toLocaleTimeString();
+
+        const shopInfo = this.settings.shop;
+        const invoiceSettings = this.settings.invoice;
+
+        invoiceContent.innerHTML = `
+            <div class="invoice-header">
+                ${invoiceSettings.showLogo && shopInfo.logo ? `<img src="${shopInfo.logo}" alt="Logo" style="max-width: 100px; margin-bottom: 10px;">` : ''}
+                <h2>${shopInfo.name || '🛍️ Retail POS'}</h2>
+                ${shopInfo.address ? `<p>${shopInfo.address}</p>` : ''}
+                ${shopInfo.phone ? `<p>Phone: ${shopInfo.phone}</p>` : ''}
+                ${shopInfo.email ? `<p>Email: ${shopInfo.email}</p>` : ''}
+                ${invoiceSettings.showGST && shopInfo.gst ? `<p>GST: ${shopInfo.gst}</p>` : ''}
+                <p>Invoice #${invoiceSettings.prefix}${sale.id}</p>
+            </div>
+            
+            <div class="invoice-details">
+                <div>
+                    <h4>Customer Information</h4>
+                    <p><strong>Name:</strong> ${this.escapeHtml(sale.customer.name)}</p>
+                    <p><strong>Phone:</strong> ${this.escapeHtml(sale.customer.phone || 'N/A')}</p>
+                    ${sale.customer.state ? `<p><strong>State:</strong> ${this.escapeHtml(sale.customer.state)}</p>` : ''}
+                    ${sale.customer.gstin ? `<p><strong>GSTIN:</strong> ${this.escapeHtml(sale.customer.gstin)}</p>` : ''}
+                </div>
+                <div>
+                    <h4>Invoice Details</h4>
+                    <p><strong>Date:</strong> ${date}</p>
+                    <p><strong>Time:</strong> ${time}</p>
+                </div>
+            </div>
+            
+            <table class="invoice-table">
+                <thead>
+                    <tr>
+                        <th>Product</th>
+                        <th>Quantity</th>
+                        <th>Price</th>
+                        <th>GST</th>
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sale.giftCard ? `
+                        <tr>
+                            <td>Gift Card ${sale.giftCard.code}</td>
+                            <td>1</td>
+                            <td>₹${sale.giftCard.amount.toFixed(2)}</td>
+                            <td>-</td>
+                            <td>₹${sale.giftCard.amount.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${sale.items.map(item => `
+                        <tr>
+                            <td>
+                                ${item.name}
+                                ${item.markdown ? `<div class="invoice-promotion">${this.markdownReasons[item.markdown.reason]}: was ₹${item.listPrice.toFixed(2)}</div>` : ''}
+                                ${(item.promotions || []).map(promotion => `<div class="invoice-promotion">${promotion.name}: -₹${promotion.amount.toFixed(2)}</div>`).join('')}
+                            </td>
+                            <td>${item.quantity}</td>
+                            <td>₹${item.price.toFixed(2)}</td>
+                            <td>${item.taxRate !== undefined ? `${item.taxRate}%` : '-'}</td>
+                            <td>₹${(item.price * item.quantity).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            
+            ${this.renderInvoiceTaxSummary(sale)}
+
+            <div class="invoice-totals">
+                <div>Subtotal: ₹${sale.subtotal.toFixed(2)}</div>
+                ${sale.promotionDiscount ? `<div>Promotions: -₹${sale.promotionDiscount.toFixed(2)}</div>` : ''}
+                ${sale.discount ? `<div>Discount${sale.coupon ? ` ${sale.coupon.code}` : ''}${sale.discountType === 'percentage' ? ` (${sale.discountValue}%)` : ''}: ₹${sale.discount.toFixed(2)}</div>` : ''}
+                ${this.renderInvoiceTaxTotals(sale)}
+                <div class="total">Total: ₹${sale.total.toFixed(2)}</div>
+            </div>
+            
+            ${this.renderInvoicePayments(sale)}
+
+            ${this.renderInvoiceLoyalty(sale)}
+
+            <div style="text-align: center; margin-top: 2rem; color: #666;">
+                <p>${invoiceSettings.footer || 'Thank you for your business!'}</p>
+            </div>
+        `;
+
+        document.getElementById('invoiceModal').style.display = 'block';
+    }
+
+    showCreditNote(creditNote) {
+        const invoiceContent = document.getElementById('invoiceContent');
+        const date = new Date(creditNote.date);
+        const shopInfo = this.settings.shop;
+        const invoiceSettings = this.settings.invoice;
+
+        invoiceContent.innerHTML = `
+            <div class="invoice-header">
+                ${invoiceSettings.showLogo && shopInfo.logo ? `<img src="${shopInfo.logo}" alt="Logo" style="max-width: 100px; margin-bottom: 10px;">` : ''}
+                <h2>${shopInfo.name || '🛍️ Retail POS'}</h2>
+                ${shopInfo.address ? `<p>${shopInfo.address}</p>` : ''}
+                ${invoiceSettings.showGST && shopInfo.gst ? `<p>GST: ${shopInfo.gst}</p>` : ''}
+                <p><strong>Credit Note #${creditNote.creditNoteNumber}</strong></p>
+                <p>Against Invoice #${invoiceSettings.prefix}${creditNote.originalSaleId}</p>
+            </div>
+
+            <div class="invoice-details">
+                <div>
+                    <h4>Customer Information</h4>
+                    <p><strong>Name:</strong> ${this.escapeHtml(creditNote.customer.name)}</p>
+                    <p><strong>Phone:</strong> ${this.escapeHtml(creditNote.customer.phone || 'N/A')}</p>
+                    ${creditNote.customer.gstin ? `<p><strong>GSTIN:</strong> ${this.escapeHtml(creditNote.customer.gstin)}</p>` : ''}
+                </div>
+                <div>
+                    <h4>Return Details</h4>
+                    <p><strong>Date:</strong> ${date.toLocaleDateString()} ${date.toLocaleTimeString()}</p>
+                    <p><strong>Reason:</strong> ${creditNote.reason}</p>
+                </div>
+            </div>
+
+            <table class="invoice-table">
+                <thead>
+                    <tr>
+                        <th>Product</th>
+                        <th>Returned Qty</th>
+                        <th>Restocked</th>
+                        <th>Refund</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${creditNote.items.map(item => `
+                        <tr>
+                            <td>${item.name}</td>
+                            <td>${Math.abs(item.quantity)}</td>
+                            <td>${item.restock ? 'Yes' : 'No'}</td>
+                            <td>₹${Math.abs(item.refundAmount).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <div class="invoice-totals">
+                ${creditNote.tax ? `<div>Tax reversed: ₹${Math.abs(creditNote.tax).toFixed(2)}</div>` : ''}
+                <div class="total">Refund Total: ₹${Math.abs(creditNote.total).toFixed(2)}</div>
+                ${creditNote.payments.map(refund => `
+                    <div>Refunded via ${this.getPaymentMethodLabel(refund.method)}: ₹${Math.abs(refund.amount).toFixed(2)}</div>
+                    ${refund.method === 'creditNote' ? `<div>Credit balance: ₹${(creditNote.creditBalance || 0).toFixed(2)}</div>` : ''}
+                    ${refund.method === 'account' ? `<div>Account balance owed: ₹${refund.balanceAfter.toFixed(2)}</div>` : ''}
+                `).join('')}
+            </div>
+
+            ${this.renderInvoiceLoyalty(creditNote)}
+        `;
+
+        document.getElementById('invoiceModal').style.display = 'block';
+    }
+
+    renderInvoicePayments(sale) {
+        if (!sale.payments || sale.payments.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="invoice-payments">
+                <h4>Payment</h4>
+                ${sale.payments.map(payment => `
+                    <div>${this.getPaymentMethodLabel(payment.method)}${payment.reference ? ` (${payment.reference})` : ''}: ₹${(payment.tendered || payment.amount).toFixed(2)}</div>
+                    ${payment.balanceAfter !== undefined ? `<div><small>${payment.method === 'account' ? 'Account balance owed' : 'Balance left on card'}: ₹${payment.balanceAfter.toFixed(2)}</small></div>` : ''}
+                `).join('')}
+                ${sale.changeDue > 0 ? `<div>Change: ₹${sale.changeDue.toFixed(2)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderInvoiceLoyalty(sale) {
+        if (!sale.loyalty) {
+            return '';
+        }
+
+        const { tier, earned, redeemed, balance } = sale.loyalty;
+        return `
+            <div class="invoice-payments">
+                <h4>Loyalty Points (${this.escapeHtml(tier)})</h4>
+                ${earned ? `<div>${earned > 0 ? 'Earned' : 'Taken back'}: ${Math.abs(earned)}</div>` : ''}
+                ${redeemed ? `<div>${redeemed > 0 ? 'Redeemed' : 'Returned'}: ${Math.abs(redeemed)}</div>` : ''}
+                <div>Balance: ${balance}</div>
+            </div>
+        `;
+    }
+
+    renderInvoiceTaxSummary(sale) {
+        // Sales recorded before the tax engine only have a single tax figure
+        if (!sale.taxSummary || sale.taxSummary.length === 0) {
+            return '';
+        }
+
+        return `
+            <table class="invoice-table tax-summary-table">
+                <thead>
+                    <tr>
+                        <th>HSN/SAC</th>
+                        <th>Rate</th>
+                        <th>Taxable Value</th>
+                        ${sale.interState ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>'}
+                        <th>Total Tax</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sale.taxSummary.map(row => `
+                        <tr>
+                            <td>${row.hsn}</td>
+                            <td>${row.taxRate}%</td>
+                            <td>₹${row.taxableValue.toFixed(2)}</td>
+                            ${sale.interState
+                                ? `<td>₹${row.igst.toFixed(2)}</td>`
+                                : `<td>₹${row.cgst.toFixed(2)} (${row.taxRate / 2}%)</td><td>₹${row.sgst.toFixed(2)} (${row.taxRate / 2}%)</td>`}
+                            <td>₹${row.taxAmount.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderInvoiceTaxTotals(sale) {
+        if (!sale.taxSummary) {
+            return `<div>Tax: ₹${sale.tax.toFixed(2)}</div>`;
+        }
+
+        const sumOf = field => sale.taxSummary.reduce((sum, row) => sum + row[field], 0);
+        const inclusiveNote = sale.pricesIncludeTax ? ' (incl.)' : '';
+
+        if (sale.interState) {
+            return `<div>IGST${inclusiveNote}: ₹${sumOf('igst').toFixed(2)}</div>`;
+        }
+
+        return `
+            <div>CGST${inclusiveNote}: ₹${sumOf('cgst').toFixed(2)}</div>
+            <div>SGST${inclusiveNote}: ₹${sumOf('sgst').toFixed(2)}</div>
+        `;
+    }
+
+    printSale(saleId) {
+        const sale = this.sales.find(s => s.id === saleId);
+        if (sale) {
+            this.showInvoice(sale);
+            // Small delay to ensure modal is rendered before printing
+            setTimeout(() => {
+                window.print();
+            }, 100);
+        } else {
+            this.showToast('Sale not found', 'error');
+        }
+    }
+
+    viewSale(saleId) {
+        const sale = this.sales.find(s => s.id === saleId);
+        if (sale) {
+            this.showInvoice(sale);
+        } else {
+            this.showToast('Sale not found', 'error');
+        }
+    }
+
+    // Returns & Credit Notes
+    getReturnsForSale(saleId) {
+        return this.sales.filter(s => s.type === 'return' && s.originalSaleId === saleId);
+    }
+
+    getReturnedQuantity(saleId, lineIndex) {
+        return this.getReturnsForSale(saleId).reduce((sum, returnSale) => {
+            const line = returnSale.items.find(item => item.lineIndex === lineIndex);
+            return sum + (line ? Math.abs(line.quantity) : 0);
+        }, 0);
+    }
+
+    isFullyReturned(sale) {
+        return sale.items.every((item, index) => this.getReturnedQuantity(sale.id, index) >= item.quantity);
+    }
+
+    getNextCreditNoteNumber() {
+        const lastNumber = this.sales
+            .filter(s => s.type === 'return')
+            .reduce((max, s) => Math.max(max, parseInt((s.creditNoteNumber || '').replace(/\D/g, '')) || 0), 0);
+        return `CN-${String(lastNumber + 1).padStart(4, '0')}`;
+    }
+
+    // Refund value of one unit of a sale line, including its share of discount and tax
+    getUnitRefund(sale, item) {
+        if (item.taxableValue !== undefined) {
+            return (item.taxableValue + item.taxAmount) / item.quantity;
+        }
+
+        // Sales recorded before per-line tax: pro-rate the invoice total
+        return sale.subtotal > 0 ? item.price * (sale.total / sale.subtotal) : item.price;
+    }
+
+    openReturnModal(saleId) {
+        const sale = this.sales.find(s => s.id === saleId);
+        if (!sale || sale.type === 'return') {
+            this.showToast('Sale not found', 'error');
+            return;
+        }
+
+        if (sale.giftCard) {
+            this.showToast(`Gift card sales can't be returned; cancel ${sale.giftCard.code} under Gift Cards instead`, 'info');
+            return;
+        }
+
+        if (this.isFullyReturned(sale)) {
+            this.showToast('All items on this invoice have already been returned', 'info');
+            return;
+        }
+
+        this.returningSaleId = saleId;
+        document.getElementById('returnInvoiceNumber').textContent = `${this.settings.invoice.prefix}${sale.id}`;
+        document.getElementById('returnCustomer').textContent = sale.customer.name || 'Walk-in';
+        document.getElementById('returnReason').value = '';
+        document.getElementById('returnRefundMethod').value = 'cash';
+
+        document.getElementById('returnItemsBody').innerHTML = sale.items.map((item, index) => {
+            const returnable = item.quantity - this.getReturnedQuantity(sale.id, index);
+            return `
+                <tr>
+                    <td>${item.name}</td>
+                    <td>${item.quantity}</td>
+                    <td>${item.quantity - returnable}</td>
+                    <td>₹${this.getUnitRefund(sale, item).toFixed(2)}</td>
+                    <td>
+                        <input type="number" class="return-qty" data-line-index="${index}" min="0" max="${returnable}"
+                            step="${Number.isInteger(item.quantity) ? 1 : 0.001}" value="0" ${returnable <= 0 ? 'disabled' : ''}>
+                    </td>
+                    <td><input type="checkbox" class="return-restock" data-line-index="${index}" checked></td>
+                </tr>
+            `;
+        }).join('');
+
+        this.updateReturnTotal();
+        document.getElementById('returnModal').style.display = 'block';
+    }
+
+    getReturnSelection() {
+        const sale = this.sales.find(s => s.id === this.returningSaleId);
+        const selection = [];
+
+        document.querySelectorAll('.return-qty').forEach(input => {
+            const lineIndex = parseInt(input.dataset.lineIndex);
+            const item = sale.items[lineIndex];
+            const returnable = item.quantity - this.getReturnedQuantity(sale.id, lineIndex);
+            const quantity = Math.min(parseFloat(input.value) || 0, returnable);
+
+            if (quantity > 0) {
+                selection.push({
+                    lineIndex,
+                    item,
+                    quantity,
+                    restock: document.querySelector(`.return-restock[data-line-index="${lineIndex}"]`).checked
+                });
+            }
+        });
+
+        return { sale, selection };
+    }
+
+    updateReturnTotal() {
+        const { sale, selection } = this.getReturnSelection();
+        const total = selection.reduce((sum, line) => sum + this.getUnitRefund(sale, line.item) * line.quantity, 0);
+        document.getElementById('returnRefundTotal').textContent = `₹${this.roundCurrency(total).toFixed(2)}`;
+    }
+
+    async processReturn() {
+        const { sale, selection } = this.getReturnSelection();
+        const reason = document.getElementById('returnReason').value.trim();
+        const refundMethod = document.getElementById('returnRefundMethod').value;
+
+        if (selection.length === 0) {
+            this.showToast('Select at least one item to return', 'warning');
+            return;
+        }
+
+        if (!reason) {
+            this.showToast('Please enter a reason for the return', 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('sale.void', `Return against ${this.settings.invoice.prefix}${sale.id}`);
+        if (!approver) return;
+
+        const items = selection.map(line => {
+            const fraction = line.quantity / line.item.quantity;
+            const scale = value => this.roundCurrency(-(value || 0) * fraction);
+            return {
+                ...line.item,
+                lineIndex: line.lineIndex,
+                quantity: -line.quantity,
+                taxableValue: line.item.taxableValue !== undefined ? scale(line.item.taxableValue) : undefined,
+                cgst: scale(line.item.cgst),
+                sgst: scale(line.item.sgst),
+                igst: scale(line.item.igst),
+                taxAmount: scale(line.item.taxAmount),
+                promotionDiscount: line.item.promotionDiscount ? scale(line.item.promotionDiscount) : undefined,
+                refundAmount: this.roundCurrency(-this.getUnitRefund(sale, line.item) * line.quantity),
+                restock: line.restock,
+                batches: line.restock ? this.getReturnBatches(sale, line.lineIndex, line.quantity) || undefined : undefined
+            };
+        });
+
+        const subtotal = this.roundCurrency(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+        const total = this.roundCurrency(items.reduce((sum, item) => sum + item.refundAmount, 0));
+        const tax = this.roundCurrency(items.reduce((sum, item) => sum + (item.taxAmount || 0), 0));
+        const creditNoteNumber = this.getNextCreditNoteNumber();
+        // The share of the refund that was paid with points goes back as points
+        const paidWithPoints = (sale.payments || [])
+            .filter(payment => payment.method === 'loyalty')
+            .reduce((sum, payment) => sum + payment.amount, 0);
+        const pointsRefund = sale.total > 0 ? this.roundCurrency(paidWithPoints * Math.abs(total) / sale.total) : 0;
+        // Likewise the share bought on account comes off what the customer owes
+        const accountCredit = this.getReturnAccountCredit(sale, total);
+
+        const returnSale = {
+            id: Date.now(),
+            type: 'return',
+            creditNoteNumber,
+            originalSaleId: sale.id,
+            date: new Date().toISOString(),
+            customer: { ...sale.customer },
+            items,
+            subtotal,
+            promotionDiscount: this.roundCurrency(items.reduce((sum, item) => sum + (item.promotionDiscount || 0), 0)),
+            discount: sale.subtotal > 0 ? this.roundCurrency(-(sale.discount || 0) * (Math.abs(subtotal) / sale.subtotal)) : 0,
+            tax,
+            taxSummary: sale.taxSummary ? this.summarizeTaxByHSN(items.filter(item => item.taxableValue !== undefined)) : undefined,
+            interState: sale.interState,
+            pricesIncludeTax: sale.pricesIncludeTax,
+            total,
+            reason,
+            payments: [{
+                method: refundMethod,
+                amount: this.roundCurrency(total + pointsRefund + accountCredit),
+                reference: refundMethod === 'creditNote' ? creditNoteNumber : ''
+            }],
+            // An exchange issues store credit that can be tendered against a new sale
+            creditBalance: refundMethod === 'creditNote' ? -this.roundCurrency(total + pointsRefund + accountCredit) : 0,
+            processedBy: this.currentUser ? this.currentUser.username : '',
+            approvedBy: approver.username
+        };
+
+        // Put restockable items back on the shelf
+        items.filter(item => item.restock).forEach(item => {
+            this.recordStockMovement({
+                type: 'return',
+                productId: item.id,
+                variantId: item.variantId,
+                quantity: -item.quantity,
+                reference: creditNoteNumber,
+                note: reason,
+                batches: item.batches
+            }, this.getApproval(approver));
+        });
+
+        if (pointsRefund > 0) {
+            returnSale.payments.push({ method: 'loyalty', amount: -pointsRefund, reference: 'Points returned' });
+        }
+        this.applyReturnLoyalty(sale, returnSale);
+
+        if (accountCredit > 0) {
+            this.addAccountEntry({
+                customerId: sale.customer.id,
+                type: 'return',
+                amount: -accountCredit,
+                saleId: sale.id,
+                reference: `${this.settings.invoice.prefix}${sale.id}`,
+                note: creditNoteNumber
+            });
+            returnSale.payments.push({
+                method: 'account',
+                amount: -accountCredit,
+                reference: 'Credited to account',
+                balanceAfter: this.getAccountBalance(sale.customer.id)
+            });
+            // Nothing is paid out when the account takes the whole refund
+            returnSale.payments = returnSale.payments.filter(payment => payment.amount !== 0);
+        }
+
+        this.sales.push(returnSale);
+        this.recordAudit('sale.return', creditNoteNumber, {
+            before: { invoice: `${this.settings.invoice.prefix}${sale.id}` },
+            after: { refund: total, method: refundMethod, reason, items: items.map(item => `${item.name} x${-item.quantity}`) },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+
+        document.getElementById('returnModal').style.display = 'none';
+        this.returningSaleId = null;
+
+        this.showInvoice(returnSale);
+        this.renderProducts();
+        this.renderInventory();
+        this.updateReports();
+        this.updateDashboard();
+
+        this.showToast(`Credit note ${creditNoteNumber} issued for ₹${Math.abs(total).toFixed(2)}`, 'success');
+    }
+
+    findCreditNote(creditNoteNumber) {
+        const number = (creditNoteNumber || '').trim().toUpperCase();
+        return this.sales.find(s => s.type === 'return' && s.creditNoteNumber === number) || null;
+    }
+
+    // Deduct credit notes tendered against a completed sale
+    settleCreditNotePayments(sale) {
+        (sale.payments || [])
+            .filter(payment => payment.method === 'creditNote')
+            .forEach(payment => {
+                const creditNote = this.findCreditNote(payment.reference);
+                if (creditNote) {
+                    creditNote.creditBalance = this.roundCurrency(creditNote.creditBalance - payment.amount);
+                }
+            });
+    }
+
+    updateSelectAllCheckbox() {
+        const checkboxes = document.querySelectorAll('.transaction-checkbox');
+        const selectAllCheckbox = document.getElementById('selectAllTransactions');
+        
+        if (checkboxes.length === 0) {
+            selectAllCheckbox.checked = false;
+            return;
+        }
+
+        const checkedCount = Array.from(checkboxes).filter(cb => cb.checked).length;
+        selectAllCheckbox.checked = checkedCount === checkboxes.length;
+        selectAllCheckbox.indeterminate = checkedCount > 0 && checkedCount < checkboxes.length;
+    }
+
+    async exportFilteredTransactions() {
+        const approver = await this.authorize('export.sales', 'Export transactions');
+        if (!approver) {
+            return;
+        }
+
+        const filteredSales = this.getFilteredSales();
+        
+        if (filteredSales.length === 0) {
+            this.showToast('No transactions to export', 'warning');
+            return;
+        }
+
+        // Create CSV content
+        const csvHeaders = ['Invoice ID', 'Date', 'Time', 'Customer Name', 'Customer Phone', 'Items Count', 'Markdowns', 'Subtotal', 'Promotions', 'Discount', 'Coupon', 'Tax', 'Total', 'Payment', 'Change'];
+        const csvRows = filteredSales.map(sale => {
+            const date = new Date(sale.date);
+            return [
+                sale.type === 'return' ? sale.creditNoteNumber : `${this.settings.invoice.prefix}${sale.id}`,
+                date.toLocaleDateString(),
+                date.toLocaleTimeString(),
+                sale.customer.name,
+                sale.customer.phone || '',
+                sale.items.length,
+                sale.items.reduce((sum, item) => sum + (item.markdown ? (item.listPrice - item.price) * item.quantity : 0), 0).toFixed(2),
+                sale.subtotal.toFixed(2),
+                (sale.promotionDiscount || 0).toFixed(2),
+                (sale.discount || 0).toFixed(2),
+                sale.coupon ? sale.coupon.code : '',
+                sale.tax.toFixed(2),
+                sale.total.toFixed(2),
+                (sale.payments || []).map(payment => `${this.getPaymentMethodLabel(payment.method)} ${payment.amount.toFixed(2)}`).join(' + '),
+                (sale.changeDue || 0).toFixed(2)
+            ];
+        });
+
+        const csvContent = [csvHeaders, ...csvRows]
+            .map(row => row.map(field => `"${field}"`).join(','))
+            .join('\n');
+
+        // Download CSV file
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `transactions_${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.recordAudit('export.transactions', `${filteredSales.length} transactions`, {
+            after: { filter: { ...this.currentFilter } },
+            approvedBy: this.getApproval(approver)
+        });
+        this.showToast(`Exported ${filteredSales.length} transactions`, 'success');
+    }
+
+    printSelectedTransactions() {
+        if (this.selectedTransactions.size === 0) {
+            this.showToast('No transactions selected', 'warning');
+            return;
+        }
+
+        const selectedSales = Array.from(this.selectedTransactions)
+            .map(id => this.sales.find(s => s.id === id))
+            .filter(sale => sale);
+
+        if (selectedSales.length === 0) {
+            this.showToast('Selected transactions not found', 'error');
+            return;
+        }
+
+        // For multiple invoices, print them one by one with user confirmation
+        let currentIndex = 0;
+
+        const printNext = () => {
+            if (currentIndex >= selectedSales.length) {
+                this.showToast(`Printed ${selectedSales.length} invoices successfully`, 'success');
+                return;
+            }
+
+            const sale = selectedSales[currentIndex];
+            this.showInvoice(sale);
+
+            setTimeout(() => {
+                // Use a print dialog that allows user to cancel
+                const printConfirmed = confirm(`Print invoice ${currentIndex + 1} of ${selectedSales.length}?\n\nInvoice #${this.settings.invoice.prefix}${sale.id}\nCustomer: ${sale.customer.name}\nTotal: ₹${sale.total.toFixed(2)}\n\nClick OK to print, Cancel to skip.`);
+
+                if (printConfirmed) {
+                    window.print();
+                }
+
+                // Close the modal after printing attempt
+                document.getElementById('invoiceModal').style.display = 'none';
+
+                currentIndex++;
+                // Small delay before showing next invoice
+                setTimeout(printNext, 500);
+            }, 200);
+        };
+
+        this.showToast(`Starting to print ${selectedSales.length} invoices...`, 'info');
+        printNext();
+    }
+
+    // Customer Management
+    // Customers are stored records. Sales keep a snapshot of the customer (name, phone, state, GSTIN)
+    // alongside the customer id, so invoices print as issued while history and totals follow the id.
+    updateCustomers() {
+        this.processCustomerData();
+        this.updateCustomerStats();
+        this.updateCustomersTable(document.getElementById('customerSearch').value);
+        this.populateCustomerSelect();
+    }
+
+    // Order count, spend and visits per customer id, from the sales history
+    processCustomerData() {
+        this.customerStats = new Map();
+
+        this.sales.forEach(sale => {
+            const customerId = sale.customer && sale.customer.id;
+            if (!customerId) return;
+
+            if (!this.customerStats.has(customerId)) {
+                this.customerStats.set(customerId, {
+                    totalOrders: 0,
+                    totalSpent: 0,
+                    lastVisit: null,
+                    firstVisit: null,
+                    orders: []
+                });
+            }
+
+            const stats = this.customerStats.get(customerId);
+            // Returns carry a negative total, so they net off lifetime spend without counting as an order
+            if (sale.type !== 'return') {
+                stats.totalOrders += 1;
+            }
+            stats.totalSpent += sale.total;
+            stats.orders.push({
+                id: sale.id,
+                date: sale.date,
+                total: sale.total,
+                items: sale.items.length,
+                creditNoteNumber: sale.creditNoteNumber
+            });
+
+            const saleDate = new Date(sale.date);
+            if (!stats.lastVisit || saleDate > new Date(stats.lastVisit)) {
+                stats.lastVisit = sale.date;
+            }
+            if (!stats.firstVisit || saleDate < new Date(stats.firstVisit)) {
+                stats.firstVisit = sale.date;
+            }
+        });
+    }
+
+    getCustomerStats(customerId) {
+        if (!this.customerStats) {
+            this.processCustomerData();
+        }
+        return this.customerStats.get(customerId) || { totalOrders: 0, totalSpent: 0, lastVisit: null, firstVisit: null, orders: [] };
+    }
+
+    getCustomer(customerId) {
+        return this.customers.find(c => c.id === customerId) || null;
+    }
+
+    // Phone numbers are compared on their last ten digits so +91 and spacing don't matter
+    normalizePhone(phone) {
+        return String(phone || '').replace(/\D/g, '').slice(-10);
+    }
+
+    findCustomerByPhone(phone, excludeId = null) {
+        const digits = this.normalizePhone(phone);
+        if (!digits) return null;
+        return this.customers.find(c => c.id !== excludeId && this.normalizePhone(c.phone) === digits) || null;
+    }
+
+    createCustomer(details) {
+        const lastId = this.customers.reduce((max, customer) => Math.max(max, customer.id), 0);
+        const now = new Date().toISOString();
+        const customer = {
+            id: Math.max(Date.now(), lastId + 1),
+            name: details.name || '',
+            phone: details.phone || '',
+            email: details.email || '',
+            address: details.address || '',
+            state: details.state || '',
+            gstin: details.gstin || '',
+            notes: details.notes || '',
+            tags: details.tags || [],
+            consent: { email: false, sms: false, ...(details.consent || {}) },
+            creditLimit: details.creditLimit || 0,
+            createdAt: details.createdAt || now,
+            updatedAt: now
+        };
+        this.customers.push(customer);
+        return customer;
+    }
+
+    // Matches by phone, or by name when there is no phone; otherwise a new customer is created.
+    // Returns null for walk-in sales with neither.
+    findOrCreateCustomer({ name = '', phone = '', state = '' }, createdAt = null) {
+        name = name.trim();
+        phone = phone.trim();
+        if (!name && !phone) return null;
+
+        const existing = phone
+            ? this.findCustomerByPhone(phone)
+            : this.customers.find(c => !c.phone && c.name.toLowerCase() === name.toLowerCase());
+        if (existing) return existing;
+
+        return this.createCustomer({ name: name || phone, phone, state, createdAt });
+    }
+
+    // Sales recorded before customers were stored only carry a name and phone
+    migrateCustomers() {
+        let changed = false;
+        this.sales
+            .slice()
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .forEach(sale => {
+                if (!sale.customer || sale.customer.id) return;
+                const customer = this.findOrCreateCustomer(sale.customer, sale.date);
+                if (customer) {
+                    sale.customer.id = customer.id;
+                    changed = true;
+                }
+            });
+        return changed;
+    }
+
+    // The sale snapshot for a customer, with the GST state entered at the till taking precedence
+    getCustomerSnapshot(customer, state = '') {
+        return {
+            id: customer.id,
+            name: customer.name,
+            phone: customer.phone,
+            state: state || customer.state || '',
+            ...(customer.gstin ? { gstin: customer.gstin } : {})
+        };
+    }
+
+    updateCustomerStats() {
+        const now = new Date();
+        const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+        document.getElementById('totalCustomers').textContent = this.customers.length;
+
+        const newCustomersThisMonth = this.customers.filter(customer =>
+            new Date(customer.createdAt) >= thisMonth
+        ).length;
+        document.getElementById('newCustomersThisMonth').textContent = newCustomersThisMonth;
+
+        const topCustomer = this.customers.reduce((top, customer) =>
+            this.getCustomerStats(customer.id).totalSpent > (top ? this.getCustomerStats(top.id).totalSpent : 0) ? customer : top, null
+        );
+        document.getElementById('topCustomer').textContent = topCustomer ? topCustomer.name : 'None';
+    }
+
+    searchCustomers(searchTerm) {
+        const term = searchTerm.trim().toLowerCase();
+        if (!term) return this.customers.slice();
+        const digits = term.replace(/\D/g, '');
+        return this.customers.filter(customer =>
+            customer.name.toLowerCase().includes(term) ||
+            (digits.length > 0 && customer.phone.replace(/\D/g, '').includes(digits)) ||
+            customer.email.toLowerCase().includes(term) ||
+            customer.tags.some(tag => tag.toLowerCase().includes(term))
+        );
     }
 
     updateCustomersTable(searchTerm = '') {
         const customersBody = document.getElementById('customersBody');
-        let customerList = Object.values(this.customers);
+        const customerList = this.searchCustomers(searchTerm)
+            .map(customer => ({ customer, stats: this.getCustomerStats(customer.id) }));
+
+        // Sort by total spent (highest first)
+        customerList.sort((a, b) => b.stats.totalSpent - a.stats.totalSpent);
+
+        if (customerList.length === 0) {
+            customersBody.innerHTML = '<tr><td colspan="9" class="empty-state">No customers found</td></tr>';
+            return;
+        }
+
+        customersBody.innerHTML = customerList.map(({ customer, stats }) => `
+            <tr>
+                <td>${this.escapeHtml(customer.name)}${customer.gstin ? ` <small>(${this.escapeHtml(customer.gstin)})</small>` : ''}</td>
+                <td>${this.escapeHtml(customer.phone || 'N/A')}</td>
+                <td>${this.escapeHtml(customer.email || 'N/A')}</td>
+                <td>${customer.tags.map(tag => `<span class="customer-tag">${this.escapeHtml(tag)}</span>`).join(' ')}</td>
+                <td>${this.isLoyaltyEnabled() ? `${this.escapeHtml(this.getCustomerTier(customer.id).name)} · ${this.getLoyaltyBalance(customer.id)} pts` : '-'}</td>
+                <td>${stats.totalOrders}</td>
+                <td>₹${stats.totalSpent.toFixed(2)}</td>
+                <td>${stats.lastVisit ? new Date(stats.lastVisit).toLocaleDateString() : 'N/A'}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-small btn-secondary view-customer" data-customer-id="${customer.id}">
+                            <i class="fas fa-eye"></i> View History
+                        </button>
+                        <button class="btn-small btn-secondary edit-customer" data-customer-id="${customer.id}">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    openCustomerModal(customerId = null) {
+        const customer = this.getCustomer(customerId);
+        document.getElementById('customerForm').reset();
+        document.getElementById('customerModalTitle').textContent = customer ? 'Edit Customer' : 'Add Customer';
+        document.getElementById('customerRecordId').value = customer ? customer.id : '';
+
+        if (customer) {
+            document.getElementById('customerRecordName').value = customer.name;
+            document.getElementById('customerRecordPhone').value = customer.phone;
+            document.getElementById('customerRecordEmail').value = customer.email;
+            document.getElementById('customerRecordGSTIN').value = customer.gstin;
+            document.getElementById('customerRecordAddress').value = customer.address;
+            document.getElementById('customerRecordState').value = customer.state;
+            document.getElementById('customerRecordTags').value = customer.tags.join(', ');
+            document.getElementById('customerRecordNotes').value = customer.notes;
+            document.getElementById('customerConsentEmail').checked = !!customer.consent.email;
+            document.getElementById('customerConsentSms').checked = !!customer.consent.sms;
+            document.getElementById('customerRecordCreditLimit').value = customer.creditLimit || '';
+        } else {
+            // Opened from the till: start from what the cashier has typed
+            document.getElementById('customerRecordName').value = this.customerModalTarget === 'billing' ? document.getElementById('customerName').value.trim() : '';
+            document.getElementById('customerRecordPhone').value = this.customerModalTarget === 'billing' ? document.getElementById('customerPhone').value.trim() : '';
+            document.getElementById('customerRecordState').value = this.customerModalTarget === 'billing' ? document.getElementById('customerState').value.trim() : '';
+        }
+
+        document.getElementById('customerModal').style.display = 'block';
+        document.getElementById('customerRecordName').focus();
+    }
+
+    async saveCustomer() {
+        const customerId = parseInt(document.getElementById('customerRecordId').value) || null;
+        const creditLimit = parseFloat(document.getElementById('customerRecordCreditLimit').value) || 0;
+        const details = {
+            name: document.getElementById('customerRecordName').value.trim(),
+            phone: document.getElementById('customerRecordPhone').value.trim(),
+            email: document.getElementById('customerRecordEmail').value.trim(),
+            gstin: document.getElementById('customerRecordGSTIN').value.trim().toUpperCase(),
+            address: document.getElementById('customerRecordAddress').value.trim(),
+            state: document.getElementById('customerRecordState').value.trim(),
+            tags: [...new Set(document.getElementById('customerRecordTags').value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))],
+            notes: document.getElementById('customerRecordNotes').value.trim(),
+            consent: {
+                email: document.getElementById('customerConsentEmail').checked,
+                sms: document.getElementById('customerConsentSms').checked
+            }
+        };
+
+        if (!details.name) {
+            this.showToast('Customer name is required', 'warning');
+            return;
+        }
+
+        if (details.phone && this.normalizePhone(details.phone).length < 10) {
+            this.showToast('Enter a 10-digit phone number', 'warning');
+            return;
+        }
+
+        const samePhone = this.findCustomerByPhone(details.phone, customerId);
+        if (samePhone) {
+            this.showToast(`${samePhone.name} already has this phone number`, 'warning');
+            return;
+        }
+
+        if (details.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(details.email)) {
+            this.showToast('Enter a valid email address', 'warning');
+            return;
+        }
+
+        if (details.gstin && !/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(details.gstin)) {
+            this.showToast('GSTIN should be 15 characters, e.g. 27ABCDE1234F1Z5', 'warning');
+            return;
+        }
+
+        if (creditLimit < 0) {
+            this.showToast('Credit limit cannot be negative', 'warning');
+            return;
+        }
+
+        let customer = this.getCustomer(customerId);
+        let approver = this.currentUser;
+        if (creditLimit !== ((customer && customer.creditLimit) || 0)) {
+            approver = await this.authorize('account.manage', `Set ${details.name}'s credit limit to ₹${creditLimit.toFixed(2)}`);
+            if (!approver) return;
+            details.creditLimit = creditLimit;
+        }
+
+        if (customer) {
+            const before = { ...customer };
+            const consentChanged = JSON.stringify(customer.consent) !== JSON.stringify(details.consent);
+            Object.assign(customer, details, { updatedAt: new Date().toISOString() });
+            if (consentChanged) {
+                customer.consentUpdatedAt = customer.updatedAt;
+            }
+            this.recordAudit('customer.update', customer.name, { ...this.diffForAudit(before, customer), approvedBy: this.getApproval(approver) });
+            this.showToast('Customer updated successfully', 'success');
+        } else {
+            customer = this.createCustomer(details);
+            customer.consentUpdatedAt = customer.createdAt;
+            this.recordAudit('customer.create', customer.name, {
+                after: { phone: customer.phone, email: customer.email, creditLimit: customer.creditLimit },
+                approvedBy: this.getApproval(approver)
+            });
+            this.showToast('Customer added successfully', 'success');
+        }
+
+        this.saveData();
+        document.getElementById('customerModal').style.display = 'none';
+        this.updateCustomers();
+
+        if (this.customerModalTarget === 'billing') {
+            this.selectCheckoutCustomer(customer.id);
+        }
+        this.customerModalTarget = null;
+    }
+
+    // Checkout customer lookup
+    populateCustomerSelect() {
+        const select = document.getElementById('customerSelect');
+        const selected = select.value;
+        select.innerHTML = '<option value="">Walk-in / New Customer</option>' + this.customers
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(customer => `<option value="${customer.id}">${this.escapeHtml(customer.name)}${customer.phone ? ` (${this.escapeHtml(customer.phone)})` : ''}</option>`)
+            .join('');
+        if (this.getCustomer(parseInt(selected))) {
+            select.value = selected;
+        }
+    }
+
+    selectCheckoutCustomer(customerId) {
+        const customer = this.getCustomer(customerId);
+        document.getElementById('customerSelect').value = customer ? customer.id : '';
+        document.getElementById('customerName').value = customer ? customer.name : '';
+        document.getElementById('customerPhone').value = customer ? customer.phone : '';
+        document.getElementById('customerState').value = customer ? customer.state : '';
+        document.getElementById('customerSuggestions').innerHTML = '';
+        this.renderCheckoutLoyalty();
+        this.updateCartSummary();
+    }
+
+    // Suggestions start after three digits of a phone number or three letters of a name
+    renderCustomerSuggestions(searchTerm) {
+        const container = document.getElementById('customerSuggestions');
+        const term = searchTerm.trim();
+        const digits = term.replace(/\D/g, '');
+        if (digits.length < 3 && term.length < 3) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const matches = this.searchCustomers(term).slice(0, 5);
+        container.innerHTML = matches.map(customer => `
+            <button type="button" class="customer-suggestion" data-customer-id="${customer.id}">
+                <strong>${this.escapeHtml(customer.name)}</strong> ${this.escapeHtml(customer.phone)}
+            </button>
+        `).join('');
+    }
+
+    // The selected customer, a match on the typed phone, or a new record for a first-time customer
+    resolveCheckoutCustomer() {
+        const state = document.getElementById('customerState').value.trim();
+        const selected = this.getCustomer(parseInt(document.getElementById('customerSelect').value));
+        const knownCustomers = this.customers.length;
+        const customer = selected || this.findOrCreateCustomer({
+            name: document.getElementById('customerName').value,
+            phone: document.getElementById('customerPhone').value,
+            state
+        });
+
+        if (!customer) {
+            return { name: '', phone: '', state };
+        }
+        if (this.customers.length > knownCustomers) {
+            this.recordAudit('customer.create', customer.name, { after: { phone: customer.phone, source: 'checkout' } });
+        }
+        return this.getCustomerSnapshot(customer, state);
+    }
+
+    // Quick Billing has one box for a name or a phone number. A matching phone number picks the
+    // customer; a name alone may belong to several people, so the cashier chooses one or adds a new one.
+    isQuickCustomerPhone(entry) {
+        return !/[a-z]/i.test(entry) && this.normalizePhone(entry).length === 10;
+    }
+
+    setQuickCustomer(entry, choice = null) {
+        const customer = typeof choice === 'number' ? this.getCustomer(choice) : null;
+        document.getElementById('quickCustomerName').value = customer ? customer.name : entry;
+        document.getElementById('quickCustomerSuggestions').innerHTML = '';
+        this.quickCustomerChoice = customer ? customer.id : choice === 'new' ? 'new' : null;
+    }
+
+    // Customers a typed name could mean, until the cashier has picked one
+    getQuickCustomerNameMatches() {
+        const entry = document.getElementById('quickCustomerName').value.trim();
+        if (!entry || this.quickCustomerChoice !== null || this.isQuickCustomerPhone(entry)) {
+            return [];
+        }
+        return this.customers.filter(c => c.name.toLowerCase() === entry.toLowerCase());
+    }
+
+    renderQuickCustomerChoices(matches) {
+        const entry = document.getElementById('quickCustomerName').value.trim();
+        document.getElementById('quickCustomerSuggestions').innerHTML = matches.map(customer => `
+            <button type="button" class="customer-suggestion" data-customer-id="${customer.id}">
+                <strong>${this.escapeHtml(customer.name)}</strong> ${this.escapeHtml(customer.phone || 'No phone')} · ${this.getCustomerStats(customer.id).totalOrders} orders
+            </button>
+        `).join('') + `
+            <button type="button" class="customer-suggestion" data-customer-id="new">
+                <i class="fas fa-user-plus"></i> New customer named ${this.escapeHtml(entry)}
+            </button>
+        `;
+    }
+
+    // The existing customer the sale will go to, so points, store credit and account tenders can be offered
+    getQuickCustomerId() {
+        const entry = document.getElementById('quickCustomerName').value.trim();
+        const customer = typeof this.quickCustomerChoice === 'number'
+            ? this.getCustomer(this.quickCustomerChoice)
+            : entry && this.isQuickCustomerPhone(entry) ? this.findCustomerByPhone(entry) : null;
+        return customer ? customer.id : null;
+    }
+
+    resolveQuickCustomer() {
+        const entry = document.getElementById('quickCustomerName').value.trim();
+        if (!entry) return null;
+
+        const existing = this.getCustomer(this.getQuickCustomerId());
+        if (existing) return existing;
+
+        const customer = this.createCustomer({ name: entry, phone: this.isQuickCustomerPhone(entry) ? entry : '' });
+        this.recordAudit('customer.create', customer.name, { after: { phone: customer.phone, source: 'quick billing' } });
+        return customer;
+    }
+
+    viewCustomerHistory(customerId) {
+        const customer = this.getCustomer(customerId);
+        if (!customer) {
+            this.showToast('Customer not found', 'error');
+            return;
+        }
+        const stats = this.getCustomerStats(customer.id);
+        const tier = this.getCustomerTier(customer.id);
+        const balance = this.getLoyaltyBalance(customer.id);
+        const loyaltyTypes = { earn: 'Earned', redeem: 'Redeemed', expire: 'Expired', reverse: 'Return', refund: 'Returned to balance' };
+        let runningBalance = 0;
+        const ledger = this.getLoyaltyEntries(customer.id).map(entry => {
+            runningBalance += entry.points;
+            return { ...entry, balance: runningBalance };
+        }).reverse();
+        
+        // Create customer history modal content
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content large-modal">
+                <span class="close">&times;</span>
+                <div class="customer-history">
+                    <h3>${this.escapeHtml(customer.name)}'s Purchase History</h3>
+                    <div class="customer-info">
+                        <p><strong>Phone:</strong> ${this.escapeHtml(customer.phone || 'N/A')}</p>
+                        <p><strong>Email:</strong> ${this.escapeHtml(customer.email || 'N/A')}</p>
+                        ${customer.gstin ? `<p><strong>GSTIN:</strong> ${this.escapeHtml(customer.gstin)}</p>` : ''}
+                        ${customer.address ? `<p><strong>Address:</strong> ${this.escapeHtml(customer.address)}</p>` : ''}
+                        <p><strong>Marketing:</strong> ${[customer.consent.email ? 'Email' : '', customer.consent.sms ? 'SMS' : ''].filter(Boolean).join(', ') || 'No consent'}</p>
+                        ${customer.tags.length > 0 ? `<p><strong>Tags:</strong> ${this.escapeHtml(customer.tags.join(', '))}</p>` : ''}
+                        <p><strong>Total Orders:</strong> ${stats.totalOrders}</p>
+                        <p><strong>Total Spent:</strong> ₹${stats.totalSpent.toFixed(2)}</p>
+                        <p><strong>First Visit:</strong> ${stats.firstVisit ? new Date(stats.firstVisit).toLocaleDateString() : 'N/A'}</p>
+                        <p><strong>Last Visit:</strong> ${stats.lastVisit ? new Date(stats.lastVisit).toLocaleDateString() : 'N/A'}</p>
+                        ${customer.notes ? `<p><strong>Notes:</strong> ${this.escapeHtml(customer.notes)}</p>` : ''}
+                        <p><strong>Loyalty:</strong> ${this.escapeHtml(tier.name)} · ${balance} points (₹${(balance * this.settings.loyalty.pointValue).toFixed(2)})${tier.next ? ` · ₹${(tier.next.minSpend - tier.spend).toFixed(2)} more for ${this.escapeHtml(tier.next.name)}` : ''}</p>
+                    </div>
+                    ${this.renderCustomerAccount(customer)}
+                    ${this.renderCustomerGiftCards(customer)}
+                    ${ledger.length > 0 ? `
+                        <div class="customer-orders">
+                            <h4>Points Ledger</h4>
+                            <table class="orders-table">
+                                <thead>
+                                    <tr>
+                                        <th>Date</th>
+                                        <th>Type</th>
+                                        <th>Reference</th>
+                                        <th>Points</th>
+                                        <th>Balance</th>
+                                        <th>Expires</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${ledger.map(entry => `
+                                        <tr>
+                                            <td>${new Date(entry.date).toLocaleDateString()}</td>
+                                            <td>${loyaltyTypes[entry.type] || entry.type}</td>
+                                            <td>${this.escapeHtml(entry.reference || entry.note)}</td>
+                                            <td>${entry.points > 0 ? '+' : ''}${entry.points}</td>
+                                            <td>${entry.balance}</td>
+                                            <td>${entry.expiresAt ? new Date(entry.expiresAt).toLocaleDateString() : ''}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : ''}
+                    <div class="customer-orders">
+                        <h4>Order History</h4>
+                        <table class="orders-table">
+                            <thead>
+                                <tr>
+                                    <th>Invoice</th>
+                                    <th>Date</th>
+                                    <th>Items</th>
+                                    <th>Total</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${stats.orders.sort((a, b) => new Date(b.date) - new Date(a.date)).map(order => `
+                                    <tr>
+                                        <td>${order.creditNoteNumber || `${this.settings.invoice.prefix}${order.id}`}</td>
+                                        <td>${new Date(order.date).toLocaleDateString()}</td>
+                                        <td>${order.items} items</td>
+                                        <td>₹${order.total.toFixed(2)}</td>
+                                        <td>
+                                            <button class="btn-small btn-primary view-order" data-sale-id="${order.id}">
+                                                <i class="fas fa-eye"></i> View
+                                            </button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        modal.style.display = 'block';
+        
+        // Add event listeners
+        modal.querySelector('.close').addEventListener('click', () => {
+            modal.style.display = 'none';
+            document.body.removeChild(modal);
+        });
+        
+        modal.querySelectorAll('.view-order').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const saleId = parseInt(e.target.closest('.view-order').dataset.saleId);
+                this.viewSale(saleId);
+            });
+        });
+
+        const paymentForm = modal.querySelector('.account-payment-form');
+        if (paymentForm) {
+            paymentForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const received = await this.receiveAccountPayment(customer.id, {
+                    amount: parseFloat(paymentForm.elements.amount.value),
+                    method: paymentForm.elements.method.value,
+                    reference: paymentForm.elements.reference.value.trim(),
+                    saleId: parseInt(paymentForm.elements.saleId.value) || null
+                });
+                if (received) {
+                    // Reopen so the balance, open invoices and statement are current
+                    document.body.removeChild(modal);
+                    this.viewCustomerHistory(customer.id);
+                }
+            });
+        }
+    }
+
+    // Duplicate Customers
+    // Pairs sharing a phone number or a name (ignoring case and spacing)
+    findDuplicateCustomers() {
+        const normalizeName = name => name.toLowerCase().replace(/\s+/g, ' ').trim();
+        const pairs = [];
+        this.customers.forEach((a, i) => {
+            this.customers.slice(i + 1).forEach(b => {
+                const samePhone = a.phone && this.normalizePhone(a.phone) === this.normalizePhone(b.phone);
+                const sameName = normalizeName(a.name) === normalizeName(b.name);
+                if (samePhone || sameName) {
+                    pairs.push({ a, b, reason: samePhone ? 'Same phone' : 'Same name' });
+                }
+            });
+        });
+        return pairs;
+    }
+
+    openCustomerMergeModal() {
+        this.processCustomerData();
+        const options = this.customers
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(customer => `<option value="${customer.id}">${this.escapeHtml(customer.name)}${customer.phone ? ` (${this.escapeHtml(customer.phone)})` : ''} · ${this.getCustomerStats(customer.id).totalOrders} orders</option>`)
+            .join('');
+        document.getElementById('mergeKeepCustomer').innerHTML = options;
+        document.getElementById('mergeDuplicateCustomer').innerHTML = options;
+
+        const pairs = this.findDuplicateCustomers();
+        document.getElementById('duplicateCustomerList').innerHTML = pairs.length === 0
+            ? '<p class="empty-state">No likely duplicates found</p>'
+            : pairs.map(({ a, b, reason }) => `
+                <div class="alert-item info">
+                    <div class="alert-content">
+                        <strong>${this.escapeHtml(a.name)}${a.phone ? ` (${this.escapeHtml(a.phone)})` : ''} · ${this.escapeHtml(b.name)}${b.phone ? ` (${this.escapeHtml(b.phone)})` : ''}</strong>
+                        <p>${reason}</p>
+                    </div>
+                    <button type="button" class="btn-small btn-secondary" data-action="review-duplicate" data-keep-id="${a.id}" data-duplicate-id="${b.id}">Review</button>
+                </div>
+            `).join('');
+
+        document.getElementById('customerMergeModal').style.display = 'block';
+    }
+
+    async mergeCustomers(keepId, duplicateId) {
+        const keep = this.getCustomer(keepId);
+        const duplicate = this.getCustomer(duplicateId);
+        if (!keep || !duplicate) {
+            this.showToast('Customer not found', 'error');
+            return false;
+        }
+        if (keep.id === duplicate.id) {
+            this.showToast('Choose two different customers', 'warning');
+            return false;
+        }
+
+        const duplicateSales = this.sales.filter(sale => sale.customer && sale.customer.id === duplicate.id);
+        if (!confirm(`Merge ${duplicate.name} into ${keep.name}? ${duplicateSales.length} sale${duplicateSales.length === 1 ? '' : 's'} will move to ${keep.name} and ${duplicate.name} will be removed.`)) {
+            return false;
+        }
+
+        const approver = await this.authorize('customer.merge', `Merge ${duplicate.name} into ${keep.name}`);
+        if (!approver) return false;
+
+        const before = { ...keep };
+        ['phone', 'email', 'address', 'state', 'gstin'].forEach(field => {
+            if (!keep[field] && duplicate[field]) {
+                keep[field] = duplicate[field];
+            }
+        });
+        keep.tags = [...new Set([...keep.tags, ...duplicate.tags])];
+        keep.notes = [keep.notes, duplicate.notes].filter(Boolean).join('\n');
+        keep.createdAt = [keep.createdAt, duplicate.createdAt].sort()[0];
+        keep.updatedAt = new Date().toISOString();
+
+        // Sales move to the kept customer; the GST state on each invoice stays as issued
+        duplicateSales.forEach(sale => {
+            sale.customer = { ...sale.customer, ...this.getCustomerSnapshot(keep, sale.customer.state) };
+        });
+
+        // Points move too, so lots keep their own expiry dates
+        const movedEntries = this.loyaltyLedger.filter(entry => entry.customerId === duplicate.id);
+        movedEntries.forEach(entry => {
+            entry.customerId = keep.id;
+        });
+
+        // So do account balances and store credit; the higher credit limit is kept
+        this.accountLedger.filter(entry => entry.customerId === duplicate.id).forEach(entry => {
+            entry.customerId = keep.id;
+        });
+        this.giftCards.filter(card => card.customerId === duplicate.id).forEach(card => {
+            card.customerId = keep.id;
+        });
+        keep.creditLimit = Math.max(keep.creditLimit || 0, duplicate.creditLimit || 0);
+
+        this.customers = this.customers.filter(c => c.id !== duplicate.id);
+        this.recordAudit('customer.merge', keep.name, {
+            before: { kept: before, removed: { ...duplicate } },
+            after: { kept: { ...keep }, salesMoved: duplicateSales.map(sale => sale.id), pointsMoved: movedEntries.reduce((sum, entry) => sum + entry.points, 0) },
+            approvedBy: this.getApproval(approver)
+        });
+
+        this.saveData();
+        this.updateCustomers();
+        this.showToast(`Merged ${duplicate.name} into ${keep.name}`, 'success');
+        return true;
+    }
+
+    async exportCustomers() {
+        const approver = await this.authorize('export.customers', 'Export customers');
+        if (!approver) {
+            return;
+        }
+
+        this.processCustomerData();
+        
+        if (this.customers.length === 0) {
+            this.showToast('No customers to export', 'warning');
+            return;
+        }
+        
+        const csvHeaders = ['ID', 'Name', 'Phone', 'Email', 'Address', 'State', 'GSTIN', 'Tags', 'Email Consent', 'SMS Consent', 'Notes', 'Total Orders', 'Total Spent', 'First Visit', 'Last Visit'];
+        const csvRows = this.customers.map(customer => {
+            const stats = this.getCustomerStats(customer.id);
+            return [
+                customer.id,
+                customer.name,
+                customer.phone,
+                customer.email,
+                customer.address,
+                customer.state,
+                customer.gstin,
+                customer.tags.join('; '),
+                customer.consent.email ? 'Yes' : 'No',
+                customer.consent.sms ? 'Yes' : 'No',
+                customer.notes,
+                stats.totalOrders,
+                stats.totalSpent.toFixed(2),
+                stats.firstVisit ? new Date(stats.firstVisit).toLocaleDateString() : '',
+                stats.lastVisit ? new Date(stats.lastVisit).toLocaleDateString() : ''
+            ];
+        });
+        
+        const csvContent = [csvHeaders, ...csvRows]
+            .map(row => row.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+        
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `customers_${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        this.recordAudit('export.customers', `${this.customers.length} customers`, { approvedBy: this.getApproval(approver) });
+        this.showToast(`Exported ${this.customers.length} customers`, 'success');
+    }
+
+    // Loyalty
+    // Points live in a ledger of signed entries per customer. Earned and refunded points form lots
+    // that expire on their own date; redemptions and reversals use up the lots expiring soonest.
+    isLoyaltyEnabled() {
+        return !!this.settings.loyalty.enabled;
+    }
+
+    // Tiers are kept in ascending order of the spend needed to reach them
+    getLoyaltyTiers() {
+        return this.settings.loyalty.tiers.slice().sort((a, b) => a.minSpend - b.minSpend);
+    }
+
+    // Net spend (returns deducted) over the rolling tier window
+    getCustomerRollingSpend(customerId, asOf = new Date()) {
+        const since = new Date(asOf.getTime() - this.settings.loyalty.tierWindowDays * 24 * 60 * 60 * 1000);
+        return this.roundCurrency(this.sales
+            .filter(sale => sale.customer && sale.customer.id === customerId)
+            .filter(sale => new Date(sale.date) >= since && new Date(sale.date) <= asOf)
+            .reduce((sum, sale) => sum + sale.total, 0));
+    }
+
+    getCustomerTier(customerId, asOf = new Date()) {
+        const spend = this.getCustomerRollingSpend(customerId, asOf);
+        const tiers = this.getLoyaltyTiers();
+        const tier = tiers.filter(t => spend >= t.minSpend).pop() || { name: 'Member', minSpend: 0, multiplier: 1 };
+        const next = tiers.find(t => t.minSpend > spend) || null;
+        return { ...tier, spend, next };
+    }
+
+    getLoyaltyEntries(customerId) {
+        return this.loyaltyLedger.filter(entry => entry.customerId === customerId);
+    }
+
+    // Replays a customer's ledger into the lots that still hold points. Lots past their date are
+    // left out even before an expiry entry is written for them, unless includeExpired is set.
+    getLoyaltyLots(customerId, { asOf = new Date(), includeExpired = false } = {}) {
+        const lots = [];
+        this.getLoyaltyEntries(customerId).forEach(entry => {
+            if (entry.points > 0) {
+                lots.push({ entryId: entry.id, remaining: entry.points, expiresAt: entry.expiresAt || null });
+                return;
+            }
+
+            // Only expiry entries may use up lots that had already expired when the entry was written
+            let toUse = -entry.points;
+            lots
+                .filter(lot => lot.remaining > 0 && (entry.type === 'expire' || !lot.expiresAt || lot.expiresAt > entry.date))
+                .sort((a, b) => (a.expiresAt || '9999').localeCompare(b.expiresAt || '9999'))
+                .forEach(lot => {
+                    const used = Math.min(lot.remaining, toUse);
+                    lot.remaining -= used;
+                    toUse -= used;
+                });
+        });
+        const now = asOf.toISOString();
+        return lots.filter(lot => lot.remaining > 0 && (includeExpired || !lot.expiresAt || lot.expiresAt > now));
+    }
+
+    getLoyaltyBalance(customerId, asOf = new Date()) {
+        return this.getLoyaltyLots(customerId, { asOf }).reduce((sum, lot) => sum + lot.remaining, 0);
+    }
+
+    addLoyaltyEntry({ customerId, type, points, saleId = null, reference = '', note = '' }) {
+        const last = this.loyaltyLedger[this.loyaltyLedger.length - 1];
+        const date = new Date();
+        const entry = {
+            // Time-based so ledgers merged from a backup don't collide
+            id: Math.max(date.getTime(), last ? last.id + 1 : 0),
+            customerId,
+            type,
+            points,
+            saleId,
+            reference,
+            note,
+            date: date.toISOString(),
+            username: this.currentUser ? this.currentUser.username : ''
+        };
+        if (points > 0 && this.settings.loyalty.expiryDays > 0) {
+            entry.expiresAt = new Date(date.getTime() + this.settings.loyalty.expiryDays * 24 * 60 * 60 * 1000).toISOString();
+        }
+        this.loyaltyLedger.push(entry);
+        return entry;
+    }
+
+    // Writes an expiry entry for every lot past its date. Returns true when anything expired.
+    expireLoyaltyPoints(asOf = new Date()) {
+        const now = asOf.toISOString();
+        let changed = false;
+        new Set(this.loyaltyLedger.map(entry => entry.customerId)).forEach(customerId => {
+            const expired = this.getLoyaltyLots(customerId, { asOf, includeExpired: true })
+                .filter(lot => lot.expiresAt && lot.expiresAt <= now)
+                .reduce((sum, lot) => sum + lot.remaining, 0);
+            if (expired > 0) {
+                this.addLoyaltyEntry({ customerId, type: 'expire', points: -expired, note: 'Points expired' });
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    // Whole points for what was paid other than with points, with category and tier multipliers
+    calculateLoyaltyPoints(sale, tier) {
+        if (!sale.total || sale.total <= 0) return 0;
+
+        const paidWithPoints = (sale.payments || [])
+            .filter(payment => payment.method === 'loyalty')
+            .reduce((sum, payment) => sum + payment.amount, 0);
+        const share = Math.max(sale.total - paidWithPoints, 0) / sale.total;
+        const base = sale.items.reduce((sum, item) => {
+            const value = item.taxableValue !== undefined ? item.taxableValue + item.taxAmount : item.price * item.quantity;
+            const multiplier = this.getCategorySetting(item.categoryId, 'loyaltyMultiplier') ?? 1;
+            return sum + value * multiplier;
+        }, 0);
+
+        return Math.floor(base * share * this.settings.loyalty.pointsPerHundred / 100 * tier.multiplier + 1e-9);
+    }
+
+    // Redeems the points tendered on a sale, then earns points on the rest of it
+    applySaleLoyalty(sale) {
+        const customerId = sale.customer && sale.customer.id;
+        if (!customerId) return;
+
+        const reference = `${this.settings.invoice.prefix}${sale.id}`;
+        const redeemed = (sale.payments || [])
+            .filter(payment => payment.method === 'loyalty')
+            .reduce((sum, payment) => sum + payment.points, 0);
+        if (redeemed > 0) {
+            this.addLoyaltyEntry({ customerId, type: 'redeem', points: -redeemed, saleId: sale.id, reference });
+        }
+
+        if (!this.isLoyaltyEnabled() && redeemed === 0) return;
+
+        // The tier is decided on spend before this sale
+        const tier = this.getCustomerTier(customerId);
+        const earned = this.isLoyaltyEnabled() ? this.calculateLoyaltyPoints(sale, tier) : 0;
+        if (earned > 0) {
+            this.addLoyaltyEntry({ customerId, type: 'earn', points: earned, saleId: sale.id, reference, note: tier.name });
+        }
+
+        sale.loyalty = { tier: tier.name, earned, redeemed, balance: this.getLoyaltyBalance(customerId) };
+    }
+
+    // A return takes back its share of the points earned and gives back its share of the points redeemed.
+    // Points already spent elsewhere can't be taken back, so the reversal stops at the balance.
+    applyReturnLoyalty(sale, returnSale) {
+        const customerId = sale.customer && sale.customer.id;
+        if (!customerId || !sale.loyalty || sale.total <= 0) return;
+
+        const fraction = Math.min(Math.abs(returnSale.total) / sale.total, 1);
+        const reference = returnSale.creditNoteNumber;
+        const refunded = Math.round(sale.loyalty.redeemed * fraction);
+        if (refunded > 0) {
+            this.addLoyaltyEntry({ customerId, type: 'refund', points: refunded, saleId: returnSale.id, reference });
+        }
+
+        const reversed = Math.min(Math.round(sale.loyalty.earned * fraction), this.getLoyaltyBalance(customerId));
+        if (reversed > 0) {
+            this.addLoyaltyEntry({ customerId, type: 'reverse', points: -reversed, saleId: returnSale.id, reference });
+        }
+
+        returnSale.loyalty = { tier: sale.loyalty.tier, earned: -reversed, redeemed: -refunded, balance: this.getLoyaltyBalance(customerId) };
+    }
+
+    // The customer picked or matched by phone at the till, without creating one
+    getCheckoutCustomerId() {
+        const selected = this.getCustomer(parseInt(document.getElementById('customerSelect').value));
+        const customer = selected || this.findCustomerByPhone(document.getElementById('customerPhone').value);
+        return customer ? customer.id : null;
+    }
+
+    renderCheckoutLoyalty() {
+        const container = document.getElementById('customerLoyalty');
+        const customerId = this.getCheckoutCustomerId();
+        const creditLimit = customerId ? this.getCreditLimit(customerId) : 0;
+        if ((!this.isLoyaltyEnabled() && creditLimit <= 0) || !customerId) {
+            container.textContent = '';
+            return;
+        }
+
+        const tier = this.getCustomerTier(customerId);
+        const balance = this.getLoyaltyBalance(customerId);
+        const parts = [];
+        if (this.isLoyaltyEnabled()) {
+            parts.push(`<i class="fas fa-star"></i> ${this.escapeHtml(tier.name)} · ${balance} points (₹${(balance * this.settings.loyalty.pointValue).toFixed(2)})`);
+        }
+        // Trade customers: what they owe against their limit
+        if (creditLimit > 0) {
+            parts.push(`<i class="fas fa-file-invoice-dollar"></i> Owes ₹${this.getAccountBalance(customerId).toFixed(2)} of ₹${creditLimit.toFixed(2)} limit`);
+        }
+        container.innerHTML = parts.join(' · ');
+    }
+
+    renderLoyaltyTierRows(tiers = this.getLoyaltyTiers()) {
+        document.getElementById('loyaltyTierRows').innerHTML = tiers.map(tier => `
+            <div class="form-row loyalty-tier-row">
+                <input type="text" class="loyalty-tier-name" value="${this.escapeHtml(tier.name)}" placeholder="Tier name">
+                <input type="number" class="loyalty-tier-spend" value="${tier.minSpend}" min="0" step="1" placeholder="Spend from ₹">
+                <input type="number" class="loyalty-tier-multiplier" value="${tier.multiplier}" min="0" step="0.05" placeholder="Multiplier">
+                <button type="button" class="remove-btn" data-action="remove-tier">Remove</button>
+            </div>
+        `).join('');
+    }
+
+    readLoyaltyTierRows() {
+        return Array.from(document.querySelectorAll('.loyalty-tier-row')).map(row => ({
+            name: row.querySelector('.loyalty-tier-name').value.trim(),
+            minSpend: parseFloat(row.querySelector('.loyalty-tier-spend').value),
+            multiplier: parseFloat(row.querySelector('.loyalty-tier-multiplier').value)
+        }));
+    }
+
+    async saveLoyaltySettings() {
+        const values = {
+            enabled: document.getElementById('loyaltyEnabled').checked,
+            pointsPerHundred: parseFloat(document.getElementById('loyaltyPointsPerHundred').value),
+            pointValue: parseFloat(document.getElementById('loyaltyPointValue').value),
+            minRedeemPoints: parseInt(document.getElementById('loyaltyMinRedeem').value),
+            expiryDays: parseInt(document.getElementById('loyaltyExpiryDays').value),
+            tierWindowDays: parseInt(document.getElementById('loyaltyTierWindow').value),
+            tiers: this.readLoyaltyTierRows()
+        };
+
+        if (isNaN(values.pointsPerHundred) || values.pointsPerHundred < 0 || isNaN(values.pointValue) || values.pointValue <= 0) {
+            this.showToast('Enter the points earned per ₹100 and the value of a point', 'warning');
+            return;
+        }
+
+        if ([values.minRedeemPoints, values.expiryDays].some(value => isNaN(value) || value < 0) || isNaN(values.tierWindowDays) || values.tierWindowDays < 1) {
+            this.showToast('Minimum redemption, expiry and tier window must be whole numbers', 'warning');
+            return;
+        }
+
+        if (values.tiers.length === 0 || values.tiers.some(tier => !tier.name || isNaN(tier.minSpend) || tier.minSpend < 0 || isNaN(tier.multiplier) || tier.multiplier < 0)) {
+            this.showToast('Every tier needs a name, a qualifying spend and a multiplier', 'warning');
+            return;
+        }
+
+        if (new Set(values.tiers.map(tier => tier.minSpend)).size !== values.tiers.length) {
+            this.showToast('Two tiers cannot start at the same spend', 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('settings.edit', 'Save loyalty settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.loyalty };
+        values.tiers.sort((a, b) => a.minSpend - b.minSpend);
+        this.settings.loyalty = values;
+
+        this.saveSettings();
+        this.auditSettingsChange('loyalty', before, approver);
+        this.renderLoyaltyTierRows();
+        this.showToast('Loyalty settings saved successfully', 'success');
+    }
+
+    // Customer Accounts
+    // Trade customers with a credit limit can buy on account. Every charge, payment and
+    // return credit is an entry in the account ledger; what a customer owes on an invoice
+    // is the sum of the entries carrying that invoice's sale id.
+    getCreditLimit(customerId) {
+        const customer = this.getCustomer(customerId);
+        return customer ? (customer.creditLimit || 0) : 0;
+    }
+
+    getAccountEntries(customerId) {
+        return this.accountLedger
+            .filter(entry => entry.customerId === customerId)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    getAccountBalance(customerId) {
+        return this.roundCurrency(this.getAccountEntries(customerId).reduce((sum, entry) => sum + entry.amount, 0));
+    }
+
+    getAvailableCredit(customerId) {
+        return this.roundCurrency(this.getCreditLimit(customerId) - this.getAccountBalance(customerId));
+    }
+
+    // Invoices with money still owed, oldest first
+    getOpenInvoices(customerId) {
+        const invoices = new Map();
+        this.getAccountEntries(customerId).forEach(entry => {
+            if (!invoices.has(entry.saleId)) {
+                invoices.set(entry.saleId, { saleId: entry.saleId, reference: '', date: entry.date, charged: 0, outstanding: 0 });
+            }
+            const invoice = invoices.get(entry.saleId);
+            if (entry.type === 'charge') {
+                invoice.reference = entry.reference;
+                invoice.date = entry.date;
+                invoice.charged = this.roundCurrency(invoice.charged + entry.amount);
+            }
+            invoice.outstanding = this.roundCurrency(invoice.outstanding + entry.amount);
+        });
+        return [...invoices.values()]
+            .filter(invoice => invoice.outstanding > 0)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    addAccountEntry({ customerId, type, amount, saleId = null, reference = '', method = '', note = '' }) {
+        const last = this.accountLedger[this.accountLedger.length - 1];
+        const date = new Date();
+        const entry = {
+            id: Math.max(date.getTime(), last ? last.id + 1 : 0),
+            customerId,
+            type,
+            amount: this.roundCurrency(amount),
+            saleId,
+            reference,
+            method,
+            note,
+            date: date.toISOString(),
+            username: this.currentUser ? this.currentUser.username : ''
+        };
+        this.accountLedger.push(entry);
+        return entry;
+    }
+
+    // Amounts tendered "on account" become charges against the customer
+    applySaleAccountCharges(sale) {
+        (sale.payments || [])
+            .filter(payment => payment.method === 'account')
+            .forEach(payment => {
+                this.addAccountEntry({
+                    customerId: sale.customer.id,
+                    type: 'charge',
+                    amount: payment.amount,
+                    saleId: sale.id,
+                    reference: `${this.settings.invoice.prefix}${sale.id}`
+                });
+                payment.balanceAfter = this.getAccountBalance(sale.customer.id);
+            });
+    }
+
+    // What a return takes off the account: the account-paid share, up to what is still owed
+    getReturnAccountCredit(sale, refundTotal) {
+        const paidOnAccount = (sale.payments || [])
+            .filter(payment => payment.method === 'account')
+            .reduce((sum, payment) => sum + payment.amount, 0);
+        if (paidOnAccount <= 0 || !sale.customer || !sale.total) return 0;
+
+        const invoice = this.getOpenInvoices(sale.customer.id).find(open => open.saleId === sale.id);
+        const share = this.roundCurrency(paidOnAccount * Math.abs(refundTotal) / sale.total);
+        return invoice ? Math.min(share, invoice.outstanding) : 0;
+    }
+
+    // Payments go to the chosen invoice, or to the oldest invoices first
+    async receiveAccountPayment(customerId, { amount, method, reference = '', saleId = null }) {
+        const customer = this.getCustomer(customerId);
+        const invoices = this.getOpenInvoices(customerId).filter(invoice => !saleId || invoice.saleId === saleId);
+        const owed = this.roundCurrency(invoices.reduce((sum, invoice) => sum + invoice.outstanding, 0));
+        amount = this.roundCurrency(amount);
+
+        if (!customer) {
+            this.showToast('Customer not found', 'error');
+            return false;
+        }
+
+        if (!(amount > 0)) {
+            this.showToast('Please enter a valid amount', 'warning');
+            return false;
+        }
+
+        if (amount > owed) {
+            this.showToast(`Only ₹${owed.toFixed(2)} is owed${saleId ? ' on this invoice' : ''}`, 'warning');
+            return false;
+        }
+
+        let remaining = amount;
+        const allocations = [];
+        invoices.forEach(invoice => {
+            if (remaining <= 0) return;
+            const allocated = Math.min(remaining, invoice.outstanding);
+            this.addAccountEntry({
+                customerId,
+                type: 'payment',
+                amount: -allocated,
+                saleId: invoice.saleId,
+                reference: invoice.reference,
+                method,
+                note: reference
+            });
+            allocations.push(`${invoice.reference} ₹${allocated.toFixed(2)}`);
+            remaining = this.roundCurrency(remaining - allocated);
+        });
+
+        this.recordAudit('account.payment', customer.name, {
+            after: { amount, method: this.getPaymentMethodLabel(method), reference, allocations, balance: this.getAccountBalance(customerId) }
+        });
+        this.saveData();
+        this.showToast(`₹${amount.toFixed(2)} received from ${customer.name}. Balance ₹${this.getAccountBalance(customerId).toFixed(2)}`, 'success');
+        return true;
+    }
+
+    // Invoice age in days decides the bucket: 0-30, 31-60, 61-90, over 90
+    getAgeingBucket(date, asOf = new Date()) {
+        const days = Math.floor((asOf - new Date(date)) / (24 * 60 * 60 * 1000));
+        return days <= 30 ? 0 : days <= 60 ? 1 : days <= 90 ? 2 : 3;
+    }
+
+    getAgeingReport(asOf = new Date()) {
+        const customerIds = [...new Set(this.accountLedger.map(entry => entry.customerId))];
+        return customerIds.map(customerId => {
+            const buckets = [0, 0, 0, 0];
+            this.getOpenInvoices(customerId).forEach(invoice => {
+                const bucket = this.getAgeingBucket(invoice.date, asOf);
+                buckets[bucket] = this.roundCurrency(buckets[bucket] + invoice.outstanding);
+            });
+            const customer = this.getCustomer(customerId);
+            return {
+                customerId,
+                name: customer ? customer.name : 'Unknown',
+                creditLimit: this.getCreditLimit(customerId),
+                buckets,
+                total: this.roundCurrency(buckets.reduce((sum, value) => sum + value, 0))
+            };
+        }).filter(row => row.total > 0).sort((a, b) => b.total - a.total);
+    }
+
+    openAccountsModal() {
+        const rows = this.getAgeingReport();
+        const totals = [0, 1, 2, 3].map(bucket => rows.reduce((sum, row) => sum + row.buckets[bucket], 0));
+        document.getElementById('ageingBody').innerHTML = rows.length === 0
+            ? '<tr><td colspan="8" class="empty-state">No money owed on account</td></tr>'
+            : rows.map(row => `
+                <tr>
+                    <td>${this.escapeHtml(row.name)}</td>
+                    <td>${row.creditLimit > 0 ? `₹${row.creditLimit.toFixed(2)}` : '-'}</td>
+                    ${row.buckets.map((value, bucket) => `<td class="${bucket > 0 && value > 0 ? 'negative-amount' : ''}">₹${value.toFixed(2)}</td>`).join('')}
+                    <td><strong>₹${row.total.toFixed(2)}</strong></td>
+                    <td><button class="btn-small btn-primary" data-customer-id="${row.customerId}">Statement</button></td>
+                </tr>
+            `).join('') + `
+                <tr>
+                    <td colspan="2"><strong>Total</strong></td>
+                    ${totals.map(value => `<td><strong>₹${value.toFixed(2)}</strong></td>`).join('')}
+                    <td><strong>₹${totals.reduce((sum, value) => sum + value, 0).toFixed(2)}</strong></td>
+                    <td></td>
+                </tr>
+            `;
+        document.getElementById('accountsModal').style.display = 'block';
+    }
+
+    renderCustomerAccount(customer) {
+        const limit = customer.creditLimit || 0;
+        const entries = this.getAccountEntries(customer.id);
+        if (limit <= 0 && entries.length === 0) return '';
+
+        const entryTypes = { charge: 'Sale on account', payment: 'Payment', return: 'Return' };
+        const balance = this.getAccountBalance(customer.id);
+        const invoices = this.getOpenInvoices(customer.id);
+        let runningBalance = 0;
+        const statement = entries.map(entry => {
+            runningBalance = this.roundCurrency(runningBalance + entry.amount);
+            return { ...entry, balance: runningBalance };
+        }).reverse();
+
+        return `
+            <div class="customer-orders customer-account">
+                <h4>Account</h4>
+                <p>
+                    <strong>Credit limit:</strong> ${limit > 0 ? `₹${limit.toFixed(2)}` : 'No account'} ·
+                    <strong>Owed:</strong> ₹${balance.toFixed(2)} ·
+                    <strong>Available:</strong> ₹${Math.max(limit - balance, 0).toFixed(2)}
+                </p>
+                ${invoices.length > 0 ? `
+                    <table class="orders-table">
+                        <thead>
+                            <tr>
+                                <th>Invoice</th>
+                                <th>Date</th>
+                                <th>Days</th>
+                                <th>Charged</th>
+                                <th>Outstanding</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${invoices.map(invoice => `
+                                <tr>
+                                    <td>${invoice.reference}</td>
+                                    <td>${new Date(invoice.date).toLocaleDateString()}</td>
+                                    <td>${Math.floor((new Date() - new Date(invoice.date)) / (24 * 60 * 60 * 1000))}</td>
+                                    <td>₹${invoice.charged.toFixed(2)}</td>
+                                    <td>₹${invoice.outstanding.toFixed(2)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <form class="account-payment-form">
+                        <select name="saleId">
+                            <option value="">Oldest invoices first</option>
+                            ${invoices.map(invoice => `<option value="${invoice.saleId}">${invoice.reference} (₹${invoice.outstanding.toFixed(2)})</option>`).join('')}
+                        </select>
+                        <input type="number" name="amount" min="0" step="0.01" placeholder="Amount" value="${balance.toFixed(2)}" required>
+                        <select name="method">
+                            <option value="cash">Cash</option>
+                            <option value="card">Card</option>
+                            <option value="upi">UPI</option>
+                        </select>
+                        <input type="text" name="reference" placeholder="Reference (optional)">
+                        <button type="submit" class="btn-small btn-primary">Receive Payment</button>
+                    </form>
+                ` : ''}
+                ${statement.length > 0 ? `
+                    <h4>Statement</h4>
+                    <table class="orders-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Type</th>
+                                <th>Invoice</th>
+                                <th>Charge</th>
+                                <th>Credit</th>
+                                <th>Balance</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${statement.map(entry => `
+                                <tr>
+                                    <td>${new Date(entry.date).toLocaleDateString()}</td>
+                                    <td>${entryTypes[entry.type] || entry.type}${entry.method ? ` (${this.getPaymentMethodLabel(entry.method)}${entry.note ? ` ${this.escapeHtml(entry.note)}` : ''})` : entry.note ? ` (${this.escapeHtml(entry.note)})` : ''}</td>
+                                    <td>${this.escapeHtml(entry.reference)}</td>
+                                    <td>${entry.amount > 0 ? `₹${entry.amount.toFixed(2)}` : ''}</td>
+                                    <td>${entry.amount < 0 ? `₹${(-entry.amount).toFixed(2)}` : ''}</td>
+                                    <td>₹${entry.balance.toFixed(2)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Gift Cards & Store Credit
+    // Gift cards are sold for money; store credit is given to a named customer as goodwill
+    // and only they can spend it. Both hold a balance that is spent down at the till, with
+    // every movement kept on the card.
+    findGiftCard(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return this.giftCards.find(card => card.code === normalized) || null;
+    }
+
+    // Codes are grouped in fours, e.g. GC-7KQ2-M9XD-4HTP; ambiguous characters are left out
+    generateGiftCardCode(kind) {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const random = new Uint8Array(12);
+        let code;
+        do {
+            crypto.getRandomValues(random);
+            const characters = Array.from(random, byte => alphabet[byte % alphabet.length]).join('');
+            code = `${kind === 'storeCredit' ? 'SC' : 'GC'}-${characters.match(/.{4}/g).join('-')}`;
+        } while (this.findGiftCard(code));
+        return code;
+    }
+
+    isGiftCardExpired(card, date = new Date()) {
+        return !!card.expiresOn && this.getLocalDateKey(date) > card.expiresOn;
+    }
+
+    // Returns why the card can't pay for this sale, or null when it can
+    validateGiftCardTender(card, method, customerId) {
+        const label = this.getPaymentMethodLabel(method).toLowerCase();
+        if (!card) return `No ${label} with that code`;
+        if (card.kind !== method) return `${card.code} is ${card.kind === 'storeCredit' ? 'store credit' : 'a gift card'}, not ${method === 'storeCredit' ? 'store credit' : 'a gift card'}`;
+        if (!card.active) return `${card.code} has been cancelled`;
+        if (this.isGiftCardExpired(card)) return `${card.code} expired on ${new Date(`${card.expiresOn}T00:00`).toLocaleDateString()}`;
+        if (card.kind === 'storeCredit' && card.customerId !== customerId) {
+            const owner = this.getCustomer(card.customerId);
+            return `${card.code} belongs to ${owner ? owner.name : 'another customer'}; select them first`;
+        }
+        if (card.balance <= 0) return `${card.code} has no balance left`;
+        return null;
+    }
+
+    settleGiftCardPayments(sale) {
+        (sale.payments || [])
+            .filter(payment => payment.method === 'giftCard' || payment.method === 'storeCredit')
+            .forEach(payment => {
+                const card = this.findGiftCard(payment.reference);
+                if (!card) return;
+                card.balance = this.roundCurrency(card.balance - payment.amount);
+                card.transactions.push({
+                    date: sale.date,
+                    type: 'redeem',
+                    amount: -payment.amount,
+                    reference: `${this.settings.invoice.prefix}${sale.id}`,
+                    username: this.currentUser ? this.currentUser.username : ''
+                });
+                payment.balanceAfter = card.balance;
+            });
+    }
+
+    openGiftCardModal(code = '') {
+        document.getElementById('giftCardForm').reset();
+        document.getElementById('giftCardCustomer').innerHTML = '<option value="">No customer</option>' + this.customers
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(customer => `<option value="${customer.id}">${this.escapeHtml(customer.name)}${customer.phone ? ` (${this.escapeHtml(customer.phone)})` : ''}</option>`)
+            .join('');
+        document.getElementById('giftCardLookup').value = code;
+        this.updateGiftCardKindFields();
+        this.lookupGiftCard();
+        this.renderGiftCardList();
+        document.getElementById('giftCardModal').style.display = 'block';
+    }
+
+    updateGiftCardKindFields() {
+        const storeCredit = document.getElementById('giftCardKind').value === 'storeCredit';
+        document.getElementById('giftCardPaidByGroup').style.display = storeCredit ? 'none' : '';
+        document.getElementById('giftCardCustomerLabel').textContent = storeCredit ? 'Customer (required):' : 'Customer (optional):';
+    }
+
+    lookupGiftCard() {
+        const result = document.getElementById('giftCardLookupResult');
+        const code = document.getElementById('giftCardLookup').value.trim();
+        if (!code) {
+            result.innerHTML = '';
+            return;
+        }
+
+        const card = this.findGiftCard(code);
+        if (!card) {
+            result.innerHTML = '<p class="empty-state">No gift card or store credit with that code</p>';
+            return;
+        }
+
+        const owner = this.getCustomer(card.customerId);
+        const status = !card.active ? 'Cancelled' : this.isGiftCardExpired(card) ? 'Expired' : 'Active';
+        result.innerHTML = `
+            <div class="gift-card-summary">
+                <p><strong>${card.code}</strong> · ${this.getPaymentMethodLabel(card.kind)} · <span class="status-badge ${status === 'Active' ? 'active' : 'inactive'}">${status}</span></p>
+                <p><strong>Balance:</strong> ₹${card.balance.toFixed(2)} of ₹${card.amount.toFixed(2)}${owner ? ` · <strong>Customer:</strong> ${this.escapeHtml(owner.name)}` : ''}${card.expiresOn ? ` · <strong>Expires:</strong> ${new Date(`${card.expiresOn}T00:00`).toLocaleDateString()}` : ''}</p>
+                <table class="orders-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Activity</th>
+                            <th>Reference</th>
+                            <th>Amount</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${card.transactions.slice().reverse().map(transaction => `
+                            <tr>
+                                <td>${new Date(transaction.date).toLocaleDateString()}</td>
+                                <td>${{ issue: 'Issued', redeem: 'Spent', cancel: 'Cancelled', reinstate: 'Reinstated' }[transaction.type] || transaction.type}</td>
+                                <td>${this.escapeHtml(transaction.reference)}</td>
+                                <td>${transaction.amount ? `${transaction.amount > 0 ? '+' : '-'}₹${Math.abs(transaction.amount).toFixed(2)}` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderGiftCardList() {
+        const body = document.getElementById('giftCardListBody');
+        if (this.giftCards.length === 0) {
+            body.innerHTML = '<tr><td colspan="7" class="empty-state">No gift cards or store credit issued</td></tr>';
+            return;
+        }
+
+        body.innerHTML = this.giftCards.slice().sort((a, b) => b.id - a.id).map(card => {
+            const owner = this.getCustomer(card.customerId);
+            const status = !card.active ? 'Cancelled' : this.isGiftCardExpired(card) ? 'Expired' : card.balance <= 0 ? 'Spent' : 'Active';
+            return `
+                <tr>
+                    <td><code>${card.code}</code></td>
+                    <td>${this.getPaymentMethodLabel(card.kind)}</td>
+                    <td>${owner ? this.escapeHtml(owner.name) : '-'}</td>
+                    <td>${new Date(card.issuedAt).toLocaleDateString()}</td>
+                    <td>₹${card.balance.toFixed(2)} / ₹${card.amount.toFixed(2)}</td>
+                    <td><span class="status-badge ${status === 'Active' ? 'active' : 'inactive'}">${status}</span></td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn-small btn-secondary" data-action="view-gift-card" data-code="${card.code}">View</button>
+                            <button class="btn-small btn-secondary" data-action="toggle-gift-card" data-code="${card.code}">${card.active ? 'Cancel' : 'Reinstate'}</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async issueGiftCard() {
+        const kind = document.getElementById('giftCardKind').value;
+        const amount = this.roundCurrency(parseFloat(document.getElementById('giftCardAmount').value) || 0);
+        const customerId = parseInt(document.getElementById('giftCardCustomer').value) || null;
+        const paidBy = document.getElementById('giftCardPaidBy').value;
+        const expiresOn = document.getElementById('giftCardExpiry').value;
+        const note = document.getElementById('giftCardNote').value.trim();
+        const customer = this.getCustomer(customerId);
+
+        if (amount <= 0) {
+            this.showToast('Enter the value to load', 'warning');
+            return;
+        }
+
+        const { maxAmount } = this.settings.giftCards;
+        if (amount > maxAmount) {
+            this.showToast(`At most ₹${maxAmount.toFixed(2)} can be loaded on one card`, 'warning');
+            return;
+        }
+
+        if (kind === 'storeCredit' && !customer) {
+            this.showToast('Store credit must be issued to a customer', 'warning');
+            return;
+        }
+
+        if (expiresOn && expiresOn < this.getLocalDateKey()) {
+            this.showToast('Expiry date is in the past', 'warning');
+            return;
+        }
+
+        const approver = kind === 'storeCredit'
+            ? await this.authorize('storecredit.issue', `Issue ₹${amount.toFixed(2)} store credit to ${customer.name}`)
+            : await this.authorize('giftcard.sell', `Sell a ₹${amount.toFixed(2)} gift card`);
+        if (!approver) return;
+
+        const lastId = this.giftCards.reduce((max, card) => Math.max(max, card.id), 0);
+        const issuedAt = new Date().toISOString();
+        const card = {
+            id: Math.max(Date.now(), lastId + 1),
+            code: this.generateGiftCardCode(kind),
+            kind,
+            customerId: customer ? customer.id : null,
+            amount,
+            balance: amount,
+            expiresOn,
+            paidBy: kind === 'giftCard' ? paidBy : '',
+            note,
+            active: true,
+            issuedAt,
+            issuedBy: this.currentUser ? this.currentUser.username : '',
+            transactions: [{
+                date: issuedAt,
+                type: 'issue',
+                amount,
+                reference: kind === 'giftCard' ? `Paid by ${this.getPaymentMethodLabel(paidBy)}` : note,
+                username: this.currentUser ? this.currentUser.username : ''
+            }]
+        };
+        this.giftCards.push(card);
+
+        // A sold card is takings like any other sale; store credit is given away, so it has no sale
+        const sale = kind === 'giftCard' ? this.recordGiftCardSale(card, customer) : null;
+        if (sale) {
+            card.saleId = sale.id;
+        }
+
+        this.recordAudit(kind === 'storeCredit' ? 'storecredit.issue' : 'giftcard.issue', card.code, {
+            after: { amount, customer: customer ? customer.name : null, paidBy: card.paidBy, expiresOn, note },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+        if (sale) {
+            this.updateReports();
+            this.updateDashboard();
+        }
+
+        document.getElementById('giftCardForm').reset();
+        this.updateGiftCardKindFields();
+        document.getElementById('giftCardLookup').value = card.code;
+        this.lookupGiftCard();
+        this.renderGiftCardList();
+        this.showToast(`${this.getPaymentMethodLabel(kind)} ${card.code} issued for ₹${amount.toFixed(2)}`, 'success');
+    }
+
+    // The card is the only line: it moves no stock and carries no GST until it is spent
+    recordGiftCardSale(card, customer) {
+        const sale = {
+            id: Date.now(),
+            date: card.issuedAt,
+            customer: customer ? this.getCustomerSnapshot(customer) : { name: '', phone: '', state: '' },
+            items: [],
+            giftCard: { id: card.id, code: card.code, amount: card.amount },
+            subtotal: card.amount,
+            promotionDiscount: 0,
+            promotions: [],
+            discount: 0,
+            discountType: 'percentage',
+            discountValue: 0,
+            tax: 0,
+            taxSummary: [],
+            interState: false,
+            pricesIncludeTax: this.settings.tax.pricesIncludeTax,
+            total: card.amount,
+            payments: [{ method: card.paidBy, amount: card.amount }],
+            changeDue: 0
+        };
+        this.sales.push(sale);
+        return sale;
+    }
+
+    async saveGiftCardSettings() {
+        const maxAmount = parseFloat(document.getElementById('giftCardMaxAmount').value);
+        if (isNaN(maxAmount) || maxAmount <= 0) {
+            this.showToast('Enter the most that can be loaded on one card', 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('settings.edit', 'Save gift card settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.giftCards };
+        this.settings.giftCards = { ...this.settings.giftCards, maxAmount: this.roundCurrency(maxAmount) };
+
+        this.saveSettings();
+        this.auditSettingsChange('giftCards', before, approver);
+        this.showToast('Gift card settings saved successfully', 'success');
+    }
+
+    // Cancelling stops a lost or stolen card being spent; the balance stays on record
+    async toggleGiftCard(code) {
+        const card = this.findGiftCard(code);
+        if (!card) return;
+
+        const approver = await this.authorize('storecredit.issue', `${card.active ? 'Cancel' : 'Reinstate'} ${card.code}`);
+        if (!approver) return;
+
+        card.active = !card.active;
+        card.transactions.push({
+            date: new Date().toISOString(),
+            type: card.active ? 'reinstate' : 'cancel',
+            amount: 0,
+            reference: '',
+            username: this.currentUser ? this.currentUser.username : ''
+        });
+        this.recordAudit('giftcard.update', card.code, {
+            before: { active: !card.active },
+            after: { active: card.active, balance: card.balance },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+        this.renderGiftCardList();
+        this.lookupGiftCard();
+    }
+
+    renderCustomerGiftCards(customer) {
+        const cards = this.giftCards.filter(card => card.customerId === customer.id);
+        if (cards.length === 0) return '';
+
+        return `
+            <div class="customer-orders">
+                <h4>Store Credit &amp; Gift Cards</h4>
+                <table class="orders-table">
+                    <thead>
+                        <tr>
+                            <th>Code</th>
+                            <th>Type</th>
+                            <th>Issued</th>
+                            <th>Balance</th>
+                            <th>Expires</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${cards.map(card => `
+                            <tr>
+                                <td><code>${card.code}</code>${card.active ? '' : ' (cancelled)'}</td>
+                                <td>${this.getPaymentMethodLabel(card.kind)}</td>
+                                <td>${new Date(card.issuedAt).toLocaleDateString()}</td>
+                                <td>₹${card.balance.toFixed(2)}</td>
+                                <td>${card.expiresOn ? new Date(`${card.expiresOn}T00:00`).toLocaleDateString() : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // User Management
+    createDefaultAdmin() {
+        // Seeded with the documented default password; migrateUserCredentials() hashes it on startup
+        return {
+            id: 1,
+            name: 'Administrator',
+            username: 'admin',
+            password: 'admin123',
+            role: 'admin',
+            email: '',
+            lastLogin: null,
+            isActive: true,
+            mustChangePassword: true,
+            failedAttempts: 0,
+            lockedUntil: null,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    loadUsers() {
+        try {
+            const savedUsers = this.readStored('users');
+            if (savedUsers) {
+                this.users = savedUsers;
+            } else {
+                // Create default admin user
+                this.users = [this.createDefaultAdmin()];
+                this.saveUsers();
+            }
+        } catch (error) {
+            console.error('Error loading users:', error);
+            // Reset to default admin user
+            this.users = [this.createDefaultAdmin()];
+        }
+
+        this.loadRoles();
+        this.credentialMigration = this.migrateUserCredentials();
+    }
+
+    getDefaultRoles() {
+        return [
+            { id: 'admin', name: 'Administrator', permissions: ['*'], system: true },
+            {
+                id: 'manager',
+                name: 'Manager',
+                permissions: [
+                    'product.create', 'product.edit', 'product.delete', 'price.override', 'stock.adjust',
+                    'discount.apply', 'discount.above.10pct', 'sale.void', 'export.sales', 'export.customers',
+                    'purchase.manage', 'stock.receive', 'stocktake.approve', 'category.manage', 'customer.merge', 'promotion.manage', 'coupon.manage',
+                    'account.manage', 'giftcard.sell', 'storecredit.issue'
+                ],
+                markdownLimit: 50,
+                system: true
+            },
+            { id: 'cashier', name: 'Cashier', permissions: ['discount.apply'], markdownLimit: 5, system: true }
+        ];
+    }
+
+    loadRoles() {
+        try {
+            const savedRoles = this.readStored('roles');
+            this.roles = savedRoles ? this.migrateRoles(savedRoles) : this.getDefaultRoles();
+        } catch (error) {
+            console.error('Error loading roles:', error);
+            this.roles = this.getDefaultRoles();
+        }
+    }
+
+    // Permissions added to the catalog since a role was saved are given to the built-in roles that have
+    // them by default. Each role remembers the catalog it was saved against, so permissions an
+    // administrator took away are not handed back; roles saved before that knew only the original set.
+    migrateRoles(roles) {
+        const defaults = this.getDefaultRoles();
+        const originalCatalog = [
+            'product.create', 'product.edit', 'product.delete', 'price.override', 'stock.adjust', 'discount.apply',
+            'discount.above.10pct', 'sale.void', 'settings.edit', 'users.manage', 'export.sales', 'export.customers'
+        ];
+        const catalog = Object.keys(this.permissionCatalog);
+        let changed = false;
+
+        roles.forEach(role => {
+            const known = role.knownPermissions || originalCatalog;
+            const builtIn = role.system ? defaults.find(d => d.id === role.id) : null;
+            const added = builtIn
+                ? builtIn.permissions.filter(permission => !known.includes(permission) && !role.permissions.includes(permission))
+                : [];
+            if (added.length > 0) {
+                role.permissions = [...role.permissions, ...added];
+            }
+            if (added.length > 0 || catalog.some(permission => !known.includes(permission))) {
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveRoles(roles);
+        }
+        return roles;
+    }
+
+    saveRoles(roles = this.roles) {
+        const catalog = Object.keys(this.permissionCatalog);
+        roles.forEach(role => {
+            role.knownPermissions = catalog;
+        });
+        this.writeStored('roles', roles);
+    }
+
+    saveUsers() {
+        this.writeStored('users', this.users);
+    }
+
+    // Credentials
+    bufferToBase64(buffer) {
+        // Chunked so large buffers (encrypted backups) don't overflow the argument limit
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    base64ToBuffer(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+
+    // crypto.subtle only exists in secure contexts, so a till opened over plain HTTP on the LAN cannot hash or check credentials
+    getCryptoProblem() {
+        return window.crypto && crypto.subtle
+            ? null
+            : 'Passwords cannot be checked over this connection. Open the POS over HTTPS or on localhost.';
+    }
+
+    getCredentialErrorMessage(error) {
+        console.error('Error checking credentials:', error);
+        return this.getCryptoProblem() || 'Credentials could not be checked. Please try again.';
+    }
+
+    async deriveSecretHash(secret, salt, iterations) {
+        if (this.getCryptoProblem()) {
+            throw new Error(this.getCryptoProblem());
+        }
+
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            keyMaterial,
+            256
+        );
+        return this.bufferToBase64(bits);
+    }
+
+    async createCredential(secret) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = 150000;
+        return {
+            hash: await this.deriveSecretHash(secret, salt, iterations),
+            salt: this.bufferToBase64(salt),
+            iterations
+        };
+    }
+
+    async verifyCredential(secret, credential) {
+        if (!credential || !secret) return false;
+
+        const hash = await this.deriveSecretHash(secret, this.base64ToBuffer(credential.salt), credential.iterations);
+
+        // Compare without bailing out early on the first differing character
+        let diff = hash.length ^ credential.hash.length;
+        for (let i = 0; i < Math.min(hash.length, credential.hash.length); i++) {
+            diff |= hash.charCodeAt(i) ^ credential.hash.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    // Users saved before hashing was introduced still carry a plaintext password
+    async migrateUserCredentials() {
+        const plaintextUsers = this.users.filter(u => typeof u.password === 'string');
+        if (plaintextUsers.length === 0) return;
+
+        // Left as-is until the app is served securely; the login form explains why nobody can sign in
+        if (this.getCryptoProblem()) return;
+
+        for (const user of plaintextUsers) {
+            user.credential = await this.createCredential(user.password);
+            delete user.password;
+            user.failedAttempts = user.failedAttempts || 0;
+            user.lockedUntil = user.lockedUntil || null;
+        }
+
+        this.saveUsers();
+    }
+
+    // The session copy of a user never includes credentials
+    getSessionUser(user) {
+        const { password, credential, pinCredential, ...sessionUser } = user;
+        return sessionUser;
+    }
+
+    saveSession() {
+        try {
+            localStorage.setItem('currentUser', JSON.stringify(this.getSessionUser(this.currentUser)));
+            localStorage.setItem('loginTime', Date.now().toString());
+        } catch (error) {
+            this.reportStorageError(error, 'session');
+        }
+    }
+
+    checkLoginStatus() {
+        try {
+            const savedUser = localStorage.getItem('currentUser');
+            const loginTime = localStorage.getItem('loginTime');
+            
+            if (savedUser && loginTime) {
+                const timeDiff = Date.now() - parseInt(loginTime);
+                const hoursDiff = timeDiff / (1000 * 60 * 60);
+                
+                // Auto logout after 8 hours
+                if (hoursDiff < 8) {
+                    const sessionUser = JSON.parse(savedUser);
+                    const user = this.users.find(u => u.id === sessionUser.id && u.isActive);
+                    if (user) {
+                        this.currentUser = user;
+                        this.isLoggedIn = true;
+                        this.updateUserInterface();
+                        return;
+                    }
+                }
+            }
+            
+            this.logout();
+        } catch (error) {
+            console.error('Error checking login status:', error);
+            this.logout();
+        }
+    }
+
+    showLoginModal() {
+        document.getElementById('loginModal').style.display = 'block';
+
+        const cryptoProblem = this.getCryptoProblem();
+        document.querySelector('#loginForm button[type="submit"]').disabled = Boolean(cryptoProblem);
+        if (cryptoProblem) {
+            this.showLoginMessage(cryptoProblem);
+        }
+    }
+
+    showLoginMessage(message) {
+        document.getElementById('loginMessage').textContent = message;
+        document.getElementById('loginMessage').className = 'message error';
+    }
+
+    getLockoutMinutes(user) {
+        if (!user.lockedUntil || new Date(user.lockedUntil) <= new Date()) {
+            return 0;
+        }
+        return Math.ceil((new Date(user.lockedUntil) - new Date()) / 60000);
+    }
+
+    recordFailedAttempt(user) {
+        user.failedAttempts = (user.failedAttempts || 0) + 1;
+
+        if (user.failedAttempts >= this.maxLoginAttempts) {
+            user.lockedUntil = new Date(Date.now() + this.lockoutMinutes * 60000).toISOString();
+            user.failedAttempts = 0;
+            this.recordAudit('auth.lockout', user.username, { after: { lockedUntil: user.lockedUntil } }, null);
+        }
+
+        this.saveUsers();
+    }
+
+    async login(username, password) {
+        await this.credentialMigration;
+
+        const user = this.users.find(u => u.username === username && u.isActive);
+        // Unknown, wrong and locked accounts all read the same so the form can't be used to find usernames
+        const failureMessage = `Invalid username or password. Accounts lock for ${this.lockoutMinutes} minutes after ${this.maxLoginAttempts} failed attempts.`;
+
+        if (user && this.getLockoutMinutes(user) > 0) {
+            this.showLoginMessage(failureMessage);
+            this.recordAudit('auth.login_blocked', username, {}, null);
+            return false;
+        }
+
+        let valid;
+        try {
+            valid = Boolean(user) && await this.verifyCredential(password, user.credential);
+        } catch (error) {
+            this.showLoginMessage(this.getCredentialErrorMessage(error));
+            return false;
+        }
+
+        if (!valid) {
+            this.recordAudit('auth.login_failed', username, {}, null);
+            if (user) {
+                this.recordFailedAttempt(user);
+            }
+            this.showLoginMessage(failureMessage);
+            return false;
+        }
+
+        user.failedAttempts = 0;
+        user.lockedUntil = null;
+        this.saveUsers();
+
+        if (user.mustChangePassword) {
+            this.pendingPasswordChangeUser = user;
+            document.getElementById('loginModal').style.display = 'none';
+            document.getElementById('passwordChangeForm').reset();
+            document.getElementById('passwordChangeMessage').textContent = '';
+            document.getElementById('passwordChangeModal').style.display = 'block';
+            return false;
+        }
+
+        this.completeLogin(user);
+        return true;
+    }
+
+    completeLogin(user) {
+        this.currentUser = user;
+        this.isLoggedIn = true;
+        this.currentUser.lastLogin = new Date().toISOString();
+        this.backupReminderShown = false;
+        this.saveUsers();
+
+        // Save login session
+        this.saveSession();
+        this.recordAudit('auth.login', user.username, {}, user);
+
+        this.updateUserInterface();
+        document.getElementById('loginModal').style.display = 'none';
+        document.getElementById('loginForm').reset();
+        document.getElementById('loginMessage').textContent = '';
+        this.showToast(`Welcome back, ${user.name}!`, 'success');
+
+        // Re-initialize the app
+        this.init();
+    }
+
+    async changeRequiredPassword(newPassword, confirmPassword) {
+        const user = this.pendingPasswordChangeUser;
+        const message = document.getElementById('passwordChangeMessage');
+        if (!user) return false;
+
+        const problem = newPassword !== confirmPassword
+            ? 'Passwords do not match'
+            : this.getPasswordProblem(newPassword);
+        if (problem) {
+            message.textContent = problem;
+            message.className = 'message error';
+            return false;
+        }
+
+        let credential;
+        try {
+            if (await this.verifyCredential(newPassword, user.credential)) {
+                message.textContent = 'Choose a password different from the current one';
+                message.className = 'message error';
+                return false;
+            }
+            credential = await this.createCredential(newPassword);
+        } catch (error) {
+            message.textContent = this.getCredentialErrorMessage(error);
+            message.className = 'message error';
+            return false;
+        }
+
+        user.credential = credential;
+        user.mustChangePassword = false;
+        this.pendingPasswordChangeUser = null;
+        this.recordAudit('auth.password_change', user.username, {}, user);
+        document.getElementById('passwordChangeModal').style.display = 'none';
+
+        this.completeLogin(user);
+        return true;
+    }
+
+    getPasswordProblem(password) {
+        if (!password || password.length < 8) {
+            return 'Password must be at least 8 characters';
+        }
+        return null;
+    }
+
+    // PIN switching keeps the till (carts, held carts) as-is and only changes the operator
+    showPinModal() {
+        const pinUsers = this.users.filter(u => u.isActive && u.pinCredential);
+        if (pinUsers.length === 0) {
+            this.showToast('No users have a PIN set', 'warning');
+            return;
+        }
+
+        document.getElementById('pinUser').innerHTML = pinUsers.map(user =>
+            `<option value="${user.id}">${user.name} (${this.getRole(user.role)?.name || user.role})</option>`
+        ).join('');
+        document.getElementById('pinInput').value = '';
+        document.getElementById('pinMessage').textContent = '';
+        document.getElementById('pinModal').style.display = 'block';
+        document.getElementById('pinInput').focus();
+    }
+
+    async switchUserWithPin(userId, pin) {
+        const user = this.users.find(u => u.id === userId && u.isActive);
+        const message = document.getElementById('pinMessage');
+        message.className = 'message error';
+
+        if (!user) {
+            message.textContent = 'User not found';
+            return false;
+        }
+
+        if (this.getLockoutMinutes(user) > 0) {
+            message.textContent = `Account locked. Try again in ${this.getLockoutMinutes(user)} minute(s).`;
+            return false;
+        }
+
+        let valid;
+        try {
+            valid = await this.verifyCredential(pin, user.pinCredential);
+        } catch (error) {
+            message.textContent = this.getCredentialErrorMessage(error);
+            return false;
+        }
+
+        if (!valid) {
+            this.recordFailedAttempt(user);
+            message.textContent = 'Incorrect PIN';
+            document.getElementById('pinInput').value = '';
+            return false;
+        }
+
+        user.failedAttempts = 0;
+        user.lockedUntil = null;
+        user.lastLogin = new Date().toISOString();
+        this.recordAudit('auth.switch_user', user.username, {
+            before: { operator: this.currentUser ? this.currentUser.username : null },
+            after: { operator: user.username }
+        }, user);
+        this.currentUser = user;
+        this.saveUsers();
+        this.saveSession();
+
+        document.getElementById('pinModal').style.display = 'none';
+        this.updateUserInterface();
+        this.showToast(`Switched to ${user.name}`, 'success');
+        return true;
+    }
+
+    isValidPin(pin) {
+        return /^\d{4,6}$/.test(pin);
+    }
+
+    async unlockUser(userId) {
+        const user = this.users.find(u => u.id === userId);
+        if (!user) return;
+
+        const approver = await this.authorize('users.manage', 'Unlock user');
+        if (!approver) return;
+
+        user.failedAttempts = 0;
+        user.lockedUntil = null;
+        this.saveUsers();
+        this.recordAudit('user.unlock', user.username, { approvedBy: this.getApproval(approver) });
+        this.updateUsersTable();
+        this.showToast(`${user.name} unlocked`, 'success');
+    }
+
+    logout() {
+        if (this.currentUser) {
+            this.recordAudit('auth.logout', this.currentUser.username);
+        }
+        this.countingStockTakeId = null;
+        this.updateStockTakeBanner();
+        // Outbox work restarts from init() on the next login
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = null;
+        this.currentUser = null;
+        this.isLoggedIn = false;
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('loginTime');
+        this.updateUserInterface();
+        this.showLoginModal();
+    }
+
+    updateUserInterface() {
+        const userInfo = document.getElementById('userInfo');
+        const currentUserDisplay = document.getElementById('currentUserDisplay');
+        const usersNavBtn = document.getElementById('usersNavBtn');
         
-        // Apply search filter
-        if (searchTerm) {
-            const term = searchTerm.toLowerCase();
-            customerList = customerList.filter(customer => 
-                customer.name.toLowerCase().includes(term) ||
-                customer.phone.includes(term) ||
-                customer.email.toLowerCase().includes(term)
-            );
+        if (this.isLoggedIn && this.currentUser) {
+            userInfo.style.display = 'flex';
+            const role = this.getRole(this.currentUser.role);
+            currentUserDisplay.textContent = `${this.currentUser.name} (${role ? role.name : this.currentUser.role})`;
+            
+            // Show users management to anyone who can manage users
+            if (this.hasPermission('users.manage')) {
+                usersNavBtn.style.display = 'inline-block';
+            } else {
+                usersNavBtn.style.display = 'none';
+            }
+        } else {
+            userInfo.style.display = 'none';
+            usersNavBtn.style.display = 'none';
+        }
+    }
+
+    getRole(roleId) {
+        return this.roles.find(r => r.id === roleId) || null;
+    }
+
+    // Largest line markdown (% off list price) the user may give without approval.
+    // Roles saved before limits existed fall back to the default role's limit.
+    getMarkdownLimit(user = this.currentUser) {
+        const role = user ? this.getRole(user.role) : null;
+        if (!role) return 0;
+        if (role.permissions.includes('*')) return 100;
+        if (role.markdownLimit !== undefined) return role.markdownLimit;
+
+        const defaultRole = this.getDefaultRoles().find(r => r.id === role.id);
+        return defaultRole ? defaultRole.markdownLimit : 0;
+    }
+
+    hasPermission(permission, user = this.currentUser) {
+        if (!user) return false;
+
+        const role = this.getRole(user.role);
+        if (!role) return false;
+
+        return role.permissions.includes('*') || role.permissions.includes(permission);
+    }
+
+    // Resolves to the user who authorised the action (the current user, or a manager
+    // who approved it with their PIN), or null when it was not authorised.
+    async authorize(permission, actionLabel) {
+        if (this.hasPermission(permission)) {
+            return this.currentUser;
+        }
+
+        return this.requestOverride(permission, actionLabel);
+    }
+
+    // options.canApprove and options.requirement replace the permission check and its
+    // description, for approvals that depend on more than a permission (markdown limits)
+    requestOverride(permission, actionLabel, options = {}) {
+        const permissionLabel = this.permissionCatalog[permission] || permission;
+        const canApprove = options.canApprove || (user => this.hasPermission(permission, user));
+        const requirement = options.requirement || `the "${permissionLabel}" permission`;
+        const approvers = this.users.filter(u => u.isActive && u.pinCredential && canApprove(u));
+
+        if (approvers.length === 0) {
+            this.showToast(`Not permitted: ${options.requirement || permissionLabel}`, 'error');
+            return Promise.resolve(null);
+        }
+
+        // A newer request replaces one that was abandoned without answering
+        if (this.pendingOverride) {
+            this.pendingOverride.resolve(null);
+        }
+
+        document.getElementById('overrideDescription').textContent =
+            `"${actionLabel}" needs ${requirement}. A manager can approve it with their PIN.`;
+        document.getElementById('overrideUser').innerHTML = approvers.map(user =>
+            `<option value="${user.id}">${user.name} (${this.getRole(user.role)?.name || user.role})</option>`
+        ).join('');
+        document.getElementById('overridePin').value = '';
+        document.getElementById('overrideMessage').textContent = '';
+        document.getElementById('overrideModal').style.display = 'block';
+        document.getElementById('overridePin').focus();
+
+        return new Promise(resolve => {
+            this.pendingOverride = { permission, actionLabel, canApprove, resolve };
+        });
+    }
+
+    async submitOverride() {
+        if (!this.pendingOverride) return;
+
+        const { canApprove, resolve } = this.pendingOverride;
+        const approver = this.users.find(u => u.id === parseInt(document.getElementById('overrideUser').value));
+        const message = document.getElementById('overrideMessage');
+        message.className = 'message error';
+
+        if (!approver || !canApprove(approver)) {
+            message.textContent = 'This user cannot approve the action';
+            return;
+        }
+
+        if (this.getLockoutMinutes(approver) > 0) {
+            message.textContent = `Account locked. Try again in ${this.getLockoutMinutes(approver)} minute(s).`;
+            return;
+        }
+
+        let valid;
+        try {
+            valid = await this.verifyCredential(document.getElementById('overridePin').value, approver.pinCredential);
+        } catch (error) {
+            message.textContent = this.getCredentialErrorMessage(error);
+            return;
+        }
+
+        if (!valid) {
+            this.recordFailedAttempt(approver);
+            message.textContent = 'Incorrect PIN';
+            document.getElementById('overridePin').value = '';
+            return;
+        }
+
+        approver.failedAttempts = 0;
+        approver.lockedUntil = null;
+        this.saveUsers();
+
+        this.pendingOverride = null;
+        document.getElementById('overrideModal').style.display = 'none';
+        this.showToast(`Approved by ${approver.name}`, 'info');
+        resolve(approver);
+    }
+
+    cancelOverride() {
+        if (this.pendingOverride) {
+            this.pendingOverride.resolve(null);
+            this.pendingOverride = null;
+        }
+        document.getElementById('overrideModal').style.display = 'none';
+    }
+
+    // Roles
+    renderRolesMatrix() {
+        const rolesHead = document.getElementById('rolesHead');
+        const rolesBody = document.getElementById('rolesBody');
+
+        rolesHead.innerHTML = `
+            <tr>
+                <th>Permission</th>
+                ${this.roles.map(role => `
+                    <th>
+                        ${role.name}
+                        ${!role.system ? `<button class="btn-small btn-danger delete-role" data-role-id="${role.id}" title="Delete role"><i class="fas fa-trash"></i></button>` : ''}
+                    </th>
+                `).join('')}
+            </tr>
+        `;
+
+        rolesBody.innerHTML = Object.entries(this.permissionCatalog).map(([permission, label]) => `
+            <tr>
+                <td>${label}<br><small>${permission}</small></td>
+                ${this.roles.map(role => `
+                    <td>
+                        <input type="checkbox" class="role-permission" data-role-id="${role.id}" data-permission="${permission}"
+                            ${role.permissions.includes('*') || role.permissions.includes(permission) ? 'checked' : ''}
+                            ${role.id === 'admin' ? 'disabled' : ''}>
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('') + `
+            <tr>
+                <td>Line markdown limit (%)<br><small>Larger price cuts need approval</small></td>
+                ${this.roles.map(role => `
+                    <td>
+                        <input type="number" class="role-markdown-limit" data-role-id="${role.id}" min="0" max="100" step="1"
+                            value="${this.getMarkdownLimit({ role: role.id })}" ${role.id === 'admin' ? 'disabled' : ''}>
+                    </td>
+                `).join('')}
+            </tr>
+        `;
+
+        this.populateRoleSelect();
+    }
+
+    populateRoleSelect() {
+        const roleSelect = document.getElementById('userRole');
+        const selected = roleSelect.value;
+        roleSelect.innerHTML = this.roles.map(role => `<option value="${role.id}">${role.name}</option>`).join('');
+        if (this.getRole(selected)) {
+            roleSelect.value = selected;
+        }
+    }
+
+    async addRole() {
+        const approver = await this.authorize('users.manage', 'Add role');
+        if (!approver) return false;
+
+        const name = (prompt('Name for the new role:') || '').trim();
+        if (!name) return false;
+
+        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        if (!id || this.getRole(id)) {
+            this.showToast('A role with that name already exists', 'error');
+            return false;
+        }
+
+        this.roles.push({ id, name, permissions: [], markdownLimit: 0, system: false });
+        this.saveRoles();
+        this.recordAudit('role.create', name, { approvedBy: this.getApproval(approver) });
+        this.renderRolesMatrix();
+        this.showToast(`Role "${name}" added`, 'success');
+        return true;
+    }
+
+    async saveRolePermissions() {
+        const approver = await this.authorize('users.manage', 'Change role permissions');
+        if (!approver) return false;
+
+        this.roles.filter(role => role.id !== 'admin').forEach(role => {
+            const before = { permissions: role.permissions, markdownLimit: this.getMarkdownLimit({ role: role.id }) };
+            const limit = parseFloat(document.querySelector(`.role-markdown-limit[data-role-id="${role.id}"]`).value);
+            role.permissions = Array.from(document.querySelectorAll(`.role-permission[data-role-id="${role.id}"]:checked`))
+                .map(checkbox => checkbox.dataset.permission);
+            role.markdownLimit = isNaN(limit) ? 0 : Math.min(Math.max(limit, 0), 100);
+
+            const after = { permissions: role.permissions, markdownLimit: role.markdownLimit };
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                this.recordAudit('role.update', role.name, {
+                    ...this.diffForAudit(before, after),
+                    approvedBy: this.getApproval(approver)
+                });
+            }
+        });
+
+        this.saveRoles();
+        this.updateUserInterface();
+        this.showToast('Role permissions saved', 'success');
+        return true;
+    }
+
+    async deleteRole(roleId) {
+        const role = this.getRole(roleId);
+        if (!role || role.system) return false;
+
+        if (this.users.some(u => u.role === roleId)) {
+            this.showToast('Reassign users before deleting this role', 'warning');
+            return false;
+        }
+
+        if (!confirm(`Delete role "${role.name}"?`)) return false;
+        const approver = await this.authorize('users.manage', 'Delete role');
+        if (!approver) return false;
+
+        this.roles = this.roles.filter(r => r.id !== roleId);
+        this.saveRoles();
+        this.recordAudit('role.delete', role.name, { before: { permissions: role.permissions }, approvedBy: this.getApproval(approver) });
+        this.renderRolesMatrix();
+        this.showToast('Role deleted', 'success');
+        return true;
+    }
+
+    // Audit Log
+    // Entries are append-only and each one carries the hash of the previous entry,
+    // so editing or removing any stored entry breaks the chain from that point on.
+    loadAuditLog() {
+        try {
+            this.auditLog = this.readStored('auditLog') || [];
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            this.auditLog = [];
+        }
+    }
+
+    saveAuditLog() {
+        return this.writeStored('auditLog', this.auditLog);
+    }
+
+    async sha256Hex(text) {
+        const bytes = new TextEncoder().encode(text);
+        // Browsers only expose crypto.subtle on HTTPS or localhost; a till opened over plain HTTP on the LAN still has to chain its audit log
+        const digest = window.crypto && crypto.subtle
+            ? new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+            : this.sha256Bytes(bytes);
+        return Array.from(digest).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Plain SHA-256 (FIPS 180-4) so hashes match crypto.subtle byte for byte
+    sha256Bytes(bytes) {
+        const k = [];
+        const h = [];
+        const fraction = value => (value - Math.floor(value)) * 0x100000000 >>> 0;
+        for (let candidate = 2, found = 0; found < 64; candidate++) {
+            let prime = true;
+            for (let divisor = 2; divisor * divisor <= candidate; divisor++) {
+                if (candidate % divisor === 0) { prime = false; break; }
+            }
+            if (!prime) continue;
+            if (found < 8) h.push(fraction(Math.sqrt(candidate)));
+            k.push(fraction(Math.cbrt(candidate)));
+            found++;
+        }
+
+        const length = ((bytes.length + 9 + 63) >> 6) << 6;
+        const padded = new Uint8Array(length);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        const bitLength = bytes.length * 8;
+        view.setUint32(length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(length - 4, bitLength >>> 0);
+
+        const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+        const w = new Uint32Array(64);
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (hh + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + k[i] + w[i]) >>> 0;
+                const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                hh = g; g = f; f = e; e = (d + t1) >>> 0;
+                d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+            }
+            [a, b, c, d, e, f, g, hh].forEach((value, i) => { h[i] = (h[i] + value) >>> 0; });
+        }
+
+        const digest = new Uint8Array(32);
+        const out = new DataView(digest.buffer);
+        h.forEach((value, i) => out.setUint32(i * 4, value));
+        return digest;
+    }
+
+    async hashAuditEntry(entry) {
+        const { hash, ...content } = entry;
+        return this.sha256Hex(JSON.stringify(content));
+    }
+
+    // Entries are chained one after another, so appends are queued rather than run concurrently
+    recordAudit(action, target = '', changes = {}, user = this.currentUser) {
+        this.auditQueue = this.auditQueue
+            .then(() => this.appendAuditEntry(action, target, changes, user))
+            .catch(error => {
+                console.error('Error writing audit entry:', error);
+                this.showToast(`Audit entry "${action}" could not be recorded`, 'error');
+            });
+        return this.auditQueue;
+    }
+
+    async appendAuditEntry(action, target, changes, user) {
+        const previous = this.auditLog[this.auditLog.length - 1];
+        const entry = {
+            seq: previous ? previous.seq + 1 : 1,
+            timestamp: new Date().toISOString(),
+            userId: user ? user.id : null,
+            username: user ? user.username : '',
+            action,
+            target,
+            before: changes.before ?? null,
+            after: changes.after ?? null,
+            approvedBy: changes.approvedBy ?? null,
+            prevHash: previous ? previous.hash : ''
+        };
+        entry.hash = await this.hashAuditEntry(entry);
+
+        this.auditLog.push(entry);
+        this.saveAuditLog();
+
+        if (document.getElementById('users').classList.contains('active')) {
+            this.renderAuditLog();
+        }
+        return entry;
+    }
+
+    // Keeps only the fields that differ so entries show exactly what changed
+    // Missing, blank and empty-list values are treated alike so new optional fields don't show up as edits
+    diffForAudit(before, after) {
+        const normalize = value => value === undefined || value === '' || (Array.isArray(value) && value.length === 0) ? null : value;
+        const changes = { before: {}, after: {} };
+        new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(key => {
+            const oldValue = normalize(before?.[key]);
+            const newValue = normalize(after?.[key]);
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes.before[key] = oldValue;
+                changes.after[key] = newValue;
+            }
+        });
+        return changes;
+    }
+
+    getAuditProfile(user) {
+        const { name, username, role, email, isActive } = user;
+        return { name, username, role, email, isActive };
+    }
+
+    // Approvals granted by someone other than the operator are recorded against the approver
+    getApproval(approver) {
+        return approver && this.currentUser && approver.id !== this.currentUser.id ? approver.username : null;
+    }
+
+    async verifyAuditLog() {
+        await this.auditQueue;
+
+        for (let i = 0; i < this.auditLog.length; i++) {
+            const entry = this.auditLog[i];
+            const expectedPrevHash = i > 0 ? this.auditLog[i - 1].hash : '';
+            if (entry.prevHash !== expectedPrevHash || entry.hash !== await this.hashAuditEntry(entry)) {
+                return { valid: false, brokenAt: entry.seq ?? i + 1 };
+            }
+        }
+
+        return { valid: true, entries: this.auditLog.length };
+    }
+
+    async checkAuditIntegrity() {
+        const result = await this.verifyAuditLog();
+        const status = document.getElementById('auditStatus');
+
+        if (result.valid) {
+            status.textContent = `Chain verified: ${result.entries} entries intact`;
+            status.className = 'message';
+            this.showToast('Audit log verified', 'success');
+        } else {
+            status.textContent = `Tampering detected at entry #${result.brokenAt}`;
+            status.className = 'message error';
+            this.showToast(`Audit log has been altered (entry #${result.brokenAt})`, 'error');
+        }
+        return result;
+    }
+
+    // For values that reach innerHTML; audit entries carry text typed by anyone, even at login
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, character => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[character]);
+    }
+
+    formatAuditChanges(entry) {
+        const format = value => value === null || value === '' ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        const before = entry.before || {};
+        const after = entry.after || {};
+
+        return Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).map(key => {
+            if (key in before && key in after) {
+                return `${key}: ${format(before[key])} → ${format(after[key])}`;
+            }
+            return `${key}: ${format(key in before ? before[key] : after[key])}`;
+        }).join('; ');
+    }
+
+    getFilteredAuditLog() {
+        const search = this.auditFilter.search.toLowerCase();
+
+        return this.auditLog.filter(entry => {
+            if (this.auditFilter.action && entry.action.split('.')[0] !== this.auditFilter.action) {
+                return false;
+            }
+            if (!search) return true;
+            return [entry.username, entry.action, entry.target, entry.approvedBy, this.formatAuditChanges(entry)]
+                .some(value => value && String(value).toLowerCase().includes(search));
+        });
+    }
+
+    renderAuditLog() {
+        const auditBody = document.getElementById('auditBody');
+        const entries = this.getFilteredAuditLog();
+
+        const actionFilter = document.getElementById('auditActionFilter');
+        const categories = Array.from(new Set(this.auditLog.map(entry => entry.action.split('.')[0]))).sort();
+        actionFilter.innerHTML = '<option value="">All Actions</option>' +
+            categories.map(category => `<option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>`).join('');
+        actionFilter.value = this.auditFilter.action;
+
+        document.getElementById('auditCount').textContent = `${entries.length} of ${this.auditLog.length} entries`;
+
+        if (entries.length === 0) {
+            auditBody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #666;">No audit entries</td></tr>';
+            return;
+        }
+
+        auditBody.innerHTML = entries.slice().reverse().map(entry => `
+            <tr>
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${this.escapeHtml(entry.username || '-')}</td>
+                <td><span class="audit-action">${this.escapeHtml(entry.action)}</span></td>
+                <td>${this.escapeHtml(entry.target)}</td>
+                <td class="audit-changes">${this.escapeHtml(this.formatAuditChanges(entry))}</td>
+                <td>${this.escapeHtml(entry.approvedBy)}</td>
+            </tr>
+        `).join('');
+    }
+
+    async exportAuditLog() {
+        const approver = await this.authorize('users.manage', 'Export audit log');
+        if (!approver) {
+            return;
+        }
+
+        const entries = this.getFilteredAuditLog();
+        if (entries.length === 0) {
+            this.showToast('No audit entries to export', 'warning');
+            return;
+        }
+
+        const csvHeaders = ['Seq', 'Timestamp', 'User', 'Action', 'Target', 'Before', 'After', 'Approved By', 'Previous Hash', 'Hash'];
+        const csvRows = entries.map(entry => [
+            entry.seq,
+            entry.timestamp,
+            entry.username,
+            entry.action,
+            entry.target,
+            entry.before ? JSON.stringify(entry.before) : '',
+            entry.after ? JSON.stringify(entry.after) : '',
+            entry.approvedBy || '',
+            entry.prevHash,
+            entry.hash
+        ]);
+
+        const csvContent = [csvHeaders, ...csvRows]
+            .map(row => row.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `audit_log_${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.recordAudit('export.audit', `${entries.length} entries`, { approvedBy: this.getApproval(approver) });
+        this.showToast(`Exported ${entries.length} audit entries`, 'success');
+    }
+
+    // User CRUD operations
+    async addUser(userData) {
+        const approver = await this.authorize('users.manage', 'Add user');
+        if (!approver) {
+            return false;
+        }
+
+        // Check if username already exists
+        if (this.users.some(u => u.username === userData.username)) {
+            this.showToast('Username already exists', 'error');
+            return false;
+        }
+
+        const passwordProblem = this.getPasswordProblem(userData.password);
+        if (passwordProblem) {
+            this.showToast(passwordProblem, 'warning');
+            return false;
+        }
+
+        if (userData.pin && !this.isValidPin(userData.pin)) {
+            this.showToast('PIN must be 4 to 6 digits', 'warning');
+            return false;
+        }
+
+        if (!this.getRole(userData.role)) {
+            this.showToast('Select a valid role', 'warning');
+            return false;
+        }
+
+        let credential, pinCredential;
+        try {
+            credential = await this.createCredential(userData.password);
+            pinCredential = userData.pin ? await this.createCredential(userData.pin) : null;
+        } catch (error) {
+            this.showToast(this.getCredentialErrorMessage(error), 'error');
+            return false;
+        }
+
+        const newUser = {
+            id: Date.now(),
+            name: userData.name,
+            username: userData.username,
+            credential,
+            pinCredential,
+            role: userData.role,
+            email: userData.email || '',
+            lastLogin: null,
+            isActive: true,
+            failedAttempts: 0,
+            lockedUntil: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.users.push(newUser);
+        this.saveUsers();
+        this.recordAudit('user.create', newUser.username, {
+            after: this.getAuditProfile(newUser),
+            approvedBy: this.getApproval(approver)
+        });
+        this.updateUsersTable();
+        this.showToast('User added successfully', 'success');
+        return true;
+    }
+
+    async updateUser(userId, userData) {
+        const approver = await this.authorize('users.manage', 'Update user');
+        if (!approver) {
+            return false;
+        }
+
+        const userIndex = this.users.findIndex(u => u.id === userId);
+        if (userIndex === -1) {
+            this.showToast('User not found', 'error');
+            return false;
+        }
+
+        // Check if username conflicts with other users
+        if (this.users.some(u => u.id !== userId && u.username === userData.username)) {
+            this.showToast('Username already exists', 'error');
+            return false;
+        }
+
+        if (!this.getRole(userData.role)) {
+            this.showToast('Select a valid role', 'warning');
+            return false;
+        }
+
+        const { password, pin, ...profile } = userData;
+        const user = this.users[userIndex];
+        const before = this.getAuditProfile(user);
+
+        const keepsUserManager = this.users.some(u => u.isActive &&
+            this.hasPermission('users.manage', u.id === userId ? { ...u, role: userData.role } : u));
+        if (!keepsUserManager) {
+            this.showToast('At least one user must be able to manage users', 'error');
+            return false;
+        }
+
+        // Blank password/PIN fields leave the existing credentials untouched
+        const passwordProblem = password ? this.getPasswordProblem(password) : null;
+        if (passwordProblem) {
+            this.showToast(passwordProblem, 'warning');
+            return false;
+        }
+
+        if (pin && !this.isValidPin(pin)) {
+            this.showToast('PIN must be 4 to 6 digits', 'warning');
+            return false;
+        }
+
+        let credential, pinCredential;
+        try {
+            credential = password ? await this.createCredential(password) : user.credential;
+            pinCredential = pin ? await this.createCredential(pin) : user.pinCredential;
+        } catch (error) {
+            this.showToast(this.getCredentialErrorMessage(error), 'error');
+            return false;
+        }
+        user.credential = credential;
+        user.pinCredential = pinCredential;
+
+        Object.assign(user, profile);
+        this.saveUsers();
+
+        // Credentials are never written to the log, only the fact that they changed
+        const changes = this.diffForAudit(before, this.getAuditProfile(user));
+        if (password) changes.after.password = 'changed';
+        if (pin) changes.after.pin = 'changed';
+        this.recordAudit('user.update', user.username, { ...changes, approvedBy: this.getApproval(approver) });
+        this.updateUsersTable();
+        this.showToast('User updated successfully', 'success');
+        return true;
+    }
+
+    async deleteUser(userId) {
+        const approver = await this.authorize('users.manage', 'Delete user');
+        if (!approver) {
+            return false;
+        }
+
+        if (this.currentUser.id === userId) {
+            this.showToast('Cannot delete your own account', 'error');
+            return false;
+        }
+
+        const deletedUser = this.users.find(u => u.id === userId);
+        this.users = this.users.filter(u => u.id !== userId);
+        this.saveUsers();
+        if (deletedUser) {
+            this.recordAudit('user.delete', deletedUser.username, {
+                before: this.getAuditProfile(deletedUser),
+                approvedBy: this.getApproval(approver)
+            });
         }
+        this.updateUsersTable();
+        this.showToast('User deleted successfully', 'success');
+        return true;
+    }
+
+    updateUsersTable() {
+        const usersBody = document.getElementById('usersBody');
+        const activeUsers = this.users.filter(u => u.isActive);
         
-        // Sort by total spent (highest first)
-        customerList.sort((a, b) => b.totalSpent - a.totalSpent);
+        document.getElementById('totalUsers').textContent = this.users.length;
+        document.getElementById('activeUsers').textContent = activeUsers.length;
+        document.getElementById('adminUsers').textContent = this.users.filter(u => u.role === 'admin').length;
+        this.renderRolesMatrix();
+        this.renderAuditLog();
+
+        usersBody.innerHTML = this.users.map(user => `
+            <tr>
+                <td>${user.name}</td>
+                <td>${user.username}</td>
+                <td><span class="role-badge role-${this.getRole(user.role)?.system ? user.role : 'custom'}">${this.getRole(user.role)?.name || user.role}</span></td>
+                <td>${user.email || 'N/A'}</td>
+                <td>${user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never'}</td>
+                <td>
+                    <span class="status-badge ${user.isActive ? 'active' : 'inactive'}">${user.isActive ? 'Active' : 'Inactive'}</span>
+                    ${this.getLockoutMinutes(user) > 0 ? '<span class="status-badge inactive">Locked</span>' : ''}
+                </td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-small btn-secondary edit-user" data-user-id="${user.id}">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                        ${this.getLockoutMinutes(user) > 0 ? `
+                            <button class="btn-small btn-secondary unlock-user" data-user-id="${user.id}">
+                                <i class="fas fa-unlock"></i> Unlock
+                            </button>
+                        ` : ''}
+                        ${user.id !== this.currentUser?.id ? `
+                            <button class="btn-small btn-danger delete-user" data-user-id="${user.id}">
+                                <i class="fas fa-trash"></i> Delete
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Inventory Forecasting
+    initializeForecast() {
+        this.calculateInventoryForecast();
+    }
+
+    calculateInventoryForecast() {
+        this.inventoryForecast = {
+            lowStockAlerts: [],
+            expiryAlerts: [],
+            reorderSuggestions: [],
+            demandPredictions: {},
+            salesTrends: this.calculateSalesTrends()
+        };
+
+        const units = this.getForecastUnits();
+
+        // Calculate low stock alerts (items below their minimum stock), reordering up to the maximum
+        this.inventoryForecast.lowStockAlerts = units
+            .filter(unit => unit.stock < unit.levels.minStock)
+            .map(unit => ({
+                id: unit.id,
+                variantId: unit.variantId,
+                hasVariants: unit.hasVariants,
+                name: unit.name,
+                currentStock: unit.stock,
+                minStock: unit.levels.minStock,
+                suggestedReorder: Math.max(unit.levels.maxStock - unit.stock, unit.levels.reorderQty)
+            }));
+
+        // Batches that have expired or expire within the near-expiry window
+        this.inventoryForecast.expiryAlerts = this.getExpiryAlerts();
+
+        // Calculate reorder suggestions based on sales velocity
+        this.inventoryForecast.reorderSuggestions = this.getReorderSuggestions(units);
+
+        // Calculate demand predictions
+        this.inventoryForecast.demandPredictions = this.calculateDemandPredictions();
+    }
+
+    // Min/max levels, reorder quantity and lead time for a product. Blank product values fall back to
+    // the category's reorder threshold, the preferred supplier's lead time and the store defaults.
+    getStockLevels(product) {
+        const defaults = this.settings.inventory;
+        const supplier = this.getSupplier(product?.supplierId);
+        const pick = (...values) => values.find(value => value !== null && value !== undefined && value !== '');
+        const minStock = pick(product?.minStock, this.getCategorySetting(product?.categoryId, 'reorderLevel'), defaults.minStock);
+        return {
+            minStock,
+            // Never order up to less than the alert level
+            maxStock: Math.max(pick(product?.maxStock, defaults.maxStock), minStock),
+            reorderQty: pick(product?.reorderQty, defaults.reorderQty),
+            leadTimeDays: pick(product?.leadTimeDays, supplier?.leadTimeDays, defaults.leadTimeDays)
+        };
+    }
+
+    getLowStockThreshold(product) {
+        return this.getStockLevels(product).minStock;
+    }
+
+    // Stock needed to cover sales until a new order arrives plus the store's coverage period
+    getForecastCoverageDays(levels) {
+        return levels.leadTimeDays + this.settings.inventory.coverageDays;
+    }
+
+    // Stock already on open purchase orders counts towards the target so suggestions aren't ordered twice.
+    // Orders are at least the reorder quantity, and targets stop at the product's maximum or the store default.
+    getReorderSuggestions(units = this.getForecastUnits()) {
+        return units
+            .filter(unit => this.getProductSalesVelocity(unit.id, unit.variantId) > 0)
+            .map(unit => {
+                const velocity = this.getProductSalesVelocity(unit.id, unit.variantId);
+                const coverage = Math.ceil(velocity * this.getForecastCoverageDays(unit.levels));
+                const suggestedStock = Math.min(coverage, unit.levels.maxStock);
+                const onOrder = this.getOnOrderQuantity(unit.id, unit.variantId);
+                const shortfall = Math.max(suggestedStock - unit.stock - onOrder, 0);
+                const reorderAmount = shortfall > 0 ? Math.max(shortfall, unit.levels.reorderQty) : 0;
+                
+                return {
+                    id: unit.id,
+                    variantId: unit.variantId,
+                    hasVariants: unit.hasVariants,
+                    name: unit.name,
+                    currentStock: unit.stock,
+                    onOrder: onOrder,
+                    suggestedStock: suggestedStock,
+                    reorderAmount: reorderAmount,
+                    velocity: velocity
+                };
+            })
+            .filter(item => item.reorderAmount > 0)
+            .sort((a, b) => b.reorderAmount - a.reorderAmount);
+    }
+
+    // Forecast rows are whole products, or single variants when broken down by variant
+    getForecastUnits(byVariant = this.variantView.forecast) {
+        return this.products.flatMap(product => {
+            if (byVariant && this.hasVariants(product)) {
+                return product.variants.map(variant => ({
+                    id: product.id,
+                    variantId: variant.id,
+                    hasVariants: false,
+                    name: `${product.name} (${this.getVariantLabel(variant)})`,
+                    stock: variant.stock,
+                    levels: this.getStockLevels(product)
+                }));
+            }
+            return [{
+                id: product.id,
+                variantId: null,
+                hasVariants: this.hasVariants(product),
+                name: product.name,
+                stock: product.stock,
+                levels: this.getStockLevels(product)
+            }];
+        });
+    }
+
+    // Quantity of a product (all variants) or a single variant across the given sales
+    getSoldQuantity(sales, productId, variantId = null) {
+        return sales.reduce((sum, sale) => sum + sale.items
+            .filter(item => item.id === productId && (!variantId || item.variantId === variantId))
+            .reduce((itemSum, item) => itemSum + item.quantity, 0), 0);
+    }
+
+    getProductSalesVelocity(productId, variantId = null) {
+        const last30Days = new Date();
+        last30Days.setDate(last30Days.getDate() - 30);
+
+        const recentSales = this.sales.filter(sale => new Date(sale.date) >= last30Days);
+        const totalSold = this.getSoldQuantity(recentSales, productId, variantId);
+
+        // Returns subtract from the quantity sold
+        return Math.max(totalSold, 0) / 30; // Daily sales velocity
+    }
+
+    calculateSalesTrends() {
+        const trends = {};
+        const last90Days = new Date();
+        last90Days.setDate(last90Days.getDate() - 90);
+
+        // Group sales by week
+        this.sales.filter(sale => new Date(sale.date) >= last90Days)
+            .forEach(sale => {
+                const weekStart = new Date(sale.date);
+                weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+                const weekKey = weekStart.toISOString().split('T')[0];
+
+                if (!trends[weekKey]) {
+                    trends[weekKey] = { total: 0, transactions: 0 };
+                }
+                trends[weekKey].total += sale.total;
+                if (sale.type !== 'return') {
+                    trends[weekKey].transactions += 1;
+                }
+            });
+
+        return trends;
+    }
+
+    calculateDemandPredictions() {
+        const predictions = {};
         
-        if (customerList.length === 0) {
-            customersBody.innerHTML = '<tr><td colspan="7" class="empty-state">No customers found</td></tr>';
+        this.getForecastUnits().forEach(unit => {
+            const velocity = this.getProductSalesVelocity(unit.id, unit.variantId);
+            const trend = this.calculateProductTrend(unit.id, unit.variantId);
+            
+            predictions[unit.variantId ? `${unit.id}:${unit.variantId}` : unit.id] = {
+                name: unit.name,
+                currentVelocity: velocity,
+                predictedVelocity: velocity * (1 + trend),
+                confidence: Math.min(Math.abs(trend) * 100, 90), // Confidence based on trend strength
+                recommendedStock: Math.ceil((velocity * (1 + trend)) * this.getForecastCoverageDays(unit.levels))
+            };
+        });
+
+        return predictions;
+    }
+
+    calculateProductTrend(productId, variantId = null) {
+        // Simple trend calculation based on last 60 vs previous 60 days
+        const now = new Date();
+        const last60Days = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000);
+        const prev60Days = new Date(last60Days.getTime() - 60 * 24 * 60 * 60 * 1000);
+
+        const recentSales = this.sales.filter(sale => new Date(sale.date) >= last60Days);
+
+        const oldSales = this.sales.filter(sale => 
+            new Date(sale.date) >= prev60Days && new Date(sale.date) < last60Days
+        );
+
+        const recentTotal = this.getSoldQuantity(recentSales, productId, variantId);
+        const oldTotal = this.getSoldQuantity(oldSales, productId, variantId);
+
+        if (oldTotal === 0) return recentTotal > 0 ? 0.5 : 0;
+        
+        return (recentTotal - oldTotal) / oldTotal;
+    }
+
+    updateForecastDisplay() {
+        // Update low stock alerts
+        const alertsList = document.getElementById('stockAlertsList');
+        const expiryAlerts = this.inventoryForecast.expiryAlerts || [];
+        if (this.inventoryForecast.lowStockAlerts.length > 0 || expiryAlerts.length > 0) {
+            alertsList.innerHTML = expiryAlerts.map(alert => `
+                <div class="alert-item ${alert.expired ? 'danger' : 'warning'}">
+                    <div class="alert-content">
+                        <strong>${alert.name}</strong>
+                        <p>Batch ${alert.batch || '-'}: ${alert.quantity} ${alert.expired
+                            ? `expired on ${new Date(`${alert.expiryDate}T00:00:00`).toLocaleDateString()}; can't be sold`
+                            : alert.daysToExpiry === 0 ? 'expire today' : `expire in ${alert.daysToExpiry} day${alert.daysToExpiry === 1 ? '' : 's'}`}</p>
+                    </div>
+                    <button class="btn-small btn-secondary" data-action="stock-card" data-product-id="${alert.id}">Stock Card</button>
+                </div>
+            `).join('') + this.inventoryForecast.lowStockAlerts.map(alert => `
+                <div class="alert-item warning">
+                    <div class="alert-content">
+                        <strong>${alert.name}</strong>
+                        <p>Current stock: ${alert.currentStock} (minimum ${alert.minStock}) | Suggested reorder: ${alert.suggestedReorder}</p>
+                    </div>
+                    ${this.renderReorderButton(alert, alert.suggestedReorder)}
+                </div>
+            `).join('');
+        } else {
+            alertsList.innerHTML = '<p class="empty-state">No stock alerts</p>';
+        }
+
+        // Update reorder suggestions
+        const reorderList = document.getElementById('reorderList');
+        if (this.inventoryForecast.reorderSuggestions.length > 0) {
+            reorderList.innerHTML = this.inventoryForecast.reorderSuggestions.slice(0, 5).map(item => `
+                <div class="alert-item info">
+                    <div class="alert-content">
+                        <strong>${item.name}</strong>
+                        <p>Current: ${item.currentStock}${item.onOrder ? ` | On order: ${item.onOrder}` : ''} | Suggested: ${item.suggestedStock} | Reorder: ${item.reorderAmount}</p>
+                    </div>
+                    ${this.renderReorderButton(item, item.reorderAmount)}
+                </div>
+            `).join('');
+        } else {
+            reorderList.innerHTML = '<p class="empty-state">No reorder recommendations</p>';
+        }
+
+        // Update demand predictions
+        const demandDiv = document.getElementById('demandPrediction');
+        const predictions = Object.values(this.inventoryForecast.demandPredictions).slice(0, 5);
+        if (predictions.length > 0) {
+            demandDiv.innerHTML = predictions.map(pred => `
+                <div class="prediction-item">
+                    <strong>${pred.name}</strong>
+                    <p>Current daily sales: ${pred.currentVelocity.toFixed(1)}</p>
+                    <p>Predicted: ${pred.predictedVelocity.toFixed(1)} (${pred.confidence.toFixed(0)}% confidence)</p>
+                    <p>Recommended stock: ${pred.recommendedStock}</p>
+                </div>
+            `).join('');
+        } else {
+            demandDiv.innerHTML = '<p class="empty-state">No demand predictions available</p>';
+        }
+    }
+
+    // Stock arrives per variant, so rolled-up variant products point to the breakdown instead
+    renderReorderButton(unit, quantity) {
+        if (unit.hasVariants) {
+            return '<small class="form-hint">Break down by variant to reorder</small>';
+        }
+        return `
+            <button class="btn-small btn-primary" data-action="reorder" data-product-id="${unit.id}" data-variant-id="${unit.variantId || ''}" data-quantity="${quantity}">
+                Add to PO
+            </button>`;
+    }
+
+    async exportForecastReport() {
+        const approver = await this.authorize('export.sales', 'Export forecast report');
+        if (!approver) {
+            return;
+        }
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            lowStockAlerts: this.inventoryForecast.lowStockAlerts,
+            expiryAlerts: this.inventoryForecast.expiryAlerts,
+            reorderSuggestions: this.inventoryForecast.reorderSuggestions,
+            demandPredictions: this.inventoryForecast.demandPredictions,
+            salesTrends: this.inventoryForecast.salesTrends
+        };
+
+        const jsonContent = JSON.stringify(report, null, 2);
+        const blob = new Blob([jsonContent], { type: 'application/json;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `forecast_report_${new Date().toISOString().split('T')[0]}.json`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.recordAudit('export.forecast', 'Forecast report', { approvedBy: this.getApproval(approver) });
+        this.showToast('Forecast report exported', 'success');
+    }
+
+    // Purchasing
+    // A purchase order moves draft -> sent -> partially received -> closed. Stock only changes when
+    // a goods received note (GRN) is posted against it; each GRN records the landed cost per unit,
+    // with freight and other charges spread over the received lines by value.
+    getPurchaseOrderStatusLabel(status) {
+        return {
+            draft: 'Draft',
+            sent: 'Sent',
+            partial: 'Partially Received',
+            closed: 'Closed'
+        }[status] || status;
+    }
+
+    getSupplier(supplierId) {
+        return this.suppliers.find(s => s.id === supplierId) || null;
+    }
+
+    populateSupplierSelect(selectId, selectedId = null) {
+        const select = document.getElementById(selectId);
+        const placeholder = select.options[0] ? select.options[0].outerHTML : '<option value="">None</option>';
+        select.innerHTML = placeholder + this.suppliers
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(supplier => `<option value="${supplier.id}">${this.escapeHtml(supplier.name)}</option>`)
+            .join('');
+        select.value = selectedId ? String(selectedId) : '';
+    }
+
+    getNextPurchaseOrderNumber() {
+        const lastNumber = this.purchaseOrders
+            .reduce((max, po) => Math.max(max, parseInt((po.number || '').replace(/\D/g, '')) || 0), 0);
+        return `PO-${String(lastNumber + 1).padStart(4, '0')}`;
+    }
+
+    getNextGoodsReceiptNumber() {
+        const lastNumber = this.purchaseOrders
+            .flatMap(po => po.receipts || [])
+            .reduce((max, grn) => Math.max(max, parseInt((grn.number || '').replace(/\D/g, '')) || 0), 0);
+        return `GRN-${String(lastNumber + 1).padStart(4, '0')}`;
+    }
+
+    getPurchaseOrderTotal(po) {
+        return this.roundCurrency(po.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0));
+    }
+
+    // Units ordered but not yet received, across purchase orders that are still open
+    getOnOrderQuantity(productId, variantId = null) {
+        return this.purchaseOrders
+            .filter(po => po.status !== 'closed')
+            .reduce((sum, po) => sum + po.lines
+                .filter(line => line.productId === productId && (!variantId || line.variantId === variantId))
+                .reduce((lineSum, line) => lineSum + Math.max(line.quantity - (line.received || 0), 0), 0), 0);
+    }
+
+    renderPurchasing() {
+        this.renderPurchaseOrders();
+        this.renderSuppliers();
+    }
+
+    renderPurchaseOrders() {
+        const body = document.getElementById('purchaseOrdersBody');
+        const status = document.getElementById('poStatusFilter').value;
+        const orders = this.purchaseOrders
+            .filter(po => !status || po.status === status)
+            .sort((a, b) => b.id - a.id);
+
+        if (orders.length === 0) {
+            body.innerHTML = '<tr><td colspan="7" class="empty-state">No purchase orders</td></tr>';
+            return;
+        }
+
+        body.innerHTML = orders.map(po => {
+            const supplier = this.getSupplier(po.supplierId);
+            const ordered = po.lines.reduce((sum, line) => sum + line.quantity, 0);
+            const received = po.lines.reduce((sum, line) => sum + (line.received || 0), 0);
+            return `
+                <tr>
+                    <td>${po.number}</td>
+                    <td>${supplier ? this.escapeHtml(supplier.name) : '<em>No supplier</em>'}</td>
+                    <td>${new Date(po.createdAt).toLocaleDateString()}</td>
+                    <td><span class="status-badge po-status-${po.status}">${this.getPurchaseOrderStatusLabel(po.status)}</span></td>
+                    <td>${received} / ${ordered}</td>
+                    <td>₹${this.getPurchaseOrderTotal(po).toFixed(2)}</td>
+                    <td>
+                        <div class="action-buttons">
+                            ${po.status === 'draft' ? `
+                                <button class="btn-small btn-secondary" data-action="edit-po" data-po-id="${po.id}"><i class="fas fa-edit"></i> Edit</button>
+                                <button class="btn-small btn-primary" data-action="send-po" data-po-id="${po.id}"><i class="fas fa-paper-plane"></i> Mark Sent</button>
+                            ` : ''}
+                            ${po.status === 'sent' || po.status === 'partial' ? `
+                                <button class="btn-small btn-primary" data-action="receive-po" data-po-id="${po.id}"><i class="fas fa-dolly"></i> Receive</button>
+                                <button class="btn-small btn-secondary" data-action="close-po" data-po-id="${po.id}"><i class="fas fa-lock"></i> Close</button>
+                            ` : ''}
+                            <button class="btn-small btn-secondary" data-action="print-po" data-po-id="${po.id}"><i class="fas fa-print"></i> Print</button>
+                            ${po.status === 'draft' ? `
+                                <button class="btn-small btn-danger" data-action="delete-po" data-po-id="${po.id}"><i class="fas fa-trash"></i> Delete</button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderSuppliers() {
+        const body = document.getElementById('suppliersBody');
+
+        if (this.suppliers.length === 0) {
+            body.innerHTML = '<tr><td colspan="7" class="empty-state">No suppliers yet</td></tr>';
             return;
         }
-        
-        customersBody.innerHTML = customerList.map(customer => `
+
+        body.innerHTML = this.suppliers.map(supplier => `
             <tr>
-                <td>${customer.name}</td>
-                <td>${customer.phone || 'N/A'}</td>
-                <td>${customer.email || 'N/A'}</td>
-                <td>${customer.totalOrders}</td>
-                <td>₹${customer.totalSpent.toFixed(2)}</td>
-                <td>${customer.lastVisit ? new Date(customer.lastVisit).toLocaleDateString() : 'N/A'}</td>
+                <td>${this.escapeHtml(supplier.name)}</td>
+                <td>${this.escapeHtml(supplier.contact || 'N/A')}</td>
+                <td>${this.escapeHtml(supplier.phone || 'N/A')}</td>
+                <td>${this.escapeHtml(supplier.email || 'N/A')}</td>
+                <td>${supplier.leadTimeDays !== null && supplier.leadTimeDays !== undefined ? `${supplier.leadTimeDays} days` : 'N/A'}</td>
+                <td>${this.purchaseOrders.filter(po => po.supplierId === supplier.id && po.status !== 'closed').length}</td>
                 <td>
-                    <button class="btn-small btn-secondary view-customer" data-customer-key="${customer.name}_${customer.phone || ''}">
-                        <i class="fas fa-eye"></i> View History
-                    </button>
+                    <div class="action-buttons">
+                        <button class="btn-small btn-secondary" data-action="edit-supplier" data-supplier-id="${supplier.id}"><i class="fas fa-edit"></i> Edit</button>
+                        <button class="btn-small btn-danger" data-action="delete-supplier" data-supplier-id="${supplier.id}"><i class="fas fa-trash"></i> Delete</button>
+                    </div>
                 </td>
             </tr>
         `).join('');
     }
 
-    viewCustomerHistory(customerKey) {
-        const customer = this.customers[customerKey];
-        if (!customer) {
-            this.showToast('Customer not found', 'error');
+    openSupplierModal(supplierId = null) {
+        const supplier = this.getSupplier(supplierId);
+        document.getElementById('supplierForm').reset();
+        document.getElementById('supplierModalTitle').textContent = supplier ? 'Edit Supplier' : 'Add Supplier';
+        document.getElementById('supplierId').value = supplier ? supplier.id : '';
+
+        if (supplier) {
+            document.getElementById('supplierName').value = supplier.name;
+            document.getElementById('supplierContact').value = supplier.contact || '';
+            document.getElementById('supplierPhone').value = supplier.phone || '';
+            document.getElementById('supplierEmail').value = supplier.email || '';
+            document.getElementById('supplierLeadTime').value = supplier.leadTimeDays ?? '';
+            document.getElementById('supplierGST').value = supplier.gst || '';
+            document.getElementById('supplierAddress').value = supplier.address || '';
+            document.getElementById('supplierNotes').value = supplier.notes || '';
+        }
+
+        document.getElementById('supplierModal').style.display = 'block';
+    }
+
+    async saveSupplier() {
+        const supplierId = parseInt(document.getElementById('supplierId').value) || null;
+        const leadTimeValue = document.getElementById('supplierLeadTime').value;
+        const details = {
+            name: document.getElementById('supplierName').value.trim(),
+            contact: document.getElementById('supplierContact').value.trim(),
+            phone: document.getElementById('supplierPhone').value.trim(),
+            email: document.getElementById('supplierEmail').value.trim(),
+            leadTimeDays: leadTimeValue === '' ? null : parseInt(leadTimeValue),
+            gst: document.getElementById('supplierGST').value.trim(),
+            address: document.getElementById('supplierAddress').value.trim(),
+            notes: document.getElementById('supplierNotes').value.trim()
+        };
+
+        if (!details.name) {
+            this.showToast('Supplier name is required', 'warning');
             return;
         }
-        
-        // Create customer history modal content
-        const modal = document.createElement('div');
-        modal.className = 'modal';
-        modal.innerHTML = `
-            <div class="modal-content large-modal">
-                <span class="close">&times;</span>
-                <div class="customer-history">
-                    <h3>${customer.name}'s Purchase History</h3>
-                    <div class="customer-info">
-                        <p><strong>Phone:</strong> ${customer.phone || 'N/A'}</p>
-                        <p><strong>Email:</strong> ${customer.email || 'N/A'}</p>
-                        <p><strong>Total Orders:</strong> ${customer.totalOrders}</p>
-                        <p><strong>Total Spent:</strong> ₹${customer.totalSpent.toFixed(2)}</p>
-                        <p><strong>First Visit:</strong> ${new Date(customer.firstVisit).toLocaleDateString()}</p>
-                        <p><strong>Last Visit:</strong> ${new Date(customer.lastVisit).toLocaleDateString()}</p>
-                    </div>
-                    <div class="customer-orders">
-                        <h4>Order History</h4>
-                        <table class="orders-table">
-                            <thead>
-                                <tr>
-                                    <th>Invoice</th>
-                                    <th>Date</th>
-                                    <th>Items</th>
-                                    <th>Total</th>
-                                    <th>Actions</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${customer.orders.sort((a, b) => new Date(b.date) - new Date(a.date)).map(order => `
-                                    <tr>
-                                        <td>${this.settings.invoice.prefix}${order.id}</td>
-                                        <td>${new Date(order.date).toLocaleDateString()}</td>
-                                        <td>${order.items} items</td>
-                                        <td>₹${order.total.toFixed(2)}</td>
-                                        <td>
-                                            <button class="btn-small btn-primary view-order" data-sale-id="${order.id}">
-                                                <i class="fas fa-eye"></i> View
-                                            </button>
-                                        </td>
-                                    </tr>
-                                `).join('')}
-                            </tbody>
-                        </table>
-                    </div>
-                </div>
-            </div>
-        `;
-        
-        document.body.appendChild(modal);
-        modal.style.display = 'block';
-        
-        // Add event listeners
-        modal.querySelector('.close').addEventListener('click', () => {
-            modal.style.display = 'none';
-            document.body.removeChild(modal);
+
+        if (this.suppliers.some(s => s.id !== supplierId && s.name.toLowerCase() === details.name.toLowerCase())) {
+            this.showToast(`A supplier named ${details.name} already exists`, 'warning');
+            return;
+        }
+
+        if (details.leadTimeDays !== null && (isNaN(details.leadTimeDays) || details.leadTimeDays < 0)) {
+            this.showToast('Lead time must be a whole number of days', 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('purchase.manage', supplierId ? `Edit supplier ${details.name}` : `Add supplier ${details.name}`);
+        if (!approver) return;
+
+        const existing = this.getSupplier(supplierId);
+        if (existing) {
+            const before = { ...existing };
+            Object.assign(existing, details);
+            this.recordAudit('supplier.update', existing.name, { ...this.diffForAudit(before, existing), approvedBy: this.getApproval(approver) });
+            this.showToast('Supplier updated successfully', 'success');
+        } else {
+            const supplier = { id: Date.now(), ...details, createdAt: new Date().toISOString() };
+            this.suppliers.push(supplier);
+            this.recordAudit('supplier.create', supplier.name, { after: { ...details }, approvedBy: this.getApproval(approver) });
+            this.showToast('Supplier added successfully', 'success');
+        }
+
+        this.saveData();
+        this.renderPurchasing();
+        document.getElementById('supplierModal').style.display = 'none';
+    }
+
+    async deleteSupplier(supplierId) {
+        const supplier = this.getSupplier(supplierId);
+        if (!supplier) return;
+
+        if (this.purchaseOrders.some(po => po.supplierId === supplierId && po.status !== 'closed')) {
+            this.showToast(`${supplier.name} has open purchase orders; close or delete them first`, 'warning');
+            return;
+        }
+
+        if (!confirm(`Delete supplier ${supplier.name}?`)) {
+            return;
+        }
+
+        const approver = await this.authorize('purchase.manage', `Delete supplier ${supplier.name}`);
+        if (!approver) return;
+
+        this.suppliers = this.suppliers.filter(s => s.id !== supplierId);
+        // Closed orders keep the id for their history; products just lose the preference
+        this.products.filter(p => p.supplierId === supplierId).forEach(product => {
+            product.supplierId = null;
         });
-        
-        modal.querySelectorAll('.view-order').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const saleId = parseInt(e.target.closest('.view-order').dataset.saleId);
-                this.viewSale(saleId);
+        this.recordAudit('supplier.delete', supplier.name, { before: { ...supplier }, approvedBy: this.getApproval(approver) });
+        this.saveData();
+        this.renderPurchasing();
+        this.showToast('Supplier deleted successfully', 'success');
+    }
+
+    // Stock is held per product, or per variant for products that have them
+    getStockItemName(productId, variantId = null) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return null;
+        const variant = this.getVariant(product, variantId);
+        return variant ? `${product.name} (${this.getVariantLabel(variant)})` : product.name;
+    }
+
+    getLastLandedCost(productId, variantId = null) {
+        const product = this.products.find(p => p.id === productId);
+        const variant = this.getVariant(product, variantId);
+        const source = variant || product;
+        return source && source.lastLandedCost !== undefined ? source.lastLandedCost : null;
+    }
+
+    openPurchaseOrderModal(poId = null) {
+        const po = this.purchaseOrders.find(p => p.id === poId);
+        if (po && po.status !== 'draft') {
+            this.showToast('Only draft purchase orders can be edited', 'warning');
+            return;
+        }
+
+        this.editingPurchaseOrder = {
+            id: po ? po.id : null,
+            lines: po ? po.lines.map(line => ({ ...line })) : []
+        };
+
+        document.getElementById('purchaseOrderModalTitle').textContent = po ? `Edit ${po.number}` : 'New Purchase Order';
+        this.populateSupplierSelect('poSupplier', po ? po.supplierId : null);
+        document.getElementById('poExpectedDate').value = po ? po.expectedDate || '' : '';
+        document.getElementById('poNotes').value = po ? po.notes || '' : '';
+        document.getElementById('poProductSelect').innerHTML = this.products.flatMap(product =>
+            this.hasVariants(product)
+                ? product.variants.map(variant => `<option value="${product.id}:${variant.id}">${product.name} (${this.getVariantLabel(variant)})</option>`)
+                : [`<option value="${product.id}">${product.name}</option>`]
+        ).join('');
+        document.getElementById('poLineQuantity').value = 1;
+        this.fillPurchaseOrderLineCost();
+        this.renderPurchaseOrderLines();
+        document.getElementById('purchaseOrderModal').style.display = 'block';
+    }
+
+    getSelectedPurchaseOrderProduct() {
+        const [productId, variantId] = document.getElementById('poProductSelect').value.split(':');
+        return { productId: parseInt(productId), variantId: variantId || null };
+    }
+
+    fillPurchaseOrderLineCost() {
+        const { productId, variantId } = this.getSelectedPurchaseOrderProduct();
+        const cost = this.getLastLandedCost(productId, variantId);
+        document.getElementById('poLineCost').value = cost !== null ? cost : '';
+    }
+
+    addPurchaseOrderLine() {
+        const { productId, variantId } = this.getSelectedPurchaseOrderProduct();
+        const quantity = parseInt(document.getElementById('poLineQuantity').value);
+        const unitCost = parseFloat(document.getElementById('poLineCost').value);
+        const name = this.getStockItemName(productId, variantId);
+
+        if (!name) {
+            this.showToast('Select a product', 'warning');
+            return;
+        }
+
+        if (isNaN(quantity) || quantity <= 0 || isNaN(unitCost) || unitCost < 0) {
+            this.showToast('Enter a quantity and unit cost', 'warning');
+            return;
+        }
+
+        this.readPurchaseOrderLines();
+        const existing = this.editingPurchaseOrder.lines.find(line => line.productId === productId && (line.variantId || null) === variantId);
+        if (existing) {
+            existing.quantity += quantity;
+            existing.unitCost = unitCost;
+        } else {
+            this.editingPurchaseOrder.lines.push({ productId, variantId, name, quantity, unitCost, received: 0 });
+        }
+        this.renderPurchaseOrderLines();
+    }
+
+    renderPurchaseOrderLines() {
+        const body = document.getElementById('poLinesBody');
+        const lines = this.editingPurchaseOrder.lines;
+
+        body.innerHTML = lines.length === 0
+            ? '<tr><td colspan="5" class="empty-state">No lines yet</td></tr>'
+            : lines.map((line, index) => `
+                <tr>
+                    <td>${line.name}</td>
+                    <td><input type="number" class="po-line-qty" data-line-index="${index}" min="1" step="1" value="${line.quantity}"></td>
+                    <td><input type="number" class="po-line-cost" data-line-index="${index}" min="0" step="0.01" value="${line.unitCost}"></td>
+                    <td class="po-line-total">₹${(line.quantity * line.unitCost).toFixed(2)}</td>
+                    <td><button type="button" class="remove-btn" data-action="remove-po-line" data-line-index="${index}">Remove</button></td>
+                </tr>
+            `).join('');
+
+        this.updatePurchaseOrderTotal();
+    }
+
+    // Copies edits from the line inputs back onto the editing order
+    readPurchaseOrderLines() {
+        document.querySelectorAll('#poLinesBody tr').forEach(row => {
+            const qtyInput = row.querySelector('.po-line-qty');
+            if (!qtyInput) return;
+            const line = this.editingPurchaseOrder.lines[parseInt(qtyInput.dataset.lineIndex)];
+            line.quantity = parseInt(qtyInput.value);
+            line.unitCost = parseFloat(row.querySelector('.po-line-cost').value);
+            const total = line.quantity * line.unitCost;
+            row.querySelector('.po-line-total').textContent = isNaN(total) ? '-' : `₹${total.toFixed(2)}`;
+        });
+    }
+
+    updatePurchaseOrderTotal() {
+        const total = this.editingPurchaseOrder.lines.reduce((sum, line) => sum + (line.quantity * line.unitCost || 0), 0);
+        document.getElementById('poTotal').textContent = `₹${this.roundCurrency(total).toFixed(2)}`;
+    }
+
+    async savePurchaseOrder(markSent = false) {
+        this.readPurchaseOrderLines();
+        const { id, lines } = this.editingPurchaseOrder;
+        const supplierId = parseInt(document.getElementById('poSupplier').value) || null;
+
+        if (lines.length === 0) {
+            this.showToast('Add at least one line to the purchase order', 'warning');
+            return;
+        }
+
+        if (lines.some(line => isNaN(line.quantity) || line.quantity <= 0 || isNaN(line.unitCost) || line.unitCost < 0)) {
+            this.showToast('Every line needs a quantity and unit cost', 'warning');
+            return;
+        }
+
+        if (markSent && !supplierId) {
+            this.showToast('Choose a supplier before sending the purchase order', 'warning');
+            return;
+        }
+
+        const existing = this.purchaseOrders.find(p => p.id === id);
+        const approver = await this.authorize('purchase.manage', existing ? `Edit ${existing.number}` : 'Create purchase order');
+        if (!approver) return;
+
+        const details = {
+            supplierId,
+            expectedDate: document.getElementById('poExpectedDate').value,
+            notes: document.getElementById('poNotes').value.trim(),
+            lines: lines.map(line => ({ ...line })),
+            updatedAt: new Date().toISOString()
+        };
+
+        let po;
+        if (existing) {
+            const before = { supplierId: existing.supplierId, lines: existing.lines.length, total: this.getPurchaseOrderTotal(existing) };
+            Object.assign(existing, details);
+            po = existing;
+            this.recordAudit('po.update', po.number, {
+                before,
+                after: { supplierId: po.supplierId, lines: po.lines.length, total: this.getPurchaseOrderTotal(po) },
+                approvedBy: this.getApproval(approver)
+            });
+        } else {
+            po = this.createPurchaseOrder(details);
+            this.recordAudit('po.create', po.number, {
+                after: { supplierId: po.supplierId, lines: po.lines.length, total: this.getPurchaseOrderTotal(po) },
+                approvedBy: this.getApproval(approver)
             });
+        }
+
+        if (markSent) {
+            this.markPurchaseOrderSent(po, approver);
+        }
+
+        this.saveData();
+        document.getElementById('purchaseOrderModal').style.display = 'none';
+        this.editingPurchaseOrder = null;
+        this.renderPurchasing();
+        this.showToast(markSent ? `${po.number} saved and marked as sent` : `${po.number} saved as draft`, 'success');
+    }
+
+    createPurchaseOrder(details) {
+        const po = {
+            id: Date.now() + this.purchaseOrders.length,
+            number: this.getNextPurchaseOrderNumber(),
+            status: 'draft',
+            supplierId: null,
+            expectedDate: '',
+            notes: '',
+            lines: [],
+            receipts: [],
+            createdAt: new Date().toISOString(),
+            createdBy: this.currentUser ? this.currentUser.username : '',
+            ...details
+        };
+        this.purchaseOrders.push(po);
+        return po;
+    }
+
+    markPurchaseOrderSent(po, approver) {
+        po.status = 'sent';
+        po.sentAt = new Date().toISOString();
+        this.recordAudit('po.send', po.number, {
+            before: { status: 'draft' },
+            after: { status: 'sent' },
+            approvedBy: this.getApproval(approver)
         });
     }
 
-    exportCustomers() {
-        const customerList = Object.values(this.customers);
-        
-        if (customerList.length === 0) {
-            this.showToast('No customers to export', 'warning');
+    async sendPurchaseOrder(poId) {
+        const po = this.purchaseOrders.find(p => p.id === poId);
+        if (!po || po.status !== 'draft') return;
+
+        if (!po.supplierId || !this.getSupplier(po.supplierId)) {
+            this.showToast('Choose a supplier before sending the purchase order', 'warning');
+            this.openPurchaseOrderModal(poId);
             return;
         }
-        
-        const csvHeaders = ['Name', 'Phone', 'Email', 'Total Orders', 'Total Spent', 'First Visit', 'Last Visit'];
-        const csvRows = customerList.map(customer => [
-            customer.name,
-            customer.phone || '',
-            customer.email || '',
-            customer.totalOrders,
-            customer.totalSpent.toFixed(2),
-            customer.firstVisit ? new Date(customer.firstVisit).toLocaleDateString() : '',
-            customer.lastVisit ? new Date(customer.lastVisit).toLocaleDateString() : ''
-        ]);
-        
-        const csvContent = [csvHeaders, ...csvRows]
-            .map(row => row.map(field => `"${field}"`).join(','))
-            .join('\n');
-        
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `customers_${new Date().toISOString().split('T')[0]}.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        this.showToast(`Exported ${customerList.length} customers`, 'success');
+
+        if (po.lines.length === 0) {
+            this.showToast('Add at least one line to the purchase order', 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('purchase.manage', `Send ${po.number}`);
+        if (!approver) return;
+
+        this.markPurchaseOrderSent(po, approver);
+        this.saveData();
+        this.renderPurchasing();
+        this.showToast(`${po.number} marked as sent`, 'success');
+    }
+
+    async closePurchaseOrder(poId) {
+        const po = this.purchaseOrders.find(p => p.id === poId);
+        if (!po || (po.status !== 'sent' && po.status !== 'partial')) return;
+
+        const outstanding = po.lines.reduce((sum, line) => sum + Math.max(line.quantity - (line.received || 0), 0), 0);
+        if (!confirm(`Close ${po.number}? ${outstanding} outstanding units will no longer be expected.`)) {
+            return;
+        }
+
+        const approver = await this.authorize('purchase.manage', `Close ${po.number}`);
+        if (!approver) return;
+
+        const before = { status: po.status };
+        po.status = 'closed';
+        po.closedAt = new Date().toISOString();
+        this.recordAudit('po.close', po.number, {
+            before,
+            after: { status: 'closed', outstanding },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+        this.renderPurchasing();
+        this.showToast(`${po.number} closed`, 'success');
+    }
+
+    async deletePurchaseOrder(poId) {
+        const po = this.purchaseOrders.find(p => p.id === poId);
+        if (!po || po.status !== 'draft') return;
+
+        if (!confirm(`Delete draft ${po.number}?`)) {
+            return;
+        }
+
+        const approver = await this.authorize('purchase.manage', `Delete ${po.number}`);
+        if (!approver) return;
+
+        this.purchaseOrders = this.purchaseOrders.filter(p => p.id !== poId);
+        this.recordAudit('po.delete', po.number, {
+            before: { supplierId: po.supplierId, lines: po.lines.length, total: this.getPurchaseOrderTotal(po) },
+            approvedBy: this.getApproval(approver)
+        });
+        this.saveData();
+        this.renderPurchasing();
+        this.showToast(`${po.number} deleted`, 'success');
+    }
+
+    // Adds lines to the open draft for each item's preferred supplier, starting one if needed.
+    // Returns the purchase orders that were touched.
+    addLinesToDraftOrders(items) {
+        const touched = new Map();
+
+        items.forEach(({ productId, variantId, quantity }) => {
+            const product = this.products.find(p => p.id === productId);
+            const name = this.getStockItemName(productId, variantId);
+            if (!product || !name) return;
+
+            const supplierId = product.supplierId && this.getSupplier(product.supplierId) ? product.supplierId : null;
+            let po = this.purchaseOrders.find(p => p.status === 'draft' && (p.supplierId || null) === supplierId);
+            if (!po) {
+                po = this.createPurchaseOrder({ supplierId });
+                touched.set(po.id, { po, created: true });
+            } else if (!touched.has(po.id)) {
+                touched.set(po.id, { po, created: false });
+            }
+
+            const line = po.lines.find(l => l.productId === productId && (l.variantId || null) === (variantId || null));
+            if (line) {
+                // Suggestions are targets, so re-adding an item tops the line up rather than doubling it
+                line.quantity = Math.max(line.quantity, quantity);
+            } else {
+                const lastCost = this.getLastLandedCost(productId, variantId);
+                po.lines.push({ productId, variantId: variantId || null, name, quantity, unitCost: lastCost !== null ? lastCost : 0, received: 0 });
+            }
+            po.updatedAt = new Date().toISOString();
+        });
+
+        return Array.from(touched.values());
+    }
+
+    recordDraftOrderChanges(touched, approver) {
+        touched.forEach(({ po, created }) => {
+            this.recordAudit(created ? 'po.create' : 'po.update', po.number, {
+                after: { supplierId: po.supplierId, lines: po.lines.length, total: this.getPurchaseOrderTotal(po) },
+                approvedBy: this.getApproval(approver)
+            });
+        });
+    }
+
+    async addToPurchaseOrder(productId, quantity, variantId = null) {
+        const name = this.getStockItemName(productId, variantId);
+        if (!name || !(quantity > 0)) return;
+
+        const approver = await this.authorize('purchase.manage', `Order ${name}`);
+        if (!approver) return;
+
+        const touched = this.addLinesToDraftOrders([{ productId, variantId, quantity }]);
+        this.recordDraftOrderChanges(touched, approver);
+        this.saveData();
+        this.calculateInventoryForecast();
+        this.updateForecastDisplay();
+        this.renderPurchasing();
+
+        const po = touched[0].po;
+        this.showToast(`${name} added to draft ${po.number}${po.supplierId ? '' : ' (choose a supplier before sending)'}`, 'success');
+    }
+
+    async createPurchaseOrdersFromSuggestions() {
+        // Stock is received per variant, so suggestions are always broken down here
+        const suggestions = this.getReorderSuggestions(this.getForecastUnits(true));
+        if (suggestions.length === 0) {
+            this.showToast('No reorder recommendations to order', 'info');
+            return;
+        }
+
+        const approver = await this.authorize('purchase.manage', 'Create purchase orders from recommendations');
+        if (!approver) return;
+
+        const touched = this.addLinesToDraftOrders(suggestions.map(item => ({
+            productId: item.id,
+            variantId: item.variantId,
+            quantity: item.reorderAmount
+        })));
+        this.recordDraftOrderChanges(touched, approver);
+        this.saveData();
+        this.calculateInventoryForecast();
+        this.updateForecastDisplay();
+        this.renderPurchasing();
+        this.showToast(`${suggestions.length} items added to ${touched.length} draft purchase order${touched.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    // Goods Received
+    openGoodsReceipt(poId) {
+        const po = this.purchaseOrders.find(p => p.id === poId);
+        if (!po || (po.status !== 'sent' && po.status !== 'partial')) {
+            this.showToast('Only sent purchase orders can be received', 'warning');
+            return;
+        }
+
+        const supplier = this.getSupplier(po.supplierId);
+        this.receivingPurchaseOrderId = poId;
+        document.getElementById('grnPoNumber').textContent = po.number;
+        document.getElementById('grnSupplier').textContent = supplier ? supplier.name : 'No supplier';
+        document.getElementById('grnSupplierRef').value = '';
+        document.getElementById('grnCharges').value = 0;
+
+        document.getElementById('grnLinesBody').innerHTML = po.lines.map((line, index) => {
+            const outstanding = Math.max(line.quantity - (line.received || 0), 0);
+            const tracked = !line.variantId && this.isBatchTracked(this.products.find(p => p.id === line.productId));
+            return `
+                <tr>
+                    <td>${line.name}</td>
+                    <td>${line.quantity}</td>
+                    <td>${line.received || 0}</td>
+                    <td><input type="number" class="grn-qty" data-line-index="${index}" min="0" max="${outstanding}" step="1" value="${outstanding}" ${outstanding <= 0 ? 'disabled' : ''}></td>
+                    <td><input type="number" class="grn-cost" data-line-index="${index}" min="0" step="0.01" value="${line.unitCost}" ${outstanding <= 0 ? 'disabled' : ''}></td>
+                    <td class="grn-landed" data-line-index="${index}">-</td>
+                    <td>${tracked && outstanding > 0 ? `
+                        <input type="text" class="grn-batch" data-line-index="${index}" placeholder="Batch/Lot">
+                        <input type="date" class="grn-expiry" data-line-index="${index}">
+                    ` : '-'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('grnHistory').innerHTML = (po.receipts || []).length > 0 ? `
+            <h4>Previous Receipts</h4>
+            ${po.receipts.map(grn => `
+                <p>${grn.number} &middot; ${new Date(grn.date).toLocaleDateString()} &middot; ${grn.lines.reduce((sum, l) => sum + l.quantity, 0)} units &middot; ₹${grn.landedTotal.toFixed(2)} landed${grn.supplierRef ? ` &middot; Ref ${grn.supplierRef}` : ''}</p>
+            `).join('')}
+        ` : '';
+
+        this.updateGoodsReceiptTotals();
+        document.getElementById('goodsReceiptModal').style.display = 'block';
+    }
+
+    // Reads the receipt form; landed unit cost = unit cost + the line's value share of the charges
+    getGoodsReceiptLines() {
+        const po = this.purchaseOrders.find(p => p.id === this.receivingPurchaseOrderId);
+        const charges = parseFloat(document.getElementById('grnCharges').value) || 0;
+        const lines = [];
+
+        document.querySelectorAll('.grn-qty').forEach(input => {
+            const lineIndex = parseInt(input.dataset.lineIndex);
+            const line = po.lines[lineIndex];
+            const outstanding = Math.max(line.quantity - (line.received || 0), 0);
+            const quantity = parseFloat(input.value) || 0;
+            const unitCost = parseFloat(document.querySelector(`.grn-cost[data-line-index="${lineIndex}"]`).value);
+            const batchInput = document.querySelector(`.grn-batch[data-line-index="${lineIndex}"]`);
+            const expiryInput = document.querySelector(`.grn-expiry[data-line-index="${lineIndex}"]`);
+            if (quantity > 0) {
+                lines.push({
+                    lineIndex,
+                    line,
+                    quantity,
+                    outstanding,
+                    unitCost,
+                    tracked: !!expiryInput,
+                    batchCode: batchInput ? batchInput.value.trim() : '',
+                    expiryDate: expiryInput ? expiryInput.value : ''
+                });
+            }
+        });
+
+        const goodsValue = lines.reduce((sum, l) => sum + l.quantity * (l.unitCost || 0), 0);
+        const totalQuantity = lines.reduce((sum, l) => sum + l.quantity, 0);
+        lines.forEach(l => {
+            const share = goodsValue > 0 ? (l.quantity * (l.unitCost || 0)) / goodsValue : l.quantity / totalQuantity;
+            l.landedUnitCost = Math.round(((l.unitCost || 0) + (charges * share) / l.quantity) * 10000) / 10000;
+        });
+
+        return { po, lines, charges, goodsValue: this.roundCurrency(goodsValue) };
+    }
+
+    updateGoodsReceiptTotals() {
+        const { lines, charges, goodsValue } = this.getGoodsReceiptLines();
+
+        document.querySelectorAll('.grn-landed').forEach(cell => {
+            const entry = lines.find(l => l.lineIndex === parseInt(cell.dataset.lineIndex));
+            cell.textContent = entry && !isNaN(entry.landedUnitCost) ? `₹${entry.landedUnitCost.toFixed(2)}` : '-';
+        });
+        document.getElementById('grnGoodsValue').textContent = `₹${goodsValue.toFixed(2)}`;
+        document.getElementById('grnLandedTotal').textContent = `₹${this.roundCurrency(goodsValue + (lines.length > 0 ? charges : 0)).toFixed(2)}`;
     }
 
-    // User Management
-    loadUsers() {
-        try {
-            const savedUsers = localStorage.getItem('users');
-            if (savedUsers) {
-                this.users = JSON.parse(savedUsers);
-            } else {
-                // Create default admin user
-                this.users = [{
-                    id: 1,
-                    name: 'Administrator',
-                    username: 'admin',
-                    password: 'admin123',
-                    role: 'admin',
-                    email: '',
-                    lastLogin: null,
-                    isActive: true,
-                    createdAt: new Date().toISOString()
-                }];
-                this.saveUsers();
-            }
-        } catch (error) {
-            console.error('Error loading users from localStorage:', error);
-            // Reset to default admin user
-            this.users = [{
-                id: 1,
-                name: 'Administrator',
-                username: 'admin',
-                password: 'admin123',
-                role: 'admin',
-                email: '',
-                lastLogin: null,
-                isActive: true,
-                createdAt: new Date().toISOString()
-            }];
+    async postGoodsReceipt() {
+        const { po, lines, charges, goodsValue } = this.getGoodsReceiptLines();
+        if (!po) return;
+
+        if (lines.length === 0) {
+            this.showToast('Enter the quantity received for at least one line', 'warning');
+            return;
         }
-    }
 
-    saveUsers() {
-        try {
-            localStorage.setItem('users', JSON.stringify(this.users));
-        } catch (error) {
-            console.error('Error saving users to localStorage:', error);
+        const overReceived = lines.find(l => l.quantity > l.outstanding);
+        if (overReceived) {
+            this.showToast(`Only ${overReceived.outstanding} of ${overReceived.line.name} is outstanding on ${po.number}`, 'warning');
+            return;
         }
-    }
 
-    checkLoginStatus() {
-        try {
-            const savedUser = localStorage.getItem('currentUser');
-            const loginTime = localStorage.getItem('loginTime');
-            
-            if (savedUser && loginTime) {
-                const timeDiff = Date.now() - parseInt(loginTime);
-                const hoursDiff = timeDiff / (1000 * 60 * 60);
-                
-                // Auto logout after 8 hours
-                if (hoursDiff < 8) {
-                    this.currentUser = JSON.parse(savedUser);
-                    this.isLoggedIn = true;
-                    this.updateUserInterface();
-                    return;
-                }
+        if (lines.some(l => !Number.isInteger(l.quantity) || isNaN(l.unitCost) || l.unitCost < 0) || charges < 0) {
+            this.showToast('Check the received quantities, unit costs and charges', 'warning');
+            return;
+        }
+
+        const undated = lines.find(l => l.tracked && !l.expiryDate);
+        if (undated) {
+            this.showToast(`Enter the batch expiry date for ${undated.line.name}`, 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('stock.receive', `Receive goods on ${po.number}`);
+        if (!approver) return;
+
+        const grn = {
+            number: this.getNextGoodsReceiptNumber(),
+            date: new Date().toISOString(),
+            receivedBy: this.currentUser ? this.currentUser.username : '',
+            approvedBy: this.getApproval(approver),
+            supplierRef: document.getElementById('grnSupplierRef').value.trim(),
+            charges: this.roundCurrency(charges),
+            goodsValue,
+            landedTotal: this.roundCurrency(goodsValue + charges),
+            lines: lines.map(l => ({
+                lineIndex: l.lineIndex,
+                productId: l.line.productId,
+                variantId: l.line.variantId || null,
+                name: l.line.name,
+                quantity: l.quantity,
+                unitCost: l.unitCost,
+                landedUnitCost: l.landedUnitCost,
+                ...(l.tracked ? { batchCode: l.batchCode, expiryDate: l.expiryDate } : {})
+            }))
+        };
+
+        lines.forEach(l => {
+            const product = this.products.find(p => p.id === l.line.productId);
+            const batch = l.tracked && product
+                ? this.createBatch(product, { code: l.batchCode, expiryDate: l.expiryDate, cost: l.landedUnitCost, reference: grn.number })
+                : null;
+
+            l.line.received = (l.line.received || 0) + l.quantity;
+            this.updateAverageCost(l.line.productId, l.line.variantId, l.quantity, l.landedUnitCost);
+            this.recordStockMovement({
+                type: 'receipt',
+                productId: l.line.productId,
+                variantId: l.line.variantId,
+                quantity: l.quantity,
+                reference: `${po.number} ${grn.number}`,
+                batches: batch ? [{ id: batch.id, quantity: l.quantity }] : null
+            }, grn.approvedBy);
+
+            const target = this.getVariant(product, l.line.variantId) || product;
+            if (target) {
+                target.lastLandedCost = l.landedUnitCost;
             }
-            
-            this.logout();
-        } catch (error) {
-            console.error('Error checking login status:', error);
-            this.logout();
+        });
+
+        const previousStatus = po.status;
+        po.receipts = (po.receipts || []).concat(grn);
+        po.status = po.lines.every(line => (line.received || 0) >= line.quantity) ? 'closed' : 'partial';
+        if (po.status === 'closed') {
+            po.closedAt = grn.date;
         }
+
+        this.recordAudit('po.receive', `${po.number} ${grn.number}`, {
+            before: { status: previousStatus },
+            after: { status: po.status, units: grn.lines.reduce((sum, l) => sum + l.quantity, 0), landedTotal: grn.landedTotal },
+            approvedBy: grn.approvedBy
+        });
+
+        this.saveData();
+        document.getElementById('goodsReceiptModal').style.display = 'none';
+        this.receivingPurchaseOrderId = null;
+        this.renderProducts();
+        this.renderInventory();
+        this.calculateInventoryForecast();
+        this.updateForecastDisplay();
+        this.renderPurchasing();
+        this.showToast(`${grn.number} posted; ${po.number} is ${this.getPurchaseOrderStatusLabel(po.status).toLowerCase()}`, 'success');
     }
 
-    showLoginModal() {
-        document.getElementById('loginModal').style.display = 'block';
+    showPurchaseOrder(po) {
+        const invoiceContent = document.getElementById('invoiceContent');
+        const shopInfo = this.settings.shop;
+        const supplier = this.getSupplier(po.supplierId);
+        const hasReceipts = (po.receipts || []).length > 0;
+
+        invoiceContent.innerHTML = `
+            <div class="invoice-header">
+                ${this.settings.invoice.showLogo && shopInfo.logo ? `<img src="${shopInfo.logo}" alt="Logo" style="max-width: 100px; margin-bottom: 10px;">` : ''}
+                <h2>${shopInfo.name || '🛍️ Retail POS'}</h2>
+                ${shopInfo.address ? `<p>${shopInfo.address}</p>` : ''}
+                ${shopInfo.phone ? `<p>Phone: ${shopInfo.phone}</p>` : ''}
+                ${shopInfo.email ? `<p>Email: ${shopInfo.email}</p>` : ''}
+                ${shopInfo.gst ? `<p>GST: ${shopInfo.gst}</p>` : ''}
+                <h3>PURCHASE ORDER</h3>
+                <p>${po.number}</p>
+            </div>
+
+            <div class="invoice-details">
+                <div>
+                    <h4>Supplier</h4>
+                    <p><strong>Name:</strong> ${supplier ? this.escapeHtml(supplier.name) : 'N/A'}</p>
+                    ${supplier && supplier.contact ? `<p><strong>Attn:</strong> ${this.escapeHtml(supplier.contact)}</p>` : ''}
+                    ${supplier && supplier.address ? `<p>${this.escapeHtml(supplier.address)}</p>` : ''}
+                    ${supplier && supplier.phone ? `<p><strong>Phone:</strong> ${this.escapeHtml(supplier.phone)}</p>` : ''}
+                    ${supplier && supplier.email ? `<p><strong>Email:</strong> ${this.escapeHtml(supplier.email)}</p>` : ''}
+                    ${supplier && supplier.gst ? `<p><strong>GSTIN:</strong> ${this.escapeHtml(supplier.gst)}</p>` : ''}
+                </div>
+                <div>
+                    <h4>Order Details</h4>
+                    <p><strong>Date:</strong> ${new Date(po.sentAt || po.createdAt).toLocaleDateString()}</p>
+                    ${po.expectedDate ? `<p><strong>Deliver By:</strong> ${new Date(po.expectedDate).toLocaleDateString()}</p>` : ''}
+                    <p><strong>Status:</strong> ${this.getPurchaseOrderStatusLabel(po.status)}</p>
+                </div>
+            </div>
+
+            <table class="invoice-table">
+                <thead>
+                    <tr>
+                        <th>Product</th>
+                        <th>Quantity</th>
+                        ${hasReceipts ? '<th>Received</th>' : ''}
+                        <th>Unit Cost</th>
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${po.lines.map(line => `
+                        <tr>
+                            <td>${line.name}</td>
+                            <td>${line.quantity}</td>
+                            ${hasReceipts ? `<td>${line.received || 0}</td>` : ''}
+                            <td>₹${line.unitCost.toFixed(2)}</td>
+                            <td>₹${(line.quantity * line.unitCost).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <div class="invoice-totals">
+                <div class="total">Order Total: ₹${this.getPurchaseOrderTotal(po).toFixed(2)}</div>
+            </div>
+
+            ${hasReceipts ? `
+                <div class="invoice-payments">
+                    <h4>Goods Received</h4>
+                    ${po.receipts.map(grn => `
+                        <div>${grn.number} &middot; ${new Date(grn.date).toLocaleDateString()} &middot; ${grn.lines.reduce((sum, l) => sum + l.quantity, 0)} units &middot; landed ₹${grn.landedTotal.toFixed(2)}</div>
+                    `).join('')}
+                </div>
+            ` : ''}
+
+            ${po.notes ? `<p><strong>Notes:</strong> ${this.escapeHtml(po.notes)}</p>` : ''}
+        `;
+
+        document.getElementById('invoiceModal').style.display = 'block';
     }
 
-    login(username, password) {
-        const user = this.users.find(u => u.username === username && u.password === password && u.isActive);
-        
-        if (user) {
-            this.currentUser = user;
-            this.isLoggedIn = true;
-            this.currentUser.lastLogin = new Date().toISOString();
-            
-            // Update user in users array
-            const userIndex = this.users.findIndex(u => u.id === user.id);
-            if (userIndex !== -1) {
-                this.users[userIndex] = this.currentUser;
-                this.saveUsers();
-            }
-            
-            // Save login session
-            localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
-            localStorage.setItem('loginTime', Date.now().toString());
-            
-            this.updateUserInterface();
-            document.getElementById('loginModal').style.display = 'none';
-            this.showToast(`Welcome back, ${user.name}!`, 'success');
-            
-            // Re-initialize the app
-            this.init();
+    printPurchaseOrder(poId) {
+        const po = this.purchaseOrders.find(p => p.id === poId);
+        if (po) {
+            this.showPurchaseOrder(po);
+            // Small delay to ensure modal is rendered before printing
+            setTimeout(() => {
+                window.print();
+            }, 100);
         } else {
-            document.getElementById('loginMessage').textContent = 'Invalid username or password';
-            document.getElementById('loginMessage').className = 'message error';
+            this.showToast('Purchase order not found', 'error');
         }
     }
 
-    logout() {
-        this.currentUser = null;
-        this.isLoggedIn = false;
-        localStorage.removeItem('currentUser');
-        localStorage.removeItem('loginTime');
-        this.updateUserInterface();
-        this.showLoginModal();
-    }
-
-    updateUserInterface() {
-        const userInfo = document.getElementById('userInfo');
-        const currentUserDisplay = document.getElementById('currentUserDisplay');
-        const usersNavBtn = document.getElementById('usersNavBtn');
-        
-        if (this.isLoggedIn && this.currentUser) {
-            userInfo.style.display = 'flex';
-            currentUserDisplay.textContent = `${this.currentUser.name} (${this.currentUser.role})`;
-            
-            // Show users management for admin
-            if (this.currentUser.role === 'admin') {
-                usersNavBtn.style.display = 'inline-block';
-            } else {
-                usersNavBtn.style.display = 'none';
+    // External Services Integration
+    initializeExternalServices() {
+        try {
+            const savedServices = this.readStored('externalServices');
+            if (savedServices) {
+                this.externalServices = { ...this.externalServices, ...savedServices };
             }
-        } else {
-            userInfo.style.display = 'none';
-            usersNavBtn.style.display = 'none';
+            this.updateServicesUI();
+        } catch (error) {
+            console.error('Error loading external services:', error);
         }
+
+        // Keys saved in clear by earlier versions are encrypted on first load
+        const loadToken = this.externalServices.emailRelayToken
+            ? this.storeRelayToken().then(() => this.writeExternalServices())
+            : this.loadRelayToken();
+        this.relayTokenReady = loadToken
+            .then(() => this.updateServicesUI())
+            .catch(error => {
+                console.error('Error reading the relay API key:', error);
+                this.showToast('The saved relay API key could not be read; enter it again under External Services', 'error');
+            });
     }
 
-    hasPermission(permission) {
-        if (!this.currentUser) return false;
-        
-        switch (permission) {
-            case 'admin':
-                return this.currentUser.role === 'admin';
-            case 'manager':
-                return ['admin', 'manager'].includes(this.currentUser.role);
-            case 'cashier':
-                return ['admin', 'manager', 'cashier'].includes(this.currentUser.role);
-            default:
-                return false;
+    // The relay API key is saved encrypted with a device key that the browser keeps in IndexedDB and
+    // never lets script export, so the stored settings don't carry it in clear. Decrypted, it only
+    // lives in memory.
+    async getDeviceKey() {
+        if (this.deviceKey) return this.deviceKey;
+        if (!this.db || this.getCryptoProblem()) return null;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        if (!(await this.runStorageTransaction('meta', store => store.put({ key: 'deviceKey', value: key }), 'deviceKey'))) {
+            return null;
         }
+        this.deviceKey = key;
+        return key;
     }
 
-    // User CRUD operations
-    addUser(userData) {
-        if (!this.hasPermission('admin')) {
-            this.showToast('Insufficient permissions', 'error');
-            return false;
+    async loadRelayToken() {
+        const secret = this.externalServices.emailRelayTokenSecret;
+        if (!secret) return;
+
+        const key = await this.getDeviceKey();
+        if (!key) {
+            throw new Error('The device key is unavailable');
         }
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBuffer(secret.iv) },
+            key,
+            this.base64ToBuffer(secret.data)
+        );
+        this.externalServices.emailRelayToken = new TextDecoder().decode(plaintext);
+    }
 
-        // Check if username already exists
-        if (this.users.some(u => u.username === userData.username)) {
-            this.showToast('Username already exists', 'error');
+    // Sets emailRelayTokenSecret from the in-memory key; without IndexedDB or Web Crypto the key is not saved at all
+    async storeRelayToken() {
+        const token = this.externalServices.emailRelayToken;
+        this.externalServices.emailRelayTokenSecret = null;
+        if (!token) return true;
+
+        const key = await this.getDeviceKey();
+        if (!key) {
+            this.showToast('The relay API key can only be kept until this page is closed on this device', 'warning');
             return false;
         }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(token));
+        this.externalServices.emailRelayTokenSecret = { iv: this.bufferToBase64(iv), data: this.bufferToBase64(data) };
+        return true;
+    }
 
-        const newUser = {
-            id: Date.now(),
-            name: userData.name,
-            username: userData.username,
-            password: userData.password,
-            role: userData.role,
-            email: userData.email || '',
-            lastLogin: null,
-            isActive: true,
-            createdAt: new Date().toISOString()
-        };
+    writeExternalServices() {
+        return this.writeStored('externalServices', { ...this.externalServices, emailRelayToken: '' });
+    }
 
-        this.users.push(newUser);
-        this.saveUsers();
-        this.updateUsersTable();
-        this.showToast('User added successfully', 'success');
-        return true;
+    updateServicesUI() {
+        // Update checkboxes
+        document.getElementById('emailEnabled').checked = this.externalServices.emailEnabled;
+        document.getElementById('smsEnabled').checked = this.externalServices.smsEnabled;
+        document.getElementById('barcodeScannerEnabled').checked = this.externalServices.barcodeScannerEnabled;
+
+        document.getElementById('emailRelayUrl').value = this.externalServices.emailRelayUrl || '';
+        document.getElementById('emailRelayToken').value = this.externalServices.emailRelayToken || '';
+        document.getElementById('emailAddress').value = this.externalServices.emailAddress || '';
+        document.getElementById('smsWebhookUrl').value = this.externalServices.smsWebhookUrl || '';
+        document.getElementById('smsNumber').value = this.externalServices.smsNumber || '';
+        document.getElementById('notificationDigestMinutes').value = this.externalServices.digestMinutes ?? 15;
     }
 
-    updateUser(userId, userData) {
-        if (!this.hasPermission('admin')) {
-            this.showToast('Insufficient permissions', 'error');
-            return false;
+    async saveExternalServices(servicesData) {
+        const approver = await this.authorize('settings.edit', 'Save external services');
+        if (!approver) {
+            return;
         }
 
-        const userIndex = this.users.findIndex(u => u.id === userId);
-        if (userIndex === -1) {
-            this.showToast('User not found', 'error');
-            return false;
+        await this.relayTokenReady;
+        const before = { ...this.externalServices };
+        this.externalServices = { ...this.externalServices, ...servicesData };
+        if (this.externalServices.emailRelayToken !== before.emailRelayToken) {
+            try {
+                await this.storeRelayToken();
+            } catch (error) {
+                console.error('Error encrypting the relay API key:', error);
+                this.externalServices.emailRelayTokenSecret = null;
+                this.showToast('The relay API key could not be encrypted, so it is only kept until this page is closed', 'warning');
+            }
         }
+        this.writeExternalServices();
 
-        // Check if username conflicts with other users
-        if (this.users.some(u => u.id !== userId && u.username === userData.username)) {
-            this.showToast('Username already exists', 'error');
-            return false;
+        // The relay API key is recorded as set, changed or cleared, never in clear
+        const withoutToken = ({ emailRelayToken, emailRelayTokenSecret, ...services }) => services;
+        const changes = this.diffForAudit(withoutToken(before), withoutToken(this.externalServices));
+        if (this.externalServices.emailRelayToken !== before.emailRelayToken) {
+            changes.after.emailRelayToken = !before.emailRelayToken ? 'set' : this.externalServices.emailRelayToken ? 'changed' : 'cleared';
         }
-
-        this.users[userIndex] = { ...this.users[userIndex], ...userData };
-        this.saveUsers();
-        this.updateUsersTable();
-        this.showToast('User updated successfully', 'success');
-        return true;
+        this.recordAudit('settings.update', 'External services', { ...changes, approvedBy: this.getApproval(approver) });
+        this.showToast('External services settings saved', 'success');
     }
 
-    deleteUser(userId) {
-        if (!this.hasPermission('admin')) {
-            this.showToast('Insufficient permissions', 'error');
-            return false;
+    // Notifications
+    // A sale that takes a product below its minimum stock raises a low-stock alert. Alerts wait for the
+    // digest window and then go out together, one delivery per enabled transport. Deliveries sit in the
+    // outbox until they succeed and are retried with backoff; a product is alerted again only after it
+    // has been restocked to its minimum.
+    initializeNotifications() {
+        try {
+            this.notifications = this.readStored('notifications') || [];
+            this.notificationOutbox = { ...this.notificationOutbox, ...(this.readStored('notificationOutbox') || {}) };
+        } catch (error) {
+            console.error('Error loading notifications:', error);
         }
 
-        if (this.currentUser.id === userId) {
-            this.showToast('Cannot delete your own account', 'error');
-            return false;
+        if (Object.keys(this.notificationTransports).length === 0) {
+            this.registerDefaultTransports();
         }
+        this.updateNotificationBadge();
+        this.runNotificationWork();
+    }
 
-        this.users = this.users.filter(u => u.id !== userId);
-        this.saveUsers();
-        this.updateUsersTable();
-        this.showToast('User deleted successfully', 'success');
-        return true;
+    // A transport is { label, isEnabled(), send(digest) }; send() rejects when delivery fails
+    registerNotificationTransport(name, transport) {
+        this.notificationTransports[name] = transport;
     }
 
-    updateUsersTable() {
-        const usersBody = document.getElementById('usersBody');
-        const activeUsers = this.users.filter(u => u.isActive);
-        
-        document.getElementById('totalUsers').textContent = this.users.length;
-        document.getElementById('activeUsers').textContent = activeUsers.length;
-        document.getElementById('adminUsers').textContent = this.users.filter(u => u.role === 'admin').length;
+    registerDefaultTransports() {
+        this.registerNotificationTransport('inApp', {
+            label: 'Notification centre',
+            isEnabled: () => true,
+            send: async digest => this.addNotification(digest)
+        });
 
-        usersBody.innerHTML = this.users.map(user => `
-            <tr>
-                <td>${user.name}</td>
-                <td>${user.username}</td>
-                <td><span class="role-badge role-${user.role}">${user.role}</span></td>
-                <td>${user.email || 'N/A'}</td>
-                <td>${user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never'}</td>
-                <td><span class="status-badge ${user.isActive ? 'active' : 'inactive'}">${user.isActive ? 'Active' : 'Inactive'}</span></td>
-                <td>
-                    <div class="action-buttons">
-                        <button class="btn-small btn-secondary edit-user" data-user-id="${user.id}">
-                            <i class="fas fa-edit"></i> Edit
-                        </button>
-                        ${user.id !== this.currentUser?.id ? `
-                            <button class="btn-small btn-danger delete-user" data-user-id="${user.id}">
-                                <i class="fas fa-trash"></i> Delete
-                            </button>
-                        ` : ''}
-                    </div>
-                </td>
-            </tr>
-        `).join('');
+        this.registerNotificationTransport('email', {
+            label: 'Email',
+            isEnabled: () => !!(this.externalServices.emailEnabled && this.externalServices.emailRelayUrl && this.externalServices.emailAddress),
+            send: async digest => {
+                await this.relayTokenReady;
+                return this.postNotification(this.externalServices.emailRelayUrl, {
+                    to: this.externalServices.emailAddress,
+                    subject: `${this.settings.shop.name || 'Retail POS'}: ${digest.title}`,
+                    text: this.formatDigestText(digest)
+                }, this.externalServices.emailRelayToken);
+            }
+        });
+
+        this.registerNotificationTransport('sms', {
+            label: 'SMS',
+            isEnabled: () => !!(this.externalServices.smsEnabled && this.externalServices.smsWebhookUrl && this.externalServices.smsNumber),
+            send: digest => this.postNotification(this.externalServices.smsWebhookUrl, {
+                to: this.externalServices.smsNumber,
+                message: `${digest.title}: ${digest.items.map(item => `${item.name} (${item.stock} left)`).join(', ')}`
+            })
+        });
+    }
+
+    async postNotification(url, body, token = '') {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 10000);
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? 'Timed out' : error.message);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    formatDigestText(digest) {
+        return [
+            `${digest.title} (${new Date(digest.createdAt).toLocaleString()})`,
+            '',
+            ...digest.items.map(item => `- ${item.name}: ${item.stock} in stock, minimum ${item.minStock}, suggested reorder ${item.suggestedReorder}`)
+        ].join('\n');
     }
 
-    // Inventory Forecasting
-    initializeForecast() {
-        this.calculateInventoryForecast();
+    saveNotificationOutbox() {
+        this.writeStored('notificationOutbox', this.notificationOutbox);
     }
 
-    calculateInventoryForecast() {
-        this.inventoryForecast = {
-            lowStockAlerts: [],
-            reorderSuggestions: [],
-            demandPredictions: {},
-            salesTrends: this.calculateSalesTrends()
-        };
+    // stockBefore maps product id to stock before the sale
+    checkLowStockCrossings(stockBefore) {
+        stockBefore.forEach((before, productId) => {
+            const product = this.products.find(p => p.id === productId);
+            if (!product) return;
+            const threshold = this.getLowStockThreshold(product);
+            if (before >= threshold && product.stock < threshold) {
+                // It was restocked since any earlier alert
+                delete this.notificationOutbox.alerted[product.id];
+                this.queueLowStockAlert(product);
+            }
+        });
+    }
 
-        // Calculate low stock alerts (items with stock < 10)
-        this.inventoryForecast.lowStockAlerts = this.products
-            .filter(product => product.stock < 10)
-            .map(product => ({
-                id: product.id,
-                name: product.name,
-                currentStock: product.stock,
-                suggestedReorder: Math.max(50 - product.stock, 20)
-            }));
+    // Products back at their minimum can be alerted again
+    rearmLowStockAlerts() {
+        const alerted = this.notificationOutbox.alerted;
+        Object.keys(alerted).forEach(productId => {
+            const product = this.products.find(p => p.id === parseInt(productId));
+            if (!product || product.stock >= this.getLowStockThreshold(product)) {
+                delete alerted[productId];
+            }
+        });
+    }
 
-        // Calculate reorder suggestions based on sales velocity
-        this.inventoryForecast.reorderSuggestions = this.products
-            .filter(product => this.getProductSalesVelocity(product.id) > 0)
+    queueLowStockAlert(product) {
+        const outbox = this.notificationOutbox;
+        this.rearmLowStockAlerts();
+        if (outbox.alerted[product.id] || outbox.pending.some(alert => alert.productId === product.id)) {
+            return false;
+        }
+
+        outbox.pending.push({ productId: product.id, raisedAt: new Date().toISOString() });
+        if (!outbox.digestDueAt) {
+            const minutes = parseInt(this.externalServices.digestMinutes ?? 15) || 0;
+            outbox.digestDueAt = Date.now() + minutes * 60000;
+        }
+        this.saveNotificationOutbox();
+        this.scheduleNotificationWork();
+        return true;
+    }
+
+    // Turns the pending alerts into one digest and queues a delivery for each enabled transport
+    flushNotificationDigest() {
+        const outbox = this.notificationOutbox;
+        const items = outbox.pending
+            .map(alert => this.products.find(p => p.id === alert.productId))
+            .filter(product => product && product.stock < this.getLowStockThreshold(product))
             .map(product => {
-                const velocity = this.getProductSalesVelocity(product.id);
-                const suggestedStock = Math.ceil(velocity * 30); // 30 days coverage
-                const reorderAmount = Math.max(suggestedStock - product.stock, 0);
-                
+                const levels = this.getStockLevels(product);
                 return {
-                    id: product.id,
+                    productId: product.id,
                     name: product.name,
-                    currentStock: product.stock,
-                    suggestedStock: suggestedStock,
-                    reorderAmount: reorderAmount,
-                    velocity: velocity
+                    stock: product.stock,
+                    minStock: levels.minStock,
+                    suggestedReorder: Math.max(levels.maxStock - product.stock, levels.reorderQty)
                 };
-            })
-            .filter(item => item.reorderAmount > 0)
-            .sort((a, b) => b.reorderAmount - a.reorderAmount);
+            });
 
-        // Calculate demand predictions
-        this.inventoryForecast.demandPredictions = this.calculateDemandPredictions();
-    }
+        outbox.pending = [];
+        outbox.digestDueAt = null;
 
-    getProductSalesVelocity(productId) {
-        const last30Days = new Date();
-        last30Days.setDate(last30Days.getDate() - 30);
+        if (items.length === 0) {
+            this.saveNotificationOutbox();
+            return null;
+        }
 
-        const recentSales = this.sales.filter(sale => 
-            new Date(sale.date) >= last30Days &&
-            sale.items.some(item => item.id === productId)
-        );
+        const digest = {
+            id: Date.now(),
+            type: 'low-stock',
+            title: `Low stock: ${items.length} product${items.length === 1 ? '' : 's'} below minimum`,
+            items,
+            createdAt: new Date().toISOString()
+        };
+        items.forEach(item => {
+            outbox.alerted[item.productId] = digest.createdAt;
+        });
 
-        const totalSold = recentSales.reduce((sum, sale) => {
-            const item = sale.items.find(i => i.id === productId);
-            return sum + (item ? item.quantity : 0);
-        }, 0);
+        Object.entries(this.notificationTransports)
+            .filter(([, transport]) => transport.isEnabled())
+            .forEach(([name]) => {
+                outbox.deliveries.push({
+                    id: `${digest.id}:${name}`,
+                    transport: name,
+                    digest,
+                    status: 'pending',
+                    attempts: 0,
+                    nextAttemptAt: Date.now(),
+                    lastError: null,
+                    sentAt: null
+                });
+            });
 
-        return totalSold / 30; // Daily sales velocity
+        this.saveNotificationOutbox();
+        return digest;
     }
 
-    calculateSalesTrends() {
-        const trends = {};
-        const last90Days = new Date();
-        last90Days.setDate(last90Days.getDate() - 90);
+    // 1, 2, 4, 8 minutes between attempts
+    getNotificationRetryDelay(attempts) {
+        return Math.min(60000 * 2 ** (attempts - 1), 3600000);
+    }
 
-        // Group sales by week
-        this.sales.filter(sale => new Date(sale.date) >= last90Days)
-            .forEach(sale => {
-                const weekStart = new Date(sale.date);
-                weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-                const weekKey = weekStart.toISOString().split('T')[0];
+    async processNotificationOutbox() {
+        if (this.sendingNotifications) return;
+        this.sendingNotifications = true;
 
-                if (!trends[weekKey]) {
-                    trends[weekKey] = { total: 0, transactions: 0 };
+        try {
+            const due = this.notificationOutbox.deliveries
+                .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= Date.now());
+
+            for (const delivery of due) {
+                const transport = this.notificationTransports[delivery.transport];
+                delivery.attempts += 1;
+                try {
+                    if (!transport) {
+                        throw new Error('Transport is not available');
+                    }
+                    await transport.send(delivery.digest);
+                    delivery.status = 'sent';
+                    delivery.sentAt = new Date().toISOString();
+                    delivery.lastError = null;
+                } catch (error) {
+                    delivery.lastError = error.message;
+                    if (delivery.attempts >= this.notificationMaxAttempts) {
+                        delivery.status = 'failed';
+                    } else {
+                        delivery.nextAttemptAt = Date.now() + this.getNotificationRetryDelay(delivery.attempts);
+                    }
                 }
-                trends[weekKey].total += sale.total;
-                trends[weekKey].transactions += 1;
-            });
-
-        return trends;
-    }
+            }
 
-    calculateDemandPredictions() {
-        const predictions = {};
-        
-        this.products.forEach(product => {
-            const velocity = this.getProductSalesVelocity(product.id);
-            const trend = this.calculateProductTrend(product.id);
-            
-            predictions[product.id] = {
-                name: product.name,
-                currentVelocity: velocity,
-                predictedVelocity: velocity * (1 + trend),
-                confidence: Math.min(Math.abs(trend) * 100, 90), // Confidence based on trend strength
-                recommendedStock: Math.ceil((velocity * (1 + trend)) * 45) // 45 days coverage
-            };
-        });
+            // Keep the failures and the last few sent deliveries for the notification centre
+            const sent = this.notificationOutbox.deliveries.filter(delivery => delivery.status === 'sent');
+            const dropped = new Set(sent.slice(0, Math.max(sent.length - 20, 0)));
+            this.notificationOutbox.deliveries = this.notificationOutbox.deliveries.filter(delivery => !dropped.has(delivery));
 
-        return predictions;
+            if (due.length > 0) {
+                this.saveNotificationOutbox();
+                this.updateNotificationBadge();
+                if (document.getElementById('notificationModal').style.display === 'block') {
+                    this.renderNotificationCentre();
+                }
+            }
+        } finally {
+            this.sendingNotifications = false;
+        }
     }
 
-    calculateProductTrend(productId) {
-        // Simple trend calculation based on last 60 vs previous 60 days
-        const now = new Date();
-        const last60Days = new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000);
-        const prev60Days = new Date(last60Days.getTime() - 60 * 24 * 60 * 60 * 1000);
-
-        const recentSales = this.sales.filter(sale => 
-            new Date(sale.date) >= last60Days &&
-            sale.items.some(item => item.id === productId)
-        );
-
-        const oldSales = this.sales.filter(sale => 
-            new Date(sale.date) >= prev60Days && new Date(sale.date) < last60Days &&
-            sale.items.some(item => item.id === productId)
-        );
+    async runNotificationWork() {
+        const outbox = this.notificationOutbox;
+        if (outbox.digestDueAt && outbox.digestDueAt <= Date.now()) {
+            this.flushNotificationDigest();
+        }
+        await this.processNotificationOutbox();
+        this.scheduleNotificationWork();
+    }
 
-        const recentTotal = recentSales.reduce((sum, sale) => {
-            const item = sale.items.find(i => i.id === productId);
-            return sum + (item ? item.quantity : 0);
-        }, 0);
+    // One timer for the next digest or retry, whichever is first
+    scheduleNotificationWork() {
+        clearTimeout(this.notificationTimer);
+        const outbox = this.notificationOutbox;
+        const times = [
+            outbox.digestDueAt,
+            ...outbox.deliveries.filter(delivery => delivery.status === 'pending').map(delivery => delivery.nextAttemptAt)
+        ].filter(Boolean);
+        if (times.length === 0) return;
+
+        const delay = Math.min(Math.max(Math.min(...times) - Date.now(), 0), 2147483647);
+        this.notificationTimer = setTimeout(() => this.runNotificationWork(), delay);
+    }
 
-        const oldTotal = oldSales.reduce((sum, sale) => {
-            const item = sale.items.find(i => i.id === productId);
-            return sum + (item ? item.quantity : 0);
-        }, 0);
+    addNotification(digest) {
+        if (this.notifications.some(notification => notification.id === digest.id)) return;
+        this.notifications.unshift({
+            id: digest.id,
+            title: digest.title,
+            items: digest.items,
+            createdAt: digest.createdAt,
+            read: false
+        });
+        this.notifications = this.notifications.slice(0, 100);
+        this.writeStored('notifications', this.notifications);
+        this.updateNotificationBadge();
+        this.showToast(digest.title, 'warning');
+    }
 
-        if (oldTotal === 0) return recentTotal > 0 ? 0.5 : 0;
-        
-        return (recentTotal - oldTotal) / oldTotal;
+    showNotifications() {
+        this.renderNotificationCentre();
+        document.getElementById('notificationModal').style.display = 'block';
     }
 
-    updateForecastDisplay() {
-        // Update low stock alerts
-        const alertsList = document.getElementById('stockAlertsList');
-        if (this.inventoryForecast.lowStockAlerts.length > 0) {
-            alertsList.innerHTML = this.inventoryForecast.lowStockAlerts.map(alert => `
-                <div class="alert-item warning">
+    renderNotificationCentre() {
+        const lowStock = this.products.filter(p => p.stock < this.getLowStockThreshold(p));
+        const pending = this.notificationOutbox.pending.length;
+        document.getElementById('notificationLowStockSummary').innerHTML =
+            `${lowStock.length} product${lowStock.length === 1 ? ' is' : 's are'} below minimum stock. ` +
+            (pending > 0 ? `${pending} alert${pending === 1 ? '' : 's'} waiting for the next digest. ` : '') +
+            '<a href="#" data-action="open-forecast">View forecast</a>';
+
+        const list = document.getElementById('notificationList');
+        list.innerHTML = this.notifications.length === 0
+            ? '<p class="empty-state">No notifications</p>'
+            : this.notifications.map(notification => `
+                <div class="alert-item warning ${notification.read ? '' : 'unread'}">
                     <div class="alert-content">
-                        <strong>${alert.name}</strong>
-                        <p>Current stock: ${alert.currentStock} | Suggested reorder: ${alert.suggestedReorder}</p>
+                        <strong>${notification.title}</strong>
+                        <p>${notification.items.map(item => `${item.name} (${item.stock} left, min ${item.minStock})`).join(', ')}</p>
+                        <small>${new Date(notification.createdAt).toLocaleString()}</small>
                     </div>
-                    <button class="btn-small btn-primary" data-action="reorder" data-product-id="${alert.id}" data-quantity="${alert.suggestedReorder}">
-                        Reorder
-                    </button>
                 </div>
             `).join('');
-        } else {
-            alertsList.innerHTML = '<p class="empty-state">No stock alerts</p>';
-        }
 
-        // Update reorder suggestions
-        const reorderList = document.getElementById('reorderList');
-        if (this.inventoryForecast.reorderSuggestions.length > 0) {
-            reorderList.innerHTML = this.inventoryForecast.reorderSuggestions.slice(0, 5).map(item => `
-                <div class="alert-item info">
+        // Email and SMS deliveries still being retried or given up on
+        const outstanding = this.notificationOutbox.deliveries
+            .filter(delivery => delivery.status !== 'sent' && delivery.transport !== 'inApp');
+        document.getElementById('notificationDeliveries').innerHTML = outstanding.map(delivery => {
+            const transport = this.notificationTransports[delivery.transport];
+            return `
+                <div class="alert-item ${delivery.status === 'failed' ? 'danger' : 'info'}">
                     <div class="alert-content">
-                        <strong>${item.name}</strong>
-                        <p>Current: ${item.currentStock} | Suggested: ${item.suggestedStock} | Reorder: ${item.reorderAmount}</p>
+                        <strong>${transport ? transport.label : delivery.transport}: ${delivery.digest.title}</strong>
+                        <p>${delivery.status === 'failed'
+                            ? `Failed after ${delivery.attempts} attempts: ${delivery.lastError}`
+                            : `${delivery.attempts > 0 ? `Attempt ${delivery.attempts} failed (${delivery.lastError}); retrying` : 'Sending'} at ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}</p>
                     </div>
-                    <button class="btn-small btn-primary" data-action="reorder" data-product-id="${item.id}" data-quantity="${item.reorderAmount}">
-                        Reorder
-                    </button>
+                    ${delivery.status === 'failed' ? `<button class="btn-small btn-secondary" data-action="retry-delivery" data-delivery-id="${delivery.id}">Retry</button>` : ''}
                 </div>
-            `).join('');
-        } else {
-            reorderList.innerHTML = '<p class="empty-state">No reorder recommendations</p>';
-        }
+            `;
+        }).join('');
+    }
 
-        // Update demand predictions
-        const demandDiv = document.getElementById('demandPrediction');
-        const predictions = Object.values(this.inventoryForecast.demandPredictions).slice(0, 5);
-        if (predictions.length > 0) {
-            demandDiv.innerHTML = predictions.map(pred => `
-                <div class="prediction-item">
-                    <strong>${pred.name}</strong>
-                    <p>Current daily sales: ${pred.currentVelocity.toFixed(1)}</p>
-                    <p>Predicted: ${pred.predictedVelocity.toFixed(1)} (${pred.confidence.toFixed(0)}% confidence)</p>
-                    <p>Recommended stock: ${pred.recommendedStock}</p>
-                </div>
-            `).join('');
-        } else {
-            demandDiv.innerHTML = '<p class="empty-state">No demand predictions available</p>';
+    markNotificationsRead() {
+        this.notifications.forEach(notification => {
+            notification.read = true;
+        });
+        this.writeStored('notifications', this.notifications);
+        this.updateNotificationBadge();
+        this.renderNotificationCentre();
+    }
+
+    clearNotifications() {
+        this.notifications = [];
+        this.notificationOutbox.deliveries = this.notificationOutbox.deliveries.filter(delivery => delivery.status === 'pending');
+        this.writeStored('notifications', this.notifications);
+        this.saveNotificationOutbox();
+        this.updateNotificationBadge();
+        this.renderNotificationCentre();
+    }
+
+    async retryNotificationDelivery(deliveryId) {
+        const delivery = this.notificationOutbox.deliveries.find(d => d.id === deliveryId);
+        if (!delivery) return;
+        delivery.status = 'pending';
+        delivery.attempts = 0;
+        delivery.nextAttemptAt = Date.now();
+        this.saveNotificationOutbox();
+        await this.runNotificationWork();
+        this.renderNotificationCentre();
+    }
+
+    async sendNotificationDigestNow() {
+        if (this.notificationOutbox.pending.length === 0) {
+            this.showToast('No alerts waiting to be sent', 'info');
+            return;
         }
+        this.notificationOutbox.digestDueAt = Date.now();
+        await this.runNotificationWork();
+        this.renderNotificationCentre();
+        this.showToast('Pending alerts sent', 'success');
     }
 
-    reorderProduct(productId, quantity) {
-        const product = this.products.find(p => p.id === productId);
-        if (product) {
-            product.stock += quantity;
-            this.saveData();
-            this.renderInventory();
-            this.calculateInventoryForecast();
-            this.updateForecastDisplay();
-            this.showToast(`Reordered ${quantity} units of ${product.name}`, 'success');
+    // Sends straight to the email and SMS transports, bypassing the outbox, so the settings can be checked
+    async sendTestNotification() {
+        const digest = {
+            id: Date.now(),
+            type: 'test',
+            title: 'Test alert',
+            items: this.products
+                .filter(p => p.stock < this.getLowStockThreshold(p))
+                .slice(0, 3)
+                .map(p => ({ productId: p.id, name: p.name, stock: p.stock, minStock: this.getLowStockThreshold(p), suggestedReorder: 0 })),
+            createdAt: new Date().toISOString()
+        };
+        const transports = Object.entries(this.notificationTransports)
+            .filter(([name, transport]) => name !== 'inApp' && transport.isEnabled());
+
+        if (transports.length === 0) {
+            this.showToast('Enable email or SMS and fill in its endpoint first', 'warning');
+            return;
+        }
+
+        for (const [, transport] of transports) {
+            try {
+                await transport.send(digest);
+                this.showToast(`${transport.label} test alert sent`, 'success');
+            } catch (error) {
+                this.showToast(`${transport.label} test alert failed: ${error.message}`, 'error');
+            }
         }
     }
 
-    exportForecastReport() {
-        const report = {
-            generatedAt: new Date().toISOString(),
-            lowStockAlerts: this.inventoryForecast.lowStockAlerts,
-            reorderSuggestions: this.inventoryForecast.reorderSuggestions,
-            demandPredictions: this.inventoryForecast.demandPredictions,
-            salesTrends: this.inventoryForecast.salesTrends
+    // Backup & Restore
+    // A backup is one JSON file: a small envelope (format, version, checksum) around the data.
+    // With a password the data is encrypted with AES-GCM using a PBKDF2-derived key; the checksum
+    // is always taken over the plain data so a restore can tell a corrupted file from a wrong password.
+    getBackupData() {
+        return {
+            products: this.products,
+            sales: this.sales,
+            users: this.users,
+            roles: this.roles,
+            settings: this.settings,
+            customers: this.customers,
+            suppliers: this.suppliers,
+            purchaseOrders: this.purchaseOrders,
+            stockMovements: this.stockMovements,
+            stockTakes: this.stockTakes,
+            categories: this.categories,
+            loyaltyLedger: this.loyaltyLedger,
+            promotions: this.promotions,
+            coupons: this.coupons,
+            accountLedger: this.accountLedger,
+            giftCards: this.giftCards
         };
+    }
 
-        const jsonContent = JSON.stringify(report, null, 2);
-        const blob = new Blob([jsonContent], { type: 'application/json;charset=utf-8;' });
+    async deriveBackupKey(password, salt, iterations) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Password and PIN hashes only travel inside encrypted backups; a plain file can be read by anyone
+    async createBackupFile(password = '') {
+        const data = this.getBackupData();
+        if (!password) {
+            data.users = data.users.map(user => this.getSessionUser(user));
+        }
+        const json = JSON.stringify(data);
+        const backup = {
+            format: 'retail-pos-backup',
+            version: this.backupFormatVersion,
+            createdAt: new Date().toISOString(),
+            createdBy: this.currentUser ? this.currentUser.username : '',
+            checksum: await this.sha256Hex(json),
+            encrypted: !!password
+        };
+
+        if (!password) {
+            return { ...backup, data: JSON.parse(json) };
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const iterations = 150000;
+        const key = await this.deriveBackupKey(password, salt, iterations);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(json));
+
+        return {
+            ...backup,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.bufferToBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.bufferToBase64(iv) },
+            payload: this.bufferToBase64(ciphertext)
+        };
+    }
+
+    // Returns the backup's data, or throws an Error whose message can be shown to the user
+    async readBackupFile(text, password = '') {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This is not a backup file');
+        }
+
+        if (!backup || backup.format !== 'retail-pos-backup') {
+            throw new Error('This is not a backup file');
+        }
+        if (backup.version > this.backupFormatVersion) {
+            throw new Error('This backup was made by a newer version of the app');
+        }
+
+        let json;
+        if (backup.encrypted) {
+            if (!password) {
+                throw new Error('This backup is encrypted; enter its password');
+            }
+            try {
+                const key = await this.deriveBackupKey(password, this.base64ToBuffer(backup.kdf.salt), backup.kdf.iterations);
+                const plain = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: this.base64ToBuffer(backup.cipher.iv) },
+                    key,
+                    this.base64ToBuffer(backup.payload)
+                );
+                json = new TextDecoder().decode(plain);
+            } catch (error) {
+                throw new Error('Wrong password, or the backup file is damaged');
+            }
+        } else {
+            json = JSON.stringify(backup.data);
+        }
+
+        if (await this.sha256Hex(json) !== backup.checksum) {
+            throw new Error('Checksum mismatch: the backup file is damaged or was edited');
+        }
+
+        return { ...backup, data: JSON.parse(json) };
+    }
+
+    async downloadBackup(password = '', { scheduled = false } = {}) {
+        let approver = this.currentUser;
+        if (!scheduled) {
+            approver = await this.authorize('settings.edit', 'Download backup');
+            if (!approver) return false;
+        }
+
+        const backup = await this.createBackupFile(password);
+        const blob = new Blob([JSON.stringify(backup)], { type: 'application/json;charset=utf-8;' });
         const link = document.createElement('a');
         const url = URL.createObjectURL(blob);
         link.setAttribute('href', url);
-        link.setAttribute('download', `forecast_report_${new Date().toISOString().split('T')[0]}.json`);
+        link.setAttribute('download', `pos_backup_${backup.createdAt.replace(/[:.]/g, '-')}.json`);
         link.style.visibility = 'hidden';
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
 
-        this.showToast('Forecast report exported', 'success');
-    }
+        this.writeStored('lastBackupAt', backup.createdAt);
+        this.updateBackupInfo();
+        this.recordAudit('export.backup', scheduled ? 'Scheduled backup' : 'Backup file', {
+            after: { encrypted: backup.encrypted, products: this.products.length, sales: this.sales.length },
+            approvedBy: this.getApproval(approver)
+        });
+        document.getElementById('backupPassword').value = '';
+        this.showToast(scheduled ? 'Scheduled backup downloaded' : 'Backup downloaded', 'success');
+        return true;
+    }
+
+    // Compares records by id: what the backup would add, what differs, and what exists only here
+    diffRecords(current, incoming, key = 'id') {
+        const currentById = new Map(current.map(record => [record[key], JSON.stringify(record)]));
+        const incomingIds = new Set(incoming.map(record => record[key]));
+
+        return {
+            total: incoming.length,
+            added: incoming.filter(record => !currentById.has(record[key])).length,
+            changed: incoming.filter(record => currentById.has(record[key]) && currentById.get(record[key]) !== JSON.stringify(record)).length,
+            localOnly: current.filter(record => !incomingIds.has(record[key])).length
+        };
+    }
+
+    async previewRestore(file, password = '') {
+        if (!file) {
+            this.showToast('Choose a backup file first', 'warning');
+            return null;
+        }
+
+        let backup;
+        try {
+            backup = await this.readBackupFile(await file.text(), password);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return null;
+        }
+
+        const data = backup.data;
+        const diff = {
+            Products: this.diffRecords(this.products, data.products || []),
+            Sales: this.diffRecords(this.sales, data.sales || []),
+            Users: this.diffRecords(backup.encrypted ? this.users : this.users.map(user => this.getSessionUser(user)), data.users || []),
+            Roles: this.diffRecords(this.roles, data.roles || []),
+            Suppliers: this.diffRecords(this.suppliers, data.suppliers || []),
+            'Purchase Orders': this.diffRecords(this.purchaseOrders, data.purchaseOrders || []),
+            'Stock Movements': this.diffRecords(this.stockMovements, data.stockMovements || []),
+            'Stock Takes': this.diffRecords(this.stockTakes, data.stockTakes || []),
+            Categories: this.diffRecords(this.categories, data.categories || []),
+            // Backups made before customers were stored hold a derived summary, not records
+            Customers: this.diffRecords(this.customers, Array.isArray(data.customers) ? data.customers : []),
+            'Loyalty Ledger': this.diffRecords(this.loyaltyLedger, data.loyaltyLedger || []),
+            Promotions: this.diffRecords(this.promotions, data.promotions || []),
+            Coupons: this.diffRecords(this.coupons, data.coupons || []),
+            'Account Ledger': this.diffRecords(this.accountLedger, data.accountLedger || []),
+            'Gift Cards': this.diffRecords(this.giftCards, data.giftCards || [])
+        };
+        const settingsDiffer = JSON.stringify(this.settings) !== JSON.stringify(this.mergeSettings(data.settings || {}));
+
+        this.pendingRestore = { data, diff, fileName: file.name, createdAt: backup.createdAt };
+
+        document.getElementById('restoreInfo').textContent =
+            `${file.name}: made ${new Date(backup.createdAt).toLocaleString()}${backup.createdBy ? ` by ${backup.createdBy}` : ''}` +
+            `${backup.encrypted ? ' (encrypted)' : ''}. Settings ${settingsDiffer ? 'differ from' : 'match'} this device.` +
+            (backup.encrypted ? '' : ' Passwords and PINs are not in unencrypted backups; users keep the ones set on this device.');
+        document.querySelector('input[name="restoreMode"][value="merge"]').checked = true;
+        this.renderRestorePreview();
+        document.getElementById('restoreModal').style.display = 'block';
+
+        return diff;
+    }
+
+    // Says what each mode does with the records: a merge keeps this device's version of anything that differs
+    renderRestorePreview() {
+        if (!this.pendingRestore) return;
+
+        const merge = document.querySelector('input[name="restoreMode"]:checked').value === 'merge';
+        document.getElementById('restoreChangedHeader').textContent = merge ? 'Different (kept local)' : 'Different (replaced)';
+        document.getElementById('restoreLocalOnlyHeader').textContent = merge ? 'Only on This Device (kept)' : 'Only on This Device (removed)';
+        document.getElementById('restorePreviewBody').innerHTML = Object.entries(this.pendingRestore.diff).map(([label, counts]) => `
+            <tr>
+                <td>${label}</td>
+                <td>${counts.total}</td>
+                <td>${counts.added}</td>
+                <td>${counts.changed}</td>
+                <td>${counts.localOnly}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Users from an unencrypted backup have no credentials; they keep the ones this device holds for them,
+    // and anyone new to this device signs in once an administrator sets their password
+    restoreUserCredentials(users) {
+        return users.map(user => {
+            if (user.credential) return user;
+            const local = this.users.find(u => u.id === user.id);
+            return { ...user, credential: local ? local.credential : null, pinCredential: local ? local.pinCredential : null };
+        });
+    }
+
+    mergeRecords(current, incoming, key = 'id') {
+        const currentIds = new Set(current.map(record => record[key]));
+        return current.concat(incoming.filter(record => !currentIds.has(record[key])));
+    }
+
+    async applyRestore(mode) {
+        if (!this.pendingRestore) return false;
+
+        if (mode === 'replace' && !confirm('Replace ALL data on this device with the backup? This cannot be undone.')) {
+            return false;
+        }
+
+        const approver = await this.authorize('settings.edit', mode === 'replace' ? 'Replace data from backup' : 'Merge backup');
+        if (!approver) return false;
+
+        const { data, fileName } = this.pendingRestore;
+        const before = { products: this.products.length, sales: this.sales.length, users: this.users.length };
+
+        const users = this.restoreUserCredentials(data.users || []);
+        if (mode === 'replace') {
+            this.products = data.products || [];
+            this.sales = data.sales || [];
+            this.roles = data.roles && data.roles.length > 0 ? this.migrateRoles(data.roles) : this.getDefaultRoles();
+            // Someone must still be able to sign in and manage users afterwards
+            if (users.some(user => user.isActive && user.credential && this.hasPermission('users.manage', user))) {
+                this.users = users;
+            } else if (users.length > 0) {
+                this.showToast('Users were kept from this device: nobody in the backup could sign in to manage users', 'warning');
+            }
+            this.suppliers = data.suppliers || [];
+            this.purchaseOrders = data.purchaseOrders || [];
+            this.stockMovements = data.stockMovements || [];
+            this.stockTakes = data.stockTakes || [];
+            this.categories = data.categories || [];
+            this.customers = Array.isArray(data.customers) ? data.customers : [];
+            this.loyaltyLedger = data.loyaltyLedger || [];
+            this.promotions = data.promotions || [];
+            this.coupons = data.coupons || [];
+            this.accountLedger = data.accountLedger || [];
+            this.giftCards = data.giftCards || [];
+            this.settings = this.mergeSettings(data.settings || {});
+        } else {
+            this.products = this.mergeRecords(this.products, data.products || []);
+            this.sales = this.mergeRecords(this.sales, data.sales || []);
+            this.users = this.mergeRecords(this.users, users);
+            this.roles = this.migrateRoles(this.mergeRecords(this.roles, data.roles || []));
+            this.suppliers = this.mergeRecords(this.suppliers, data.suppliers || []);
+            this.purchaseOrders = this.mergeRecords(this.purchaseOrders, data.purchaseOrders || []);
+            this.stockMovements = this.mergeRecords(this.stockMovements, data.stockMovements || [])
+                .sort((a, b) => a.id - b.id);
+            this.stockTakes = this.mergeRecords(this.stockTakes, data.stockTakes || []);
+            this.categories = this.mergeRecords(this.categories, data.categories || []);
+            this.customers = this.mergeRecords(this.customers, Array.isArray(data.customers) ? data.customers : []);
+            this.loyaltyLedger = this.mergeRecords(this.loyaltyLedger, data.loyaltyLedger || [])
+                .sort((a, b) => a.id - b.id);
+            this.promotions = this.mergeRecords(this.promotions, data.promotions || []);
+            this.coupons = this.mergeRecords(this.coupons, data.coupons || []);
+            this.accountLedger = this.mergeRecords(this.accountLedger, data.accountLedger || [])
+                .sort((a, b) => a.id - b.id);
+            this.giftCards = this.mergeRecords(this.giftCards, data.giftCards || []);
+        }
+
+        // Backups made before categories were managed still carry category names
+        this.migrateCategories();
+        this.populateCategorySelects();
+        // ...and sales made before customers were stored only carry a name and phone
+        this.migrateCustomers();
+        this.customerStats = null;
+        this.populateCustomerSelect();
+        this.countingStockTakeId = null;
+        this.updateStockTakeBanner();
+        this.syncStockWithLedger();
+
+        this.saveData();
+        this.saveUsers();
+        this.saveRoles();
+        this.saveSettings();
+
+        this.recordAudit('backup.restore', fileName, {
+            before,
+            after: { mode, products: this.products.length, sales: this.sales.length, users: this.users.length },
+            approvedBy: this.getApproval(approver)
+        });
 
-    // External Services Integration
-    initializeExternalServices() {
-        try {
-            const savedServices = localStorage.getItem('externalServices');
-            if (savedServices) {
-                this.externalServices = { ...this.externalServices, ...JSON.parse(savedServices) };
-            }
-            this.updateServicesUI();
-        } catch (error) {
-            console.error('Error loading external services from localStorage:', error);
+        this.pendingRestore = null;
+        document.getElementById('restoreModal').style.display = 'none';
+        document.getElementById('restoreForm').reset();
+
+        // The operator may not exist in a replaced user list
+        const operator = this.users.find(u => u.id === this.currentUser.id && u.isActive);
+        if (!operator) {
+            this.showToast('Backup restored. Please log in again.', 'success');
+            this.logout();
+            return true;
         }
-    }
+        this.currentUser = operator;
 
-    updateServicesUI() {
-        // Update checkboxes
-        document.getElementById('emailEnabled').checked = this.externalServices.emailEnabled;
-        document.getElementById('smsEnabled').checked = this.externalServices.smsEnabled;
-        document.getElementById('cloudBackupEnabled').checked = this.externalServices.cloudBackupEnabled;
-        document.getElementById('barcodeScannerEnabled').checked = this.externalServices.barcodeScannerEnabled;
+        this.renderProducts();
+        this.renderInventory();
+        this.updateCart();
+        this.updateDashboard();
+        this.updateReports();
+        this.updateCustomers();
+        this.populateSettingsForm();
+        this.applyAppearanceSettings();
+        this.updateUserInterface();
+        this.showToast(`Backup restored (${mode})`, 'success');
+        return true;
+    }
 
-        // Update other fields if they exist
-        const emailAddress = document.getElementById('emailAddress');
-        if (emailAddress && this.externalServices.emailAddress) {
-            emailAddress.value = this.externalServices.emailAddress;
+    async saveBackupSettings() {
+        const approver = await this.authorize('settings.edit', 'Save backup schedule');
+        if (!approver) {
+            return;
         }
+
+        const before = { ...this.settings.backup };
+        this.settings.backup = {
+            frequency: document.getElementById('backupFrequency').value,
+            autoDownload: document.getElementById('backupAutoDownload').checked
+        };
+
+        this.saveSettings();
+        this.auditSettingsChange('backup', before, approver);
+        this.updateBackupInfo();
+        this.showToast('Backup schedule saved', 'success');
     }
 
-    saveExternalServices(servicesData) {
-        this.externalServices = { ...this.externalServices, ...servicesData };
-        localStorage.setItem('externalServices', JSON.stringify(this.externalServices));
-        this.showToast('External services settings saved', 'success');
+    updateBackupInfo() {
+        const lastBackupAt = this.readStored('lastBackupAt');
+        document.getElementById('lastBackupInfo').textContent = lastBackupAt
+            ? `Last backup: ${new Date(lastBackupAt).toLocaleString()}`
+            : 'Last backup: never';
     }
 
-    sendLowStockNotification(product) {
-        if (this.externalServices.emailEnabled && this.externalServices.emailAddress) {
-            // Simulate email sending
-            console.log(`Email sent to ${this.externalServices.emailAddress}: Low stock alert for ${product.name}`);
-            this.showToast('Low stock notification sent via email', 'info');
+    isBackupDue() {
+        const intervalDays = { daily: 1, weekly: 7 }[this.settings.backup.frequency];
+        if (!intervalDays || (this.products.length === 0 && this.sales.length === 0)) {
+            return false;
         }
 
-        if (this.externalServices.smsEnabled) {
-            // Simulate SMS sending
-            console.log(`SMS sent: Low stock alert for ${product.name}`);
-            this.showToast('Low stock notification sent via SMS', 'info');
-        }
+        const lastBackupAt = this.readStored('lastBackupAt');
+        return !lastBackupAt || Date.now() - new Date(lastBackupAt).getTime() >= intervalDays * 24 * 60 * 60 * 1000;
     }
 
-    performCloudBackup() {
-        const backupData = {
-            timestamp: new Date().toISOString(),
-            products: this.products,
-            sales: this.sales,
-            customers: this.customers,
-            users: this.users,
-            settings: this.settings
-        };
+    // Runs at login and with every auto-save; only users who may take backups are prompted
+    checkBackupSchedule() {
+        if (!this.currentUser || !this.hasPermission('settings.edit') || !this.isBackupDue()) {
+            return;
+        }
 
-        // Simulate cloud backup
-        localStorage.setItem('cloudBackup', JSON.stringify(backupData));
-        console.log('Cloud backup completed');
-        this.showToast('Cloud backup completed successfully', 'success');
+        if (this.settings.backup.autoDownload) {
+            this.downloadBackup('', { scheduled: true });
+        } else if (!this.backupReminderShown) {
+            this.backupReminderShown = true;
+            this.showToast(`A ${this.settings.backup.frequency} backup is due. Download one from Settings → Backup & Restore.`, 'warning');
+        }
     }
 
     initializeBarcodeScanner() {
@@ -2093,26 +11770,151 @@ class RetailPOS {
         }
     }
 
-    scanBarcode(barcode) {
+    scanBarcode(barcode, target = 'billing') {
         if (!this.externalServices.barcodeScannerEnabled) {
             this.showToast('Barcode scanner is not enabled', 'warning');
-            return;
+            return false;
+        }
+
+        if (!barcode || !barcode.trim()) {
+            this.showToast('No barcode detected', 'warning');
+            return false;
+        }
+
+        return this.addByBarcode(barcode.trim(), target);
+    }
+
+    addByBarcode(barcode, target = 'billing') {
+        const match = this.findProductByBarcode(barcode);
+        if (!match) {
+            const validation = this.validateBarcode(barcode);
+            this.showToast(validation.valid ? 'Product not found' : validation.message, 'warning');
+            return false;
         }
 
-        // Use provided barcode or simulate scanning
-        const scannedBarcode = barcode || Math.random().toString(36).substring(2, 15);
-        this.findProductByBarcode(scannedBarcode);
+        return this.addToCart(match.product.id, match.quantity, target, match.variant ? match.variant.id : null);
     }
 
+    // Returns { product, quantity, variant } for a scanned code, or null when nothing matches
     findProductByBarcode(barcode) {
-        // In a real implementation, this would search by barcode
-        const product = this.products.find(p => p.name.toLowerCase().includes(barcode.toLowerCase()));
-        if (product) {
-            this.addToCart(product.id, 1);
-            this.showToast(`Added ${product.name} to cart`, 'success');
+        const code = (barcode || '').trim();
+        if (!code) return null;
+
+        const scaleMatch = this.findProductByScaleBarcode(code);
+        if (scaleMatch) return scaleMatch;
+
+        const candidates = this.getBarcodeVariants(code);
+        for (const product of this.products) {
+            const entry = this.getProductBarcodes(product).find(b => candidates.includes(b.code));
+            if (entry) {
+                return { product, quantity: entry.packQty, variant: this.getVariant(product, entry.variantId) };
+            }
+        }
+
+        return null;
+    }
+
+    getProductBarcodes(product) {
+        const barcodes = [];
+        if (product.barcode) {
+            barcodes.push({ code: product.barcode, packQty: 1 });
+        }
+        // Each variant scans by its own barcode or SKU
+        (product.variants || []).forEach(variant => {
+            [variant.barcode, variant.sku].filter(Boolean).forEach(code => {
+                barcodes.push({ code, packQty: 1, variantId: variant.id });
+            });
+        });
+        return barcodes.concat(product.barcodes || []);
+    }
+
+    // A UPC-A code is the same item as the EAN-13 with a leading zero
+    getBarcodeVariants(code) {
+        const variants = [code];
+        if (/^\d{12}$/.test(code)) {
+            variants.push(`0${code}`);
+        } else if (/^0\d{12}$/.test(code)) {
+            variants.push(code.slice(1));
+        }
+        return variants;
+    }
+
+    getBarcodeFormat(code) {
+        if (!/^\d+$/.test(code)) return null;
+
+        switch (code.length) {
+            case 8:
+                return 'EAN-8';
+            case 12:
+                return 'UPC-A';
+            case 13:
+                return 'EAN-13';
+            default:
+                return null;
+        }
+    }
+
+    isValidCheckDigit(code) {
+        // GS1 check digit: weights 3 and 1 alternate, starting from the rightmost data digit
+        const digits = code.split('').map(Number);
+        const checkDigit = digits.pop();
+        const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+        return (10 - (sum % 10)) % 10 === checkDigit;
+    }
+
+    validateBarcode(code) {
+        const format = this.getBarcodeFormat(code);
+
+        // Anything that isn't a GS1 length is treated as an internal SKU
+        if (!format) {
+            return { valid: true, format: 'SKU' };
+        }
+
+        if (!this.isValidCheckDigit(code)) {
+            return { valid: false, format, message: `Invalid ${format} check digit: ${code}` };
+        }
+
+        return { valid: true, format };
+    }
+
+    // Scale labels: 2 + type digit, 5-digit PLU, 5-digit price (paise) or weight (grams), check digit
+    parseScaleBarcode(code) {
+        if (!this.settings.barcode.scaleEnabled || !/^2\d{12}$/.test(code) || !this.isValidCheckDigit(code)) {
+            return null;
+        }
+
+        return {
+            plu: code.substring(2, 7),
+            value: parseInt(code.substring(7, 12))
+        };
+    }
+
+    findProductByScaleBarcode(code) {
+        const label = this.parseScaleBarcode(code);
+        if (!label) return null;
+
+        const product = this.products.find(p => p.plu && p.plu.padStart(5, '0') === label.plu);
+        if (!product) return null;
+
+        let quantity;
+        if (this.settings.barcode.scaleValueType === 'weight') {
+            quantity = label.value / 1000; // grams to kg
         } else {
-            this.showToast('Product not found', 'warning');
+            quantity = product.price > 0 ? (label.value / 100) / product.price : 0;
         }
+
+        quantity = Math.round(quantity * 1000) / 1000;
+        return quantity > 0 ? { product, quantity } : null;
+    }
+
+    parseExtraBarcodes(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line)
+            .map(line => {
+                const [code, packQty] = line.split(/[\s,]+/).filter(part => part && part.toLowerCase() !== 'x');
+                return { code, packQty: parseInt(packQty) || 1 };
+            });
     }
 
     // Reports
@@ -2123,6 +11925,12 @@ class RetailPOS {
         // Update top products
         this.updateTopProducts();
 
+        // Update margin report
+        this.renderMarginReport();
+
+        // Update markdown report
+        this.renderMarkdownReport();
+
         // Update filtered sales table
         this.updateSalesTable();
     }
@@ -2138,8 +11946,16 @@ class RetailPOS {
         const filteredTotal = filteredSales.reduce((sum, sale) => sum + sale.total, 0);
         const transactionCount = filteredSales.length;
 
+        const returnsTotal = filteredSales
+            .filter(sale => sale.type === 'return')
+            .reduce((sum, sale) => sum + Math.abs(sale.total), 0);
+        const margin = this.summarizeMargin(filteredSales.flatMap(sale => sale.items));
+
         document.getElementById('todaySales').textContent = `₹${todayTotal.toFixed(2)}`;
         document.getElementById('transactionCount').textContent = transactionCount;
+        document.getElementById('returnsTotal').textContent = `₹${returnsTotal.toFixed(2)}`;
+        document.getElementById('grossProfit').textContent = `${margin.profit < 0 ? '-' : ''}₹${Math.abs(margin.profit).toFixed(2)}`;
+        document.getElementById('grossMargin').textContent = margin.margin === null ? '' : `${margin.margin.toFixed(1)}% margin`;
     }
 
     updateTopProducts() {
@@ -2148,10 +11964,12 @@ class RetailPOS {
 
         filteredSales.forEach(sale => {
             sale.items.forEach(item => {
-                if (!productSales[item.name]) {
-                    productSales[item.name] = 0;
+                // Variant lines roll up to the parent product unless broken down
+                const key = this.variantView.reports ? item.name : (item.productName || item.name);
+                if (!productSales[key]) {
+                    productSales[key] = 0;
                 }
-                productSales[item.name] += item.quantity;
+                productSales[key] += item.quantity;
             });
         });
 
@@ -2169,21 +11987,23 @@ class RetailPOS {
         const filteredSales = this.getFilteredSales();
 
         if (filteredSales.length === 0) {
-            salesBody.innerHTML = '<tr><td colspan="7" class="empty-state">No transactions found</td></tr>';
+            salesBody.innerHTML = '<tr><td colspan="8" class="empty-state">No transactions found</td></tr>';
             return;
         }
 
         salesBody.innerHTML = filteredSales.map(sale => {
             const date = new Date(sale.date);
             const isSelected = this.selectedTransactions.has(sale.id);
+            const isReturn = sale.type === 'return';
             return `
                 <tr>
                     <td><input type="checkbox" class="transaction-checkbox" data-sale-id="${sale.id}" ${isSelected ? 'checked' : ''}></td>
                     <td>${date.toLocaleDateString()}</td>
                     <td>${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</td>
-                    <td>${sale.customer.name}</td>
+                    <td>${this.escapeHtml(sale.customer.name)}${isReturn ? ` <span class="status-badge inactive">${sale.creditNoteNumber}</span>` : ''}</td>
                     <td>${sale.items.length} items</td>
-                    <td>₹${sale.total.toFixed(2)}</td>
+                    <td>${this.formatPayments(sale)}</td>
+                    <td class="${isReturn ? 'negative-amount' : ''}">${isReturn ? `-₹${Math.abs(sale.total).toFixed(2)}` : `₹${sale.total.toFixed(2)}`}</td>
                     <td>
                         <div class="action-buttons">
                             <button class="btn-small btn-secondary view-btn" data-sale-id="${sale.id}">
@@ -2192,6 +12012,11 @@ class RetailPOS {
                             <button class="btn-small btn-primary print-btn" data-sale-id="${sale.id}">
                                 <i class="fas fa-print"></i> Print
                             </button>
+                            ${!isReturn && !this.isFullyReturned(sale) ? `
+                                <button class="btn-small btn-secondary return-btn" data-sale-id="${sale.id}">
+                                    <i class="fas fa-undo"></i> Return
+                                </button>
+                            ` : ''}
                         </div>
                     </td>
                 </tr>
@@ -2207,7 +12032,15 @@ class RetailPOS {
             const searchTerm = this.currentFilter.search.toLowerCase();
             filteredSales = filteredSales.filter(sale => 
                 sale.customer.name.toLowerCase().includes(searchTerm) ||
-                sale.id.toString().includes(searchTerm)
+                sale.id.toString().includes(searchTerm) ||
+                (sale.creditNoteNumber || '').toLowerCase().includes(searchTerm)
+            );
+        }
+
+        // Apply payment method filter
+        if (this.currentFilter.paymentMethod) {
+            filteredSales = filteredSales.filter(sale =>
+                (sale.payments || []).some(payment => payment.method === this.currentFilter.paymentMethod)
             );
         }
 
@@ -2256,8 +12089,236 @@ class RetailPOS {
         return filteredSales;
     }
 
+    // Cost & Margin
+    // Products carry a cost price that goods receipts move to the weighted average of the stock on
+    // hand and the units received. Each sale line keeps the unit cost at the time of sale, so margins
+    // don't shift when costs change later. Lines sold before a cost was known are left out of profit.
+    getUnitCost(productId, variantId = null) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return null;
+        const variant = this.getVariant(product, variantId);
+        const cost = variant && variant.cost !== undefined && variant.cost !== null ? variant.cost : product.cost;
+        return cost === undefined || cost === null ? null : cost;
+    }
+
+    // Weighted-average cost after receiving quantity units at unitCost; call before the stock moves
+    updateAverageCost(productId, variantId, quantity, unitCost) {
+        const product = this.products.find(p => p.id === productId);
+        const target = this.getVariant(product, variantId) || product;
+        if (!target) return;
+
+        const onHand = Math.max(this.getAvailableStock(productId, variantId), 0);
+        const currentCost = this.getUnitCost(productId, variantId);
+        target.cost = onHand > 0 && currentCost !== null
+            ? Math.round(((onHand * currentCost + quantity * unitCost) / (onHand + quantity)) * 10000) / 10000
+            : unitCost;
+    }
+
+    // Line revenue net of cart discount and GST
+    getLineRevenue(item) {
+        return item.taxableValue !== undefined ? item.taxableValue : item.price * item.quantity;
+    }
+
+    summarizeMargin(lines) {
+        const costed = lines.filter(item => item.cost !== undefined && item.cost !== null);
+        const revenue = this.roundCurrency(lines.reduce((sum, item) => sum + this.getLineRevenue(item), 0));
+        const costedRevenue = this.roundCurrency(costed.reduce((sum, item) => sum + this.getLineRevenue(item), 0));
+        const cost = this.roundCurrency(costed.reduce((sum, item) => sum + item.cost * item.quantity, 0));
+        const profit = this.roundCurrency(costedRevenue - cost);
+        return {
+            quantity: Math.round(lines.reduce((sum, item) => sum + item.quantity, 0) * 1000) / 1000,
+            revenue,
+            cost,
+            profit,
+            margin: costedRevenue !== 0 ? (profit / costedRevenue) * 100 : null,
+            uncosted: lines.length - costed.length
+        };
+    }
+
+    getMarginGroupKey(sale, item, groupBy) {
+        const date = new Date(sale.date);
+        switch (groupBy) {
+            case 'sale':
+                return sale.type === 'return' ? sale.creditNoteNumber : `${this.settings.invoice.prefix}${sale.id}`;
+            case 'category': {
+                const product = this.products.find(p => p.id === item.id);
+                return this.getCategoryPath(item.categoryId !== undefined ? item.categoryId : product?.categoryId);
+            }
+            case 'day':
+                return date.toLocaleDateString();
+            case 'week': {
+                const weekStart = new Date(date);
+                weekStart.setDate(date.getDate() - date.getDay());
+                return `Week of ${weekStart.toLocaleDateString()}`;
+            }
+            case 'month':
+                return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+            default:
+                // Variant lines roll up to the parent product unless broken down
+                return this.variantView.reports ? item.name : (item.productName || item.name);
+        }
+    }
+
+    // Margin rows for the filtered sales; returns are included so refunded margin comes off
+    getMarginReport(groupBy = document.getElementById('marginGroupBy').value) {
+        const groups = new Map();
+        this.getFilteredSales().forEach(sale => {
+            sale.items.forEach(item => {
+                const key = this.getMarginGroupKey(sale, item, groupBy);
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(item);
+            });
+        });
+
+        const rows = [...groups.entries()].map(([label, lines]) => ({ label, ...this.summarizeMargin(lines) }));
+        // Periods and sales read best newest first; products and categories by profit
+        return ['product', 'category'].includes(groupBy)
+            ? rows.sort((a, b) => b.profit - a.profit)
+            : rows;
+    }
+
+    renderMarginReport() {
+        const groupBy = document.getElementById('marginGroupBy').value;
+        const body = document.getElementById('marginBody');
+        const rows = this.getMarginReport(groupBy);
+        const formatMoney = value => value < 0 ? `-₹${Math.abs(value).toFixed(2)}` : `₹${value.toFixed(2)}`;
+
+        document.getElementById('marginGroupLabel').textContent =
+            document.getElementById('marginGroupBy').selectedOptions[0].textContent.replace('By ', '');
+
+        if (rows.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="empty-state">No sales in this period</td></tr>';
+            return;
+        }
+
+        body.innerHTML = rows.map(row => `
+            <tr>
+                <td>${row.label}${row.uncosted > 0 ? ` <small>(${row.uncosted} line${row.uncosted === 1 ? '' : 's'} without cost)</small>` : ''}</td>
+                <td>${row.quantity}</td>
+                <td>${formatMoney(row.revenue)}</td>
+                <td>${formatMoney(row.cost)}</td>
+                <td class="${row.profit < 0 ? 'negative-amount' : ''}">${formatMoney(row.profit)}</td>
+                <td>${row.margin === null ? '-' : `${row.margin.toFixed(1)}%`}</td>
+            </tr>
+        `).join('');
+    }
+
+    async exportMarginReport() {
+        const approver = await this.authorize('export.sales', 'Export margin report');
+        if (!approver) {
+            return;
+        }
+
+        const groupBy = document.getElementById('marginGroupBy').value;
+        const csvHeaders = [document.getElementById('marginGroupLabel').textContent, 'Quantity', 'Revenue', 'Cost', 'Gross Profit', 'Margin %', 'Lines Without Cost'];
+        const csvRows = this.getMarginReport(groupBy).map(row => [
+            row.label,
+            row.quantity,
+            row.revenue.toFixed(2),
+            row.cost.toFixed(2),
+            row.profit.toFixed(2),
+            row.margin === null ? '' : row.margin.toFixed(1),
+            row.uncosted
+        ]);
+
+        const csvContent = [csvHeaders, ...csvRows]
+            .map(row => row.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `margin_by_${groupBy}_${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.recordAudit('export.margin', `Margin by ${groupBy}`, { approvedBy: this.getApproval(approver) });
+        this.showToast('Margin report exported', 'success');
+    }
+
+    // Marked-down lines in the filtered sales; return lines carry negative quantities so they net off
+    getMarkdownReport(groupBy = document.getElementById('markdownGroupBy').value) {
+        const groups = new Map();
+        this.getFilteredSales().forEach(sale => {
+            sale.items.filter(item => item.markdown).forEach(item => {
+                const key = groupBy === 'reason' ? (this.markdownReasons[item.markdown.reason] || item.markdown.reason)
+                    : groupBy === 'staff' ? (this.users.find(u => u.username === item.markdown.by)?.name || item.markdown.by)
+                    : groupBy === 'product' ? item.name
+                    : new Date(sale.date).toLocaleDateString();
+                if (!groups.has(key)) {
+                    groups.set(key, { label: key, lines: 0, quantity: 0, listValue: 0, charged: 0, approved: 0 });
+                }
+                const row = groups.get(key);
+                const direction = Math.sign(item.quantity);
+                row.lines += direction;
+                row.approved += item.markdown.approvedBy ? direction : 0;
+                row.quantity = Math.round((row.quantity + item.quantity) * 1000) / 1000;
+                row.listValue = this.roundCurrency(row.listValue + item.listPrice * item.quantity);
+                row.charged = this.roundCurrency(row.charged + item.price * item.quantity);
+            });
+        });
+
+        return [...groups.values()]
+            .map(row => ({ ...row, markdown: this.roundCurrency(row.listValue - row.charged) }))
+            .sort((a, b) => b.markdown - a.markdown);
+    }
+
+    renderMarkdownReport() {
+        const groupBy = document.getElementById('markdownGroupBy').value;
+        const body = document.getElementById('markdownBody');
+        const rows = this.getMarkdownReport(groupBy);
+
+        document.getElementById('markdownGroupLabel').textContent =
+            document.getElementById('markdownGroupBy').selectedOptions[0].textContent.replace('By ', '');
+
+        if (rows.length === 0) {
+            body.innerHTML = '<tr><td colspan="7" class="empty-state">No markdowns in this period</td></tr>';
+            return;
+        }
+
+        const total = rows.reduce((sum, row) => sum + row.markdown, 0);
+        body.innerHTML = rows.map(row => `
+            <tr>
+                <td>${row.label}</td>
+                <td>${row.lines}</td>
+                <td>${row.quantity}</td>
+                <td>₹${row.listValue.toFixed(2)}</td>
+                <td>₹${row.charged.toFixed(2)}</td>
+                <td>₹${row.markdown.toFixed(2)}</td>
+                <td>${row.approved}</td>
+            </tr>
+        `).join('') + `
+            <tr>
+                <td colspan="5"><strong>Total markdown</strong></td>
+                <td colspan="2"><strong>₹${total.toFixed(2)}</strong></td>
+            </tr>
+        `;
+    }
+
+    // Stock on hand valued at cost (and at selling price for comparison)
+    getStockValuation() {
+        const units = this.getForecastUnits(true);
+        return units.reduce((totals, unit) => {
+            const cost = this.getUnitCost(unit.id, unit.variantId);
+            const product = this.products.find(p => p.id === unit.id);
+            const stock = Math.max(unit.stock, 0);
+            totals.retailValue += stock * this.getVariantPrice(product, this.getVariant(product, unit.variantId));
+            if (cost === null) {
+                if (stock > 0) totals.uncosted += 1;
+            } else {
+                totals.costValue += stock * cost;
+            }
+            return totals;
+        }, { costValue: 0, retailValue: 0, uncosted: 0 });
+    }
+
     updateNotificationBadge() {
-        const lowStockCount = this.products.filter(p => p.stock < 10).length;
+        const unreadCount = this.notifications.filter(notification => !notification.read).length;
         const notificationBtn = document.getElementById('notificationBtn');
         
         // Remove existing badge
@@ -2266,10 +12327,10 @@ class RetailPOS {
             existingBadge.remove();
         }
 
-        if (lowStockCount > 0) {
+        if (unreadCount > 0) {
             const badge = document.createElement('span');
             badge.className = 'notification-badge';
-            badge.textContent = lowStockCount;
+            badge.textContent = unreadCount;
             notificationBtn.appendChild(badge);
         }
     }
@@ -2295,9 +12356,71 @@ class RetailPOS {
         document.getElementById('secondaryColor').value = this.settings.appearance.secondaryColor;
         document.getElementById('enableAnimations').checked = this.settings.appearance.enableAnimations;
         document.getElementById('compactMode').checked = this.settings.appearance.compactMode;
+
+        // Inventory settings
+        document.getElementById('nearExpiryDays').value = this.settings.inventory.nearExpiryDays;
+        document.getElementById('defaultMinStock').value = this.settings.inventory.minStock;
+        document.getElementById('defaultMaxStock').value = this.settings.inventory.maxStock;
+        document.getElementById('defaultReorderQty').value = this.settings.inventory.reorderQty;
+        document.getElementById('defaultLeadTime').value = this.settings.inventory.leadTimeDays;
+        document.getElementById('forecastCoverageDays').value = this.settings.inventory.coverageDays;
+
+        // Barcode settings
+        document.getElementById('scaleBarcodeEnabled').checked = this.settings.barcode.scaleEnabled;
+        document.getElementById('scaleValueType').value = this.settings.barcode.scaleValueType;
+
+        // Tax settings
+        document.getElementById('taxShopState').value = this.settings.tax.shopState;
+        document.getElementById('taxPricesInclusive').checked = this.settings.tax.pricesIncludeTax;
+        document.getElementById('taxDefaultRate').value = this.settings.tax.defaultRate;
+        this.renderCategoryTaxRates();
+
+        // Loyalty settings
+        document.getElementById('loyaltyEnabled').checked = this.settings.loyalty.enabled;
+        document.getElementById('loyaltyPointsPerHundred').value = this.settings.loyalty.pointsPerHundred;
+        document.getElementById('loyaltyPointValue').value = this.settings.loyalty.pointValue;
+        document.getElementById('loyaltyMinRedeem').value = this.settings.loyalty.minRedeemPoints;
+        document.getElementById('loyaltyExpiryDays').value = this.settings.loyalty.expiryDays;
+        document.getElementById('loyaltyTierWindow').value = this.settings.loyalty.tierWindowDays;
+        this.renderLoyaltyTierRows();
+
+        // Gift card settings
+        document.getElementById('giftCardMaxAmount').value = this.settings.giftCards.maxAmount;
+
+        // Backup schedule
+        document.getElementById('backupFrequency').value = this.settings.backup.frequency;
+        document.getElementById('backupAutoDownload').checked = this.settings.backup.autoDownload;
+        this.updateBackupInfo();
+    }
+
+    // Effective rate per category; rates are edited in the category manager
+    renderCategoryTaxRates() {
+        const container = document.getElementById('taxCategoryRates');
+        const tree = this.getCategoryTree();
+
+        if (tree.length === 0) {
+            container.innerHTML = '<p class="empty-state">No categories yet</p>';
+            return;
+        }
+
+        container.innerHTML = tree.map(({ category, depth }) => {
+            const rate = this.getCategoryTaxRate(category.id);
+            return `
+                <div class="category-rate" style="padding-left: ${depth * 1.5}rem;">
+                    <span><span class="category-swatch" style="background: ${category.color};"></span>${category.name}</span>
+                    <span>${rate !== null ? `${rate}%` : `${this.settings.tax.defaultRate}%`}${category.taxRate === null ? ` <small>(${rate !== null ? 'inherited' : 'default'})</small>` : ''}</span>
+                </div>
+            `;
+        }).join('');
     }
 
-    saveShopSettings() {
+    async saveShopSettings() {
+        const approver = await this.authorize('settings.edit', 'Save shop settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.shop };
         this.settings.shop = {
             name: document.getElementById('shopName').value.trim(),
             address: document.getElementById('shopAddress').value.trim(),
@@ -2313,11 +12436,18 @@ class RetailPOS {
         }
 
         this.saveSettings();
+        this.auditSettingsChange('shop', before, approver);
         this.showToast('Shop settings saved successfully', 'success');
         return true;
     }
 
-    saveInvoiceSettings() {
+    async saveInvoiceSettings() {
+        const approver = await this.authorize('settings.edit', 'Save invoice settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.invoice };
         this.settings.invoice = {
             prefix: document.getElementById('invoicePrefix').value.trim() || 'INV',
             footer: document.getElementById('invoiceFooter').value.trim(),
@@ -2326,10 +12456,114 @@ class RetailPOS {
         };
 
         this.saveSettings();
+        this.auditSettingsChange('invoice', before, approver);
         this.showToast('Invoice settings saved successfully', 'success');
     }
 
-    saveAppearanceSettings() {
+    async saveInventorySettings() {
+        const nearExpiryDays = parseInt(document.getElementById('nearExpiryDays').value);
+        if (isNaN(nearExpiryDays) || nearExpiryDays < 0) {
+            this.showToast('Enter the number of days before expiry to start alerting', 'warning');
+            return;
+        }
+
+        const readLevel = id => {
+            const value = document.getElementById(id).value.trim();
+            return value === '' ? NaN : Number(value);
+        };
+        const levels = {
+            minStock: readLevel('defaultMinStock'),
+            maxStock: readLevel('defaultMaxStock'),
+            reorderQty: readLevel('defaultReorderQty'),
+            leadTimeDays: readLevel('defaultLeadTime'),
+            coverageDays: readLevel('forecastCoverageDays')
+        };
+        if (Object.values(levels).some(value => !Number.isInteger(value) || value < 0) || levels.reorderQty < 1 || levels.coverageDays < 1) {
+            this.showToast('Default stock levels, reorder quantity, lead time and cover must be whole numbers', 'warning');
+            return;
+        }
+
+        if (levels.maxStock < levels.minStock) {
+            this.showToast('Maximum stock cannot be below minimum stock', 'warning');
+            return;
+        }
+
+        const approver = await this.authorize('settings.edit', 'Save inventory settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.inventory };
+        this.settings.inventory = {
+            ...this.settings.inventory,
+            nearExpiryDays,
+            ...levels
+        };
+
+        this.saveSettings();
+        this.auditSettingsChange('inventory', before, approver);
+        this.calculateInventoryForecast();
+        this.updateForecastDisplay();
+        this.updateDashboard();
+        this.showToast('Inventory settings saved successfully', 'success');
+    }
+
+    async saveBarcodeSettings() {
+        const approver = await this.authorize('settings.edit', 'Save barcode settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.barcode };
+        this.settings.barcode = {
+            scaleEnabled: document.getElementById('scaleBarcodeEnabled').checked,
+            scaleValueType: document.getElementById('scaleValueType').value
+        };
+
+        this.saveSettings();
+        this.auditSettingsChange('barcode', before, approver);
+        this.showToast('Barcode settings saved successfully', 'success');
+    }
+
+    async saveTaxSettings() {
+        const approver = await this.authorize('settings.edit', 'Save tax settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.tax };
+        this.settings.tax = {
+            shopState: document.getElementById('taxShopState').value.trim(),
+            pricesIncludeTax: document.getElementById('taxPricesInclusive').checked,
+            defaultRate: parseFloat(document.getElementById('taxDefaultRate').value)
+        };
+
+        this.saveSettings();
+        this.auditSettingsChange('tax', before, approver);
+        this.renderCategoryTaxRates();
+        this.updateCartSummary();
+        this.showToast('Tax settings saved successfully', 'success');
+    }
+
+    async saveAppearanceSettings() {
+        const approver = await this.authorize('settings.edit', 'Save appearance settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.appearance };
+        this.applyAppearanceSettings();
+        this.auditSettingsChange('appearance', before, approver);
+    }
+
+    auditSettingsChange(section, before, approver) {
+        this.recordAudit('settings.update', section, {
+            ...this.diffForAudit(before, this.settings[section]),
+            approvedBy: this.getApproval(approver)
+        });
+    }
+
+    applyAppearanceSettings() {
         this.settings.appearance = {
             primaryColor: document.getElementById('primaryColor').value,
             secondaryColor: document.getElementById('secondaryColor').value,
@@ -2345,7 +12579,13 @@ class RetailPOS {
         this.showToast('Appearance settings saved successfully', 'success');
     }
 
-    resetSettings() {
+    async resetSettings() {
+        const approver = await this.authorize('settings.edit', 'Reset settings');
+        if (!approver) {
+            return;
+        }
+
+        const before = JSON.parse(JSON.stringify(this.settings));
         this.settings = {
             shop: {
                 name: '',
@@ -2366,15 +12606,62 @@ class RetailPOS {
                 secondaryColor: '#764ba2',
                 enableAnimations: true,
                 compactMode: false
+            },
+            barcode: {
+                scaleEnabled: true,
+                scaleValueType: 'price'
+            },
+            backup: {
+                frequency: 'weekly',
+                autoDownload: false
+            },
+            inventory: {
+                nearExpiryDays: 7,
+                minStock: 10,
+                maxStock: 50,
+                reorderQty: 20,
+                leadTimeDays: 7,
+                coverageDays: 30
+            },
+            loyalty: {
+                enabled: true,
+                pointsPerHundred: 1,
+                pointValue: 1,
+                minRedeemPoints: 100,
+                expiryDays: 365,
+                tierWindowDays: 365,
+                tiers: [
+                    { name: 'Member', minSpend: 0, multiplier: 1 },
+                    { name: 'Silver', minSpend: 25000, multiplier: 1.25 },
+                    { name: 'Gold', minSpend: 100000, multiplier: 1.5 }
+                ]
+            },
+            giftCards: {
+                maxAmount: 10000
+            },
+            tax: {
+                shopState: '',
+                pricesIncludeTax: false,
+                defaultRate: 18
             }
         };
 
         this.populateSettingsForm();
         this.saveSettings();
+        this.recordAudit('settings.reset', 'All settings', {
+            ...this.diffForAudit(before, this.settings),
+            approvedBy: this.getApproval(approver)
+        });
         this.showToast('Settings reset to default', 'info');
     }
 
-    resetAppearance() {
+    async resetAppearance() {
+        const approver = await this.authorize('settings.edit', 'Reset appearance');
+        if (!approver) {
+            return;
+        }
+
+        const before = { ...this.settings.appearance };
         this.settings.appearance = {
             primaryColor: '#667eea',
             secondaryColor: '#764ba2',
@@ -2383,7 +12670,8 @@ class RetailPOS {
         };
 
         this.populateSettingsForm();
-        this.saveAppearanceSettings();
+        this.applyAppearanceSettings();
+        this.auditSettingsChange('appearance', before, approver);
     }
 
     // Toast Notifications
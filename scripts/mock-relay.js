@@ -0,0 +1,51 @@
+// Local stand-in for the mail relay and SMS webhook, for trying out low-stock notifications.
+//
+//   node scripts/mock-relay.js [port]
+//
+// Point the email relay at http://localhost:8025/email and the SMS webhook at http://localhost:8025/sms.
+// Every request is printed. Set FAIL_FIRST=n to answer the first n requests with HTTP 503 and
+// watch the app retry them.
+const http = require('http');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8025');
+let failuresLeft = parseInt(process.env.FAIL_FIRST || '0');
+
+const server = http.createServer((req, res) => {
+    // The app runs on another origin, so answer the CORS preflight
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        const time = new Date().toLocaleTimeString();
+        if (failuresLeft > 0) {
+            failuresLeft -= 1;
+            console.log(`[${time}] ${req.method} ${req.url} -> 503 (${failuresLeft} more failures)`);
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Mock failure' }));
+            return;
+        }
+
+        console.log(`[${time}] ${req.method} ${req.url}${req.headers.authorization ? ' (with API key)' : ''}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log(body);
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Mock relay listening on http://localhost:${port} (email: /email, SMS: /sms)`);
+});